@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+const path = require('path');
+const { AnalyticsOptimizationAgent } = require('./analytics-optimization-agent');
+const { AgentMCPServer, createAgentContext, runServer } = require('../utils/mcp-server');
+
+const server = new AgentMCPServer({
+  manifest: path.join(__dirname, '..', 'mcp', 'analytics-optimization-agent.mcp.json'),
+  createAgent: () => createAgentContext(AnalyticsOptimizationAgent),
+
+  tools: {
+    analyze_video: async ({ videoId }, { agent }) => agent.analyzeVideoPerformance(videoId),
+
+    get_recent_analytics: async ({ days = 7 }, { agent }) => {
+      return agent.getRecentAnalytics(parseInt(days) || 7);
+    },
+
+    get_performance_score: async ({ analytics }, { agent }) => agent.calculatePerformanceScore(analytics)
+  },
+
+  resources: {
+    analytics_history: async ({ db }) => db.getAnalyticsHistory(),
+    keyword_performance: async ({ db }) => db.getKeywordHistory()
+  }
+});
+
+if (require.main === module) {
+  runServer(server);
+}
+
+module.exports = { server };
@@ -1,11 +1,13 @@
-const { google } = require('googleapis');
 const { Logger } = require('../utils/logger');
+const { defaultChannel } = require('../utils/channel-config');
 
 class AnalyticsOptimizationAgent {
-  constructor(db, credentials) {
+  constructor(db, credentials, channel = null) {
     this.db = db;
     this.credentials = credentials;
+    this.channel = channel || defaultChannel();
     this.logger = new Logger('AnalyticsOptimization');
+    this.quota = credentials.getQuotaLedger(db, this.channel);
     this.youtubeAnalytics = null;
     this.youtube = null;
     this.performanceData = new Map();
@@ -20,9 +22,9 @@ class AnalyticsOptimizationAgent {
 
   async setupAnalyticsAPI() {
     try {
-      const auth = this.credentials.getYouTubeAuth();
-      this.youtubeAnalytics = google.youtubeAnalytics({ version: 'v2', auth });
-      this.youtube = google.youtube({ version: 'v3', auth });
+      const auth = this.credentials.getYouTubeAuth(this.channel.id);
+      this.youtubeAnalytics = this.credentials.getYouTubeAnalyticsClient(auth);
+      this.youtube = this.credentials.getYouTubeClient(auth);
       this.logger.info('YouTube Analytics API initialized');
     } catch (error) {
       this.logger.error('Failed to initialize Analytics API:', error);
@@ -42,12 +44,12 @@ class AnalyticsOptimizationAgent {
     }
   }
 
-  async analyzeVideoPerformance(videoId) {
+  async analyzeVideoPerformance(videoId, { priority = 'normal' } = {}) {
     try {
       this.logger.info(`Analyzing performance for video: ${videoId}`);
       
       // Get video details
-      const videoDetails = await this.getVideoDetails(videoId);
+      const videoDetails = await this.getVideoDetails(videoId, priority);
       
       // Get analytics data
       const analytics = await this.getVideoAnalytics(videoId);
@@ -86,11 +88,11 @@ class AnalyticsOptimizationAgent {
     }
   }
 
-  async getVideoDetails(videoId) {
-    const response = await this.youtube.videos.list({
+  async getVideoDetails(videoId, priority = 'normal') {
+    const response = await this.quota.run('videos.list', () => this.youtube.videos.list({
       part: 'snippet,statistics,contentDetails',
       id: videoId
-    });
+    }), { priority });
     
     if (!response.data.items.length) {
       throw new Error(`Video not found: ${videoId}`);
@@ -112,6 +114,10 @@ class AnalyticsOptimizationAgent {
     };
   }
 
+  queryReport(params) {
+    return this.quota.run('analytics.reports.query', () => this.youtubeAnalytics.reports.query(params));
+  }
+
   async getVideoAnalytics(videoId) {
     const endDate = new Date().toISOString().split('T')[0];
     const startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
@@ -148,7 +154,7 @@ class AnalyticsOptimizationAgent {
   }
 
   async getViewsAnalytics(videoId, startDate, endDate) {
-    const response = await this.youtubeAnalytics.reports.query({
+    const response = await this.queryReport({
       ids: 'channel==MINE',
       startDate,
       endDate,
@@ -166,7 +172,7 @@ class AnalyticsOptimizationAgent {
   }
 
   async getWatchTimeAnalytics(videoId, startDate, endDate) {
-    const response = await this.youtubeAnalytics.reports.query({
+    const response = await this.queryReport({
       ids: 'channel==MINE',
       startDate,
       endDate,
@@ -187,7 +193,7 @@ class AnalyticsOptimizationAgent {
   async getDemographicsAnalytics(videoId, startDate, endDate) {
     try {
       const [ageResponse, genderResponse] = await Promise.all([
-        this.youtubeAnalytics.reports.query({
+        this.queryReport({
           ids: 'channel==MINE',
           startDate,
           endDate,
@@ -195,7 +201,7 @@ class AnalyticsOptimizationAgent {
           dimensions: 'ageGroup',
           filters: `video==${videoId}`
         }),
-        this.youtubeAnalytics.reports.query({
+        this.queryReport({
           ids: 'channel==MINE',
           startDate,
           endDate,
@@ -216,7 +222,7 @@ class AnalyticsOptimizationAgent {
   }
 
   async getTrafficSourcesAnalytics(videoId, startDate, endDate) {
-    const response = await this.youtubeAnalytics.reports.query({
+    const response = await this.queryReport({
       ids: 'channel==MINE',
       startDate,
       endDate,
@@ -240,7 +246,7 @@ class AnalyticsOptimizationAgent {
   }
 
   async getDeviceAnalytics(videoId, startDate, endDate) {
-    const response = await this.youtubeAnalytics.reports.query({
+    const response = await this.queryReport({
       ids: 'channel==MINE',
       startDate,
       endDate,
@@ -280,7 +286,7 @@ class AnalyticsOptimizationAgent {
   async analyzeThumbnailPerformance(videoId) {
     // Analyze thumbnail click-through rate and impressions
     try {
-      const response = await this.youtubeAnalytics.reports.query({
+      const response = await this.queryReport({
         ids: 'channel==MINE',
         startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
         endDate: new Date().toISOString().split('T')[0],
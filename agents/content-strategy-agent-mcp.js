@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+const path = require('path');
+const { ContentStrategyAgent } = require('./content-strategy-agent');
+const { AgentMCPServer, createAgentContext, runServer } = require('../utils/mcp-server');
+
+const server = new AgentMCPServer({
+  manifest: path.join(__dirname, '..', 'mcp', 'content-strategy-agent.mcp.json'),
+  createAgent: () => createAgentContext(ContentStrategyAgent),
+
+  tools: {
+    analyze_trends: async ({ region, category }, { agent }) => {
+      const topics = await agent.analyzeTrends({ region, category });
+      return { region: region || process.env.YOUTUBE_REGION || 'US', count: topics.length, topics };
+    },
+
+    generate_strategy: async ({ topic, targetAudience, seriesId, format }, { agent }) => {
+      return agent.generateContentStrategy(topic || null, { targetAudience, seriesId, format });
+    },
+
+    analyze_competitors: async ({ channelIds }, { agent }) => {
+      if (!Array.isArray(channelIds) || channelIds.length === 0) {
+        throw new Error('channelIds must be a non-empty array');
+      }
+
+      const competitors = await agent.analyzeCompetitors(channelIds);
+      agent.competitorData = competitors;
+      return competitors;
+    },
+
+    predict_performance: async ({ topic, publishTime }, { agent }) => {
+      return agent.predictPerformance(topic, publishTime);
+    },
+
+    // Reads the stored slots without changing them
+    get_content_calendar: async ({ from, to }, { agent }) => {
+      return agent.calendar.list({ from: from || null, to: to || null });
+    },
+
+    // Replans the coming days and stores the slots; slots moved by hand are kept
+    plan_content_calendar: async ({ days = 7 }, { agent }) => {
+      return agent.planContentCalendar(Math.min(Math.max(parseInt(days) || 7, 1), 90));
+    }
+  },
+
+  resources: {
+    trending_topics: async ({ agent }) => agent.trendingTopics,
+    competitor_analysis: async ({ agent }) => agent.competitorData,
+    historical_performance: async ({ db }) => db.getContentHistory()
+  }
+});
+
+if (require.main === module) {
+  runServer(server);
+}
+
+module.exports = { server };
@@ -1,13 +1,31 @@
 const axios = require('axios');
 const { Logger } = require('../utils/logger');
+const { defaultChannel } = require('../utils/channel-config');
+const { ContentCalendar } = require('../workflows/content-calendar');
+const { SeriesManager } = require('../workflows/series');
+
+const CONTENT_TYPES = [
+  { type: 'Tutorial', suitableFor: ['how to', 'guide', 'learn'] },
+  { type: 'List', suitableFor: ['best', 'top', 'worst'] },
+  { type: 'Review', suitableFor: ['review', 'vs', 'comparison'] },
+  { type: 'Explainer', suitableFor: ['what is', 'why', 'explained'] },
+  { type: 'News', suitableFor: ['breaking', 'latest', 'new'] },
+  { type: 'Story', suitableFor: ['story', 'journey', 'experience'] }
+];
 
 class ContentStrategyAgent {
-  constructor(db, credentials) {
+  constructor(db, credentials, channel = null) {
     this.db = db;
     this.credentials = credentials;
+    this.channel = channel || defaultChannel();
     this.logger = new Logger('ContentStrategy');
+    this.ai = credentials.getAIService();
+    this.quota = credentials.getQuotaLedger(db, this.channel);
     this.trendingTopics = [];
     this.competitorData = [];
+    this.calendar = new ContentCalendar(db, this.channel);
+    this.series = new SeriesManager(db, this.channel);
+    // Slots of the last plan
     this.contentCalendar = [];
   }
 
@@ -28,13 +46,14 @@ class ContentStrategyAgent {
     }
   }
 
-  async analyzeTrends() {
+  async analyzeTrends(options = {}) {
     try {
       // Analyze YouTube trends
-      const trends = await this.fetchYouTubeTrends();
+      const trends = await this.fetchYouTubeTrends(options.region, options.category);
       
       // Analyze competitor channels
       const competitors = await this.analyzeCompetitors();
+      this.competitorData = competitors;
       
       // Combine insights
       this.trendingTopics = this.mergeTrendData(trends, competitors);
@@ -43,19 +62,25 @@ class ContentStrategyAgent {
     } catch (error) {
       this.logger.error('Error analyzing trends:', error);
     }
+
+    return this.trendingTopics;
   }
 
-  async fetchYouTubeTrends() {
-    // Use YouTube API to fetch trending videos
-    const youtube = this.credentials.getYouTubeClient();
-    
+  async fetchYouTubeTrends(region = null, category = null) {
     try {
-      const response = await youtube.videos.list({
+      // Use YouTube API to fetch trending videos
+      const youtube = this.credentials.getYouTubeClient(this.credentials.getYouTubeAuth(this.channel.id));
+      const params = {
         part: 'snippet,statistics',
         chart: 'mostPopular',
         maxResults: 50,
-        regionCode: process.env.YOUTUBE_REGION || 'US'
-      });
+        regionCode: region || process.env.YOUTUBE_REGION || 'US'
+      };
+      if (category) {
+        params.videoCategoryId = category;
+      }
+
+      const response = await this.quota.run('videos.list', () => youtube.videos.list(params));
 
       return response.data.items.map(video => ({
         title: video.snippet.title,
@@ -70,8 +95,9 @@ class ContentStrategyAgent {
     }
   }
 
-  async analyzeCompetitors() {
-    const competitorChannels = (process.env.COMPETITOR_CHANNELS || '').split(',');
+  async analyzeCompetitors(channelIds = null) {
+    const competitorChannels = channelIds ||
+      (this.channel.competitors.length > 0 ? this.channel.competitors : (process.env.COMPETITOR_CHANNELS || '').split(','));
     const competitorData = [];
 
     for (const channelId of competitorChannels) {
@@ -79,6 +105,8 @@ class ContentStrategyAgent {
       
       try {
         const videos = await this.getChannelVideos(channelId);
+        if (!videos) continue;
+
         const analysis = this.analyzeVideoPerformance(videos);
         competitorData.push({
           channelId,
@@ -95,26 +123,30 @@ class ContentStrategyAgent {
   }
 
   async getChannelVideos(channelId) {
-    const youtube = this.credentials.getYouTubeClient();
-    
     try {
-      const response = await youtube.search.list({
+      const youtube = this.credentials.getYouTubeClient(this.credentials.getYouTubeAuth(this.channel.id));
+      // Competitor scans are low priority: search.list costs 100 units per call
+      const response = await this.quota.run('search.list', () => youtube.search.list({
         part: 'snippet',
         channelId: channelId,
         maxResults: 20,
         order: 'date',
         type: 'video'
-      });
+      }), { priority: 'low' });
 
       const videoIds = response.data.items.map(item => item.id.videoId).join(',');
       
-      const videoDetails = await youtube.videos.list({
+      const videoDetails = await this.quota.run('videos.list', () => youtube.videos.list({
         part: 'statistics,snippet',
         id: videoIds
-      });
+      }), { priority: 'low' });
 
       return videoDetails.data.items;
     } catch (error) {
+      if (error.deferred) {
+        this.logger.warn(`Skipped competitor ${channelId}: ${error.message}`);
+        return null;
+      }
       this.logger.error(`Failed to get videos for channel ${channelId}:`, error);
       return [];
     }
@@ -202,9 +234,11 @@ class ContentStrategyAgent {
       .slice(0, 50);
   }
 
-  async generateContentStrategy(requestedTopic = null) {
+  // With options.seriesId the strategy becomes the series' next episode
+  async generateContentStrategy(requestedTopic = null, options = {}) {
     try {
       let topic, angle, targetAudience, contentType;
+      const series = options.seriesId ? await this.series.get(options.seriesId) : null;
 
       if (requestedTopic) {
         topic = requestedTopic;
@@ -217,10 +251,10 @@ class ContentStrategyAgent {
       }
 
       // Determine target audience
-      targetAudience = await this.identifyTargetAudience(topic);
+      targetAudience = options.targetAudience || await this.identifyTargetAudience(topic);
 
-      // Select content type
-      contentType = this.selectContentType(topic);
+      // Select content type; a series keeps its own
+      contentType = series?.contentType || this.selectContentType(topic);
 
       // Generate content calendar entry
       const strategy = {
@@ -232,11 +266,16 @@ class ContentStrategyAgent {
         estimatedViews: this.predictViews(topic),
         bestPublishTime: this.calculateBestPublishTime(),
         competitorAnalysis: this.getCompetitorInsights(topic),
+        format: options.format === 'short' ? 'short' : 'long',
+        channelId: this.channel.id,
         createdAt: new Date().toISOString()
       };
 
       // Save to database
-      await this.db.saveContentStrategy(strategy);
+      strategy.id = await this.db.saveContentStrategy(strategy);
+      if (series) {
+        strategy.series = await this.series.startEpisode(series.id, strategy.id);
+      }
 
       this.logger.info(`Generated strategy for: ${topic}`);
       return strategy;
@@ -257,6 +296,13 @@ class ContentStrategyAgent {
         finalScore: topic.score * this.getSeasonalMultiplier(topic.topic) * this.getAudienceMultiplier(topic.topic)
       }));
 
+    // A channel with a niche only takes trends that touch it, and otherwise covers the niche itself
+    if (this.channel.niche) {
+      const nicheKeywords = this.extractKeywords(this.channel.niche);
+      const inNiche = scoredTopics.filter(topic => nicheKeywords.some(keyword => topic.topic.includes(keyword)));
+      return inNiche[0] || { topic: this.channel.niche, score: 1 };
+    }
+
     return scoredTopics[0] || { topic: 'Technology Trends', score: 1 };
   }
 
@@ -273,7 +319,16 @@ class ContentStrategyAgent {
       `The Complete ${topic} Tutorial for Beginners`
     ];
 
-    return angles[Math.floor(Math.random() * angles.length)];
+    return this.ai.completeLine({
+      task: 'strategy.angle',
+      system: 'You are a YouTube content strategist who writes compelling, honest video angles.',
+      prompt: `Write one video angle for a YouTube video about "${topic}". ` +
+        'It should read like a headline, stay under 80 characters and avoid clickbait that the video cannot deliver. ' +
+        'Reply with the angle only.',
+      temperature: 0.9,
+      maxTokens: 60,
+      fallback: () => this.ai.pick(angles, `angle:${topic}`)
+    });
   }
 
   async identifyTargetAudience(topic) {
@@ -287,7 +342,16 @@ class ContentStrategyAgent {
     };
 
     const category = this.categorize(topic);
-    return audiences[category] || audiences.entertainment;
+
+    return this.ai.completeLine({
+      task: 'strategy.audience',
+      system: 'You are a YouTube audience researcher.',
+      prompt: `Describe the most likely target audience for a YouTube video about "${topic}" ` +
+        `(broad category: ${category}) as a short comma-separated list of audience segments. Reply with the list only.`,
+      temperature: 0.4,
+      maxTokens: 60,
+      fallback: () => audiences[category] || audiences.entertainment
+    });
   }
 
   categorize(topic) {
@@ -310,24 +374,15 @@ class ContentStrategyAgent {
   }
 
   selectContentType(topic) {
-    const types = [
-      { type: 'Tutorial', suitableFor: ['how to', 'guide', 'learn'] },
-      { type: 'List', suitableFor: ['best', 'top', 'worst'] },
-      { type: 'Review', suitableFor: ['review', 'vs', 'comparison'] },
-      { type: 'Explainer', suitableFor: ['what is', 'why', 'explained'] },
-      { type: 'News', suitableFor: ['breaking', 'latest', 'new'] },
-      { type: 'Story', suitableFor: ['story', 'journey', 'experience'] }
-    ];
+    return this.suitableContentTypes(topic)[0] || 'Explainer';
+  }
 
+  // Every content type whose keywords the topic contains, best match first
+  suitableContentTypes(topic) {
     const topicLower = topic.toLowerCase();
-    
-    for (const contentType of types) {
-      if (contentType.suitableFor.some(keyword => topicLower.includes(keyword))) {
-        return contentType.type;
-      }
-    }
-
-    return 'Explainer';
+    return CONTENT_TYPES
+      .filter(contentType => contentType.suitableFor.some(keyword => topicLower.includes(keyword)))
+      .map(contentType => contentType.type);
   }
 
   predictViews(topic) {
@@ -351,11 +406,70 @@ class ContentStrategyAgent {
 
     const selected = bestTimes[Math.floor(Math.random() * bestTimes.length)];
     const nextDate = this.getNextWeekday(selected.day);
-    nextDate.setHours(selected.hour, 0, 0, 0);
+    const hour = Number.isInteger(this.channel.cadence.publishHour) ? this.channel.cadence.publishHour : selected.hour;
+    nextDate.setHours(hour, 0, 0, 0);
     
     return nextDate.toISOString();
   }
 
+  predictPerformance(topic, publishTime = null) {
+    const publishDate = publishTime ? new Date(publishTime) : new Date(this.calculateBestPublishTime());
+    if (isNaN(publishDate.getTime())) {
+      throw new Error(`Invalid publish time: ${publishTime}`);
+    }
+
+    // Weekday afternoons and weekend mornings match the slots in calculateBestPublishTime
+    const day = publishDate.getDay();
+    const hour = publishDate.getHours();
+    const isWeekend = day === 0 || day === 6;
+    const inPeakWindow = isWeekend ? hour >= 9 && hour <= 12 : day >= 2 && hour >= 13 && hour <= 16;
+    const timingMultiplier = inPeakWindow ? 1.2 : 0.85;
+
+    const seasonalMultiplier = this.getSeasonalMultiplier(topic);
+    const audienceMultiplier = this.getAudienceMultiplier(topic);
+    const baseViews = this.predictViews(topic);
+    const trending = this.trendingTopics.find(t => t.topic === topic.toLowerCase());
+
+    return {
+      topic,
+      publishTime: publishDate.toISOString(),
+      estimatedViews: Math.round(baseViews * timingMultiplier * seasonalMultiplier * audienceMultiplier),
+      confidence: trending ? 'medium' : 'low',
+      factors: {
+        baseViews,
+        trendScore: trending ? trending.score : 0,
+        timingMultiplier,
+        seasonalMultiplier,
+        audienceMultiplier
+      },
+      recommendedContentType: this.selectContentType(topic)
+    };
+  }
+
+  // Plans and stores the calendar slots for the coming days from the current trends. A topic
+  // that suits no content type in particular may take any, which leaves the calendar room to vary them.
+  async planContentCalendar(days = 7) {
+    const recentTopics = this.getRecentTopics();
+    const candidates = this.trendingTopics
+      .filter(topic => !recentTopics.includes(topic.topic))
+      .map(topic => {
+        const suitable = this.suitableContentTypes(topic.topic);
+        return {
+          topic: topic.topic,
+          score: topic.score * this.getSeasonalMultiplier(topic.topic) * this.getAudienceMultiplier(topic.topic),
+          category: this.categorize(topic.topic),
+          contentTypes: suitable.length > 0 ? suitable : CONTENT_TYPES.map(contentType => contentType.type),
+          estimatedViews: this.predictViews(topic.topic),
+          sources: [...new Set(topic.sources)]
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const plan = await this.calendar.plan({ days, candidates });
+    this.contentCalendar = plan.slots;
+    return plan;
+  }
+
   getNextWeekday(dayName) {
     const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const targetDay = days.indexOf(dayName);
@@ -431,4 +545,4 @@ class ContentStrategyAgent {
   }
 }
 
-module.exports = { ContentStrategyAgent };
\ No newline at end of file
+module.exports = { ContentStrategyAgent, CONTENT_TYPES };
\ No newline at end of file
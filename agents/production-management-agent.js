@@ -2,15 +2,40 @@ const path = require('path');
 const fs = require('fs').promises;
 const { Logger } = require('../utils/logger');
 const { AIVideoGenerator } = require('../utils/ai-video-generator');
+const { Timeline } = require('../utils/timeline');
+const { AUDIO_EXTENSIONS } = require('../utils/video-renderer');
+const { defaultChannel } = require('../utils/channel-config');
+const { THUMBNAIL_DIR } = require('../utils/content-validation');
+const {
+  SHORTS_MAX_SECONDS, SHORTS_HOOK_SECONDS, SHORTS_CTA_SECONDS, SHORTS_SIZE, SHORTS_CAPTION_STYLE, SHORTS_CAPTION_LINES,
+  isShort, speakingTime
+} = require('../utils/shorts');
+const { formatSRT, formatVTT, buildCues, wrapCaption } = require('../utils/captions');
+const { NarrationAligner, spreadWords, tokenize } = require('../utils/narration-alignment');
+const { Localizer } = require('../workflows/localization');
+
+// Slide animations map onto FFmpeg xfade transitions
+const ANIMATION_TRANSITIONS = {
+  fade_in: 'fade',
+  slide_in: 'slideleft',
+  zoom_in: 'circleopen',
+  step_by_step: 'wipeleft',
+  fade_transition: 'dissolve',
+  reveal: 'circleopen',
+  bounce: 'slideup'
+};
 
 class ProductionManagementAgent {
-  constructor(db, credentials) {
+  constructor(db, credentials, channel = null) {
     this.db = db;
     this.credentials = credentials;
+    this.channel = channel || defaultChannel();
     this.logger = new Logger('ProductionManagement');
     this.pipeline = [];
     this.assets = new Map();
     this.aiVideoGenerator = new AIVideoGenerator(credentials);
+    this.localizer = new Localizer(credentials, this.channel);
+    this.aligner = new NarrationAligner(this.aiVideoGenerator.renderer);
   }
 
   async initialize() {
@@ -27,6 +52,7 @@ class ProductionManagementAgent {
       'data/videos',
       'data/audio',
       'data/scripts',
+      'data/timelines',
       'temp/processing'
     ];
 
@@ -37,7 +63,7 @@ class ProductionManagementAgent {
 
   async loadPipeline() {
     try {
-      const pipeline = await this.db.getProductionPipeline();
+      const pipeline = await this.db.getProductionPipeline(this.channel.id);
       this.pipeline = pipeline || [];
     } catch (error) {
       this.logger.warn('No existing pipeline found, starting fresh');
@@ -55,6 +81,7 @@ class ProductionManagementAgent {
       
       const productionData = {
         id: productionId,
+        channelId: strategy.channelId || this.channel.id,
         strategy,
         script,
         thumbnail,
@@ -62,8 +89,10 @@ class ProductionManagementAgent {
         status: 'processing',
         assets: {
           script: await this.processScript(script),
-          thumbnail: await this.processThumbnail(thumbnail),
+          // Shorts cut from a long-form script have no thumbnail of their own
+          thumbnail: thumbnail ? await this.processThumbnail(thumbnail) : null,
           audio: null, // Will be generated later
+          dubs: [], // Narration in the channel's dubbing languages
           video: null, // Will be generated later
           captions: null // Will be generated later
         },
@@ -93,6 +122,7 @@ class ProductionManagementAgent {
       
       // Generate audio narration
       await this.generateAudioNarration(productionData);
+      await this.generateDubbedNarration(productionData);
       
       // Generate captions
       await this.generateCaptions(productionData);
@@ -196,11 +226,11 @@ class ProductionManagementAgent {
       ttsText += `\n${script.conclusion.finalThought}\n\n`;
     }
     
-    // Add CTA
+    // Add CTA; a Short's is a single line
     if (script.callToAction) {
-      ttsText += `${script.callToAction.subscribe}\n`;
-      ttsText += `${script.callToAction.like}\n`;
-      ttsText += `${script.callToAction.comment}\n`;
+      ['subscribe', 'like', 'comment'].filter(field => script.callToAction[field]).forEach(field => {
+        ttsText += `${script.callToAction[field]}\n`;
+      });
     }
     
     return ttsText;
@@ -223,10 +253,8 @@ class ProductionManagementAgent {
       this.logger.error('AI thumbnail generation failed:', error);
       
       // Fallback to original processing
-      const productionThumbnailPath = path.join(
-        __dirname, '..', 'data', 'assets', 
-        `thumbnail_${Date.now()}.jpg`
-      );
+      const productionThumbnailPath = path.join(THUMBNAIL_DIR, `thumbnail_${Date.now()}.jpg`);
+      await fs.mkdir(THUMBNAIL_DIR, { recursive: true });
       
       if (thumbnail.path && await fs.access(thumbnail.path).then(() => true).catch(() => false)) {
         const originalBuffer = await fs.readFile(thumbnail.path);
@@ -283,6 +311,8 @@ class ProductionManagementAgent {
 
   async generateVideoContent(productionData) {
     this.logger.info('Generating AI video content...');
+    const { width, height, fps } = this.videoSettings(productionData.script);
+    const resolution = `${width}x${height}`;
     
     try {
       const { strategy, script } = productionData;
@@ -300,8 +330,8 @@ class ProductionManagementAgent {
         visualAssets: visualAssets,
         duration: productionData.estimatedDuration,
         format: 'mp4',
-        resolution: '1920x1080',
-        fps: 30,
+        resolution,
+        fps,
         generatedWith: 'AI'
       };
       
@@ -310,34 +340,61 @@ class ProductionManagementAgent {
       return visualAssets;
     } catch (error) {
       this.logger.error('AI video content generation failed:', error);
-      // Fallback to placeholder
-      return await this.createVideoElements(productionData);
+      // Fallback to designed slides without background images
+      productionData.assets.video = {
+        visualAssets: [],
+        duration: productionData.estimatedDuration,
+        format: 'mp4',
+        resolution,
+        fps,
+        generatedWith: 'template'
+      };
+      return [];
     }
   }
 
-  async createVideoElements(productionData) {
+  // Frame size of a script's video: Shorts are vertical
+  videoSettings(script) {
+    const renderer = this.aiVideoGenerator.renderer;
+    return isShort(script)
+      ? { ...SHORTS_SIZE, fps: renderer.fps }
+      : { width: renderer.width, height: renderer.height, fps: renderer.fps };
+  }
+
+  // Slide sequence for the visuals track. Durations follow the caption timing (hook and intro,
+  // each section, conclusion) and are fitted to the narration later.
+  createVideoElements(productionData) {
     const { script } = productionData;
     const elements = [];
+    const spoken = lines => (Array.isArray(lines) ? lines : [])
+      .filter(line => typeof line === 'string' && !line.startsWith('['));
+    const sectionTitleDuration = 3;
+    
+    if (isShort(script)) {
+      return this.createShortElements(script, spoken);
+    }
     
     // Title slide
     elements.push({
       type: 'title_slide',
-      content: script.title,
-      duration: 3,
-      style: 'modern',
-      animation: 'fade_in'
+      content: { style: 'title', heading: script.title, subheading: script.hook?.text },
+      duration: 20,
+      animation: 'fade_in',
+      section: -1
     });
     
     // Content sections
     if (script.mainContent && script.mainContent.sections) {
       script.mainContent.sections.forEach((section, index) => {
+        const sectionDuration = Math.max((section.duration || 60) - sectionTitleDuration, sectionTitleDuration);
+        
         // Section title
         elements.push({
           type: 'section_title',
-          content: section.title,
-          duration: 2,
-          style: 'minimal',
-          animation: 'slide_in'
+          content: { style: 'section', heading: section.title, subheading: `Part ${index + 1}` },
+          duration: sectionTitleDuration,
+          animation: 'slide_in',
+          section: index
         });
         
         // Content visuals
@@ -345,38 +402,34 @@ class ProductionManagementAgent {
           section.items.forEach(item => {
             elements.push({
               type: 'list_item',
-              content: {
-                number: item.number,
-                title: item.title,
-                description: item.description
-              },
-              duration: 15,
-              style: 'countdown',
-              animation: 'zoom_in'
+              content: { style: 'item', heading: `${item.number}. ${item.title}`, lines: [item.description] },
+              duration: sectionDuration / section.items.length,
+              animation: 'zoom_in',
+              section: index
             });
           });
         } else if (section.type === 'solution_steps' && section.steps) {
           section.steps.forEach(step => {
             elements.push({
               type: 'step',
-              content: {
-                number: step.number,
-                title: step.title,
-                description: step.description
-              },
-              duration: 20,
-              style: 'tutorial',
-              animation: 'step_by_step'
+              content: { style: 'step', heading: `Step ${step.number}: ${step.title}`, lines: [step.description] },
+              duration: sectionDuration / section.steps.length,
+              animation: 'step_by_step',
+              section: index
             });
           });
         } else {
           // Generic content slide
           elements.push({
             type: 'content_slide',
-            content: section.title,
-            duration: section.duration || 30,
-            style: 'informative',
-            animation: 'fade_transition'
+            content: {
+              style: 'content',
+              heading: section.title,
+              lines: typeof section.content === 'string' ? [section.content] : spoken(section.content).slice(0, 3)
+            },
+            duration: sectionDuration,
+            animation: 'fade_transition',
+            section: index
           });
         }
       });
@@ -385,24 +438,226 @@ class ProductionManagementAgent {
     // Conclusion slide
     elements.push({
       type: 'conclusion',
-      content: 'Key Takeaways',
-      duration: 5,
-      style: 'summary',
-      animation: 'reveal'
+      content: { style: 'summary', heading: 'Key Takeaways', lines: spoken(script.conclusion?.recap).slice(0, 3) },
+      duration: 30,
+      animation: 'reveal',
+      section: -1
     });
     
     // Subscribe reminder
     elements.push({
       type: 'subscribe_reminder',
-      content: 'Subscribe for More!',
-      duration: 3,
-      style: 'call_to_action',
-      animation: 'bounce'
+      content: { style: 'cta', heading: 'Subscribe for More!', subheading: script.callToAction?.subscribe },
+      duration: 5,
+      animation: 'bounce',
+      section: -1
+    });
+    
+    return elements;
+  }
+
+  // A Short moves fast: the hook, one slide per payoff line, then the call to action. No title
+  // card, section titles or recap.
+  createShortElements(script, spoken) {
+    const elements = [{
+      type: 'hook',
+      content: { style: 'title', heading: script.hook?.text },
+      duration: SHORTS_HOOK_SECONDS,
+      animation: 'zoom_in',
+      section: -1
+    }];
+    
+    (script.mainContent?.sections || []).forEach((section, index) => {
+      const lines = spoken(section.content);
+      lines.forEach(line => {
+        elements.push({
+          type: 'payoff',
+          content: { style: 'content', lines: [line] },
+          duration: (section.duration || 30) / lines.length,
+          animation: 'fade_transition',
+          section: index
+        });
+      });
+    });
+    
+    elements.push({
+      type: 'subscribe_reminder',
+      content: { style: 'cta', heading: script.callToAction?.subscribe || 'Follow for more!' },
+      duration: SHORTS_CTA_SECONDS,
+      animation: 'bounce',
+      section: -1
     });
     
     return elements;
   }
 
+  // Emits the render spec: slides on the visuals track, fitted to the narration, plus captions, music and overlays
+  async buildTimeline(productionData) {
+    const { script, assets } = productionData;
+    const renderer = this.aiVideoGenerator.renderer;
+    const images = assets.video?.visualAssets || [];
+    
+    const timeline = new Timeline({
+      id: productionData.id,
+      title: script.title,
+      settings: this.videoSettings(script)
+    });
+    
+    this.createVideoElements(productionData).forEach((element, index) => {
+      // The first image belongs to the title, then one per section
+      const image = images.length > 0 ? images[Math.min(element.section + 1, images.length - 1)] : undefined;
+      
+      timeline.append({
+        id: `${element.type}_${index + 1}`,
+        kind: 'slide',
+        content: element.content,
+        background: image,
+        transition: index > 0
+          ? { type: ANIMATION_TRANSITIONS[element.animation] || 'fade', duration: 0.5 }
+          : undefined
+      }, element.duration);
+    });
+    
+    let duration = this.aiVideoGenerator.calculateScriptDuration(script);
+    const narration = await renderer.isUsableFile(assets.audio?.path, AUDIO_EXTENSIONS) ? assets.audio.path : null;
+    if (narration) {
+      try {
+        duration = (await renderer.probe(narration)).duration || duration;
+      } catch (error) {
+        this.logger.warn(`Could not measure narration, using the script estimate: ${error.message}`);
+      }
+    }
+    
+    // YouTube only counts vertical videos up to a minute as Shorts; longer narration is cut off
+    if (isShort(script) && duration > SHORTS_MAX_SECONDS) {
+      this.logger.warn(`Short narration runs ${duration.toFixed(1)}s, trimming to ${SHORTS_MAX_SECONDS}s`);
+      duration = SHORTS_MAX_SECONDS;
+    }
+    
+    timeline.fitTo(duration);
+    
+    if (narration) {
+      timeline.add('narration', { id: 'narration', in: 0, out: duration, source: narration });
+    }
+    
+    if (assets.captions?.path) {
+      timeline.add('captions', {
+        id: 'captions',
+        in: 0,
+        out: duration,
+        source: assets.captions.path,
+        language: assets.captions.language,
+        // Shorts are mostly watched muted, so their captions are always burned in, and large
+        ...(isShort(script)
+          ? { burnIn: true, style: SHORTS_CAPTION_STYLE }
+          : { burnIn: renderer.burnCaptions })
+      });
+    }
+    
+    if (process.env.BACKGROUND_MUSIC_PATH) {
+      timeline.add('music', {
+        id: 'music',
+        in: 0,
+        out: duration,
+        source: process.env.BACKGROUND_MUSIC_PATH,
+        volume: parseFloat(process.env.BACKGROUND_MUSIC_VOLUME) || 0.15
+      });
+    }
+    
+    if (process.env.WATERMARK_PATH) {
+      timeline.add('overlays', {
+        id: 'watermark',
+        kind: 'image',
+        in: 0,
+        out: duration,
+        source: process.env.WATERMARK_PATH,
+        position: 'bottom-right',
+        width: 160
+      });
+    }
+    
+    return timeline;
+  }
+
+  getTimelinePath(productionId) {
+    return path.join(__dirname, '..', 'data', 'timelines', `${productionId}.json`);
+  }
+
+  async saveTimeline(productionData, timeline) {
+    const timelinePath = productionData.assets.edl?.path || this.getTimelinePath(productionData.id);
+    
+    await fs.mkdir(path.dirname(timelinePath), { recursive: true });
+    await fs.writeFile(timelinePath, JSON.stringify(timeline, null, 2));
+    
+    productionData.assets.edl = {
+      path: timelinePath,
+      duration: timeline.duration,
+      clips: timeline.tracks.visuals.length,
+      updatedAt: new Date().toISOString()
+    };
+    
+    return timelinePath;
+  }
+
+  async loadTimeline(productionData) {
+    const timelinePath = productionData.assets.edl?.path || this.getTimelinePath(productionData.id);
+    return Timeline.fromJSON(await fs.readFile(timelinePath, 'utf8'));
+  }
+
+  async getProduction(productionId) {
+    return this.pipeline.find(item => item.id === productionId) || this.db.getProduction(productionId);
+  }
+
+  // Replaces a production's timeline with a hand-edited one; takes effect on the next render
+  async updateTimeline(productionId, json) {
+    const productionData = await this.getProduction(productionId);
+    if (!productionData) {
+      throw new Error(`Production not found: ${productionId}`);
+    }
+    
+    const timeline = Timeline.fromJSON(json);
+    timeline.id = productionId;
+    
+    await this.saveTimeline(productionData, timeline);
+    await this.db.updateProductionData(productionData);
+    return timeline;
+  }
+
+  async renderProduction(productionId) {
+    const productionData = await this.getProduction(productionId);
+    if (!productionData) {
+      throw new Error(`Production not found: ${productionId}`);
+    }
+    
+    await this.renderTimeline(productionData, await this.loadTimeline(productionData));
+    await this.db.updateProductionData(productionData);
+    return productionData.assets.finalVideo;
+  }
+
+  // Re-runs the steps that depend on an edited script: the TTS text, narration, captions and the
+  // render. The timeline is rebuilt from the new script, replacing any hand edits.
+  async reprocessScript(productionId, script) {
+    const productionData = await this.getProduction(productionId);
+    if (!productionData) {
+      throw new Error(`Production not found: ${productionId}`);
+    }
+    
+    productionData.script = script;
+    productionData.estimatedDuration = script.duration;
+    productionData.assets.script = await this.processScript(script);
+    
+    await this.generateAudioNarration(productionData);
+    await this.generateDubbedNarration(productionData);
+    await this.generateCaptions(productionData);
+    await this.assembleVideo(productionData);
+    
+    productionData.timeline.readyForUpload = new Date().toISOString();
+    await this.db.updateProductionData(productionData);
+    
+    this.logger.info(`Reprocessed ${productionId} after a script edit`);
+    return productionData;
+  }
+
   async generateAudioNarration(productionData) {
     this.logger.info('Generating AI audio narration...');
     
@@ -414,14 +669,25 @@ class ProductionManagementAgent {
       const ttsText = await fs.readFile(productionData.assets.script.ttsPath, 'utf8');
       
       // Generate audio using AI TTS
-      await this.aiVideoGenerator.generateTTSAudio(ttsText, audioPath);
+      const { words } = await this.aiVideoGenerator.synthesizeSpeech(ttsText, audioPath, {
+        voice: this.channel.voice.ttsVoice,
+        language: this.localizer.languages.source
+      });
+      
+      // Word timings from the TTS provider time the captions exactly
+      let wordsPath = null;
+      if (words && words.length > 0) {
+        wordsPath = audioPath.replace(/\.mp3$/, '_words.json');
+        await fs.writeFile(wordsPath, JSON.stringify(words));
+      }
       
       productionData.assets.audio = {
         path: audioPath,
         duration: productionData.estimatedDuration,
         format: 'mp3',
         generatedWith: 'AI',
-        quality: 'high'
+        quality: 'high',
+        wordsPath
       };
       
       productionData.timeline.audioGenerated = new Date().toISOString();
@@ -434,6 +700,42 @@ class ProductionManagementAgent {
     }
   }
 
+  // Narration translated into each of the channel's dubbing languages. The YouTube API cannot add
+  // audio tracks, so these stay with the production for upload in YouTube Studio.
+  async generateDubbedNarration(productionData) {
+    const { dubbing, voices } = this.localizer.languages;
+    productionData.assets.dubs = [];
+    if (dubbing.length === 0) {
+      return productionData.assets.dubs;
+    }
+    
+    this.logger.info(`Generating dubbed narration: ${dubbing.join(', ')}`);
+    const ttsText = await fs.readFile(productionData.assets.script.ttsPath, 'utf8');
+    
+    for (const language of dubbing) {
+      try {
+        const translated = await this.localizer.translateNarration(ttsText, language);
+        if (!translated) continue;
+        
+        const voice = voices[language] || this.channel.voice.ttsVoice;
+        const audioPath = path.join(__dirname, '..', 'data', 'audio', `${productionData.id}_narration.${language}.mp3`);
+        const output = await this.aiVideoGenerator.generateTTSAudio(translated, audioPath, { voice, language });
+        
+        productionData.assets.dubs.push({
+          language,
+          path: output,
+          voice: voice || null,
+          // Without a TTS provider only a placeholder file is written
+          simulated: output !== audioPath
+        });
+      } catch (error) {
+        this.logger.error(`Dubbed narration in ${language} failed: ${error.message}`);
+      }
+    }
+    
+    return productionData.assets.dubs;
+  }
+
   async simulateTTSGeneration(scriptPath, outputPath, config) {
     // This is a simulation - in production, you'd integrate with actual TTS services
     this.logger.info(`Simulating TTS generation: ${config.voice}`);
@@ -450,18 +752,23 @@ class ProductionManagementAgent {
     this.logger.info('Generating captions...');
     
     const captionsPath = path.join(__dirname, '..', 'data', 'captions', `${productionData.id}_captions.srt`);
+    const vttPath = captionsPath.replace(/\.srt$/, '.vtt');
     
-    // Generate SRT captions based on script timing
-    const captions = await this.createSRTCaptions(productionData);
+    const { cues, timing } = await this.createCaptionCues(productionData);
     
     await fs.mkdir(path.dirname(captionsPath), { recursive: true });
-    await fs.writeFile(captionsPath, captions);
+    await fs.writeFile(captionsPath, formatSRT(cues));
+    await fs.writeFile(vttPath, formatVTT(cues));
     
     productionData.assets.captions = {
       path: captionsPath,
+      vttPath,
       format: 'srt',
-      language: 'en',
-      autoGenerated: true
+      language: this.localizer.languages.source,
+      // tts: provider word timestamps, alignment: aligned to the audio, estimate: script timing
+      timing,
+      autoGenerated: true,
+      tracks: await this.generateTranslatedCaptions(productionData, cues)
     };
     
     productionData.timeline.captionsGenerated = new Date().toISOString();
@@ -469,52 +776,87 @@ class ProductionManagementAgent {
     return captionsPath;
   }
 
-  async createSRTCaptions(productionData) {
-    const { script } = productionData;
-    let srt = '';
-    let captionIndex = 1;
-    let currentTime = 0;
+  // A translated SRT and WebVTT track per target language, with the same cue timings as the
+  // original and its lines re-wrapped. Publishing uploads each SRT as an additional caption track.
+  async generateTranslatedCaptions(productionData, cues) {
+    const style = this.captionStyle(productionData.script);
+    const tracks = [];
     
-    // Helper function to format time for SRT
-    const formatSRTTime = (seconds) => {
-      const hours = Math.floor(seconds / 3600);
-      const minutes = Math.floor((seconds % 3600) / 60);
-      const secs = Math.floor(seconds % 60);
-      const ms = Math.floor((seconds % 1) * 1000);
+    for (const language of this.localizer.targets) {
+      const translated = await this.localizer.translateCues(cues, language);
+      if (!translated) continue;
       
-      return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
-    };
+      const wrapped = translated.map(cue => ({ ...cue, text: wrapCaption(cue.text, style) }));
+      const trackPath = path.join(__dirname, '..', 'data', 'captions', `${productionData.id}_captions.${language}.srt`);
+      const trackVttPath = trackPath.replace(/\.srt$/, '.vtt');
+      await fs.writeFile(trackPath, formatSRT(wrapped));
+      await fs.writeFile(trackVttPath, formatVTT(wrapped));
+      tracks.push({
+        path: trackPath,
+        vttPath: trackVttPath,
+        format: 'srt',
+        language,
+        ...(this.localizer.isPseudo && { pseudo: true })
+      });
+    }
     
-    // Process script sections for captions
-    const processText = (text, startTime, duration) => {
-      const words = text.split(' ');
-      const wordsPerCaption = 8; // Optimal words per caption
-      
-      for (let i = 0; i < words.length; i += wordsPerCaption) {
-        const captionWords = words.slice(i, i + wordsPerCaption);
-        const captionDuration = (duration / Math.ceil(words.length / wordsPerCaption));
-        const captionStartTime = startTime + (i / words.length) * duration;
-        const captionEndTime = captionStartTime + captionDuration;
-        
-        srt += `${captionIndex}\n`;
-        srt += `${formatSRTTime(captionStartTime)} --> ${formatSRTTime(captionEndTime)}\n`;
-        srt += `${captionWords.join(' ')}\n\n`;
-        
-        captionIndex++;
+    return tracks;
+  }
+
+  captionStyle(script) {
+    return isShort(script) ? SHORTS_CAPTION_LINES : {};
+  }
+
+  // Caption cues timed to the narration: the TTS provider's word timestamps, or the narration
+  // aligned against its audio. Without usable audio the words follow the script's timing.
+  async createCaptionCues(productionData) {
+    const style = this.captionStyle(productionData.script);
+    const aligned = await this.alignNarration(productionData);
+    
+    if (aligned) {
+      return { cues: buildCues(aligned.words, style), timing: aligned.method };
+    }
+    return { cues: buildCues(this.estimateWordTimings(productionData.script), style), timing: 'estimate' };
+  }
+
+  async alignNarration(productionData) {
+    const { audio, script } = productionData.assets;
+    if (!audio || !script?.ttsPath) {
+      return null;
+    }
+    
+    try {
+      const text = await fs.readFile(script.ttsPath, 'utf8');
+      return await this.aligner.align(text, audio);
+    } catch (error) {
+      this.logger.warn(`Could not align captions to the narration, using the script timing: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Word timings estimated from the script: each part's narration starts with it and runs at the
+  // usual speaking rate, squeezed into the part's scripted duration when it would overrun
+  estimateWordTimings(script) {
+    const words = [];
+    let currentTime = 0;
+    
+    const addText = (text, duration) => {
+      const spoken = tokenize(text);
+      if (spoken.length > 0) {
+        const speaking = Math.min(duration, speakingTime([text]));
+        words.push(...spreadWords(spoken, currentTime, currentTime + speaking));
       }
+      currentTime += duration;
     };
     
     // Hook
     if (script.hook && script.hook.text) {
-      processText(script.hook.text, currentTime, 5);
-      currentTime += 5;
+      addText(script.hook.text, isShort(script) ? SHORTS_HOOK_SECONDS : 5);
     }
     
     // Introduction
     if (script.introduction) {
-      const introText = `${script.introduction.greeting} ${script.introduction.topicIntro} ${script.introduction.valueProposition}`;
-      processText(introText, currentTime, 15);
-      currentTime += 15;
+      addText(`${script.introduction.greeting} ${script.introduction.topicIntro} ${script.introduction.valueProposition}`, 15);
     }
     
     // Main content
@@ -539,68 +881,70 @@ class ProductionManagementAgent {
         }
         
         if (sectionText) {
-          processText(sectionText, currentTime, section.duration || 60);
-          currentTime += section.duration || 60;
+          addText(sectionText, section.duration || 60);
         }
       });
     }
     
     // Conclusion
     if (script.conclusion) {
-      const conclusionText = script.conclusion.recap.join(' ') + ' ' + script.conclusion.finalThought;
-      processText(conclusionText, currentTime, 30);
-      currentTime += 30;
+      addText(script.conclusion.recap.join(' ') + ' ' + script.conclusion.finalThought, 30);
     }
     
-    return srt;
+    return words;
   }
 
   async assembleVideo(productionData) {
-    this.logger.info('Assembling final AI-generated video...');
+    this.logger.info('Assembling final video...');
+    
+    const timeline = await this.buildTimeline(productionData);
+    await this.saveTimeline(productionData, timeline);
+    
+    return this.renderTimeline(productionData, timeline);
+  }
+
+  async renderTimeline(productionData, timeline) {
+    const finalVideoPath = path.join(__dirname, '..', 'data', 'videos', `${productionData.id}_final.mp4`);
+    const renderer = this.aiVideoGenerator.renderer;
+    const mode = process.env.VIDEO_RENDERER || 'slideshow';
     
     try {
-      const finalVideoPath = path.join(__dirname, '..', 'data', 'videos', `${productionData.id}_final.mp4`);
-      
-      // Use AI Video Generator to create the final video
-      await this.aiVideoGenerator.generateVideo(
-        productionData.script,
-        productionData.assets.video.visualAssets || [],
-        productionData.assets.audio.path,
-        finalVideoPath
-      );
+      if (mode === 'ffmpeg') {
+        await renderer.renderTimeline(timeline, finalVideoPath);
+      } else {
+        await this.aiVideoGenerator.generateSlideshowVideo(timeline, finalVideoPath);
+      }
       
-      // Get file stats
-      const stats = await fs.stat(finalVideoPath);
+      const output = await renderer.verify(finalVideoPath, {
+        duration: timeline.duration,
+        resolution: `${timeline.settings.width}x${timeline.settings.height}`
+      });
       
       productionData.assets.finalVideo = {
         path: finalVideoPath,
-        fileSize: stats.size,
-        duration: productionData.estimatedDuration,
-        generatedWith: 'AI',
-        resolution: '1920x1080',
-        format: 'mp4'
+        fileSize: output.size,
+        duration: output.duration,
+        videoCodec: output.videoCodec,
+        audioCodec: output.audioCodec,
+        resolution: output.resolution,
+        fps: output.fps,
+        format: 'mp4',
+        renderer: mode,
+        verified: true,
+        verifiedAt: new Date().toISOString()
       };
       
-      this.logger.info('AI video assembly complete');
+      this.logger.info(`Video assembled: ${output.resolution} ${output.videoCodec}, ${output.duration.toFixed(1)}s`);
       return finalVideoPath;
     } catch (error) {
-      this.logger.error('AI video assembly failed:', error);
-      // Fallback to simulation
-      return await this.simulateVideoAssembly(productionData);
+      this.logger.error('Video assembly failed:', error);
+      // Fallback to simulation; the publisher refuses unverified videos
+      const simulatedPath = await this.simulateVideoAssembly(productionData);
+      productionData.assets.finalVideo.renderError = error.message;
+      return simulatedPath;
     }
   }
 
-  async simulateVideoRendering(instructions) {
-    this.logger.info('Simulating video rendering...');
-    
-    // Create a placeholder that indicates video would be rendered
-    await fs.writeFile(instructions.outputPath + '.placeholder', JSON.stringify({
-      message: 'Final video would be rendered here',
-      instructions,
-      timestamp: new Date().toISOString()
-    }, null, 2));
-  }
-
   async getPipelineStatus() {
     return this.pipeline.map(item => ({
       id: item.id,
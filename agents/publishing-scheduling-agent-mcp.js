@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+const path = require('path');
+const { PublishingSchedulingAgent } = require('./publishing-scheduling-agent');
+const { AgentMCPServer, createAgentContext, runServer } = require('../utils/mcp-server');
+
+const server = new AgentMCPServer({
+  manifest: path.join(__dirname, '..', 'mcp', 'publishing-scheduling-agent.mcp.json'),
+  createAgent: () => createAgentContext(PublishingSchedulingAgent),
+
+  tools: {
+    get_upcoming_schedule: async ({ days = 7 }, { agent }) => {
+      return agent.getUpcomingSchedule(parseInt(days) || 7);
+    },
+
+    publish_content: async ({ contentId }, { agent }) => agent.publishContent(contentId, { actor: 'mcp' }),
+
+    pause_content: async ({ contentId }, { agent }) => agent.pauseScheduledContent(contentId),
+
+    resume_content: async ({ contentId, publishTime }, { agent }) => {
+      return agent.resumeScheduledContent(contentId, publishTime || null);
+    },
+
+    optimize_publish_times: async (args, { agent }) => {
+      await agent.optimizePublishTimes();
+      return agent.getUpcomingSchedule(30);
+    },
+
+    get_publishing_report: async (args, { agent }) => agent.createPublishingReport()
+  },
+
+  resources: {
+    publish_queue: async ({ db }) => db.getPublishQueue(),
+    upcoming_schedule: async ({ db }) => db.getUpcomingSchedule(7)
+  }
+});
+
+if (require.main === module) {
+  runServer(server);
+}
+
+module.exports = { server };
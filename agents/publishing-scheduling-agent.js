@@ -1,15 +1,26 @@
-const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
 const { Logger } = require('../utils/logger');
+const { ResumableUpload } = require('../utils/resumable-upload');
+const { defaultChannel, DEFAULT_LANGUAGE } = require('../utils/channel-config');
+const { ReviewWorkflow } = require('../workflows/review-workflow');
+const { SeriesManager, seriesLinks, replaceSeriesLinks, linkNextEpisode } = require('../workflows/series');
+const { languageName } = require('../workflows/localization');
 
 class PublishingSchedulingAgent {
-  constructor(db, credentials) {
+  constructor(db, credentials, channel = null) {
     this.db = db;
     this.credentials = credentials;
+    this.channel = channel || defaultChannel();
     this.logger = new Logger('PublishingScheduling');
+    this.quota = credentials.getQuotaLedger(db, this.channel);
+    this.review = new ReviewWorkflow(db);
+    this.series = new SeriesManager(db, this.channel);
+    this.notifier = credentials.getNotifier(db);
     this.youtube = null;
+    this.auth = null;
     this.publishQueue = [];
+    this.activeUploads = new Set();
   }
 
   async initialize() {
@@ -21,8 +32,8 @@ class PublishingSchedulingAgent {
 
   async setupYouTubeAPI() {
     try {
-      const auth = this.credentials.getYouTubeAuth();
-      this.youtube = google.youtube({ version: 'v3', auth });
+      this.auth = this.credentials.getYouTubeAuth(this.channel.id);
+      this.youtube = this.credentials.getYouTubeClient(this.auth);
       this.logger.info('YouTube API initialized');
     } catch (error) {
       this.logger.error('Failed to initialize YouTube API:', error);
@@ -32,7 +43,7 @@ class PublishingSchedulingAgent {
 
   async loadPublishQueue() {
     try {
-      const queue = await this.db.getPublishQueue();
+      const queue = await this.db.getPublishQueue(this.channel.id);
       this.publishQueue = queue || [];
       this.logger.info(`Loaded ${this.publishQueue.length} items in publish queue`);
     } catch (error) {
@@ -45,6 +56,7 @@ class PublishingSchedulingAgent {
       this.logger.info(`Scheduling content: ${productionData.id}`);
       
       const scheduleEntry = {
+        channelId: productionData.channelId || this.channel.id,
         productionId: productionData.id,
         title: productionData.script.title,
         publishTime: productionData.scheduledPublishTime,
@@ -64,6 +76,9 @@ class PublishingSchedulingAgent {
       
       await this.db.saveScheduleEntry(scheduleEntry);
       
+      // With require_approval set, the entry waits in the queue until a reviewer schedules it
+      scheduleEntry.reviewStatus = await this.review.enterQueue(scheduleEntry.productionId);
+      
       this.logger.info(`Content scheduled for: ${scheduleEntry.publishTime}`);
       return scheduleEntry;
     } catch (error) {
@@ -72,7 +87,8 @@ class PublishingSchedulingAgent {
     }
   }
 
-  async publishContent(contentId) {
+  // actor is who triggered the publish: a username, or 'scheduler' for the publish queue
+  async publishContent(contentId, { actor = 'scheduler', userId = null } = {}) {
     try {
       this.logger.info(`Publishing content: ${contentId}`);
       
@@ -83,9 +99,24 @@ class PublishingSchedulingAgent {
       if (!scheduleEntry) {
         throw new Error(`Content not found in queue: ${contentId}`);
       }
+      if (this.activeUploads.has(scheduleEntry.id)) {
+        throw new Error(`Upload already in progress: ${contentId}`);
+      }
+      // Manual publishing passes the same review gate as the publish queue
+      if ((await this.review.filterReleased([scheduleEntry])).length === 0) {
+        const error = new Error(`Content has not been released by review: ${contentId}`);
+        error.status = 409;
+        throw error;
+      }
       
       // Upload video to YouTube
-      const uploadResult = await this.uploadToYouTube(scheduleEntry);
+      this.activeUploads.add(scheduleEntry.id);
+      let uploadResult;
+      try {
+        uploadResult = await this.uploadToYouTube(scheduleEntry);
+      } finally {
+        this.activeUploads.delete(scheduleEntry.id);
+      }
       
       // Update database
       scheduleEntry.status = 'published';
@@ -98,9 +129,29 @@ class PublishingSchedulingAgent {
       // Remove from queue
       this.publishQueue = this.publishQueue.filter(entry => entry.id !== scheduleEntry.id);
       
+      await this.db.saveAuditEvent({
+        userId,
+        actor,
+        action: 'publish',
+        target: scheduleEntry.productionId,
+        details: { scheduleId: scheduleEntry.id, youtubeId: scheduleEntry.youtubeId }
+      });
+      
       this.logger.success(`Content published: ${scheduleEntry.youtubeUrl}`);
+      await this.notifier.notify('published', {
+        channelId: this.channel.id,
+        contentId: scheduleEntry.productionId,
+        title: scheduleEntry.title,
+        youtubeId: scheduleEntry.youtubeId,
+        url: scheduleEntry.youtubeUrl
+      }, { key: scheduleEntry.id });
       return scheduleEntry;
     } catch (error) {
+      // A revoked authorization holds the entry until the channel is re-authenticated
+      if (await this.credentials.recordYouTubeAuthError(this.channel.id, error)) {
+        error.deferred = true;
+        await this.notifyTokenExpired(error);
+      }
       this.logger.error('Failed to publish content:', error);
       throw error;
     }
@@ -126,16 +177,21 @@ class PublishingSchedulingAgent {
       }
     };
     
+    // Translated titles and descriptions, shown to viewers whose YouTube language matches
+    const localizations = this.releasableLocalizations(metadata.seo.localizations || {});
+    if (Object.keys(localizations).length > 0) {
+      videoMetadata.localizations = localizations;
+    }
+    
+    // A series episode needs its playlist before the description can link to it
+    const episode = metadata.seo.metadata.series
+      ? await this.prepareEpisode(metadata.seo.metadata.series, videoMetadata.snippet)
+      : null;
+    
     // Upload video file
-    const videoUpload = await this.youtube.videos.insert({
-      part: 'snippet,status',
-      requestBody: videoMetadata,
-      media: {
-        body: await this.getVideoStream(metadata.video.path)
-      }
-    });
+    const video = await this.uploadVideoFile(scheduleEntry, videoMetadata);
     
-    const videoId = videoUpload.data.id;
+    const videoId = video.id;
     this.logger.info(`Video uploaded with ID: ${videoId}`);
     
     // Upload thumbnail
@@ -143,34 +199,221 @@ class PublishingSchedulingAgent {
       await this.uploadThumbnail(videoId, metadata.thumbnail.path);
     }
     
-    // Upload captions
+    // Upload captions, then each translated track as a caption track of its own
     if (metadata.captions && metadata.captions.path) {
-      await this.uploadCaptions(videoId, metadata.captions.path);
+      await this.uploadCaptions(videoId, metadata.captions.path, metadata.captions.language);
+      for (const track of metadata.captions.tracks || []) {
+        if (track.pseudo && !this.credentials.isYouTubeMocked()) {
+          this.logger.warn(`Skipping the ${track.language} caption track: it is a placeholder from the offline text provider`);
+          continue;
+        }
+        await this.uploadCaptions(videoId, track.path, track.language);
+      }
+    }
+    
+    if (episode) {
+      await this.publishEpisode(episode, videoId, videoMetadata.snippet);
+    }
+    
+    return video;
+  }
+
+  // Localizations as YouTube takes them. Placeholders from the offline text provider only go to
+  // the mock API, never to a live video.
+  releasableLocalizations(localizations) {
+    const releasable = {};
+    for (const [language, { pseudo, ...localization }] of Object.entries(localizations)) {
+      if (pseudo && !this.credentials.isYouTubeMocked()) {
+        this.logger.warn(`Skipping the ${language} title and description: they are placeholders from the offline text provider`);
+        continue;
+      }
+      releasable[language] = localization;
+    }
+    return releasable;
+  }
+
+  // Makes sure the series has a playlist and refreshes the description's series links, since
+  // episodes may have been published since the SEO stage wrote them. Like thumbnails and captions,
+  // a series problem is logged and does not stop the upload.
+  async prepareEpisode({ id, episodeId, episode }, snippet) {
+    try {
+      const series = await this.series.get(id);
+      const playlistId = await this.ensureSeriesPlaylist(series);
+      const { previous, next } = await this.series.neighbours(series.id, episode);
+      const description = replaceSeriesLinks(snippet.description,
+        seriesLinks({ name: series.name, episode }, { previous, next, playlistId }));
+      if (description) snippet.description = description;
+      
+      return { series, episodeId, episode, playlistId, previous };
+    } catch (error) {
+      this.logger.error(`Failed to prepare series episode: ${error.message}`);
+      return null;
+    }
+  }
+
+  async ensureSeriesPlaylist(series) {
+    if (series.playlistId) return series.playlistId;
+    
+    try {
+      const response = await this.quota.run('playlists.insert', () => this.youtube.playlists.insert({
+        part: 'snippet,status',
+        requestBody: {
+          snippet: { title: series.name, description: series.description || '' },
+          status: { privacyStatus: process.env.DEFAULT_PRIVACY_STATUS || 'public' }
+        }
+      }), { priority: 'high' });
+      
+      await this.db.updateSeries({ ...series, playlistId: response.data.id });
+      this.logger.info(`Created playlist ${response.data.id} for series ${series.name}`);
+      return response.data.id;
+    } catch (error) {
+      this.logger.error(`Failed to create playlist for ${series.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Adds the upload to the series playlist, records it on the episode and points the previous
+  // episode's next-episode link at it
+  async publishEpisode({ series, episodeId, episode, playlistId, previous }, videoId, snippet) {
+    let playlistItemId = null;
+    if (playlistId) {
+      try {
+        const response = await this.quota.run('playlistItems.insert', () => this.youtube.playlistItems.insert({
+          part: 'snippet',
+          requestBody: {
+            snippet: { playlistId, resourceId: { kind: 'youtube#video', videoId } }
+          }
+        }), { priority: 'high' });
+        playlistItemId = response.data.id;
+        this.logger.info(`Added episode ${episode} of ${series.name} to playlist ${playlistId}`);
+      } catch (error) {
+        this.logger.error(`Failed to add video to playlist: ${error.message}`);
+      }
     }
     
-    return videoUpload.data;
+    await this.db.updateSeriesEpisode({
+      id: episodeId,
+      youtubeId: videoId,
+      playlistItemId,
+      snippet: {
+        title: snippet.title,
+        description: snippet.description,
+        tags: snippet.tags,
+        categoryId: snippet.categoryId
+      },
+      publishedAt: new Date().toISOString()
+    });
+    
+    if (previous) {
+      await this.linkPreviousEpisode(previous, { title: snippet.title, youtubeId: videoId });
+    }
   }
 
-  async getVideoStream(videoPath) {
-    // In a real implementation, this would return a file stream
-    // For now, we'll simulate it
-    return JSON.stringify({
-      message: 'Video stream would be provided here',
-      path: videoPath,
-      timestamp: new Date().toISOString()
+  async linkPreviousEpisode(previous, next) {
+    try {
+      const stored = await this.db.getSeriesEpisode(previous.id);
+      const description = stored.snippet && linkNextEpisode(stored.snippet.description || '', next);
+      if (!description) return;
+      
+      const snippet = { ...stored.snippet, description };
+      await this.quota.run('videos.update', () => this.youtube.videos.update({
+        part: 'snippet',
+        requestBody: { id: stored.youtubeId, snippet }
+      }), { priority: 'high' });
+      
+      await this.db.updateSeriesEpisode({ ...stored, snippet });
+      this.logger.info(`Linked episode ${stored.episode} to its next episode ${next.youtubeId}`);
+    } catch (error) {
+      this.logger.error(`Failed to link the previous episode: ${error.message}`);
+    }
+  }
+
+  // Sends the file in chunks over a resumable session; the session URI and byte offset are
+  // stored on the schedule entry so a restart continues where the last process stopped
+  async uploadVideoFile(scheduleEntry, videoMetadata) {
+    const filePath = await this.getVideoPath(scheduleEntry.metadata.video);
+    const upload = scheduleEntry.upload || {};
+    
+    // A resumed session was already charged when it was created
+    if (!upload.sessionUri) {
+      await this.quota.assertAvailable('videos.insert', 'high');
+    }
+    
+    scheduleEntry.upload = {
+      ...upload,
+      status: 'uploading',
+      attempts: (upload.attempts || 0) + 1,
+      error: null
+    };
+    await this.db.updateUploadProgress(scheduleEntry);
+    
+    const uploader = new ResumableUpload({
+      auth: this.auth,
+      filePath,
+      metadata: videoMetadata,
+      part: videoMetadata.localizations ? 'snippet,status,localizations' : 'snippet,status',
+      sessionUri: upload.sessionUri,
+      rootUrl: this.credentials.getYouTubeRootUrl(),
+      onSession: async (sessionUri) => {
+        await this.quota.record('videos.insert');
+        scheduleEntry.upload.sessionUri = sessionUri;
+        await this.db.updateUploadProgress(scheduleEntry);
+      },
+      onProgress: async ({ bytesSent, bytesTotal }) => {
+        Object.assign(scheduleEntry.upload, {
+          status: 'uploading',
+          bytesSent,
+          bytesTotal,
+          percent: Math.floor((bytesSent / bytesTotal) * 100)
+        });
+        await this.db.updateUploadProgress(scheduleEntry);
+      },
+      onRetry: async ({ error }) => {
+        scheduleEntry.upload.status = 'retrying';
+        scheduleEntry.upload.error = error.message;
+        await this.db.updateUploadProgress(scheduleEntry);
+      }
     });
+    
+    try {
+      const video = await uploader.start();
+      
+      scheduleEntry.upload.status = 'completed';
+      scheduleEntry.upload.sessionUri = null;
+      scheduleEntry.upload.error = null;
+      await this.db.updateUploadProgress(scheduleEntry);
+      
+      return video;
+    } catch (error) {
+      // The session URI is kept so the next attempt resumes instead of re-sending the whole file
+      scheduleEntry.upload.status = 'failed';
+      scheduleEntry.upload.error = error.message;
+      await this.db.updateUploadProgress(scheduleEntry);
+      throw error;
+    }
+  }
+
+  async getVideoPath(video) {
+    // Only files that passed ffprobe verification in production are uploaded
+    if (!video || video.simulated || !video.verified) {
+      const reason = video?.renderError ? `: ${video.renderError}` : '';
+      throw new Error(`No rendered video available for upload${reason}`);
+    }
+    
+    await fs.access(video.path);
+    return video.path;
   }
 
   async uploadThumbnail(videoId, thumbnailPath) {
     try {
       const thumbnailBuffer = await fs.readFile(thumbnailPath);
       
-      await this.youtube.thumbnails.set({
+      await this.quota.run('thumbnails.set', () => this.youtube.thumbnails.set({
         videoId: videoId,
         media: {
           body: thumbnailBuffer
         }
-      });
+      }, this.getMediaRequestOptions()), { priority: 'high' });
       
       this.logger.info(`Thumbnail uploaded for video: ${videoId}`);
     } catch (error) {
@@ -178,45 +421,76 @@ class PublishingSchedulingAgent {
     }
   }
 
-  async uploadCaptions(videoId, captionsPath) {
+  async uploadCaptions(videoId, captionsPath, language = DEFAULT_LANGUAGE) {
     try {
       const captionsContent = await fs.readFile(captionsPath, 'utf8');
       
-      await this.youtube.captions.insert({
+      await this.quota.run('captions.insert', () => this.youtube.captions.insert({
         part: 'snippet',
         requestBody: {
           snippet: {
             videoId: videoId,
-            language: 'en',
-            name: 'English Captions',
+            language,
+            name: `${languageName(language)} Captions`,
             isDraft: false
           }
         },
         media: {
           body: captionsContent
         }
-      });
+      }, this.getMediaRequestOptions()), { priority: 'high' });
       
-      this.logger.info(`Captions uploaded for video: ${videoId}`);
+      this.logger.info(`${language} captions uploaded for video: ${videoId}`);
     } catch (error) {
-      this.logger.error(`Failed to upload captions: ${error.message}`);
+      this.logger.error(`Failed to upload ${language} captions: ${error.message}`);
     }
   }
 
+  // googleapis ignores a client-level rootUrl for media uploads, so it is passed per request
+  getMediaRequestOptions() {
+    return { rootUrl: this.credentials.getYouTubeRootUrl() };
+  }
+
   async processPublishQueue() {
     this.logger.info('Processing publish queue...');
     
     const now = new Date();
-    const readyToPublish = this.publishQueue.filter(entry => {
+    const due = this.publishQueue.filter(entry => {
       const publishTime = new Date(entry.publishTime);
-      return publishTime <= now && entry.status === 'scheduled';
+      return publishTime <= now && entry.status === 'scheduled' && !this.activeUploads.has(entry.id);
     });
     
+    // Content still in review, or rejected, stays in the queue until a reviewer releases it
+    const readyToPublish = await this.review.filterReleased(due);
+    if (readyToPublish.length < due.length) {
+      this.logger.info(`Holding ${due.length - readyToPublish.length} item(s) awaiting review`);
+    }
+    
+    if (readyToPublish.length > 0) {
+      try {
+        // A refresh now rather than partway through an upload
+        await this.credentials.ensureFreshYouTubeToken(this.channel.id);
+      } catch (error) {
+        if (error.code === 'YOUTUBE_REAUTH_REQUIRED') {
+          this.logger.warn(`Holding ${readyToPublish.length} upload(s): ${error.message}`);
+          await this.notifyTokenExpired(error);
+          return 0;
+        }
+        // Anything else (e.g. the network) is left to the uploads, which retry and report it
+        this.logger.warn(`Could not refresh the YouTube access token: ${error.message}`);
+      }
+    }
+    
     for (const entry of readyToPublish) {
       try {
         await this.publishContent(entry.productionId);
         this.logger.info(`Auto-published: ${entry.title}`);
       } catch (error) {
+        if (error.deferred) {
+          // Stays scheduled and goes out on the first run after the quota resets
+          this.logger.warn(`Deferred auto-publish of ${entry.title}: ${error.message}`);
+          continue;
+        }
         this.logger.error(`Failed to auto-publish ${entry.title}:`, error);
         // Mark as failed but don't stop processing other items
         entry.status = 'failed';
@@ -228,6 +502,11 @@ class PublishingSchedulingAgent {
     return readyToPublish.length;
   }
 
+  // Repeats are held back by the notifier's cooldown while the channel stays unauthorized
+  async notifyTokenExpired(error) {
+    await this.notifier.notify('token_expired', { channelId: this.channel.id, error: error.message });
+  }
+
   async getUpcomingSchedule(days = 7) {
     const now = new Date();
     const endDate = new Date(now.getTime() + (days * 24 * 60 * 60 * 1000));
@@ -266,10 +545,10 @@ class PublishingSchedulingAgent {
       const endDate = new Date();
       const startDate = new Date(endDate.getTime() - (30 * 24 * 60 * 60 * 1000));
       
-      const response = await this.youtube.channels.list({
+      const response = await this.quota.run('channels.list', () => this.youtube.channels.list({
         part: 'statistics',
         mine: true
-      });
+      }));
       
       // In a full implementation, you'd use YouTube Analytics API
       // For now, we'll return simulated data
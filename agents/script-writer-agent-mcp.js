@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+const path = require('path');
+const { ScriptWriterAgent } = require('./script-writer-agent');
+const { AgentMCPServer, createAgentContext, normalizeStrategy, runServer } = require('../utils/mcp-server');
+
+const server = new AgentMCPServer({
+  manifest: path.join(__dirname, '..', 'mcp', 'script-writer-agent.mcp.json'),
+  createAgent: () => createAgentContext(ScriptWriterAgent),
+
+  tools: {
+    generate_script: async ({ strategy }, { agent }) => {
+      return agent.generateScript(normalizeStrategy(strategy));
+    },
+
+    cut_shorts: async ({ scriptId, count }, { agent, db }) => {
+      const script = await db.getScript(scriptId);
+      if (!script) {
+        throw new Error(`Script not found: ${scriptId}`);
+      }
+      const strategy = script.strategyId ? await db.getContentStrategy(script.strategyId) : null;
+      return agent.cutShorts(script, normalizeStrategy(strategy || { topic: script.title, keywords: script.keywords }), count || 1);
+    },
+
+    list_templates: async (args, { agent }) => agent.templates,
+
+    format_script: async ({ script }, { agent }) => {
+      if (!script.mainContent || !Array.isArray(script.mainContent.sections)) {
+        throw new Error('script.mainContent.sections is required');
+      }
+      return { fullScript: agent.formatFullScript({ keywords: [], ...script }) };
+    },
+
+    get_script: async ({ scriptId }, { db }) => {
+      const script = await db.getScript(scriptId);
+      if (!script) {
+        throw new Error(`Script not found: ${scriptId}`);
+      }
+      return script;
+    }
+  },
+
+  resources: {
+    script_templates: async ({ agent }) => agent.templates,
+    recent_scripts: async ({ db }) => db.getRecentScripts()
+  }
+});
+
+if (require.main === module) {
+  runServer(server);
+}
+
+module.exports = { server };
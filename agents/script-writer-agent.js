@@ -1,11 +1,25 @@
 const { Logger } = require('../utils/logger');
+const { defaultChannel } = require('../utils/channel-config');
+const { fillTemplate } = require('../utils/series-config');
+const {
+  SHORTS_MAX_SECONDS, SHORTS_HOOK_SECONDS, SHORTS_CTA_SECONDS, SHORTS_PAYOFF_SECONDS,
+  isShort, speakingTime, spokenLines, fitLines, strongestSections
+} = require('../utils/shorts');
+const { ContentRevisions } = require('../workflows/content-revisions');
+
+// Marks drafts built from the templates. They are complete already; provider JSON cannot carry a
+// symbol, so anything without it is normalized.
+const TEMPLATE_DRAFT = Symbol('templateDraft');
 
 class ScriptWriterAgent {
-  constructor(db, credentials) {
+  constructor(db, credentials, channel = null) {
     this.db = db;
     this.credentials = credentials;
+    this.channel = channel || defaultChannel();
     this.logger = new Logger('ScriptWriter');
+    this.ai = credentials.getAIService();
     this.templates = this.loadTemplates();
+    this.revisions = new ContentRevisions(db);
   }
 
   async initialize() {
@@ -39,6 +53,11 @@ class ScriptWriterAgent {
         structure: ['hook', 'setup', 'conflict', 'journey', 'climax', 'resolution', 'lesson', 'cta'],
         tone: 'narrative',
         pacing: 'dynamic'
+      },
+      short: {
+        structure: ['hook', 'payoff', 'cta'],
+        tone: 'punchy',
+        pacing: 'fast'
       }
     };
   }
@@ -47,39 +66,16 @@ class ScriptWriterAgent {
     try {
       this.logger.info(`Generating script for: ${strategy.topic}`);
       
-      const template = this.templates[strategy.contentType.toLowerCase()] || this.templates.explainer;
+      const template = isShort(strategy)
+        ? this.templates.short
+        : this.templates[strategy.contentType.toLowerCase()] || this.templates.explainer;
       
       // Generate script components
-      const hook = await this.generateHook(strategy);
-      const introduction = await this.generateIntroduction(strategy);
-      const mainContent = await this.generateMainContent(strategy, template);
-      const conclusion = await this.generateConclusion(strategy);
-      const cta = await this.generateCTA(strategy);
-
-      // Assemble complete script
-      const script = {
-        title: await this.generateTitle(strategy),
-        hook,
-        introduction,
-        mainContent,
-        conclusion,
-        callToAction: cta,
-        duration: this.estimateDuration(mainContent),
-        tone: template.tone,
-        pacing: template.pacing,
-        keywords: strategy.keywords,
-        metadata: {
-          strategy: strategy,
-          generatedAt: new Date().toISOString(),
-          version: '1.0'
-        }
-      };
-
-      // Format for readability
-      script.fullScript = this.formatFullScript(script);
-      
-      // Save to database
-      await this.db.saveScript(script);
+      const draft = isShort(strategy)
+        ? await this.draftShort(strategy)
+        : this.applySeries(await this.draftScript(strategy, template), strategy);
+
+      const script = await this.completeScript(draft, strategy, template, `Generated from strategy: ${strategy.topic}`);
       
       this.logger.info(`Script generated: ${script.title}`);
       return script;
@@ -89,6 +85,282 @@ class ScriptWriterAgent {
     }
   }
 
+  // Assembles, formats and saves a drafted script with its first revision
+  async completeScript(draft, strategy, template, reason) {
+    const { title, hook, introduction, mainContent, conclusion, callToAction } = draft;
+    const format = template === this.templates.short ? 'short' : 'long';
+
+    // Assemble complete script
+    const script = {
+      title,
+      hook,
+      introduction,
+      mainContent,
+      conclusion,
+      callToAction,
+      format,
+      sourceScriptId: draft.sourceScriptId || null,
+      duration: this.estimateDuration(mainContent, format),
+      tone: this.channel.voice.tone || template.tone,
+      pacing: template.pacing,
+      keywords: strategy.keywords,
+      channelId: this.channel.id,
+      strategyId: strategy.id || null,
+      metadata: {
+        strategy: strategy,
+        generatedAt: new Date().toISOString()
+      }
+    };
+
+    // Format for readability
+    script.fullScript = this.formatFullScript(script);
+    
+    // Save to database
+    script.id = await this.db.saveScript(script);
+    const revision = await this.revisions.record('scripts', script, { author: 'ScriptWriter', reason });
+    script.metadata.revision = revision.revision;
+    return script;
+  }
+
+  // Cuts up to count Shorts from the strongest sections of a long-form script. Each is saved as a
+  // script of its own that points back at the source.
+  async cutShorts(script, strategy, count = 1) {
+    if (isShort(script) || count < 1) {
+      return [];
+    }
+
+    const shorts = [];
+    for (const section of strongestSections(script, count, strategy.keywords)) {
+      const draft = await this.draftShort(strategy, section);
+      draft.sourceScriptId = script.id || null;
+      shorts.push(await this.completeScript(draft, strategy, this.templates.short, `Cut from script: ${script.title}`));
+    }
+
+    this.logger.info(`Cut ${shorts.length} Shorts from: ${script.title}`);
+    return shorts;
+  }
+
+  // A Short has no introduction or recap: a hook, one payoff and a one-line call to action. With
+  // a section, the payoff is cut from that part of a long-form script.
+  async draftShort(strategy, section = null) {
+    const source = section ? spokenLines(section) : [];
+    const draft = await this.ai.completeJSON({
+      task: 'script.short',
+      system: 'You are an experienced YouTube Shorts scriptwriter. You write spoken narration that gets to the point in seconds.' +
+        (this.channel.voice.persona ? ` Write in the voice of the channel host: ${this.channel.voice.persona}` : ''),
+      prompt: `Write a vertical YouTube Short of at most ${SHORTS_MAX_SECONDS} seconds about "${strategy.topic}".\n` +
+        (section
+          ? `Use only this part of a longer video, "${section.title}":\n${source.join('\n')}\n`
+          : `Angle: ${strategy.angle}\n`) +
+        `Target audience: ${strategy.targetAudience}\n` +
+        'It has one hook and one payoff, with no introduction and no recap. Return a JSON object with these fields:\n' +
+        '- "title": string under 60 characters\n' +
+        `- "hook": { "type": string, "text": string } spoken in the first ${SHORTS_HOOK_SECONDS} seconds\n` +
+        `- "payoff": { "title": string, "lines": array of spoken lines } spoken in at most ${SHORTS_PAYOFF_SECONDS} seconds\n` +
+        '- "cta": string, one short line asking viewers to follow for more',
+      temperature: 0.8,
+      maxTokens: 800,
+      fallback: async () => ({ ...await this.buildShortDraft(strategy, section), [TEMPLATE_DRAFT]: true })
+    });
+
+    if (draft && draft[TEMPLATE_DRAFT]) {
+      return draft;
+    }
+
+    const normalized = this.normalizeShortDraft(draft);
+    if (!normalized) {
+      this.logger.warn('Provider returned an incomplete Short, using templates');
+      return this.buildShortDraft(strategy, section);
+    }
+
+    return normalized;
+  }
+
+  async buildShortDraft(strategy, section = null) {
+    const hooks = section
+      ? [
+          `Here's the part about ${strategy.topic} most people skip.`,
+          `${section.title}, in under a minute.`,
+          `If you only learn one thing about ${strategy.topic}, make it this.`
+        ]
+      : [
+          `Have you ever wondered ${this.generateQuestionAbout(strategy.topic)}?`,
+          `${strategy.topic} in under a minute. Ready?`,
+          `Stop scrolling if you care about ${strategy.topic}.`
+        ];
+    const lines = section
+      ? spokenLines(section)
+      : [
+          `Here's the short version of ${strategy.topic}.`,
+          `It comes down to one thing: ${this.getValueProposition(strategy)}.`,
+          this.generateProTip(strategy.topic),
+          'Try it today and watch the difference.'
+        ];
+
+    return this.shortDraft({
+      title: section ? `${strategy.topic}: ${section.title}` : `${strategy.topic} in 60 Seconds`,
+      hook: { type: 'statement', text: this.ai.pick(hooks, `short-hook:${strategy.topic}:${section?.title || ''}`) },
+      payoffTitle: section ? section.title : strategy.topic,
+      lines,
+      cta: `Follow for more on ${strategy.topic}!`
+    });
+  }
+
+  // Coerce provider JSON into the shape of buildShortDraft
+  normalizeShortDraft(draft) {
+    const text = value => (typeof value === 'string' && value.trim() ? value.trim() : '');
+    const lines = Array.isArray(draft?.payoff?.lines) ? draft.payoff.lines.map(line => text(String(line))).filter(Boolean) : [];
+    if (!draft || !text(draft.title) || !text(draft.hook?.text || draft.hook) || lines.length === 0) {
+      return null;
+    }
+
+    return this.shortDraft({
+      title: text(draft.title),
+      hook: { type: text(draft.hook.type) || 'statement', text: text(draft.hook.text || draft.hook) },
+      payoffTitle: text(draft.payoff.title) || text(draft.title),
+      lines,
+      cta: text(draft.cta) || 'Follow for more!'
+    });
+  }
+
+  // The payoff keeps whole lines up to the time a Short leaves after its hook and call to action
+  shortDraft({ title, hook, payoffTitle, lines, cta }) {
+    const content = fitLines(lines);
+    const sections = [{
+      type: 'payoff',
+      title: payoffTitle,
+      content,
+      duration: Math.min(SHORTS_PAYOFF_SECONDS, Math.max(5, speakingTime(content)))
+    }];
+
+    return {
+      title,
+      hook: { ...hook, duration: `0:00-0:0${SHORTS_HOOK_SECONDS}` },
+      introduction: null,
+      mainContent: { sections, totalDuration: this.calculateSectionsDuration(sections) },
+      conclusion: null,
+      callToAction: { type: 'call_to_action', subscribe: cta, duration: `${SHORTS_CTA_SECONDS} seconds` }
+    };
+  }
+
+  // Episodes of a series open with the series intro and close with its outro
+  applySeries(draft, strategy) {
+    const { series } = strategy;
+    if (!series) return draft;
+
+    const values = { series: series.name, episode: series.episode, topic: strategy.topic };
+    if (series.intro) {
+      draft.introduction.greeting = fillTemplate(series.intro, values);
+    }
+    if (series.outro) {
+      draft.conclusion.finalThought = fillTemplate(series.outro, values);
+    }
+    return draft;
+  }
+
+  async draftScript(strategy, template) {
+    const sectionTypes = template.structure.filter(section => !['hook', 'introduction', 'cta'].includes(section));
+
+    const draft = await this.ai.completeJSON({
+      task: 'script.write',
+      system: 'You are an experienced YouTube scriptwriter. You write spoken narration that is specific, accurate and easy to follow.' +
+        (this.channel.voice.persona ? ` Write in the voice of the channel host: ${this.channel.voice.persona}` : ''),
+      prompt: `Write a ${this.channel.voice.tone || template.tone} ${strategy.contentType} video script about "${strategy.topic}".\n` +
+        `Angle: ${strategy.angle}\nTarget audience: ${strategy.targetAudience}\n` +
+        `Keywords to work in naturally: ${strategy.keywords.join(', ')}\n` +
+        `Pacing: ${template.pacing}. Main content sections, in order: ${sectionTypes.join(', ')}.\n` +
+        'Return a JSON object with these fields:\n' +
+        '- "title": string\n' +
+        '- "hook": { "type": string, "text": string } spoken in the first 5 seconds\n' +
+        '- "introduction": { "greeting", "topicIntro", "valueProposition", "credibility" } strings\n' +
+        '- "sections": array of { "type", "title", "content": array of spoken lines, "visuals": array of strings, "duration": seconds }\n' +
+        '- "conclusion": { "recap": array of lines, "finalThought": string }\n' +
+        '- "callToAction": { "subscribe", "like", "comment", "nextVideo" } strings',
+      temperature: 0.8,
+      maxTokens: 3000,
+      fallback: async () => ({ ...await this.buildTemplateDraft(strategy, template), [TEMPLATE_DRAFT]: true })
+    });
+
+    if (draft && draft[TEMPLATE_DRAFT]) {
+      return draft;
+    }
+
+    const normalized = this.normalizeDraft(draft, strategy);
+    if (!normalized) {
+      this.logger.warn('Provider returned an incomplete script, using templates');
+      return this.buildTemplateDraft(strategy, template);
+    }
+
+    return normalized;
+  }
+
+  async buildTemplateDraft(strategy, template) {
+    return {
+      title: await this.generateTitle(strategy),
+      hook: await this.generateHook(strategy),
+      introduction: await this.generateIntroduction(strategy),
+      mainContent: await this.generateMainContent(strategy, template),
+      conclusion: await this.generateConclusion(strategy),
+      callToAction: await this.generateCTA(strategy)
+    };
+  }
+
+  // Coerce provider JSON into the same shape the template generators produce
+  normalizeDraft(draft, strategy) {
+    if (!draft || typeof draft.title !== 'string' || !draft.hook || !Array.isArray(draft.sections) || draft.sections.length === 0) {
+      return null;
+    }
+
+    const text = (value, fallback = '') => (typeof value === 'string' && value.trim() ? value.trim() : fallback);
+    const lines = value => (Array.isArray(value) ? value.map(line => String(line)) : [text(value)]).filter(Boolean);
+    const intro = draft.introduction || {};
+    const conclusion = draft.conclusion || {};
+    const cta = draft.callToAction || {};
+
+    const sections = draft.sections.map((section, index) => ({
+      type: text(section.type, `section_${index + 1}`),
+      title: text(section.title, `Part ${index + 1}`),
+      content: lines(section.content),
+      visuals: Array.isArray(section.visuals) ? section.visuals.map(String) : undefined,
+      duration: Math.max(15, Math.round(Number(section.duration) || 60))
+    }));
+
+    return {
+      title: text(draft.title),
+      hook: {
+        type: text(draft.hook.type, 'statement'),
+        text: text(draft.hook.text, text(draft.hook)),
+        duration: '0:00-0:05'
+      },
+      introduction: {
+        greeting: text(intro.greeting, 'Hey everyone, welcome back to the channel!'),
+        topicIntro: text(intro.topicIntro, `Today, we're diving deep into ${strategy.topic}.`),
+        valueProposition: text(intro.valueProposition, `By the end of this video, you'll understand exactly ${this.getValueProposition(strategy)}.`),
+        credibility: text(intro.credibility),
+        duration: '0:05-0:20'
+      },
+      mainContent: {
+        sections,
+        totalDuration: this.calculateSectionsDuration(sections)
+      },
+      conclusion: {
+        type: 'conclusion',
+        title: 'Wrapping Up',
+        recap: lines(conclusion.recap),
+        finalThought: text(conclusion.finalThought, `Remember, ${strategy.topic} is a journey, not a destination. Keep learning and improving!`),
+        duration: '30 seconds'
+      },
+      callToAction: {
+        type: 'call_to_action',
+        subscribe: text(cta.subscribe, 'If you found this helpful, make sure to subscribe and hit the notification bell!'),
+        like: text(cta.like, 'Give this video a thumbs up if you learned something new.'),
+        comment: text(cta.comment, `Let me know in the comments: What's your experience with ${strategy.topic}?`),
+        nextVideo: text(cta.nextVideo, 'Check out this related video for more insights.'),
+        duration: '15 seconds'
+      }
+    };
+  }
+
   async generateTitle(strategy) {
     const templates = [
       `${strategy.angle}`,
@@ -109,7 +381,7 @@ class ScriptWriterAgent {
       return `${strategy.topic} Review: Is It Worth It?`;
     }
 
-    return templates[Math.floor(Math.random() * templates.length)];
+    return this.ai.pick(templates, `title:${strategy.topic}`);
   }
 
   async generateHook(strategy) {
@@ -136,7 +408,7 @@ class ScriptWriterAgent {
       }
     ];
 
-    const selected = hooks[Math.floor(Math.random() * hooks.length)];
+    const selected = this.ai.pick(hooks, `hook:${strategy.topic}`);
     
     return {
       type: selected.type,
@@ -154,7 +426,7 @@ class ScriptWriterAgent {
       `how ${topic} could change your life`
     ];
     
-    return questions[Math.floor(Math.random() * questions.length)];
+    return this.ai.pick(questions, `question:${topic}`);
   }
 
   generateStatistic(topic) {
@@ -166,7 +438,7 @@ class ScriptWriterAgent {
       `${topic} can save you hours every single day`
     ];
     
-    return stats[Math.floor(Math.random() * stats.length)];
+    return this.ai.pick(stats, `statistic:${topic}`);
   }
 
   async generateIntroduction(strategy) {
@@ -200,7 +472,7 @@ class ScriptWriterAgent {
       "Using proven methods and strategies"
     ];
     
-    return statements[Math.floor(Math.random() * statements.length)];
+    return this.ai.pick(statements, `credibility:${strategy.topic}`);
   }
 
   async generateMainContent(strategy, template) {
@@ -260,14 +532,14 @@ class ScriptWriterAgent {
 
   async generateSolutionSteps(strategy) {
     const steps = [];
-    const numSteps = 3 + Math.floor(Math.random() * 3); // 3-5 steps
+    const numSteps = this.ai.pick([3, 4, 5], `steps:${strategy.topic}`);
     
     for (let i = 1; i <= numSteps; i++) {
       steps.push({
         number: i,
         title: `Step ${i}: ${this.generateStepTitle(strategy.topic, i)}`,
         description: this.generateStepDescription(strategy.topic, i),
-        tip: this.generateProTip(strategy.topic)
+        tip: this.generateProTip(strategy.topic, i)
       });
     }
     
@@ -295,7 +567,7 @@ class ScriptWriterAgent {
     return `This step involves understanding the key aspects of ${topic} and how to apply them effectively. Pay special attention to the details here, as they make all the difference.`;
   }
 
-  generateProTip(topic) {
+  generateProTip(topic, stepNumber = 0) {
     const tips = [
       `Pro tip: Start small and scale gradually`,
       `Remember: Consistency is more important than perfection`,
@@ -304,7 +576,7 @@ class ScriptWriterAgent {
       `Insider secret: This works best when combined with regular practice`
     ];
     
-    return tips[Math.floor(Math.random() * tips.length)];
+    return this.ai.pick(tips, `tip:${topic}:${stepNumber}`);
   }
 
   async generateDemonstration(strategy) {
@@ -356,14 +628,14 @@ class ScriptWriterAgent {
 
   async generateListItems(strategy) {
     const items = [];
-    const numItems = 5 + Math.floor(Math.random() * 6); // 5-10 items
+    const numItems = this.ai.pick([5, 6, 7, 8, 9, 10], `items:${strategy.topic}`);
     
     for (let i = 1; i <= numItems; i++) {
       items.push({
         number: numItems - i + 1, // Countdown for engagement
         title: this.generateListItemTitle(strategy.topic, i),
         description: this.generateListItemDescription(strategy.topic),
-        impact: this.generateImpactStatement()
+        impact: this.generateImpactStatement(`${strategy.topic}:${i}`)
       });
     }
     
@@ -396,7 +668,7 @@ class ScriptWriterAgent {
     return `This aspect of ${topic} is crucial because it fundamentally changes how we approach the subject. Understanding this will give you a significant advantage.`;
   }
 
-  generateImpactStatement() {
+  generateImpactStatement(seed = '') {
     const impacts = [
       'This alone can save you hours',
       'Game-changing for beginners',
@@ -405,7 +677,7 @@ class ScriptWriterAgent {
       'The difference between success and failure'
     ];
     
-    return impacts[Math.floor(Math.random() * impacts.length)];
+    return this.ai.pick(impacts, `impact:${seed}`);
   }
 
   async generatePros(strategy) {
@@ -514,12 +786,14 @@ class ScriptWriterAgent {
     fullScript += `[${script.hook.duration}] HOOK\n`;
     fullScript += `${script.hook.text}\n\n`;
     
-    // Introduction
-    fullScript += `[${script.introduction.duration}] INTRODUCTION\n`;
-    fullScript += `${script.introduction.greeting}\n`;
-    fullScript += `${script.introduction.topicIntro}\n`;
-    fullScript += `${script.introduction.valueProposition}\n`;
-    fullScript += `${script.introduction.credibility}\n\n`;
+    // Introduction; Shorts have none
+    if (script.introduction) {
+      fullScript += `[${script.introduction.duration}] INTRODUCTION\n`;
+      fullScript += `${script.introduction.greeting}\n`;
+      fullScript += `${script.introduction.topicIntro}\n`;
+      fullScript += `${script.introduction.valueProposition}\n`;
+      fullScript += `${script.introduction.credibility}\n\n`;
+    }
     
     // Main Content
     fullScript += 'MAIN CONTENT\n';
@@ -559,19 +833,21 @@ class ScriptWriterAgent {
       fullScript += '\n';
     }
     
-    // Conclusion
-    fullScript += `[${script.conclusion.duration}] CONCLUSION\n`;
-    script.conclusion.recap.forEach(line => {
-      fullScript += `${line}\n`;
-    });
-    fullScript += `\n${script.conclusion.finalThought}\n\n`;
+    // Conclusion; Shorts have none
+    if (script.conclusion) {
+      fullScript += `[${script.conclusion.duration}] CONCLUSION\n`;
+      script.conclusion.recap.forEach(line => {
+        fullScript += `${line}\n`;
+      });
+      fullScript += `\n${script.conclusion.finalThought}\n\n`;
+    }
     
-    // Call to Action
+    // Call to Action; a Short's is a single line
     fullScript += `[${script.callToAction.duration}] CALL TO ACTION\n`;
-    fullScript += `${script.callToAction.subscribe}\n`;
-    fullScript += `${script.callToAction.like}\n`;
-    fullScript += `${script.callToAction.comment}\n`;
-    fullScript += `${script.callToAction.nextVideo}\n\n`;
+    ['subscribe', 'like', 'comment', 'nextVideo'].filter(field => script.callToAction[field]).forEach(field => {
+      fullScript += `${script.callToAction[field]}\n`;
+    });
+    fullScript += '\n';
     
     // Metadata
     fullScript += '═'.repeat(50) + '\n';
@@ -583,13 +859,15 @@ class ScriptWriterAgent {
     return fullScript;
   }
 
-  estimateDuration(mainContent) {
+  estimateDuration(mainContent, format = 'long') {
     const totalSeconds = mainContent.sections.reduce((total, section) => {
       return total + (section.duration || 60);
     }, 0);
     
-    // Add hook, intro, conclusion, CTA
-    const fullDuration = totalSeconds + 5 + 15 + 30 + 15;
+    // Add hook, intro, conclusion, CTA; a Short only has a hook and CTA
+    const fullDuration = format === 'short'
+      ? Math.min(totalSeconds + SHORTS_HOOK_SECONDS + SHORTS_CTA_SECONDS, SHORTS_MAX_SECONDS)
+      : totalSeconds + 5 + 15 + 30 + 15;
     
     return this.formatDuration(fullDuration);
   }
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+const path = require('path');
+const { SEOOptimizerAgent } = require('./seo-optimizer-agent');
+const { AgentMCPServer, createAgentContext, normalizeStrategy, runServer } = require('../utils/mcp-server');
+
+const server = new AgentMCPServer({
+  manifest: path.join(__dirname, '..', 'mcp', 'seo-optimizer-agent.mcp.json'),
+  createAgent: () => createAgentContext(SEOOptimizerAgent),
+
+  tools: {
+    optimize_seo: async ({ script, strategy }, { agent }) => {
+      return agent.optimize(script, normalizeStrategy(strategy));
+    },
+
+    optimize_title: async ({ title, strategy }, { agent }) => {
+      return { title: await agent.optimizeTitle(title, normalizeStrategy(strategy)) };
+    },
+
+    generate_tags: async ({ script = {}, strategy }, { agent }) => {
+      return { tags: await agent.generateTags(script, normalizeStrategy(strategy)) };
+    },
+
+    generate_chapters: async ({ script }, { agent }) => {
+      return { chapters: await agent.generateChapters(script) };
+    },
+
+    calculate_seo_score: async ({ title, description, tags }, { agent }) => {
+      return { seoScore: await agent.calculateSEOScore(title, description, tags) };
+    }
+  },
+
+  resources: {
+    keyword_performance: async ({ db }) => db.getKeywordHistory(),
+    recent_seo: async ({ db }) => db.getRecentSEOData()
+  }
+});
+
+if (require.main === module) {
+  runServer(server);
+}
+
+module.exports = { server };
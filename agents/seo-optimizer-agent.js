@@ -1,11 +1,20 @@
 const { Logger } = require('../utils/logger');
+const { ContentRevisions } = require('../workflows/content-revisions');
+const { seriesLinks } = require('../workflows/series');
+const { isShort } = require('../utils/shorts');
+const { Localizer } = require('../workflows/localization');
+
+const SHORTS_HASHTAG = '#Shorts';
 
 class SEOOptimizerAgent {
-  constructor(db, credentials) {
+  constructor(db, credentials, channel = null) {
     this.db = db;
     this.credentials = credentials;
     this.logger = new Logger('SEOOptimizer');
+    this.ai = credentials.getAIService();
+    this.localizer = new Localizer(credentials, channel);
     this.keywordDatabase = new Map();
+    this.revisions = new ContentRevisions(db);
   }
 
   async initialize() {
@@ -29,23 +38,29 @@ class SEOOptimizerAgent {
     try {
       this.logger.info(`Optimizing SEO for: ${script.title}`);
       
-      // Generate optimized title
-      const title = await this.optimizeTitle(script.title, strategy);
+      const short = isShort(script);
+      
+      // Generate optimized title; Shorts carry #Shorts in the title
+      const title = short
+        ? this.shortsTitle(await this.optimizeTitle(script.title, strategy))
+        : await this.optimizeTitle(script.title, strategy);
       
       // Generate description
-      const description = await this.generateDescription(script, strategy);
+      const description = short
+        ? await this.generateShortDescription(script, strategy)
+        : await this.generateDescription(script, strategy);
       
       // Extract and optimize tags
       const tags = await this.generateTags(script, strategy);
       
       // Generate hashtags
-      const hashtags = await this.generateHashtags(strategy);
+      const hashtags = await this.generateHashtags(strategy, { short });
       
       // Create chapters/timestamps
       const chapters = await this.generateChapters(script);
       
-      // Generate end screen elements
-      const endScreen = await this.generateEndScreenStrategy();
+      // Generate end screen elements; Shorts cannot have end screens
+      const endScreen = short ? null : await this.generateEndScreenStrategy(strategy.series);
       
       // Calculate SEO score
       const seoScore = await this.calculateSEOScore(title, description, tags);
@@ -61,15 +76,29 @@ class SEOOptimizerAgent {
         metadata: {
           primaryKeyword: strategy.keywords[0],
           secondaryKeywords: strategy.keywords.slice(1, 5),
-          targetLength: this.calculateOptimalLength(strategy.contentType),
-          language: 'en',
+          targetLength: short ? 'under 60 seconds' : this.calculateOptimalLength(strategy.contentType),
+          ...(short && { format: 'short' }),
+          language: this.localizer.languages.source,
           category: this.selectCategory(strategy)
         },
+        scriptId: script.id || null,
         createdAt: new Date().toISOString()
       };
       
+      // Publishing adds the episode to the series playlist
+      if (strategy.series) {
+        const { id, episodeId, episode } = strategy.series;
+        seoData.metadata.series = { id, episodeId, episode };
+      }
+      
+      // Translated titles and descriptions are uploaded as the video's localizations
+      if (this.localizer.targets.length > 0) {
+        seoData.localizations = await this.localizer.localizeMetadata(seoData);
+      }
+      
       // Save to database
-      await this.db.saveSEOData(seoData);
+      seoData.id = await this.db.saveSEOData(seoData);
+      await this.revisions.record('seo', seoData, { author: 'SEOOptimizer', reason: `Optimized for: ${script.title}` });
       
       this.logger.info(`SEO optimization complete. Score: ${seoScore}/100`);
       return seoData;
@@ -80,6 +109,38 @@ class SEOOptimizerAgent {
   }
 
   async optimizeTitle(originalTitle, strategy) {
+    const title = await this.ai.completeLine({
+      task: 'seo.title',
+      system: 'You are a YouTube SEO specialist. You write accurate, high click-through titles.',
+      prompt: `Rewrite this YouTube title for search and click-through rate: "${originalTitle}".\n` +
+        `Topic: ${strategy.topic}\nPrimary keyword: ${strategy.keywords[0] || strategy.topic}\n` +
+        `Target audience: ${strategy.targetAudience}\n` +
+        'Keep it between 50 and 70 characters, include the primary keyword near the start and reply with the title only.',
+      temperature: 0.7,
+      maxTokens: 60,
+      fallback: () => this.buildTemplateTitle(originalTitle, strategy)
+    });
+
+    // Truncate if too long
+    if (title.length > 100) {
+      return title.substring(0, 97) + '...';
+    }
+
+    return title;
+  }
+
+  // Appends #Shorts, shortening the title to stay within YouTube's 100 characters
+  shortsTitle(title) {
+    if (title.toLowerCase().includes(SHORTS_HASHTAG.toLowerCase())) {
+      return title;
+    }
+    
+    const room = 100 - SHORTS_HASHTAG.length - 1;
+    const base = title.length > room ? title.substring(0, room - 3).trimEnd() + '...' : title;
+    return `${base} ${SHORTS_HASHTAG}`;
+  }
+
+  buildTemplateTitle(originalTitle, strategy) {
     // YouTube title limit: 100 characters, optimal: 60-70
     let optimizedTitle = originalTitle;
     
@@ -90,8 +151,8 @@ class SEOOptimizerAgent {
     );
     
     if (!hasPowerWord && originalTitle.length < 60) {
-      const randomPowerWord = powerWords[Math.floor(Math.random() * powerWords.length)];
-      optimizedTitle = `${randomPowerWord} ${originalTitle}`;
+      const powerWord = this.ai.pick(powerWords, `power-word:${originalTitle}`);
+      optimizedTitle = `${powerWord} ${originalTitle}`;
     }
     
     // Add year if relevant and not present
@@ -128,14 +189,47 @@ class SEOOptimizerAgent {
     }).join(' ');
   }
 
+  async generateDescriptionCopy(script, strategy) {
+    const templateCopy = () => ({
+      hook: `${script.title} - In this video, you'll discover ${strategy.angle.toLowerCase()}.`,
+      about: `This comprehensive guide on ${strategy.topic} covers everything you need to know. ` +
+        `Whether you're a beginner or advanced, you'll find valuable insights about ${strategy.keywords.slice(0, 3).join(', ')}. ` +
+        `Perfect for ${strategy.targetAudience}.`
+    });
+
+    const copy = await this.ai.completeJSON({
+      task: 'seo.description',
+      system: 'You are a YouTube SEO specialist writing video descriptions.',
+      prompt: `Write description copy for the YouTube video "${script.title}".\n` +
+        `Angle: ${strategy.angle}\nKeywords: ${strategy.keywords.join(', ')}\nAudience: ${strategy.targetAudience}\n` +
+        'Return a JSON object with two string fields: "hook" (one sentence under 125 characters that includes the main keyword) ' +
+        'and "about" (a 2-4 sentence paragraph summarising what viewers will learn).',
+      temperature: 0.7,
+      maxTokens: 400,
+      fallback: templateCopy
+    });
+
+    // Keep the template copy for any field the provider left out
+    const fallbackCopy = templateCopy();
+    return {
+      hook: typeof copy?.hook === 'string' && copy.hook.trim() ? copy.hook.trim() : fallbackCopy.hook,
+      about: typeof copy?.about === 'string' && copy.about.trim() ? copy.about.trim() : fallbackCopy.about
+    };
+  }
+
   async generateDescription(script, strategy) {
     // YouTube description limit: 5000 characters, first 125 shown in search
     
     let description = '';
+    const copy = await this.generateDescriptionCopy(script, strategy);
     
     // First 125 characters - most important for SEO
-    const hook = `${script.title} - In this video, you'll discover ${strategy.angle.toLowerCase()}.`;
-    description += hook + '\n\n';
+    description += copy.hook + '\n\n';
+    
+    // Series episodes link the episodes around them; publishing fills in the next one later
+    if (strategy.series) {
+      description += seriesLinks(strategy.series, { previous: strategy.series.previous }) + '\n';
+    }
     
     // Video overview
     description += '📺 WHAT YOU\'LL LEARN:\n';
@@ -164,9 +258,7 @@ class SEOOptimizerAgent {
     
     // Keywords paragraph (SEO optimized)
     description += '📝 ABOUT THIS VIDEO:\n';
-    description += `This comprehensive guide on ${strategy.topic} covers everything you need to know. `;
-    description += `Whether you're a beginner or advanced, you'll find valuable insights about ${strategy.keywords.slice(0, 3).join(', ')}. `;
-    description += `Perfect for ${strategy.targetAudience}.\n\n`;
+    description += `${copy.about}\n\n`;
     
     // Links section
     description += '🔗 USEFUL LINKS:\n';
@@ -210,6 +302,26 @@ class SEOOptimizerAgent {
     return description;
   }
 
+  // Shorts are watched in a feed, not searched: the hook, a subscribe line and the hashtags, with
+  // #Shorts first
+  async generateShortDescription(script, strategy) {
+    let description = '';
+    const copy = await this.generateDescriptionCopy(script, strategy);
+    
+    description += copy.hook + '\n\n';
+    
+    if (strategy.series) {
+      description += seriesLinks(strategy.series, { previous: strategy.series.previous }) + '\n';
+    }
+    
+    description += `🔔 Subscribe for more on ${strategy.topic}: [Your Channel URL]\n\n`;
+    
+    const hashtags = await this.generateHashtags(strategy, { short: true });
+    description += hashtags.join(' ') + '\n';
+    
+    return description;
+  }
+
   async generateTags(script, strategy) {
     const tags = new Set();
     
@@ -253,6 +365,10 @@ class SEOOptimizerAgent {
       script.keywords.forEach(keyword => tags.add(keyword));
     }
     
+    if (isShort(script)) {
+      tags.add('shorts');
+    }
+    
     // Add channel branding tags
     if (process.env.CHANNEL_NAME) {
       tags.add(process.env.CHANNEL_NAME);
@@ -359,8 +475,8 @@ class SEOOptimizerAgent {
     return scoredTags.map(item => item.tag);
   }
 
-  async generateHashtags(strategy) {
-    const hashtags = [];
+  async generateHashtags(strategy, { short = false } = {}) {
+    const hashtags = short ? [SHORTS_HASHTAG] : [];
     
     // Primary hashtag
     const primaryHashtag = `#${strategy.topic.replace(/\s+/g, '')}`;
@@ -405,10 +521,37 @@ class SEOOptimizerAgent {
     return hashtags.slice(0, 15);
   }
 
+  // Recomputes chapters after a script edit and rewrites the description's timestamps to match
+  async refreshChapters(seoData, script) {
+    const chapters = await this.generateChapters(script);
+    const timestamps = chapters.map(chapter => `${chapter.time} ${chapter.title}`).join('\n');
+    
+    return this.localize({
+      ...seoData,
+      chapters,
+      description: seoData.description.replace(/⏱️ TIMESTAMPS:\n[\s\S]*?\n\n/, `⏱️ TIMESTAMPS:\n${timestamps}\n\n`)
+    });
+  }
+
+  // Translates the title and description into the channel's target languages; unchanged when
+  // the channel has none
+  async localize(seoData) {
+    if (this.localizer.targets.length === 0) {
+      return seoData;
+    }
+    
+    return { ...seoData, localizations: await this.localizer.localizeMetadata(seoData) };
+  }
+
   async generateChapters(script) {
     const chapters = [];
     let currentTime = 0;
     
+    // Shorts have no chapters
+    if (isShort(script)) {
+      return chapters;
+    }
+    
     // Introduction
     chapters.push({
       time: '00:00',
@@ -447,19 +590,23 @@ class SEOOptimizerAgent {
     return chapters;
   }
 
-  async generateEndScreenStrategy() {
+  // The Data API cannot set end screens, so this is the layout to apply in YouTube Studio. A series
+  // episode points at the previous episode and the series playlist.
+  async generateEndScreenStrategy(series = null) {
     return {
       elements: [
         {
           type: 'video',
           position: 'left',
-          title: 'Recommended Video',
+          title: series?.previous ? `Previous episode: ${series.previous.title}` : 'Recommended Video',
+          ...(series?.previous && { videoId: series.previous.youtubeId }),
           duration: 20
         },
         {
           type: 'playlist',
           position: 'right',
-          title: 'Watch More',
+          title: series ? series.name : 'Watch More',
+          ...(series?.playlistId && { playlistId: series.playlistId }),
           duration: 20
         },
         {
@@ -469,7 +616,7 @@ class SEOOptimizerAgent {
         }
       ],
       startTime: -20, // 20 seconds before end
-      template: 'standard'
+      template: series ? 'series' : 'standard'
     };
   }
 
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+const path = require('path');
+const { ThumbnailDesignerAgent } = require('./thumbnail-designer-agent');
+const { AgentMCPServer, createAgentContext, runServer } = require('../utils/mcp-server');
+
+function requireTitle(script) {
+  if (!script || !script.title) {
+    throw new Error('script.title is required');
+  }
+  return script;
+}
+
+const server = new AgentMCPServer({
+  manifest: path.join(__dirname, '..', 'mcp', 'thumbnail-designer-agent.mcp.json'),
+  createAgent: () => createAgentContext(ThumbnailDesignerAgent),
+
+  tools: {
+    generate_concept: async ({ script }, { agent }) => {
+      return agent.generateConcept(requireTitle(script));
+    },
+
+    generate_thumbnail: async ({ script }, { agent }) => {
+      return agent.generateThumbnail(requireTitle(script));
+    },
+
+    generate_ab_variants: async ({ concept }, { agent }) => {
+      return { variants: await agent.generateABVariants(concept) };
+    }
+  },
+
+  resources: {
+    recent_thumbnails: async ({ db }) => db.getRecentThumbnails()
+  }
+});
+
+if (require.main === module) {
+  runServer(server);
+}
+
+module.exports = { server };
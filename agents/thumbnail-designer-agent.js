@@ -2,6 +2,8 @@ const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
 const { Logger } = require('../utils/logger');
+const { fillTemplate } = require('../utils/series-config');
+const { THUMBNAIL_DIR } = require('../utils/content-validation');
 
 class ThumbnailDesignerAgent {
   constructor(db, credentials) {
@@ -20,7 +22,7 @@ class ThumbnailDesignerAgent {
   async ensureTemplatesDirectory() {
     try {
       await fs.mkdir(this.templatesPath, { recursive: true });
-      await fs.mkdir(path.join(__dirname, '..', 'uploads', 'thumbnails'), { recursive: true });
+      await fs.mkdir(THUMBNAIL_DIR, { recursive: true });
     } catch (error) {
       this.logger.error('Failed to create directories:', error);
     }
@@ -51,11 +53,12 @@ class ThumbnailDesignerAgent {
         prompt,
         dimensions: { width: 1280, height: 720 },
         fileSize: await this.getFileSize(optimizedThumbnail),
+        scriptId: script.id || null,
         createdAt: new Date().toISOString()
       };
       
       // Save to database
-      await this.db.saveThumbnail(thumbnailData);
+      thumbnailData.id = await this.db.saveThumbnail(thumbnailData);
       
       this.logger.info('Thumbnail generated successfully');
       return thumbnailData;
@@ -101,7 +104,7 @@ class ThumbnailDesignerAgent {
 
     const baseConcept = concepts[script.metadata?.strategy?.contentType?.toLowerCase()] || concepts.explainer;
     
-    return {
+    return this.applySeriesStyle({
       title: this.formatThumbnailTitle(script.title),
       style: baseConcept.style,
       primaryText: this.extractPrimaryText(script.title),
@@ -115,6 +118,22 @@ class ThumbnailDesignerAgent {
       emotion: baseConcept.emotion,
       composition: this.selectComposition(),
       effects: this.selectEffects()
+    }, script.metadata?.strategy);
+  }
+
+  // Episodes of a series share its style and colors, and its badge replaces the secondary text
+  applySeriesStyle(concept, strategy) {
+    const style = strategy?.series?.thumbnailStyle;
+    if (!style) return concept;
+
+    const { series } = strategy;
+    return {
+      ...concept,
+      style: style.style || concept.style,
+      secondaryText: style.badge
+        ? fillTemplate(style.badge, { series: series.name, episode: series.episode, topic: strategy.topic }).toUpperCase()
+        : concept.secondaryText,
+      colors: { ...concept.colors, ...style.colors }
     };
   }
 
@@ -208,7 +227,7 @@ class ThumbnailDesignerAgent {
     const width = 1280;
     const height = 720;
     
-    const outputPath = path.join(__dirname, '..', 'uploads', 'thumbnails', `thumbnail_${Date.now()}.png`);
+    const outputPath = path.join(THUMBNAIL_DIR, `thumbnail_${Date.now()}.png`);
     
     // Create gradient background
     const svg = `
@@ -247,11 +266,11 @@ class ThumbnailDesignerAgent {
       'gold': '#FFD700'
     };
     
-    return colors[color] || '#000000';
+    return colors[color] || (/^#[0-9a-f]{6}$/i.test(color) ? color : '#000000');
   }
 
   async addTextOverlay(imagePath, concept) {
-    const outputPath = path.join(__dirname, '..', 'uploads', 'thumbnails', `thumbnail_final_${Date.now()}.png`);
+    const outputPath = path.join(THUMBNAIL_DIR, `thumbnail_final_${Date.now()}.png`);
     
     // Create text overlay SVG
     const textSvg = `
@@ -301,7 +320,7 @@ class ThumbnailDesignerAgent {
   }
 
   async optimizeForYouTube(imagePath) {
-    const outputPath = path.join(__dirname, '..', 'uploads', 'thumbnails', `thumbnail_optimized_${Date.now()}.jpg`);
+    const outputPath = path.join(THUMBNAIL_DIR, `thumbnail_optimized_${Date.now()}.jpg`);
     
     // YouTube optimization: JPEG format, proper compression
     await sharp(imagePath)
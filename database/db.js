@@ -2,10 +2,12 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
 const { Logger } = require('../utils/logger');
+const { Migrator } = require('./migrator');
+const { DEFAULT_CHANNEL_ID } = require('../utils/channel-config');
 
 class Database {
-  constructor() {
-    this.dbPath = path.join(__dirname, '..', 'data', 'youtube_automation.db');
+  constructor(dbPath = null) {
+    this.dbPath = dbPath || path.join(__dirname, '..', 'data', 'youtube_automation.db');
     this.db = null;
     this.logger = new Logger('Database');
   }
@@ -14,14 +16,10 @@ class Database {
     try {
       this.logger.info('Initializing database...');
       
-      // Ensure data directory exists
-      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
-      
-      // Connect to database
-      this.db = new sqlite3.Database(this.dbPath);
+      await this.connect();
       
-      // Create tables
-      await this.createTables();
+      // Bring the schema up to date
+      await this.runMigrations();
       
       this.logger.success('Database initialized successfully');
       return true;
@@ -31,163 +29,22 @@ class Database {
     }
   }
 
-  async createTables() {
-    const tables = [
-      // Content Strategy
-      `CREATE TABLE IF NOT EXISTS content_strategies (
-        id TEXT PRIMARY KEY,
-        topic TEXT NOT NULL,
-        angle TEXT NOT NULL,
-        target_audience TEXT NOT NULL,
-        content_type TEXT NOT NULL,
-        keywords TEXT NOT NULL,
-        estimated_views INTEGER DEFAULT 0,
-        best_publish_time TEXT,
-        competitor_analysis TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Scripts
-      `CREATE TABLE IF NOT EXISTS scripts (
-        id TEXT PRIMARY KEY,
-        strategy_id TEXT,
-        title TEXT NOT NULL,
-        hook TEXT,
-        introduction TEXT,
-        main_content TEXT NOT NULL,
-        conclusion TEXT,
-        call_to_action TEXT,
-        full_script TEXT,
-        duration TEXT,
-        tone TEXT,
-        pacing TEXT,
-        keywords TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (strategy_id) REFERENCES content_strategies(id)
-      )`,
-      
-      // Thumbnails
-      `CREATE TABLE IF NOT EXISTS thumbnails (
-        id TEXT PRIMARY KEY,
-        script_id TEXT,
-        path TEXT NOT NULL,
-        concept TEXT,
-        prompt TEXT,
-        dimensions TEXT,
-        file_size INTEGER,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (script_id) REFERENCES scripts(id)
-      )`,
-      
-      // SEO Data
-      `CREATE TABLE IF NOT EXISTS seo_data (
-        id TEXT PRIMARY KEY,
-        script_id TEXT,
-        title TEXT NOT NULL,
-        description TEXT NOT NULL,
-        tags TEXT NOT NULL,
-        hashtags TEXT,
-        chapters TEXT,
-        end_screen TEXT,
-        seo_score INTEGER DEFAULT 0,
-        metadata TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (script_id) REFERENCES scripts(id)
-      )`,
-      
-      // Production Data
-      `CREATE TABLE IF NOT EXISTS productions (
-        id TEXT PRIMARY KEY,
-        strategy_id TEXT,
-        script_id TEXT,
-        thumbnail_id TEXT,
-        seo_id TEXT,
-        status TEXT DEFAULT 'processing',
-        assets TEXT,
-        timeline TEXT,
-        scheduled_publish_time TEXT,
-        priority INTEGER DEFAULT 50,
-        estimated_duration TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (strategy_id) REFERENCES content_strategies(id),
-        FOREIGN KEY (script_id) REFERENCES scripts(id),
-        FOREIGN KEY (thumbnail_id) REFERENCES thumbnails(id),
-        FOREIGN KEY (seo_id) REFERENCES seo_data(id)
-      )`,
-      
-      // Publishing Schedule
-      `CREATE TABLE IF NOT EXISTS publish_schedule (
-        id TEXT PRIMARY KEY,
-        production_id TEXT NOT NULL,
-        title TEXT NOT NULL,
-        publish_time TEXT NOT NULL,
-        status TEXT DEFAULT 'scheduled',
-        priority INTEGER DEFAULT 50,
-        metadata TEXT,
-        youtube_id TEXT,
-        youtube_url TEXT,
-        published_at TEXT,
-        error_message TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (production_id) REFERENCES productions(id)
-      )`,
-      
-      // Analytics Reports
-      `CREATE TABLE IF NOT EXISTS analytics_reports (
-        id TEXT PRIMARY KEY,
-        video_id TEXT NOT NULL,
-        youtube_id TEXT,
-        video_details TEXT,
-        analytics_data TEXT,
-        thumbnail_metrics TEXT,
-        seo_metrics TEXT,
-        insights TEXT,
-        performance_score INTEGER DEFAULT 0,
-        performance_grade TEXT,
-        analyzed_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Keywords Performance
-      `CREATE TABLE IF NOT EXISTS keyword_performance (
-        id TEXT PRIMARY KEY,
-        keyword TEXT NOT NULL UNIQUE,
-        total_uses INTEGER DEFAULT 0,
-        total_views INTEGER DEFAULT 0,
-        average_views INTEGER DEFAULT 0,
-        best_performing_video TEXT,
-        last_used TEXT,
-        performance_score INTEGER DEFAULT 0
-      )`,
-      
-      // Content Performance History
-      `CREATE TABLE IF NOT EXISTS content_history (
-        id TEXT PRIMARY KEY,
-        title TEXT NOT NULL,
-        topic TEXT NOT NULL,
-        content_type TEXT NOT NULL,
-        publish_date TEXT NOT NULL,
-        views INTEGER DEFAULT 0,
-        likes INTEGER DEFAULT 0,
-        comments INTEGER DEFAULT 0,
-        watch_time INTEGER DEFAULT 0,
-        ctr REAL DEFAULT 0,
-        retention_rate REAL DEFAULT 0,
-        performance_score INTEGER DEFAULT 0,
-        youtube_id TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // System Settings
-      `CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL,
-        description TEXT,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )`
-    ];
+  async connect() {
+    // Ensure data directory exists
+    if (this.dbPath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+    
+    // Connect to database
+    this.db = new sqlite3.Database(this.dbPath);
+  }
 
-    for (const tableQuery of tables) {
-      await this.executeQuery(tableQuery);
+  async runMigrations() {
+    const migrator = new Migrator(this);
+    const applied = await migrator.migrate();
+
+    if (applied.length > 0) {
+      this.logger.info(`Applied ${applied.length} migration(s), schema is at version ${await migrator.getCurrentVersion()}`);
     }
 
     // Insert default settings
@@ -204,8 +61,11 @@ class Database {
       ['thumbnail_ab_testing', 'false', 'Enable thumbnail A/B testing'],
       ['content_backup_enabled', 'true', 'Enable content backup'],
       ['notification_enabled', 'true', 'Enable system notifications'],
+      ['notification_health_threshold', '80', 'Notify when the hourly health score falls below this'],
       ['max_daily_posts', '1', 'Maximum posts per day'],
-      ['content_buffer_days', '3', 'Days of content to keep in buffer']
+      ['content_buffer_days', '3', 'Days of content to keep in buffer'],
+      ['calendar_blackout_dates', '', 'Dates the calendar plans nothing on, e.g. 2024-12-24..2024-12-26,2025-01-01'],
+      ['require_approval', 'false', 'Hold content out of the publish queue until a reviewer approves it']
     ];
 
     for (const [key, value, description] of defaultSettings) {
@@ -221,11 +81,12 @@ class Database {
     const id = this.generateId('strategy');
     await this.executeQuery(
       `INSERT INTO content_strategies (
-        id, topic, angle, target_audience, content_type, keywords, 
+        id, channel_id, topic, angle, target_audience, content_type, keywords, 
         estimated_views, best_publish_time, competitor_analysis
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
+        strategy.channelId || DEFAULT_CHANNEL_ID,
         strategy.topic,
         strategy.angle,
         strategy.targetAudience,
@@ -239,6 +100,59 @@ class Database {
     return id;
   }
 
+  parseContentStrategyRow(row) {
+    return {
+      id: row.id,
+      channelId: row.channel_id,
+      topic: row.topic,
+      angle: row.angle,
+      targetAudience: row.target_audience,
+      contentType: row.content_type,
+      keywords: JSON.parse(row.keywords || '[]'),
+      estimatedViews: row.estimated_views,
+      bestPublishTime: row.best_publish_time,
+      competitorAnalysis: JSON.parse(row.competitor_analysis || 'null'),
+      createdAt: row.created_at
+    };
+  }
+
+  async getContentStrategy(id) {
+    const row = await this.getRow('SELECT * FROM content_strategies WHERE id = ?', [id]);
+    return row ? this.parseContentStrategyRow(row) : null;
+  }
+
+  async getRecentContentStrategies(limit = 20, { channelId = null, offset = 0 } = {}) {
+    const rows = await this.getAllRows(
+      `SELECT * FROM content_strategies WHERE ? IS NULL OR channel_id = ?
+       ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [channelId, channelId, limit, offset]
+    );
+    return rows.map(row => this.parseContentStrategyRow(row));
+  }
+
+  async updateContentStrategy(strategy) {
+    await this.executeQuery(
+      `UPDATE content_strategies SET 
+        topic = ?, angle = ?, target_audience = ?, content_type = ?, keywords = ?,
+        estimated_views = ?, best_publish_time = ?
+      WHERE id = ?`,
+      [
+        strategy.topic,
+        strategy.angle,
+        strategy.targetAudience,
+        strategy.contentType,
+        JSON.stringify(strategy.keywords),
+        strategy.estimatedViews,
+        strategy.bestPublishTime,
+        strategy.id
+      ]
+    );
+  }
+
+  async deleteContentStrategy(id) {
+    await this.executeQuery('DELETE FROM content_strategies WHERE id = ?', [id]);
+  }
+
   async getContentHistory() {
     const rows = await this.getAllRows('SELECT * FROM content_history ORDER BY publish_date DESC');
     return rows;
@@ -249,11 +163,13 @@ class Database {
     const id = this.generateId('script');
     await this.executeQuery(
       `INSERT INTO scripts (
-        id, title, hook, introduction, main_content, conclusion, 
-        call_to_action, full_script, duration, tone, pacing, keywords
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        id, channel_id, strategy_id, title, hook, introduction, main_content, conclusion, 
+        call_to_action, full_script, duration, tone, pacing, keywords, format, source_script_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
+        script.channelId || DEFAULT_CHANNEL_ID,
+        script.strategyId || null,
         script.title,
         JSON.stringify(script.hook),
         JSON.stringify(script.introduction),
@@ -264,21 +180,92 @@ class Database {
         script.duration,
         script.tone,
         script.pacing,
-        JSON.stringify(script.keywords)
+        JSON.stringify(script.keywords),
+        script.format || 'long',
+        script.sourceScriptId || null
       ]
     );
     return id;
   }
 
+  parseScriptRow(row) {
+    return {
+      ...row,
+      hook: JSON.parse(row.hook || 'null'),
+      introduction: JSON.parse(row.introduction || 'null'),
+      mainContent: JSON.parse(row.main_content || '{}'),
+      conclusion: JSON.parse(row.conclusion || 'null'),
+      callToAction: JSON.parse(row.call_to_action || 'null'),
+      fullScript: row.full_script,
+      channelId: row.channel_id,
+      strategyId: row.strategy_id,
+      keywords: JSON.parse(row.keywords || '[]'),
+      format: row.format || 'long',
+      sourceScriptId: row.source_script_id,
+      createdAt: row.created_at
+    };
+  }
+
+  async updateScript(script) {
+    await this.executeQuery(
+      `UPDATE scripts SET 
+        title = ?, hook = ?, introduction = ?, main_content = ?, conclusion = ?,
+        call_to_action = ?, full_script = ?, duration = ?, tone = ?, pacing = ?, keywords = ?
+      WHERE id = ?`,
+      [
+        script.title,
+        JSON.stringify(script.hook),
+        JSON.stringify(script.introduction),
+        JSON.stringify(script.mainContent),
+        JSON.stringify(script.conclusion),
+        JSON.stringify(script.callToAction),
+        script.fullScript,
+        script.duration,
+        script.tone,
+        script.pacing,
+        JSON.stringify(script.keywords),
+        script.id
+      ]
+    );
+  }
+
+  async getScriptIdsForStrategy(strategyId) {
+    const rows = await this.getAllRows('SELECT id FROM scripts WHERE strategy_id = ?', [strategyId]);
+    return rows.map(row => row.id);
+  }
+
+  async deleteScript(id) {
+    await this.executeQuery('DELETE FROM scripts WHERE id = ?', [id]);
+  }
+
+  async getScript(id) {
+    const row = await this.getRow('SELECT * FROM scripts WHERE id = ?', [id]);
+    return row ? this.parseScriptRow(row) : null;
+  }
+
+  async getRecentScripts(limit = 20, { channelId = null, offset = 0 } = {}) {
+    const rows = await this.getAllRows(
+      `SELECT id, strategy_id, channel_id, title, duration, tone, pacing, keywords, format, created_at FROM scripts
+       WHERE ? IS NULL OR channel_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [channelId, channelId, limit, offset]
+    );
+
+    return rows.map(row => ({
+      ...row,
+      keywords: JSON.parse(row.keywords || '[]')
+    }));
+  }
+
   // Thumbnail methods
   async saveThumbnail(thumbnail) {
     const id = this.generateId('thumbnail');
     await this.executeQuery(
       `INSERT INTO thumbnails (
-        id, path, concept, prompt, dimensions, file_size
-      ) VALUES (?, ?, ?, ?, ?, ?)`,
+        id, script_id, path, concept, prompt, dimensions, file_size
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
+        thumbnail.scriptId || null,
         thumbnail.path,
         JSON.stringify(thumbnail.concept),
         thumbnail.prompt,
@@ -289,16 +276,59 @@ class Database {
     return id;
   }
 
+  async getRecentThumbnails(limit = 20, { offset = 0 } = {}) {
+    const rows = await this.getAllRows(
+      'SELECT * FROM thumbnails ORDER BY created_at DESC LIMIT ? OFFSET ?',
+      [limit, offset]
+    );
+
+    return rows.map(row => this.parseThumbnailRow(row));
+  }
+
+  parseThumbnailRow(row) {
+    return {
+      ...row,
+      scriptId: row.script_id,
+      concept: JSON.parse(row.concept || '{}'),
+      dimensions: JSON.parse(row.dimensions || '{}'),
+      fileSize: row.file_size,
+      createdAt: row.created_at
+    };
+  }
+
+  async getThumbnail(id) {
+    const row = await this.getRow('SELECT * FROM thumbnails WHERE id = ?', [id]);
+    return row ? this.parseThumbnailRow(row) : null;
+  }
+
+  async updateThumbnail(thumbnail) {
+    await this.executeQuery(
+      'UPDATE thumbnails SET path = ?, concept = ?, prompt = ?, file_size = ? WHERE id = ?',
+      [
+        thumbnail.path,
+        JSON.stringify(thumbnail.concept),
+        thumbnail.prompt,
+        thumbnail.fileSize,
+        thumbnail.id
+      ]
+    );
+  }
+
+  async deleteThumbnail(id) {
+    await this.executeQuery('DELETE FROM thumbnails WHERE id = ?', [id]);
+  }
+
   // SEO methods
   async saveSEOData(seoData) {
     const id = this.generateId('seo');
     await this.executeQuery(
       `INSERT INTO seo_data (
-        id, title, description, tags, hashtags, chapters, 
-        end_screen, seo_score, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        id, script_id, title, description, tags, hashtags, chapters, 
+        end_screen, seo_score, metadata, localizations
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
+        seoData.scriptId || null,
         seoData.title,
         seoData.description,
         JSON.stringify(seoData.tags),
@@ -306,21 +336,80 @@ class Database {
         JSON.stringify(seoData.chapters),
         JSON.stringify(seoData.endScreen),
         seoData.seoScore,
-        JSON.stringify(seoData.metadata)
+        JSON.stringify(seoData.metadata),
+        JSON.stringify(seoData.localizations || {})
       ]
     );
     return id;
   }
 
+  async getRecentSEOData(limit = 20, { offset = 0 } = {}) {
+    const rows = await this.getAllRows(
+      'SELECT * FROM seo_data ORDER BY created_at DESC LIMIT ? OFFSET ?',
+      [limit, offset]
+    );
+
+    return rows.map(row => this.parseSEORow(row));
+  }
+
+  parseSEORow(row) {
+    return {
+      ...row,
+      scriptId: row.script_id,
+      tags: JSON.parse(row.tags || '[]'),
+      hashtags: JSON.parse(row.hashtags || '[]'),
+      chapters: JSON.parse(row.chapters || '[]'),
+      endScreen: JSON.parse(row.end_screen || '{}'),
+      seoScore: row.seo_score,
+      metadata: JSON.parse(row.metadata || '{}'),
+      localizations: JSON.parse(row.localizations || '{}'),
+      createdAt: row.created_at
+    };
+  }
+
+  async getSEOData(id) {
+    const row = await this.getRow('SELECT * FROM seo_data WHERE id = ?', [id]);
+    return row ? this.parseSEORow(row) : null;
+  }
+
+  async updateSEOData(seoData) {
+    await this.executeQuery(
+      `UPDATE seo_data SET 
+        title = ?, description = ?, tags = ?, hashtags = ?, chapters = ?,
+        end_screen = ?, metadata = ?, localizations = ?
+      WHERE id = ?`,
+      [
+        seoData.title,
+        seoData.description,
+        JSON.stringify(seoData.tags),
+        JSON.stringify(seoData.hashtags),
+        JSON.stringify(seoData.chapters),
+        JSON.stringify(seoData.endScreen),
+        JSON.stringify(seoData.metadata),
+        JSON.stringify(seoData.localizations || {}),
+        seoData.id
+      ]
+    );
+  }
+
+  async deleteSEOData(id) {
+    await this.executeQuery('DELETE FROM seo_data WHERE id = ?', [id]);
+  }
+
   // Production methods
   async saveProductionData(production) {
     await this.executeQuery(
       `INSERT INTO productions (
-        id, status, assets, timeline, scheduled_publish_time, 
-        priority, estimated_duration
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        id, channel_id, strategy_id, script_id, thumbnail_id, seo_id, status, assets, timeline,
+        scheduled_publish_time, priority, estimated_duration
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         production.id,
+        production.channelId || DEFAULT_CHANNEL_ID,
+        production.strategy?.id || null,
+        production.script?.id || null,
+        production.thumbnail?.id || null,
+        production.seo?.id || null,
         production.status,
         JSON.stringify(production.assets),
         JSON.stringify(production.timeline),
@@ -332,10 +421,14 @@ class Database {
   }
 
   async updateProductionData(production) {
+    const video = production.assets?.finalVideo?.verified ? production.assets.finalVideo : {};
+
     await this.executeQuery(
       `UPDATE productions SET 
         status = ?, assets = ?, timeline = ?, 
-        scheduled_publish_time = ?, priority = ?
+        scheduled_publish_time = ?, priority = ?,
+        video_path = ?, video_duration = ?, video_codec = ?,
+        video_resolution = ?, video_verified_at = ?
       WHERE id = ?`,
       [
         production.status,
@@ -343,22 +436,187 @@ class Database {
         JSON.stringify(production.timeline),
         production.scheduledPublishTime,
         production.priority,
+        video.path || null,
+        video.duration || null,
+        video.videoCodec || null,
+        video.resolution || null,
+        video.verifiedAt || null,
         production.id
       ]
     );
   }
 
-  async getProductionPipeline() {
+  async getProductionPipeline(channelId = null) {
     const rows = await this.getAllRows(
-      'SELECT * FROM productions ORDER BY priority DESC, created_at ASC'
+      'SELECT * FROM productions WHERE ? IS NULL OR channel_id = ? ORDER BY priority DESC, created_at ASC',
+      [channelId, channelId]
     );
-    return rows.map(row => ({
+    return rows.map(row => this.parseProductionRow(row));
+  }
+
+  // Productions built from a strategy, script, thumbnail or SEO row; column is one of the *_id columns
+  async getProductionsUsing(column, id) {
+    if (!['strategy_id', 'script_id', 'thumbnail_id', 'seo_id'].includes(column)) {
+      throw new Error(`Not a production content column: ${column}`);
+    }
+
+    const rows = await this.getAllRows(`SELECT * FROM productions WHERE ${column} = ? ORDER BY created_at ASC`, [id]);
+    return rows.map(row => this.parseProductionRow(row));
+  }
+
+  async getProduction(id) {
+    const row = await this.getRow('SELECT * FROM productions WHERE id = ?', [id]);
+    return row ? this.parseProductionRow(row) : null;
+  }
+
+  parseProductionRow(row) {
+    return {
       ...row,
       assets: JSON.parse(row.assets || '{}'),
-      timeline: JSON.parse(row.timeline || '{}')
+      timeline: JSON.parse(row.timeline || '{}'),
+      channelId: row.channel_id,
+      strategyId: row.strategy_id,
+      scriptId: row.script_id,
+      thumbnailId: row.thumbnail_id,
+      seoId: row.seo_id,
+      scheduledPublishTime: row.scheduled_publish_time,
+      estimatedDuration: row.estimated_duration,
+      reviewStatus: row.review_status,
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at
+    };
+  }
+
+  // Review methods
+  // Only moves the production if it is still in fromStatus; returns false when another review got there first
+  async updateReviewStatus(productionId, fromStatus, toStatus) {
+    const result = await this.executeQuery(
+      `UPDATE productions SET review_status = ?, reviewed_at = datetime('now')
+       WHERE id = ? AND review_status = ?`,
+      [toStatus, productionId, fromStatus]
+    );
+    return result.changes > 0;
+  }
+
+  async saveProductionReview(review) {
+    const result = await this.executeQuery(
+      `INSERT INTO production_reviews (
+        production_id, action, from_status, to_status, reviewer, comment
+      ) VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        review.productionId,
+        review.action,
+        review.fromStatus,
+        review.toStatus,
+        review.reviewer || null,
+        review.comment || null
+      ]
+    );
+    return result.lastID;
+  }
+
+  async getProductionReviews(productionId) {
+    const rows = await this.getAllRows(
+      'SELECT * FROM production_reviews WHERE production_id = ? ORDER BY created_at ASC, id ASC',
+      [productionId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      productionId: row.production_id,
+      action: row.action,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      reviewer: row.reviewer,
+      comment: row.comment,
+      createdAt: row.created_at
+    }));
+  }
+
+  // Productions in the given review states, with the title and time they are scheduled under
+  async getReviewQueue({ statuses = ['in_review', 'approved'], channelId = null } = {}) {
+    const rows = await this.getAllRows(
+      `SELECT p.id, p.channel_id, p.status, p.review_status, p.reviewed_at, p.priority, p.created_at,
+        ps.title, ps.publish_time, ps.status AS schedule_status
+       FROM productions p
+       LEFT JOIN publish_schedule ps ON ps.production_id = p.id
+       WHERE p.review_status IN (${statuses.map(() => '?').join(', ')})
+         AND (? IS NULL OR p.channel_id = ?)
+       ORDER BY ps.publish_time ASC, p.created_at ASC`,
+      [...statuses, channelId, channelId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      channelId: row.channel_id,
+      title: row.title,
+      status: row.status,
+      reviewStatus: row.review_status,
+      reviewedAt: row.reviewed_at,
+      priority: row.priority,
+      publishTime: row.publish_time,
+      scheduleStatus: row.schedule_status,
+      createdAt: row.created_at
     }));
   }
 
+  // Revision methods; the next revision number is taken in the insert so two writers cannot share one
+  async saveContentRevision(revision) {
+    const result = await this.executeQuery(
+      `INSERT INTO content_revisions (
+        content_type, content_id, revision, author, author_type, reason, changed_fields, snapshot
+      ) SELECT ?, ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?, ?
+        FROM content_revisions WHERE content_type = ? AND content_id = ?`,
+      [
+        revision.contentType,
+        revision.contentId,
+        revision.author,
+        revision.authorType,
+        revision.reason || null,
+        JSON.stringify(revision.changedFields || []),
+        JSON.stringify(revision.snapshot),
+        revision.contentType,
+        revision.contentId
+      ]
+    );
+
+    const row = await this.getRow('SELECT * FROM content_revisions WHERE id = ?', [result.lastID]);
+    return this.parseContentRevisionRow(row);
+  }
+
+  async getContentRevisions(contentType, contentId) {
+    const rows = await this.getAllRows(
+      'SELECT * FROM content_revisions WHERE content_type = ? AND content_id = ? ORDER BY revision ASC',
+      [contentType, contentId]
+    );
+    return rows.map(row => this.parseContentRevisionRow(row));
+  }
+
+  // Without a revision number, the latest one
+  async getContentRevision(contentType, contentId, revision = null) {
+    const row = await this.getRow(
+      `SELECT * FROM content_revisions WHERE content_type = ? AND content_id = ?
+       AND (? IS NULL OR revision = ?) ORDER BY revision DESC LIMIT 1`,
+      [contentType, contentId, revision, revision]
+    );
+    return row ? this.parseContentRevisionRow(row) : null;
+  }
+
+  parseContentRevisionRow(row) {
+    return {
+      id: row.id,
+      contentType: row.content_type,
+      contentId: row.content_id,
+      revision: row.revision,
+      author: row.author,
+      authorType: row.author_type,
+      reason: row.reason,
+      changedFields: JSON.parse(row.changed_fields || '[]'),
+      snapshot: JSON.parse(row.snapshot),
+      createdAt: row.created_at
+    };
+  }
+
   // Publishing methods
   async saveScheduleEntry(entry) {
     const id = this.generateId('schedule');
@@ -366,11 +624,12 @@ class Database {
     
     await this.executeQuery(
       `INSERT INTO publish_schedule (
-        id, production_id, title, publish_time, status, 
+        id, channel_id, production_id, title, publish_time, status, 
         priority, metadata
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
+        entry.channelId || DEFAULT_CHANNEL_ID,
         entry.productionId,
         entry.title,
         entry.publishTime,
@@ -400,36 +659,887 @@ class Database {
     );
   }
 
-  async getPublishQueue() {
+  // Fields a user may edit; status, upload and YouTube fields stay with updateScheduleEntry
+  async updateScheduleDetails(entry) {
+    await this.executeQuery(
+      'UPDATE publish_schedule SET title = ?, publish_time = ?, priority = ?, metadata = ? WHERE id = ?',
+      [
+        entry.title,
+        entry.publishTime,
+        entry.priority,
+        JSON.stringify(entry.metadata),
+        entry.id
+      ]
+    );
+  }
+
+  async deleteScheduleEntry(id) {
+    await this.executeQuery('DELETE FROM publish_schedule WHERE id = ?', [id]);
+  }
+
+  async updateUploadProgress(entry) {
+    const upload = entry.upload || {};
+
+    await this.executeQuery(
+      `UPDATE publish_schedule SET 
+        upload_session_uri = ?, upload_status = ?, upload_bytes_sent = ?,
+        upload_bytes_total = ?, upload_attempts = ?, upload_error = ?,
+        upload_updated_at = datetime('now')
+      WHERE id = ?`,
+      [
+        upload.sessionUri || null,
+        upload.status || null,
+        upload.bytesSent || 0,
+        upload.bytesTotal || null,
+        upload.attempts || 0,
+        upload.error || null,
+        entry.id
+      ]
+    );
+  }
+
+  // Scheduled entries of a channel whose upload falls before the given time
+  async countUploadsDue(until, channelId = DEFAULT_CHANNEL_ID) {
+    const row = await this.getRow(
+      `SELECT COUNT(*) as count FROM publish_schedule 
+       WHERE channel_id = ? AND status = 'scheduled' AND datetime(publish_time) <= datetime(?)`,
+      [channelId, until]
+    );
+    return row.count;
+  }
+
+  // Without a channel, the queues of all channels
+  async getPublishQueue(channelId = null) {
     const rows = await this.getAllRows(
       `SELECT * FROM publish_schedule 
-       WHERE status IN ('scheduled', 'paused') 
-       ORDER BY publish_time ASC`
+       WHERE status IN ('scheduled', 'paused') AND (? IS NULL OR channel_id = ?)
+       ORDER BY publish_time ASC`,
+      [channelId, channelId]
     );
     
-    return rows.map(row => ({
-      ...row,
-      metadata: JSON.parse(row.metadata || '{}')
-    }));
+    return rows.map(row => this.parseScheduleRow(row));
   }
 
-  async getUpcomingSchedule(days = 7) {
+  // Entries due in the next few days, plus any upload still in flight
+  async getUpcomingSchedule(days = 7, channelId = null) {
     const endDate = new Date();
     endDate.setDate(endDate.getDate() + days);
     
     const rows = await this.getAllRows(
       `SELECT * FROM publish_schedule 
-       WHERE publish_time BETWEEN datetime('now') AND datetime(?)
+       WHERE (datetime(publish_time) BETWEEN datetime('now') AND datetime(?)
+         OR upload_status IN ('uploading', 'retrying'))
+         AND (? IS NULL OR channel_id = ?)
        ORDER BY publish_time ASC`,
-      [endDate.toISOString()]
+      [endDate.toISOString(), channelId, channelId]
     );
     
-    return rows.map(row => ({
+    return rows.map(row => this.parseScheduleRow(row));
+  }
+
+  // Looks an entry up by its own id or its production id
+  async getScheduleEntry(contentId) {
+    const row = await this.getRow(
+      'SELECT * FROM publish_schedule WHERE id = ? OR production_id = ? ORDER BY created_at DESC',
+      [contentId, contentId]
+    );
+    return row ? this.parseScheduleRow(row) : null;
+  }
+
+  parseScheduleRow(row) {
+    return {
       ...row,
-      metadata: JSON.parse(row.metadata || '{}')
+      channelId: row.channel_id,
+      productionId: row.production_id,
+      publishTime: row.publish_time,
+      youtubeId: row.youtube_id,
+      youtubeUrl: row.youtube_url,
+      publishedAt: row.published_at,
+      error: row.error_message,
+      createdAt: row.created_at,
+      metadata: JSON.parse(row.metadata || '{}'),
+      upload: row.upload_status ? {
+        sessionUri: row.upload_session_uri,
+        status: row.upload_status,
+        bytesSent: row.upload_bytes_sent,
+        bytesTotal: row.upload_bytes_total,
+        percent: row.upload_bytes_total
+          ? Math.floor((row.upload_bytes_sent / row.upload_bytes_total) * 100)
+          : 0,
+        attempts: row.upload_attempts,
+        error: row.upload_error,
+        updatedAt: row.upload_updated_at
+      } : null
+    };
+  }
+
+  // Pipeline methods
+  async savePipelineJob(job) {
+    await this.executeQuery(
+      `INSERT INTO pipeline_jobs (id, triggered_by, status, input) VALUES (?, ?, ?, ?)`,
+      [job.id, job.triggeredBy, job.status, JSON.stringify(job.input || {})]
+    );
+  }
+
+  async updatePipelineJob(job) {
+    await this.executeQuery(
+      `UPDATE pipeline_jobs SET 
+        status = ?, current_stage = ?, result = ?, error_message = ?,
+        completed_at = ?, updated_at = datetime('now')
+      WHERE id = ?`,
+      [
+        job.status,
+        job.currentStage || null,
+        job.result ? JSON.stringify(job.result) : null,
+        job.error || null,
+        job.completedAt || null,
+        job.id
+      ]
+    );
+  }
+
+  parsePipelineJobRow(row) {
+    return {
+      id: row.id,
+      triggeredBy: row.triggered_by,
+      status: row.status,
+      input: JSON.parse(row.input || '{}'),
+      currentStage: row.current_stage,
+      result: JSON.parse(row.result || 'null'),
+      error: row.error_message,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  async getPipelineJob(id) {
+    const row = await this.getRow('SELECT * FROM pipeline_jobs WHERE id = ?', [id]);
+    return row ? this.parsePipelineJobRow(row) : null;
+  }
+
+  // Jobs started before channels existed have no channelId in their input and belong to the default channel
+  async getPipelineJobs({ status = null, channelId = null, limit = 50 } = {}) {
+    const rows = await this.getAllRows(
+      `SELECT * FROM pipeline_jobs
+       WHERE (? IS NULL OR status = ?)
+         AND (? IS NULL OR COALESCE(json_extract(input, '$.channelId'), ?) = ?)
+       ORDER BY created_at DESC LIMIT ?`,
+      [status, status, channelId, DEFAULT_CHANNEL_ID, channelId, limit]
+    );
+
+    return rows.map(row => this.parsePipelineJobRow(row));
+  }
+
+  async getInterruptedPipelineJobs() {
+    const rows = await this.getAllRows(
+      `SELECT * FROM pipeline_jobs 
+       WHERE status IN ('pending', 'running') 
+       ORDER BY created_at ASC`
+    );
+    return rows.map(row => this.parsePipelineJobRow(row));
+  }
+
+  async savePipelineStep(step) {
+    await this.executeQuery(
+      `INSERT INTO pipeline_steps (
+        id, job_id, stage, position, status, input, max_attempts
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        step.id,
+        step.jobId,
+        step.stage,
+        step.position,
+        step.status,
+        JSON.stringify(step.input || {}),
+        step.maxAttempts
+      ]
+    );
+  }
+
+  async updatePipelineStep(step) {
+    await this.executeQuery(
+      `UPDATE pipeline_steps SET 
+        status = ?, input = ?, output = ?, attempts = ?, error_message = ?,
+        started_at = ?, completed_at = ?
+      WHERE id = ?`,
+      [
+        step.status,
+        JSON.stringify(step.input || {}),
+        step.output === undefined || step.output === null ? null : JSON.stringify(step.output),
+        step.attempts,
+        step.error || null,
+        step.startedAt || null,
+        step.completedAt || null,
+        step.id
+      ]
+    );
+  }
+
+  async getPipelineSteps(jobId) {
+    const rows = await this.getAllRows(
+      'SELECT * FROM pipeline_steps WHERE job_id = ? ORDER BY position ASC',
+      [jobId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      jobId: row.job_id,
+      stage: row.stage,
+      position: row.position,
+      status: row.status,
+      input: JSON.parse(row.input || '{}'),
+      output: JSON.parse(row.output || 'null'),
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      error: row.error_message,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
     }));
   }
 
+  // Automation event methods
+  async saveAutomationEvent(event) {
+    const result = await this.executeQuery(
+      `INSERT INTO automation_events (
+        task, status, duration_ms, content_id, error_message, error_stack, data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        event.task,
+        event.status,
+        event.durationMs ?? null,
+        event.contentId || null,
+        event.error ? event.error.message || String(event.error) : null,
+        event.error ? event.error.stack || null : null,
+        JSON.stringify(event.data || {})
+      ]
+    );
+    return result.lastID;
+  }
+
+  async getAutomationEvents({ task = null, status = null, from = null, to = null, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (task) {
+      conditions.push('task = ?');
+      params.push(task);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (from) {
+      conditions.push('created_at >= datetime(?)');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at < datetime(?)');
+      params.push(to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [rows, countRow] = await Promise.all([
+      this.getAllRows(
+        `SELECT * FROM automation_events ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      ),
+      this.getRow(`SELECT COUNT(*) as count FROM automation_events ${where}`, params)
+    ]);
+
+    return {
+      total: countRow.count,
+      events: rows.map(row => ({
+        id: row.id,
+        task: row.task,
+        status: row.status,
+        durationMs: row.duration_ms,
+        contentId: row.content_id,
+        errorMessage: row.error_message,
+        errorStack: row.error_stack,
+        data: JSON.parse(row.data || '{}'),
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  async getAutomationEventTasks() {
+    return this.getAllRows(
+      `SELECT task, COUNT(*) as total,
+        SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as errors,
+        MAX(created_at) as last_run
+       FROM automation_events GROUP BY task ORDER BY task`
+    );
+  }
+
+  // Quota methods
+  async recordQuotaUsage(date, method, { calls = 0, units = 0, deferred = 0 }, channelId = DEFAULT_CHANNEL_ID) {
+    await this.executeQuery(
+      `INSERT INTO quota_usage (channel_id, date, method, calls, units, deferred, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+       ON CONFLICT (channel_id, date, method) DO UPDATE SET
+         calls = calls + excluded.calls,
+         units = units + excluded.units,
+         deferred = deferred + excluded.deferred,
+         updated_at = excluded.updated_at`,
+      [channelId, date, method, calls, units, deferred]
+    );
+  }
+
+  async getQuotaUsage(date, channelId = DEFAULT_CHANNEL_ID) {
+    return this.getAllRows(
+      `SELECT method, calls, units, deferred FROM quota_usage
+       WHERE channel_id = ? AND date = ? ORDER BY units DESC, method ASC`,
+      [channelId, date]
+    );
+  }
+
+  // Channel methods
+  async saveChannel(channel) {
+    await this.executeQuery(
+      `INSERT INTO channels (
+        id, name, youtube_channel_id, niche, competitors, cadence, voice, localization, quota_limit, enabled
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        channel.id,
+        channel.name,
+        channel.youtubeChannelId || null,
+        channel.niche || null,
+        JSON.stringify(channel.competitors || []),
+        JSON.stringify(channel.cadence || {}),
+        JSON.stringify(channel.voice || {}),
+        JSON.stringify(channel.localization || {}),
+        channel.quotaLimit || null,
+        channel.enabled === false ? 0 : 1
+      ]
+    );
+    return channel.id;
+  }
+
+  async updateChannel(channel) {
+    await this.executeQuery(
+      `UPDATE channels SET 
+        name = ?, youtube_channel_id = ?, niche = ?, competitors = ?, cadence = ?,
+        voice = ?, localization = ?, quota_limit = ?, enabled = ?, last_generated_at = ?, updated_at = datetime('now')
+      WHERE id = ?`,
+      [
+        channel.name,
+        channel.youtubeChannelId || null,
+        channel.niche || null,
+        JSON.stringify(channel.competitors || []),
+        JSON.stringify(channel.cadence || {}),
+        JSON.stringify(channel.voice || {}),
+        JSON.stringify(channel.localization || {}),
+        channel.quotaLimit || null,
+        channel.enabled === false ? 0 : 1,
+        channel.lastGeneratedAt || null,
+        channel.id
+      ]
+    );
+  }
+
+  async getChannel(id) {
+    const row = await this.getRow('SELECT * FROM channels WHERE id = ?', [id]);
+    return row ? this.parseChannelRow(row) : null;
+  }
+
+  // The default channel always comes first
+  async getChannels() {
+    const rows = await this.getAllRows(
+      `SELECT * FROM channels ORDER BY id = ? DESC, created_at ASC, id ASC`,
+      [DEFAULT_CHANNEL_ID]
+    );
+    return rows.map(row => this.parseChannelRow(row));
+  }
+
+  async deleteChannel(id) {
+    await this.executeQuery('DELETE FROM channels WHERE id = ?', [id]);
+  }
+
+  parseChannelRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      youtubeChannelId: row.youtube_channel_id,
+      niche: row.niche,
+      competitors: JSON.parse(row.competitors || '[]'),
+      cadence: JSON.parse(row.cadence || '{}'),
+      voice: JSON.parse(row.voice || '{}'),
+      localization: JSON.parse(row.localization || '{}'),
+      quotaLimit: row.quota_limit,
+      enabled: row.enabled === 1,
+      lastGeneratedAt: row.last_generated_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // User methods; password, token and session hashes never leave the auth manager
+  async saveUser(user) {
+    const id = this.generateId('user');
+    await this.executeQuery(
+      'INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, ?, ?)',
+      [id, user.username, user.passwordHash, user.role]
+    );
+    return id;
+  }
+
+  async updateUser(user) {
+    await this.executeQuery(
+      'UPDATE users SET password_hash = ?, role = ?, disabled = ? WHERE id = ?',
+      [user.passwordHash, user.role, user.disabled ? 1 : 0, user.id]
+    );
+  }
+
+  async recordLogin(userId) {
+    await this.executeQuery(`UPDATE users SET last_login_at = datetime('now') WHERE id = ?`, [userId]);
+  }
+
+  async getUser(id) {
+    const row = await this.getRow('SELECT * FROM users WHERE id = ?', [id]);
+    return row ? this.parseUserRow(row) : null;
+  }
+
+  async getUserByUsername(username) {
+    const row = await this.getRow('SELECT * FROM users WHERE username = ?', [username]);
+    return row ? this.parseUserRow(row) : null;
+  }
+
+  async getUsers() {
+    const rows = await this.getAllRows('SELECT * FROM users ORDER BY username ASC');
+    return rows.map(row => this.parseUserRow(row));
+  }
+
+  async countUsers() {
+    const row = await this.getRow('SELECT COUNT(*) as count FROM users');
+    return row.count;
+  }
+
+  parseUserRow(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      passwordHash: row.password_hash,
+      role: row.role,
+      disabled: row.disabled === 1,
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at
+    };
+  }
+
+  async saveSession(session) {
+    await this.executeQuery(
+      'INSERT INTO sessions (id_hash, user_id, csrf_token, expires_at) VALUES (?, ?, ?, ?)',
+      [session.idHash, session.userId, session.csrfToken, session.expiresAt]
+    );
+  }
+
+  // Unexpired sessions only
+  async getSession(idHash) {
+    const row = await this.getRow(
+      `SELECT * FROM sessions WHERE id_hash = ? AND datetime(expires_at) > datetime('now')`,
+      [idHash]
+    );
+    return row ? {
+      idHash: row.id_hash,
+      userId: row.user_id,
+      csrfToken: row.csrf_token,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    } : null;
+  }
+
+  async deleteSession(idHash) {
+    await this.executeQuery('DELETE FROM sessions WHERE id_hash = ?', [idHash]);
+  }
+
+  async deleteUserSessions(userId) {
+    await this.executeQuery('DELETE FROM sessions WHERE user_id = ?', [userId]);
+  }
+
+  async deleteExpiredSessions() {
+    const result = await this.executeQuery(`DELETE FROM sessions WHERE datetime(expires_at) <= datetime('now')`);
+    return result.changes;
+  }
+
+  async saveApiToken(token) {
+    const id = this.generateId('token');
+    await this.executeQuery(
+      'INSERT INTO api_tokens (id, user_id, name, token_hash) VALUES (?, ?, ?, ?)',
+      [id, token.userId, token.name, token.tokenHash]
+    );
+    return id;
+  }
+
+  // Tokens that have not been revoked
+  async getApiTokenByHash(tokenHash) {
+    const row = await this.getRow(
+      'SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL',
+      [tokenHash]
+    );
+    return row ? this.parseApiTokenRow(row) : null;
+  }
+
+  async getApiToken(id) {
+    const row = await this.getRow('SELECT * FROM api_tokens WHERE id = ?', [id]);
+    return row ? this.parseApiTokenRow(row) : null;
+  }
+
+  async getApiTokens(userId) {
+    const rows = await this.getAllRows(
+      'SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+    return rows.map(row => this.parseApiTokenRow(row));
+  }
+
+  async touchApiToken(id) {
+    await this.executeQuery(`UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?`, [id]);
+  }
+
+  async revokeApiToken(id) {
+    await this.executeQuery(`UPDATE api_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL`, [id]);
+  }
+
+  parseApiTokenRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+
+  async saveAuditEvent(event) {
+    const result = await this.executeQuery(
+      'INSERT INTO audit_log (user_id, actor, action, target, details, ip) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        event.userId || null,
+        event.actor,
+        event.action,
+        event.target || null,
+        event.details ? JSON.stringify(event.details) : null,
+        event.ip || null
+      ]
+    );
+    return result.lastID;
+  }
+
+  async getAuditEvents({ action = null, actor = null, target = null, limit = 100, offset = 0 } = {}) {
+    const rows = await this.getAllRows(
+      `SELECT * FROM audit_log
+       WHERE (? IS NULL OR action = ?) AND (? IS NULL OR actor = ?) AND (? IS NULL OR target = ?)
+       ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [action, action, actor, actor, target, target, limit, offset]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      actor: row.actor,
+      action: row.action,
+      target: row.target,
+      details: JSON.parse(row.details || 'null'),
+      ip: row.ip,
+      createdAt: row.created_at
+    }));
+  }
+
+  // Failed logins; created_at is an ISO timestamp so the login backoff compares it directly
+  async saveLoginFailure({ username, ip = null }) {
+    await this.executeQuery(
+      'INSERT INTO login_failures (username, ip, created_at) VALUES (?, ?, ?)',
+      [username, ip, new Date().toISOString()]
+    );
+  }
+
+  // Failures for a username or from an address since a time, and when the last one happened
+  async getLoginFailures({ username = null, ip = null, since }) {
+    const row = await this.getRow(
+      `SELECT COUNT(*) AS count, MAX(created_at) AS last_at FROM login_failures
+       WHERE created_at >= ? AND (? IS NULL OR username = ?) AND (? IS NULL OR ip = ?)`,
+      [since, username, username, ip, ip]
+    );
+    return { count: row.count, lastAt: row.last_at };
+  }
+
+  async clearLoginFailures(username) {
+    await this.executeQuery('DELETE FROM login_failures WHERE username = ?', [username]);
+  }
+
+  async deleteExpiredLoginFailures(before) {
+    const result = await this.executeQuery('DELETE FROM login_failures WHERE created_at < ?', [before]);
+    return result.changes;
+  }
+
+  // Notification methods; created_at is an ISO timestamp so rate limits compare it directly
+  async saveNotificationDelivery(delivery) {
+    await this.executeQuery(
+      `INSERT INTO notification_deliveries (target_id, event, dedupe_key, status, title, error, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        delivery.targetId,
+        delivery.event,
+        delivery.key || null,
+        delivery.status,
+        delivery.title || null,
+        delivery.error || null,
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  // Sent notifications since a time, optionally only for one event and dedupe key
+  async countNotificationDeliveries({ targetId, event = null, key = null, since }) {
+    const row = await this.getRow(
+      `SELECT COUNT(*) AS count FROM notification_deliveries
+       WHERE target_id = ? AND status = 'sent' AND created_at >= ?
+       AND (? IS NULL OR event = ?) AND (? IS NULL OR dedupe_key = ?)`,
+      [targetId, since, event, event, key, key]
+    );
+    return row.count;
+  }
+
+  async getNotificationDeliveries({ targetId = null, event = null, status = null, limit = 100 } = {}) {
+    const rows = await this.getAllRows(
+      `SELECT * FROM notification_deliveries
+       WHERE (? IS NULL OR target_id = ?) AND (? IS NULL OR event = ?) AND (? IS NULL OR status = ?)
+       ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [targetId, targetId, event, event, status, status, limit]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      targetId: row.target_id,
+      event: row.event,
+      key: row.dedupe_key,
+      status: row.status,
+      title: row.title,
+      error: row.error,
+      createdAt: row.created_at
+    }));
+  }
+
+  // Calendar methods; slot_date is a local YYYY-MM-DD date, so ranges compare as strings
+  async saveCalendarSlot(slot) {
+    slot.id = this.generateId('slot');
+
+    await this.executeQuery(
+      `INSERT INTO calendar_slots (
+        id, channel_id, slot_date, publish_time, produce_by, topic, category,
+        content_type, series, estimated_views, sources, locked
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        slot.id,
+        slot.channelId || DEFAULT_CHANNEL_ID,
+        slot.date,
+        slot.publishTime,
+        slot.produceBy,
+        slot.topic || null,
+        slot.category || null,
+        slot.contentType || null,
+        slot.series || null,
+        slot.estimatedViews || 0,
+        JSON.stringify(slot.sources || []),
+        slot.locked ? 1 : 0
+      ]
+    );
+
+    return slot;
+  }
+
+  async updateCalendarSlot(slot) {
+    await this.executeQuery(
+      `UPDATE calendar_slots SET slot_date = ?, publish_time = ?, produce_by = ?, locked = ?,
+        updated_at = datetime('now') WHERE id = ?`,
+      [slot.date, slot.publishTime, slot.produceBy, slot.locked ? 1 : 0, slot.id]
+    );
+  }
+
+  async getCalendarSlot(id) {
+    const row = await this.getRow('SELECT * FROM calendar_slots WHERE id = ?', [id]);
+    return row ? this.parseCalendarSlotRow(row) : null;
+  }
+
+  // Slots of a channel between two dates, both included; either bound may be left open
+  async getCalendarSlots({ channelId = DEFAULT_CHANNEL_ID, from = null, to = null } = {}) {
+    const rows = await this.getAllRows(
+      `SELECT * FROM calendar_slots
+       WHERE channel_id = ? AND (? IS NULL OR slot_date >= ?) AND (? IS NULL OR slot_date <= ?)
+       ORDER BY slot_date ASC, publish_time ASC`,
+      [channelId, from, from, to, to]
+    );
+    return rows.map(row => this.parseCalendarSlotRow(row));
+  }
+
+  // A replan replaces the slots it planned itself and keeps the locked ones
+  async deleteUnlockedCalendarSlots(channelId, from, to) {
+    await this.executeQuery(
+      'DELETE FROM calendar_slots WHERE channel_id = ? AND locked = 0 AND slot_date >= ? AND slot_date <= ?',
+      [channelId, from, to]
+    );
+  }
+
+  parseCalendarSlotRow(row) {
+    return {
+      id: row.id,
+      channelId: row.channel_id,
+      date: row.slot_date,
+      publishTime: row.publish_time,
+      produceBy: row.produce_by,
+      topic: row.topic,
+      category: row.category,
+      contentType: row.content_type,
+      series: row.series,
+      estimatedViews: row.estimated_views,
+      sources: JSON.parse(row.sources || '[]'),
+      locked: Boolean(row.locked),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Series methods
+  async saveSeries(series) {
+    series.id = this.generateId('series');
+
+    await this.executeQuery(
+      `INSERT INTO series (
+        id, channel_id, name, description, playlist_id, intro, outro, thumbnail_style, schedule, content_type
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        series.id,
+        series.channelId || DEFAULT_CHANNEL_ID,
+        series.name,
+        series.description || null,
+        series.playlistId || null,
+        series.intro || null,
+        series.outro || null,
+        JSON.stringify(series.thumbnailStyle || {}),
+        series.schedule ? JSON.stringify(series.schedule) : null,
+        series.contentType || null
+      ]
+    );
+
+    return series;
+  }
+
+  async updateSeries(series) {
+    await this.executeQuery(
+      `UPDATE series SET
+        name = ?, description = ?, playlist_id = ?, intro = ?, outro = ?, thumbnail_style = ?,
+        schedule = ?, content_type = ?, updated_at = datetime('now')
+      WHERE id = ?`,
+      [
+        series.name,
+        series.description || null,
+        series.playlistId || null,
+        series.intro || null,
+        series.outro || null,
+        JSON.stringify(series.thumbnailStyle || {}),
+        series.schedule ? JSON.stringify(series.schedule) : null,
+        series.contentType || null,
+        series.id
+      ]
+    );
+  }
+
+  async getSeries(id) {
+    const row = await this.getRow('SELECT * FROM series WHERE id = ?', [id]);
+    return row ? this.parseSeriesRow(row) : null;
+  }
+
+  async getSeriesByName(channelId, name) {
+    const row = await this.getRow('SELECT * FROM series WHERE channel_id = ? AND name = ?', [channelId, name]);
+    return row ? this.parseSeriesRow(row) : null;
+  }
+
+  async getChannelSeries(channelId = DEFAULT_CHANNEL_ID) {
+    const rows = await this.getAllRows(
+      'SELECT * FROM series WHERE channel_id = ? ORDER BY created_at ASC, name ASC',
+      [channelId]
+    );
+    return rows.map(row => this.parseSeriesRow(row));
+  }
+
+  async deleteSeries(id) {
+    await this.executeQuery('DELETE FROM series_episodes WHERE series_id = ?', [id]);
+    await this.executeQuery('DELETE FROM series WHERE id = ?', [id]);
+  }
+
+  parseSeriesRow(row) {
+    return {
+      id: row.id,
+      channelId: row.channel_id,
+      name: row.name,
+      description: row.description,
+      playlistId: row.playlist_id,
+      intro: row.intro,
+      outro: row.outro,
+      thumbnailStyle: JSON.parse(row.thumbnail_style || '{}'),
+      schedule: JSON.parse(row.schedule || 'null'),
+      contentType: row.content_type,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // The episode number is taken in the insert itself, so two pipelines never share one
+  async saveSeriesEpisode(episode) {
+    const id = this.generateId('episode');
+
+    await this.executeQuery(
+      `INSERT INTO series_episodes (id, series_id, episode_number, strategy_id)
+       SELECT ?, ?, COALESCE(MAX(episode_number), 0) + 1, ? FROM series_episodes WHERE series_id = ?`,
+      [id, episode.seriesId, episode.strategyId || null, episode.seriesId]
+    );
+
+    return this.getSeriesEpisode(id);
+  }
+
+  async updateSeriesEpisode(episode) {
+    await this.executeQuery(
+      `UPDATE series_episodes SET youtube_id = ?, playlist_item_id = ?, snippet = ?, published_at = ?
+       WHERE id = ?`,
+      [
+        episode.youtubeId || null,
+        episode.playlistItemId || null,
+        episode.snippet ? JSON.stringify(episode.snippet) : null,
+        episode.publishedAt || null,
+        episode.id
+      ]
+    );
+  }
+
+  async getSeriesEpisode(id) {
+    const row = await this.getRow('SELECT * FROM series_episodes WHERE id = ?', [id]);
+    return row ? this.parseSeriesEpisodeRow(row) : null;
+  }
+
+  async getSeriesEpisodes(seriesId) {
+    const rows = await this.getAllRows(
+      'SELECT * FROM series_episodes WHERE series_id = ? ORDER BY episode_number ASC',
+      [seriesId]
+    );
+    return rows.map(row => this.parseSeriesEpisodeRow(row));
+  }
+
+  parseSeriesEpisodeRow(row) {
+    return {
+      id: row.id,
+      seriesId: row.series_id,
+      episode: row.episode_number,
+      strategyId: row.strategy_id,
+      youtubeId: row.youtube_id,
+      playlistItemId: row.playlist_item_id,
+      snippet: JSON.parse(row.snippet || 'null'),
+      publishedAt: row.published_at,
+      createdAt: row.created_at
+    };
+  }
+
   // Analytics methods
   async saveAnalyticsReport(report) {
     const id = this.generateId('analytics');
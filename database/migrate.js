@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+const chalk = require('chalk');
+const { Database } = require('./db');
+const { Migrator } = require('./migrator');
+
+const USAGE = `Usage: node database/migrate.js <command> [options]
+
+Commands:
+  status              Show applied and pending migrations
+  up [version]        Apply pending migrations, optionally only up to a version
+  down [steps]        Roll back the last applied migration(s), default 1
+
+Options:
+  --db <path>         Database file (default: data/youtube_automation.db)`;
+
+function parseArgs(argv) {
+  const args = [...argv];
+  let dbPath = null;
+
+  const dbIndex = args.indexOf('--db');
+  if (dbIndex !== -1) {
+    dbPath = args[dbIndex + 1];
+    args.splice(dbIndex, 2);
+  }
+
+  return { command: args[0] || 'status', value: args[1], dbPath };
+}
+
+async function printStatus(migrator) {
+  const status = await migrator.status();
+  console.log(chalk.cyan.bold(`\nSchema version: ${await migrator.getCurrentVersion()}`));
+
+  for (const migration of status) {
+    const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    if (migration.applied) {
+      console.log(chalk.green(`  ✓ ${label}`) + chalk.gray(`  (${migration.appliedAt})`));
+    } else {
+      console.log(chalk.yellow(`  • ${label}  pending`));
+    }
+  }
+}
+
+async function main() {
+  const { command, value, dbPath } = parseArgs(process.argv.slice(2));
+
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.log(USAGE);
+    process.exit(command === 'help' || command === '--help' ? 0 : 1);
+  }
+
+  // Connect without Database.initialize so status and down do not apply pending migrations
+  const db = new Database(dbPath);
+  await db.connect();
+  const migrator = new Migrator(db);
+
+  try {
+    if (command === 'up') {
+      const target = value ? parseInt(value, 10) : Infinity;
+      const applied = await migrator.migrate(target);
+      console.log(applied.length > 0
+        ? chalk.green(`Applied ${applied.length} migration(s)`)
+        : chalk.gray('Schema is up to date'));
+    } else if (command === 'down') {
+      const steps = value ? parseInt(value, 10) : 1;
+      const reverted = await migrator.rollback(steps);
+      console.log(chalk.green(`Rolled back ${reverted.length} migration(s)`));
+    }
+
+    await printStatus(migrator);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red(`\n❌ ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+// Tables from the original createTables schema; IF NOT EXISTS lets existing installs adopt migrations
+module.exports = {
+  version: 1,
+  name: 'initial_schema',
+
+  async up(db) {
+    const tables = [
+      // Content Strategy
+      `CREATE TABLE IF NOT EXISTS content_strategies (
+        id TEXT PRIMARY KEY,
+        topic TEXT NOT NULL,
+        angle TEXT NOT NULL,
+        target_audience TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        keywords TEXT NOT NULL,
+        estimated_views INTEGER DEFAULT 0,
+        best_publish_time TEXT,
+        competitor_analysis TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Scripts
+      `CREATE TABLE IF NOT EXISTS scripts (
+        id TEXT PRIMARY KEY,
+        strategy_id TEXT,
+        title TEXT NOT NULL,
+        hook TEXT,
+        introduction TEXT,
+        main_content TEXT NOT NULL,
+        conclusion TEXT,
+        call_to_action TEXT,
+        full_script TEXT,
+        duration TEXT,
+        tone TEXT,
+        pacing TEXT,
+        keywords TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (strategy_id) REFERENCES content_strategies(id)
+      )`,
+
+      // Thumbnails
+      `CREATE TABLE IF NOT EXISTS thumbnails (
+        id TEXT PRIMARY KEY,
+        script_id TEXT,
+        path TEXT NOT NULL,
+        concept TEXT,
+        prompt TEXT,
+        dimensions TEXT,
+        file_size INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (script_id) REFERENCES scripts(id)
+      )`,
+
+      // SEO Data
+      `CREATE TABLE IF NOT EXISTS seo_data (
+        id TEXT PRIMARY KEY,
+        script_id TEXT,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        tags TEXT NOT NULL,
+        hashtags TEXT,
+        chapters TEXT,
+        end_screen TEXT,
+        seo_score INTEGER DEFAULT 0,
+        metadata TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (script_id) REFERENCES scripts(id)
+      )`,
+
+      // Production Data
+      `CREATE TABLE IF NOT EXISTS productions (
+        id TEXT PRIMARY KEY,
+        strategy_id TEXT,
+        script_id TEXT,
+        thumbnail_id TEXT,
+        seo_id TEXT,
+        status TEXT DEFAULT 'processing',
+        assets TEXT,
+        timeline TEXT,
+        scheduled_publish_time TEXT,
+        priority INTEGER DEFAULT 50,
+        estimated_duration TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (strategy_id) REFERENCES content_strategies(id),
+        FOREIGN KEY (script_id) REFERENCES scripts(id),
+        FOREIGN KEY (thumbnail_id) REFERENCES thumbnails(id),
+        FOREIGN KEY (seo_id) REFERENCES seo_data(id)
+      )`,
+
+      // Publishing Schedule
+      `CREATE TABLE IF NOT EXISTS publish_schedule (
+        id TEXT PRIMARY KEY,
+        production_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        publish_time TEXT NOT NULL,
+        status TEXT DEFAULT 'scheduled',
+        priority INTEGER DEFAULT 50,
+        metadata TEXT,
+        youtube_id TEXT,
+        youtube_url TEXT,
+        published_at TEXT,
+        error_message TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (production_id) REFERENCES productions(id)
+      )`,
+
+      // Analytics Reports
+      `CREATE TABLE IF NOT EXISTS analytics_reports (
+        id TEXT PRIMARY KEY,
+        video_id TEXT NOT NULL,
+        youtube_id TEXT,
+        video_details TEXT,
+        analytics_data TEXT,
+        thumbnail_metrics TEXT,
+        seo_metrics TEXT,
+        insights TEXT,
+        performance_score INTEGER DEFAULT 0,
+        performance_grade TEXT,
+        analyzed_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Keywords Performance
+      `CREATE TABLE IF NOT EXISTS keyword_performance (
+        id TEXT PRIMARY KEY,
+        keyword TEXT NOT NULL UNIQUE,
+        total_uses INTEGER DEFAULT 0,
+        total_views INTEGER DEFAULT 0,
+        average_views INTEGER DEFAULT 0,
+        best_performing_video TEXT,
+        last_used TEXT,
+        performance_score INTEGER DEFAULT 0
+      )`,
+
+      // Content Performance History
+      `CREATE TABLE IF NOT EXISTS content_history (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        topic TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        publish_date TEXT NOT NULL,
+        views INTEGER DEFAULT 0,
+        likes INTEGER DEFAULT 0,
+        comments INTEGER DEFAULT 0,
+        watch_time INTEGER DEFAULT 0,
+        ctr REAL DEFAULT 0,
+        retention_rate REAL DEFAULT 0,
+        performance_score INTEGER DEFAULT 0,
+        youtube_id TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // System Settings
+      `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        description TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`
+    ];
+
+    for (const tableQuery of tables) {
+      await db.executeQuery(tableQuery);
+    }
+  },
+
+  async down(db) {
+    const tables = ['settings', 'content_history', 'keyword_performance', 'analytics_reports', 'publish_schedule', 'productions', 'seo_data', 'thumbnails', 'scripts', 'content_strategies'];
+
+    for (const table of tables) {
+      await db.executeQuery(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,51 @@
+module.exports = {
+  version: 2,
+  name: 'pipeline_jobs',
+
+  async up(db) {
+    const tables = [
+      // Pipeline Jobs
+      `CREATE TABLE IF NOT EXISTS pipeline_jobs (
+        id TEXT PRIMARY KEY,
+        triggered_by TEXT DEFAULT 'manual',
+        status TEXT DEFAULT 'pending',
+        input TEXT,
+        current_stage TEXT,
+        result TEXT,
+        error_message TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        completed_at TEXT
+      )`,
+
+      // Pipeline Steps
+      `CREATE TABLE IF NOT EXISTS pipeline_steps (
+        id TEXT PRIMARY KEY,
+        job_id TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',
+        input TEXT,
+        output TEXT,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 3,
+        error_message TEXT,
+        started_at TEXT,
+        completed_at TEXT,
+        UNIQUE (job_id, stage),
+        FOREIGN KEY (job_id) REFERENCES pipeline_jobs(id)
+      )`
+    ];
+
+    for (const tableQuery of tables) {
+      await db.executeQuery(tableQuery);
+    }
+
+    await db.executeQuery('CREATE INDEX IF NOT EXISTS idx_pipeline_jobs_status ON pipeline_jobs (status)');
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP TABLE IF EXISTS pipeline_steps');
+    await db.executeQuery('DROP TABLE IF EXISTS pipeline_jobs');
+  }
+};
@@ -0,0 +1,23 @@
+// DailyAutomation.logAutomationEvent has always written here, but the table was never created
+module.exports = {
+  version: 3,
+  name: 'automation_events',
+
+  async up(db) {
+    await db.executeQuery(
+      `CREATE TABLE IF NOT EXISTS automation_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+
+    await db.executeQuery('CREATE INDEX IF NOT EXISTS idx_automation_events_created ON automation_events (created_at)');
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP TABLE IF EXISTS automation_events');
+  }
+};
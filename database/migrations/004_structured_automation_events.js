@@ -0,0 +1,25 @@
+// Structured fields so scheduler runs can be filtered and audited without parsing the data blob
+module.exports = {
+  version: 4,
+  name: 'structured_automation_events',
+
+  async up(db) {
+    await db.executeQuery('ALTER TABLE automation_events RENAME COLUMN event_type TO task');
+    await db.executeQuery('ALTER TABLE automation_events ADD COLUMN duration_ms INTEGER');
+    await db.executeQuery('ALTER TABLE automation_events ADD COLUMN content_id TEXT');
+    await db.executeQuery('ALTER TABLE automation_events ADD COLUMN error_message TEXT');
+    await db.executeQuery('ALTER TABLE automation_events ADD COLUMN error_stack TEXT');
+
+    await db.executeQuery('CREATE INDEX IF NOT EXISTS idx_automation_events_task ON automation_events (task, status)');
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP INDEX IF EXISTS idx_automation_events_task');
+
+    await db.executeQuery('ALTER TABLE automation_events DROP COLUMN error_stack');
+    await db.executeQuery('ALTER TABLE automation_events DROP COLUMN error_message');
+    await db.executeQuery('ALTER TABLE automation_events DROP COLUMN content_id');
+    await db.executeQuery('ALTER TABLE automation_events DROP COLUMN duration_ms');
+    await db.executeQuery('ALTER TABLE automation_events RENAME COLUMN task TO event_type');
+  }
+};
@@ -0,0 +1,21 @@
+// ffprobe results for the rendered file, so uploads can check what is actually on disk
+module.exports = {
+  version: 5,
+  name: 'production_render_output',
+
+  async up(db) {
+    await db.executeQuery('ALTER TABLE productions ADD COLUMN video_path TEXT');
+    await db.executeQuery('ALTER TABLE productions ADD COLUMN video_duration REAL');
+    await db.executeQuery('ALTER TABLE productions ADD COLUMN video_codec TEXT');
+    await db.executeQuery('ALTER TABLE productions ADD COLUMN video_resolution TEXT');
+    await db.executeQuery('ALTER TABLE productions ADD COLUMN video_verified_at TEXT');
+  },
+
+  async down(db) {
+    await db.executeQuery('ALTER TABLE productions DROP COLUMN video_verified_at');
+    await db.executeQuery('ALTER TABLE productions DROP COLUMN video_resolution');
+    await db.executeQuery('ALTER TABLE productions DROP COLUMN video_codec');
+    await db.executeQuery('ALTER TABLE productions DROP COLUMN video_duration');
+    await db.executeQuery('ALTER TABLE productions DROP COLUMN video_path');
+  }
+};
@@ -0,0 +1,25 @@
+// Upload session and byte progress per schedule entry, so an interrupted upload can resume after a restart
+module.exports = {
+  version: 6,
+  name: 'resumable_uploads',
+
+  async up(db) {
+    await db.executeQuery('ALTER TABLE publish_schedule ADD COLUMN upload_session_uri TEXT');
+    await db.executeQuery('ALTER TABLE publish_schedule ADD COLUMN upload_status TEXT');
+    await db.executeQuery('ALTER TABLE publish_schedule ADD COLUMN upload_bytes_sent INTEGER DEFAULT 0');
+    await db.executeQuery('ALTER TABLE publish_schedule ADD COLUMN upload_bytes_total INTEGER');
+    await db.executeQuery('ALTER TABLE publish_schedule ADD COLUMN upload_attempts INTEGER DEFAULT 0');
+    await db.executeQuery('ALTER TABLE publish_schedule ADD COLUMN upload_error TEXT');
+    await db.executeQuery('ALTER TABLE publish_schedule ADD COLUMN upload_updated_at TEXT');
+  },
+
+  async down(db) {
+    await db.executeQuery('ALTER TABLE publish_schedule DROP COLUMN upload_updated_at');
+    await db.executeQuery('ALTER TABLE publish_schedule DROP COLUMN upload_error');
+    await db.executeQuery('ALTER TABLE publish_schedule DROP COLUMN upload_attempts');
+    await db.executeQuery('ALTER TABLE publish_schedule DROP COLUMN upload_bytes_total');
+    await db.executeQuery('ALTER TABLE publish_schedule DROP COLUMN upload_bytes_sent');
+    await db.executeQuery('ALTER TABLE publish_schedule DROP COLUMN upload_status');
+    await db.executeQuery('ALTER TABLE publish_schedule DROP COLUMN upload_session_uri');
+  }
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  version: 7,
+  name: 'quota_usage',
+
+  async up(db) {
+    // One row per quota day (Pacific time) and API method
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS quota_usage (
+      date TEXT NOT NULL,
+      method TEXT NOT NULL,
+      calls INTEGER DEFAULT 0,
+      units INTEGER DEFAULT 0,
+      deferred INTEGER DEFAULT 0,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (date, method)
+    )`);
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP TABLE IF EXISTS quota_usage');
+  }
+};
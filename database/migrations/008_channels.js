@@ -0,0 +1,75 @@
+// Channels as first-class entities. Existing content belongs to the 'default' channel, and quota
+// usage is kept per channel so one channel's competitor scans cannot starve another's uploads.
+const CONTENT_TABLES = ['content_strategies', 'scripts', 'productions', 'publish_schedule'];
+
+module.exports = {
+  version: 8,
+  name: 'channels',
+
+  async up(db) {
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS channels (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      youtube_channel_id TEXT,
+      niche TEXT,
+      competitors TEXT DEFAULT '[]',
+      cadence TEXT DEFAULT '{}',
+      voice TEXT DEFAULT '{}',
+      quota_limit INTEGER,
+      enabled INTEGER DEFAULT 1,
+      last_generated_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await db.executeQuery(
+      'INSERT OR IGNORE INTO channels (id, name) VALUES (?, ?)',
+      ['default', process.env.CHANNEL_NAME || 'Default channel']
+    );
+
+    for (const table of CONTENT_TABLES) {
+      await db.executeQuery(`ALTER TABLE ${table} ADD COLUMN channel_id TEXT NOT NULL DEFAULT 'default'`);
+      await db.executeQuery(`CREATE INDEX IF NOT EXISTS idx_${table}_channel ON ${table}(channel_id)`);
+    }
+
+    // SQLite cannot change a primary key in place, so the table is rebuilt with the channel in it
+    await db.executeQuery(`CREATE TABLE quota_usage_by_channel (
+      channel_id TEXT NOT NULL DEFAULT 'default',
+      date TEXT NOT NULL,
+      method TEXT NOT NULL,
+      calls INTEGER DEFAULT 0,
+      units INTEGER DEFAULT 0,
+      deferred INTEGER DEFAULT 0,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (channel_id, date, method)
+    )`);
+    await db.executeQuery(`INSERT INTO quota_usage_by_channel (channel_id, date, method, calls, units, deferred, updated_at)
+      SELECT 'default', date, method, calls, units, deferred, updated_at FROM quota_usage`);
+    await db.executeQuery('DROP TABLE quota_usage');
+    await db.executeQuery('ALTER TABLE quota_usage_by_channel RENAME TO quota_usage');
+  },
+
+  async down(db) {
+    await db.executeQuery(`CREATE TABLE quota_usage_totals (
+      date TEXT NOT NULL,
+      method TEXT NOT NULL,
+      calls INTEGER DEFAULT 0,
+      units INTEGER DEFAULT 0,
+      deferred INTEGER DEFAULT 0,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (date, method)
+    )`);
+    await db.executeQuery(`INSERT INTO quota_usage_totals (date, method, calls, units, deferred, updated_at)
+      SELECT date, method, SUM(calls), SUM(units), SUM(deferred), MAX(updated_at)
+      FROM quota_usage GROUP BY date, method`);
+    await db.executeQuery('DROP TABLE quota_usage');
+    await db.executeQuery('ALTER TABLE quota_usage_totals RENAME TO quota_usage');
+
+    for (const table of [...CONTENT_TABLES].reverse()) {
+      await db.executeQuery(`DROP INDEX IF EXISTS idx_${table}_channel`);
+      await db.executeQuery(`ALTER TABLE ${table} DROP COLUMN channel_id`);
+    }
+
+    await db.executeQuery('DROP TABLE IF EXISTS channels');
+  }
+};
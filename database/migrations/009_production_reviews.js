@@ -0,0 +1,36 @@
+// Review state of each production and the history of review actions on it. Productions that
+// already reached the publish queue were released without review, so they start as 'scheduled'.
+module.exports = {
+  version: 9,
+  name: 'production_reviews',
+
+  async up(db) {
+    await db.executeQuery(`ALTER TABLE productions ADD COLUMN review_status TEXT NOT NULL DEFAULT 'draft'`);
+    await db.executeQuery('ALTER TABLE productions ADD COLUMN reviewed_at TEXT');
+    await db.executeQuery(
+      `UPDATE productions SET review_status = 'scheduled'
+       WHERE id IN (SELECT production_id FROM publish_schedule)`
+    );
+    await db.executeQuery('CREATE INDEX IF NOT EXISTS idx_productions_review_status ON productions (review_status)');
+
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS production_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      production_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      from_status TEXT NOT NULL,
+      to_status TEXT NOT NULL,
+      reviewer TEXT,
+      comment TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (production_id) REFERENCES productions(id)
+    )`);
+    await db.executeQuery('CREATE INDEX IF NOT EXISTS idx_production_reviews_production ON production_reviews (production_id)');
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP TABLE IF EXISTS production_reviews');
+    await db.executeQuery('DROP INDEX IF EXISTS idx_productions_review_status');
+    await db.executeQuery('ALTER TABLE productions DROP COLUMN reviewed_at');
+    await db.executeQuery('ALTER TABLE productions DROP COLUMN review_status');
+  }
+};
@@ -0,0 +1,26 @@
+// Revision history of scripts and SEO data. Each row is a full snapshot of the tracked fields, so
+// any two revisions can be compared and any one restored.
+module.exports = {
+  version: 10,
+  name: 'content_revisions',
+
+  async up(db) {
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS content_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      content_type TEXT NOT NULL,
+      content_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      author TEXT NOT NULL,
+      author_type TEXT NOT NULL,
+      reason TEXT,
+      changed_fields TEXT DEFAULT '[]',
+      snapshot TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (content_type, content_id, revision)
+    )`);
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP TABLE IF EXISTS content_revisions');
+  }
+};
@@ -0,0 +1,58 @@
+// Local users, their API tokens and dashboard sessions, and the audit trail of what they did.
+// Only hashes of passwords, tokens and session ids are stored.
+module.exports = {
+  version: 11,
+  name: 'auth',
+
+  async up(db) {
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      disabled INTEGER DEFAULT 0,
+      last_login_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS api_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      last_used_at TEXT,
+      revoked_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS sessions (
+      id_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      csrf_token TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target TEXT,
+      details TEXT,
+      ip TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.executeQuery('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action, created_at)');
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP INDEX IF EXISTS idx_audit_log_action');
+    await db.executeQuery('DROP TABLE IF EXISTS audit_log');
+    await db.executeQuery('DROP TABLE IF EXISTS sessions');
+    await db.executeQuery('DROP TABLE IF EXISTS api_tokens');
+    await db.executeQuery('DROP TABLE IF EXISTS users');
+  }
+};
@@ -0,0 +1,26 @@
+// Every notification sent, failed or held back by rate limiting. The targets themselves hold
+// webhook URLs and SMTP passwords, so they live in the encrypted credentials file instead.
+module.exports = {
+  version: 12,
+  name: 'notifications',
+
+  async up(db) {
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      target_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      dedupe_key TEXT,
+      status TEXT NOT NULL,
+      title TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL
+    )`);
+    await db.executeQuery(`CREATE INDEX IF NOT EXISTS idx_notification_deliveries_target
+      ON notification_deliveries (target_id, event, dedupe_key, created_at)`);
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP INDEX IF EXISTS idx_notification_deliveries_target');
+    await db.executeQuery('DROP TABLE IF EXISTS notification_deliveries');
+  }
+};
@@ -0,0 +1,32 @@
+// Planned publishing slots of the content calendar. A slot is a date and time with the topic,
+// category and content type planned for it; locked slots were placed by hand and survive a replan.
+module.exports = {
+  version: 13,
+  name: 'calendar_slots',
+
+  async up(db) {
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS calendar_slots (
+      id TEXT PRIMARY KEY,
+      channel_id TEXT NOT NULL DEFAULT 'default',
+      slot_date TEXT NOT NULL,
+      publish_time TEXT NOT NULL,
+      produce_by TEXT NOT NULL,
+      topic TEXT,
+      category TEXT,
+      content_type TEXT,
+      series TEXT,
+      estimated_views INTEGER DEFAULT 0,
+      sources TEXT DEFAULT '[]',
+      locked INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.executeQuery(`CREATE INDEX IF NOT EXISTS idx_calendar_slots_channel_date
+      ON calendar_slots (channel_id, slot_date)`);
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP INDEX IF EXISTS idx_calendar_slots_channel_date');
+    await db.executeQuery('DROP TABLE IF EXISTS calendar_slots');
+  }
+};
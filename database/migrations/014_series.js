@@ -0,0 +1,65 @@
+// Video series: a named run of episodes sharing a playlist, intro/outro and thumbnail style, with
+// an optional publishing schedule for the content calendar. Series kept in a channel's
+// cadence.series move here.
+module.exports = {
+  version: 14,
+  name: 'series',
+
+  async up(db) {
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS series (
+      id TEXT PRIMARY KEY,
+      channel_id TEXT NOT NULL DEFAULT 'default',
+      name TEXT NOT NULL,
+      description TEXT,
+      playlist_id TEXT,
+      intro TEXT,
+      outro TEXT,
+      thumbnail_style TEXT DEFAULT '{}',
+      schedule TEXT,
+      content_type TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (channel_id, name)
+    )`);
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS series_episodes (
+      id TEXT PRIMARY KEY,
+      series_id TEXT NOT NULL,
+      episode_number INTEGER NOT NULL,
+      strategy_id TEXT,
+      youtube_id TEXT,
+      playlist_item_id TEXT,
+      snippet TEXT,
+      published_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (series_id, episode_number)
+    )`);
+
+    const channels = await db.getAllRows('SELECT id, cadence FROM channels');
+    for (const channel of channels) {
+      const cadence = JSON.parse(channel.cadence || '{}');
+      if (!Array.isArray(cadence.series)) continue;
+
+      for (const series of cadence.series) {
+        await db.executeQuery(
+          `INSERT OR IGNORE INTO series (id, channel_id, name, schedule, content_type)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            db.generateId('series'),
+            channel.id,
+            series.name,
+            JSON.stringify({ weekdays: series.weekdays, everyWeeks: series.everyWeeks || 1, startDate: series.startDate || null }),
+            series.contentType || null
+          ]
+        );
+      }
+
+      delete cadence.series;
+      await db.executeQuery('UPDATE channels SET cadence = ? WHERE id = ?', [JSON.stringify(cadence), channel.id]);
+    }
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP TABLE IF EXISTS series_episodes');
+    await db.executeQuery('DROP TABLE IF EXISTS series');
+  }
+};
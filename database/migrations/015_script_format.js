@@ -0,0 +1,15 @@
+// Shorts: a script's format (long or short) and, for Shorts cut from a long-form script, its source
+module.exports = {
+  version: 15,
+  name: 'script_format',
+
+  async up(db) {
+    await db.executeQuery("ALTER TABLE scripts ADD COLUMN format TEXT DEFAULT 'long'");
+    await db.executeQuery('ALTER TABLE scripts ADD COLUMN source_script_id TEXT');
+  },
+
+  async down(db) {
+    await db.executeQuery('ALTER TABLE scripts DROP COLUMN source_script_id');
+    await db.executeQuery('ALTER TABLE scripts DROP COLUMN format');
+  }
+};
@@ -0,0 +1,16 @@
+// Localization: a channel's source and target languages, and the translated titles and
+// descriptions of each SEO payload
+module.exports = {
+  version: 16,
+  name: 'localization',
+
+  async up(db) {
+    await db.executeQuery("ALTER TABLE channels ADD COLUMN localization TEXT DEFAULT '{}'");
+    await db.executeQuery("ALTER TABLE seo_data ADD COLUMN localizations TEXT DEFAULT '{}'");
+  },
+
+  async down(db) {
+    await db.executeQuery('ALTER TABLE seo_data DROP COLUMN localizations');
+    await db.executeQuery('ALTER TABLE channels DROP COLUMN localization');
+  }
+};
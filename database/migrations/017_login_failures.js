@@ -0,0 +1,23 @@
+// Failed dashboard logins, counted per username and per address to slow down password guessing.
+// created_at is an ISO timestamp so the backoff compares it directly.
+module.exports = {
+  version: 17,
+  name: 'login_failures',
+
+  async up(db) {
+    await db.executeQuery(`CREATE TABLE IF NOT EXISTS login_failures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      ip TEXT,
+      created_at TEXT NOT NULL
+    )`);
+    await db.executeQuery('CREATE INDEX IF NOT EXISTS idx_login_failures_username ON login_failures (username, created_at)');
+    await db.executeQuery('CREATE INDEX IF NOT EXISTS idx_login_failures_ip ON login_failures (ip, created_at)');
+  },
+
+  async down(db) {
+    await db.executeQuery('DROP INDEX IF EXISTS idx_login_failures_ip');
+    await db.executeQuery('DROP INDEX IF EXISTS idx_login_failures_username');
+    await db.executeQuery('DROP TABLE IF EXISTS login_failures');
+  }
+};
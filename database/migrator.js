@@ -0,0 +1,132 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { Logger } = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Applies the numbered files in database/migrations and records them in schema_version
+class Migrator {
+  constructor(database, migrationsDir = MIGRATIONS_DIR) {
+    this.db = database;
+    this.migrationsDir = migrationsDir;
+    this.logger = new Logger('Migrator');
+  }
+
+  async ensureVersionTable() {
+    await this.db.executeQuery(
+      `CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+  }
+
+  async loadMigrations() {
+    const files = (await fs.readdir(this.migrationsDir))
+      .filter(file => /^\d+_.+\.js$/.test(file))
+      .sort();
+
+    const migrations = files.map(file => {
+      const migration = require(path.join(this.migrationsDir, file));
+      const version = parseInt(file, 10);
+
+      if (migration.version !== version) {
+        throw new Error(`Migration ${file} declares version ${migration.version}, expected ${version}`);
+      }
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return { ...migration, file };
+    });
+
+    const versions = migrations.map(m => m.version);
+    if (new Set(versions).size !== versions.length) {
+      throw new Error('Duplicate migration versions found');
+    }
+
+    return migrations;
+  }
+
+  async getAppliedVersions() {
+    await this.ensureVersionTable();
+    const rows = await this.db.getAllRows('SELECT version FROM schema_version ORDER BY version ASC');
+    return rows.map(row => row.version);
+  }
+
+  async getCurrentVersion() {
+    const applied = await this.getAppliedVersions();
+    return applied.length > 0 ? applied[applied.length - 1] : 0;
+  }
+
+  async status() {
+    const migrations = await this.loadMigrations();
+    await this.ensureVersionTable();
+    const rows = await this.db.getAllRows('SELECT * FROM schema_version');
+    const applied = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version) || null
+    }));
+  }
+
+  // Applies pending migrations up to targetVersion (default: latest) and returns the ones applied
+  async migrate(targetVersion = Infinity) {
+    const migrations = await this.loadMigrations();
+    const applied = new Set(await this.getAppliedVersions());
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= targetVersion);
+
+    for (const migration of pending) {
+      await this.runInTransaction(migration, 'up', async () => {
+        await this.db.executeQuery(
+          'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+      this.logger.info(`Applied migration ${migration.file}`);
+    }
+
+    return pending;
+  }
+
+  // Reverts the most recent `steps` applied migrations
+  async rollback(steps = 1) {
+    const migrations = await this.loadMigrations();
+    const applied = (await this.getAppliedVersions()).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const version of applied) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} is missing`);
+      }
+
+      await this.runInTransaction(migration, 'down', async () => {
+        await this.db.executeQuery('DELETE FROM schema_version WHERE version = ?', [version]);
+      });
+      this.logger.info(`Rolled back migration ${migration.file}`);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  }
+
+  async runInTransaction(migration, direction, record) {
+    await this.db.executeQuery('BEGIN TRANSACTION');
+
+    try {
+      await migration[direction](this.db);
+      await record();
+      await this.db.executeQuery('COMMIT');
+    } catch (error) {
+      await this.db.executeQuery('ROLLBACK');
+      throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { Migrator };
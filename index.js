@@ -1,5 +1,6 @@
 const express = require('express');
 const path = require('path');
+const fs = require('fs').promises;
 const { Logger } = require('./utils/logger');
 const { Database } = require('./database/db');
 const { CredentialManager } = require('./utils/credential-manager');
@@ -11,40 +12,55 @@ const { ProductionManagementAgent } = require('./agents/production-management-ag
 const { PublishingSchedulingAgent } = require('./agents/publishing-scheduling-agent');
 const { AnalyticsOptimizationAgent } = require('./agents/analytics-optimization-agent');
 const { DailyAutomation } = require('./schedules/daily-automation');
+const { ContentPipeline, getJobChannelId } = require('./workflows/content-pipeline');
+const { ReviewWorkflow, REVIEW_STATUSES } = require('./workflows/review-workflow');
+const { ContentEditor, CONTENT_KINDS } = require('./workflows/content-editor');
+const { THUMBNAIL_DIR, isInsideDirectory } = require('./utils/content-validation');
+const { ContentRevisions } = require('./workflows/content-revisions');
+const { MAX_PLAN_WEEKS } = require('./workflows/content-calendar');
+const { AuthManager } = require('./utils/auth');
+const { Timeline } = require('./utils/timeline');
+const { DEFAULT_CHANNEL_ID, validateChannel } = require('./utils/channel-config');
 const chalk = require('chalk');
 
-// === AJOUT OAUTH2 GOOGLEAPIS ===
-const { google } = require('googleapis');
-
-// Scopes YouTube nécessaires
-const SCOPES = [
-  'https://www.googleapis.com/auth/youtube',
-  'https://www.googleapis.com/auth/youtube.upload',
-  'https://www.googleapis.com/auth/youtube.channel-memberships',
-  'https://www.googleapis.com/auth/youtubepartner',
-  'https://www.googleapis.com/auth/youtube.force-ssl',
-  'https://www.googleapis.com/auth/youtube.readonly',
-  'https://www.googleapis.com/auth/youtube.analytics.readonly',
-  'https://www.googleapis.com/auth/youtube.analytics.monetary.readonly'
-];
-
-// URI de redirection dynamique
+const { YouTubeOAuth } = require('./utils/youtube-oauth');
+const { NOTIFICATION_EVENTS } = require('./utils/notifier');
+const { MAX_PREVIEW_RUNS, validateSchedule, nextRuns } = require('./utils/schedule-config');
+const { validateGenerateOptions } = require('./utils/shorts');
+
+// Where Google sends the browser back after consent (see /oauth2callback)
 const REDIRECT_URI = process.env.REDIRECT_URI || 
   (process.env.NODE_ENV === 'production' 
     ? 'https://buzzbitfacts.onrender.com/oauth2callback' 
     : 'http://localhost:3456/oauth2callback');
 
-// Création du client OAuth2
-const oauth2Client = new google.auth.OAuth2(
-  process.env.YOUTUBE_CLIENT_ID,
-  process.env.YOUTUBE_CLIENT_SECRET,
-  REDIRECT_URI
-);
+// Parses a query date into the UTC format SQLite stores; date-only upper bounds include the whole day.
+// Returns null when absent and undefined when invalid.
+function parseDateParam(value, endOfDay = false) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return undefined;
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function previewCount(value) {
+  return Math.min(parseInt(value) || 5, MAX_PREVIEW_RUNS);
+}
 
-// Injecte oauth2Client dans les variables globales ou CredentialManager
-global.oauth2Client = oauth2Client;
-global.SCOPES = SCOPES;
-// === FIN AJOUT ===
+// Session URIs authorize writes to an upload, so they stay server-side
+function withoutUploadSession({ upload_session_uri, ...entry }) {
+  if (entry.upload) {
+    const { sessionUri, ...progress } = entry.upload;
+    entry.upload = progress;
+  }
+  return entry;
+}
 
 class YouTubeAutomationAgent {
   constructor() {
@@ -52,6 +68,8 @@ class YouTubeAutomationAgent {
     this.db = null;
     this.credentials = null;
     this.agents = {};
+    // channelId -> { channel, agents, pipeline, error }; shared with the scheduler
+    this.channels = new Map();
     this.app = express();
     this.isInitialized = false;
   }
@@ -65,10 +83,16 @@ class YouTubeAutomationAgent {
       this.logger.info('Initializing database...');
       this.db = new Database();
       await this.db.initialize();
+      this.auth = new AuthManager(this.db);
+      await this.ensureAdmin();
+      this.review = new ReviewWorkflow(this.db);
+      this.editor = new ContentEditor(this.db, channelId => this.channels.get(channelId)?.agents || null);
       
       // Load credentials
       this.logger.info('Loading credentials...');
       this.credentials = new CredentialManager();
+      // One instance, so the callback finds the states its consent URLs were issued with
+      this.oauth = new YouTubeOAuth(this.credentials);
       const credentialsValid = await this.credentials.validateAll();
       
       if (!credentialsValid) {
@@ -77,18 +101,28 @@ class YouTubeAutomationAgent {
         return false;
       }
       
-      // Initialize agents
+      // Initialize agents, one set per channel
       this.logger.info('Initializing agents...');
-      await this.initializeAgents();
+      await this.initializeChannels();
       
       // Setup API endpoints
       this.setupAPI();
       
       // Initialize scheduler
       this.logger.info('Setting up automation scheduler...');
-      this.scheduler = new DailyAutomation(this.agents, this.db);
+      this.scheduler = new DailyAutomation(this.channels, this.db, {
+        notifier: this.credentials.getNotifier(this.db)
+      });
       await this.scheduler.initialize();
       
+      // Finish any pipeline jobs interrupted by a restart
+      for (const { channel, pipeline } of this.channels.values()) {
+        if (!pipeline) continue;
+        pipeline.resumeInterrupted().catch(error => {
+          this.logger.error(`Failed to resume pipeline jobs for ${channel.id}:`, error);
+        });
+      }
+      
       this.isInitialized = true;
       this.logger.success('YouTube Automation Agent initialized successfully!');
       
@@ -99,53 +133,403 @@ class YouTubeAutomationAgent {
     }
   }
 
-  async initializeAgents() {
-    this.agents = {
-      strategy: new ContentStrategyAgent(this.db, this.credentials),
-      scriptWriter: new ScriptWriterAgent(this.db, this.credentials),
+  // Without any users nobody could log in, so the first admin comes from ADMIN_USERNAME and
+  // ADMIN_PASSWORD or from the users CLI
+  async ensureAdmin() {
+    if (await this.db.countUsers() > 0) return;
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+      await this.auth.createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+      this.logger.info(`Created admin user ${ADMIN_USERNAME}`);
+    } else {
+      this.logger.warn('No users yet; create an admin with: npm run users -- add <username> --role admin');
+    }
+  }
+
+  async initializeChannels() {
+    for (const channel of await this.db.getChannels()) {
+      await this.startChannel(channel);
+    }
+
+    const defaultContext = this.channels.get(DEFAULT_CHANNEL_ID);
+    if (!defaultContext || !defaultContext.agents) {
+      throw defaultContext ? defaultContext.error : new Error('Default channel is missing');
+    }
+  }
+
+  // Builds a channel's agents and pipeline. A channel that cannot start (e.g. not yet
+  // authorized) is kept with its error so the others still run.
+  async startChannel(channel) {
+    this.credentials.releaseChannel(channel.id);
+
+    const agents = {
+      strategy: new ContentStrategyAgent(this.db, this.credentials, channel),
+      scriptWriter: new ScriptWriterAgent(this.db, this.credentials, channel),
       thumbnailDesigner: new ThumbnailDesignerAgent(this.db, this.credentials),
-      seoOptimizer: new SEOOptimizerAgent(this.db, this.credentials),
-      production: new ProductionManagementAgent(this.db, this.credentials),
-      publishing: new PublishingSchedulingAgent(this.db, this.credentials),
-      analytics: new AnalyticsOptimizationAgent(this.db, this.credentials)
+      seoOptimizer: new SEOOptimizerAgent(this.db, this.credentials, channel),
+      production: new ProductionManagementAgent(this.db, this.credentials, channel),
+      publishing: new PublishingSchedulingAgent(this.db, this.credentials, channel),
+      analytics: new AnalyticsOptimizationAgent(this.db, this.credentials, channel)
     };
 
-    // Initialize each agent
-    for (const [name, agent] of Object.entries(this.agents)) {
-      await agent.initialize();
-      this.logger.info(`✓ ${name} agent initialized`);
+    const context = { channel, agents: null, pipeline: null, error: null };
+
+    try {
+      if (!this.credentials.hasYouTubeTokens(channel.id)) {
+        throw new Error(`YouTube is not authorized for channel ${channel.id}`);
+      }
+
+      for (const [name, agent] of Object.entries(agents)) {
+        await agent.initialize();
+        this.logger.info(`✓ ${name} agent initialized (${channel.id})`);
+      }
+
+      context.agents = agents;
+      context.pipeline = new ContentPipeline(agents, this.db, {
+        channelId: channel.id,
+        notifier: this.credentials.getNotifier(this.db)
+      });
+    } catch (error) {
+      this.logger.warn(`Channel ${channel.id} not started: ${error.message}`);
+      context.error = error;
+    }
+
+    this.channels.set(channel.id, context);
+
+    // The default channel serves requests that do not name one
+    if (channel.id === DEFAULT_CHANNEL_ID && context.agents) {
+      this.agents = context.agents;
+      this.pipeline = context.pipeline;
     }
+
+    return context;
+  }
+
+  // Resolves the channel named by a request; throws with a status for the API to report
+  getChannelContext(channelId = DEFAULT_CHANNEL_ID) {
+    const context = this.channels.get(channelId || DEFAULT_CHANNEL_ID);
+    if (!context) {
+      const error = new Error(`Channel not found: ${channelId}`);
+      error.status = 404;
+      throw error;
+    }
+    if (!context.agents) {
+      const error = new Error(`Channel ${context.channel.id} is not running: ${context.error.message}`);
+      error.status = 409;
+      throw error;
+    }
+    return context;
+  }
+
+  // The series and the running context of the channel it belongs to
+  async getSeriesContext(seriesId) {
+    const series = await this.db.getSeries(seriesId);
+    if (!series) {
+      const error = new Error('Series not found');
+      error.status = 404;
+      throw error;
+    }
+    return { series, ...this.getChannelContext(series.channelId) };
+  }
+
+  // The production, as its channel's agent holds it, and the running context of that channel
+  async getProductionContext(productionId) {
+    const stored = await this.db.getProduction(productionId);
+    if (!stored) {
+      const error = new Error('Production not found');
+      error.status = 404;
+      throw error;
+    }
+    const context = this.getChannelContext(stored.channelId);
+    return { production: await context.agents.production.getProduction(productionId), ...context };
+  }
+
+  // The pipeline job, with its steps, and the pipeline of the channel it was started for
+  async getJobContext(jobId) {
+    const stored = await this.db.getPipelineJob(jobId);
+    if (!stored) {
+      const error = new Error('Job not found');
+      error.status = 404;
+      throw error;
+    }
+    const context = this.getChannelContext(getJobChannelId(stored));
+    return { job: await context.pipeline.getJob(jobId), ...context };
+  }
+
+  describeChannel({ channel, agents, error }) {
+    return {
+      ...channel,
+      authorized: this.credentials.hasYouTubeTokens(channel.id),
+      youtubeAuth: this.credentials.getYouTubeAuthStatus(channel.id),
+      running: Boolean(agents),
+      error: error ? error.message : null
+    };
   }
 
   setupAPI() {
-    this.app.use(express.json());
-    this.app.use(express.static(path.join(__dirname, 'dashboard')));
+    // Viewers read, editors create and change content, admins manage channels, settings and users
+    const viewer = this.auth.require('viewer');
+    const editor = this.auth.require('editor');
+    const admin = this.auth.require('admin');
+
+    this.app.use(express.json({ limit: '1mb' }));
+    this.app.use(this.auth.middleware());
     
-    // Main dashboard route
-    this.app.get('/', (req, res) => {
+    // Main dashboard route; without a session the browser is sent to the login page
+    this.app.get(['/', '/index.html'], (req, res) => {
+      if (!req.auth) {
+        return res.redirect('/login.html');
+      }
       res.sendFile(path.join(__dirname, 'dashboard', 'index.html'));
     });
-    
-    // Health check
-    this.app.get('/health', (req, res) => {
-      res.json({
-        status: 'healthy',
-        initialized: this.isInitialized,
-        agents: Object.keys(this.agents),
-        timestamp: new Date().toISOString()
-      });
+
+    this.app.get('/login.html', (req, res) => {
+      res.sendFile(path.join(__dirname, 'dashboard', 'login.html'));
+    });
+
+    // Sessions for the dashboard. The CSRF token returned here goes in X-CSRF-Token on every
+    // POST, PUT, PATCH and DELETE made with the session.
+    this.app.post('/auth/login', async (req, res) => {
+      try {
+        const { username, password } = req.body || {};
+        const user = await this.auth.login(username, password, { ip: req.ip });
+        if (!user) {
+          await this.auth.audit(req, 'login.failed', username ? String(username) : null);
+          return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const session = await this.auth.createSession(user);
+        req.auth = { user };
+        await this.auth.audit(req, 'login', user.id);
+
+        res.setHeader('Set-Cookie', this.auth.sessionCookie(req, session.sessionId, this.auth.sessionTtlHours * 3600));
+        res.json({ user, csrfToken: session.csrfToken, expiresAt: session.expiresAt });
+      } catch (error) {
+        if (error.retryAfter) {
+          res.setHeader('Retry-After', String(error.retryAfter));
+        }
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/auth/logout', viewer, async (req, res) => {
+      try {
+        if (req.auth.via === 'session') {
+          await this.auth.endSession(req.auth.sessionId);
+        }
+        res.setHeader('Set-Cookie', this.auth.sessionCookie(req, '', 0));
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/auth/me', viewer, (req, res) => {
+      res.json({ user: req.auth.user, csrfToken: req.auth.csrfToken || null });
+    });
+
+    // API tokens of the signed-in user; the token itself is only in the create response
+    this.app.get('/auth/tokens', viewer, async (req, res) => {
+      try {
+        res.json(await this.db.getApiTokens(req.auth.user.id));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/auth/tokens', viewer, async (req, res) => {
+      try {
+        const token = await this.auth.createApiToken(req.auth.user.id, (req.body || {}).name);
+        await this.auth.audit(req, 'token.create', token.id, { name: token.name });
+        res.status(201).json(token);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    this.app.delete('/auth/tokens/:tokenId', viewer, async (req, res) => {
+      try {
+        const token = await this.auth.revokeApiToken(req.params.tokenId, req.auth.user);
+        await this.auth.audit(req, 'token.revoke', token.id, { name: token.name });
+        res.json({ success: true, id: token.id });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Users
+    this.app.get('/users', admin, async (req, res) => {
+      try {
+        res.json(await this.auth.listUsers());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/users', admin, async (req, res) => {
+      try {
+        const { username, password, role } = req.body || {};
+        const user = await this.auth.createUser({ username, password, role });
+        await this.auth.audit(req, 'user.create', user.id, { username: user.username, role: user.role });
+        res.status(201).json(user);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    // Body: any of { role, password, disabled }
+    this.app.patch('/users/:userId', admin, async (req, res) => {
+      try {
+        const { role, password, disabled } = req.body || {};
+        const user = await this.auth.updateUser(req.params.userId, { role, password, disabled });
+        await this.auth.audit(req, 'user.update', user.id, {
+          role,
+          disabled,
+          passwordChanged: password !== undefined
+        });
+        res.json(user);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    // Audit trail: ?action=publish&actor=&target=&limit=&offset=
+    this.app.get('/audit', admin, async (req, res) => {
+      try {
+        const { action, actor, target } = req.query;
+        res.json(await this.db.getAuditEvents({
+          action,
+          actor,
+          target,
+          limit: Math.min(parseInt(req.query.limit) || 100, 500),
+          offset: parseInt(req.query.offset) || 0
+        }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Notification targets; passwords, webhook secrets and full webhook URLs are never returned
+    this.app.get('/notifications/targets', admin, async (req, res) => {
+      try {
+        const notifier = this.credentials.getNotifier(this.db);
+        res.json({
+          enabled: await notifier.isEnabled(),
+          events: NOTIFICATION_EVENTS,
+          targets: notifier.listTargets()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
 
-    // === AJOUT : Route OAuth2 Callback ===
+    this.app.post('/notifications/targets', admin, async (req, res) => {
+      try {
+        const target = await this.credentials.getNotifier(this.db).addTarget(req.body);
+        await this.auth.audit(req, 'notification.create', target.id, { type: target.type, events: target.events });
+        res.status(201).json(target);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    // Fields left out keep their value, secrets included
+    this.app.patch('/notifications/targets/:targetId', admin, async (req, res) => {
+      try {
+        const target = await this.credentials.getNotifier(this.db).updateTarget(req.params.targetId, req.body || {});
+        await this.auth.audit(req, 'notification.update', target.id, { fields: Object.keys(req.body || {}) });
+        res.json(target);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    this.app.delete('/notifications/targets/:targetId', admin, async (req, res) => {
+      try {
+        await this.credentials.getNotifier(this.db).removeTarget(req.params.targetId);
+        await this.auth.audit(req, 'notification.delete', req.params.targetId);
+        res.json({ success: true, targetId: req.params.targetId });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/notifications/targets/:targetId/test', admin, async (req, res) => {
+      try {
+        res.json(await this.credentials.getNotifier(this.db).sendTest(req.params.targetId));
+      } catch (error) {
+        res.status(error.status || 502).json({ error: error.message });
+      }
+    });
+
+    // Delivery log: ?target=&event=&status=sent|failed|suppressed&limit=
+    this.app.get('/notifications/deliveries', admin, async (req, res) => {
+      try {
+        res.json(await this.db.getNotificationDeliveries({
+          targetId: req.query.target || null,
+          event: req.query.event || null,
+          status: req.query.status || null,
+          limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Health check; the details need a signed-in user. Degraded while an enabled channel's
+    // YouTube authorization needs renewing.
+    this.app.get('/health', async (req, res) => {
+      try {
+        const reauthRequired = Array.from(this.channels.values())
+          .filter(({ channel }) => channel.enabled && this.credentials.getYouTubeAuthStatus(channel.id).needsReauth)
+          .map(({ channel }) => channel.id);
+        const status = reauthRequired.length > 0 ? 'degraded' : 'healthy';
+
+        if (!req.auth) {
+          return res.json({ status, initialized: this.isInitialized, timestamp: new Date().toISOString() });
+        }
+
+        res.json({
+          status,
+          reauthRequired,
+          initialized: this.isInitialized,
+          agents: Object.keys(this.agents),
+          ai: this.credentials ? this.credentials.getAIService().getUsage() : null,
+          quota: this.credentials && this.db ? await this.credentials.getQuotaLedger(this.db).getSummary() : null,
+          channels: await Promise.all(Array.from(this.channels.values()).map(async ({ channel, agents, error }) => ({
+            id: channel.id,
+            enabled: channel.enabled,
+            running: Boolean(agents),
+            error: error ? error.message : null,
+            youtubeAuth: this.credentials.getYouTubeAuthStatus(channel.id),
+            quota: await this.credentials.getQuotaLedger(this.db, channel).getSummary()
+          }))),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // The state parameter was issued with the consent URL for one channel (see /channels/:channelId/auth)
     this.app.get('/oauth2callback', async (req, res) => {
       const { code } = req.query;
+      const channelId = this.oauth.consumeState(req.query.state);
+      if (!channelId) {
+        return res.status(400).send('Unknown or expired authorization state; start again from the dashboard');
+      }
       if (!code) {
         return res.status(400).send('No code provided');
       }
+      if (!this.channels.has(channelId)) {
+        return res.status(404).send(`Channel not found: ${channelId}`);
+      }
 
       try {
-        const { tokens } = await oauth2Client.getToken(code);
-        await this.credentials.saveYouTubeTokens(tokens);
+        await this.oauth.exchangeCode(code, channelId, REDIRECT_URI);
+        await this.startChannel(this.channels.get(channelId).channel);
+        this.logger.info(`YouTube authorized for channel ${channelId}`);
         res.send(`
           <h2>✅ Authentification réussie !</h2>
           <p>Tu peux fermer cette page.</p>
@@ -155,87 +539,669 @@ class YouTubeAutomationAgent {
         res.status(500).send(`Erreur: ${error.message}`);
       }
     });
-    // === FIN AJOUT ===
+
+    // Channels
+    this.app.get('/channels', viewer, (req, res) => {
+      res.json(Array.from(this.channels.values()).map(context => this.describeChannel(context)));
+    });
+
+    this.app.get('/channels/:channelId', viewer, (req, res) => {
+      const context = this.channels.get(req.params.channelId);
+      if (!context) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+      res.json(this.describeChannel(context));
+    });
+
+    this.app.post('/channels', admin, async (req, res) => {
+      try {
+        let channel;
+        try {
+          channel = validateChannel(req.body || {});
+        } catch (error) {
+          return res.status(400).json({ error: error.message, problems: error.problems });
+        }
+        if (this.channels.has(channel.id)) {
+          return res.status(409).json({ error: `Channel already exists: ${channel.id}` });
+        }
+
+        await this.db.saveChannel(channel);
+        await this.auth.audit(req, 'channel.create', channel.id);
+        const context = await this.startChannel(await this.db.getChannel(channel.id));
+        res.status(201).json(this.describeChannel(context));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.patch('/channels/:channelId', admin, async (req, res) => {
+      try {
+        const context = this.channels.get(req.params.channelId);
+        if (!context) {
+          return res.status(404).json({ error: 'Channel not found' });
+        }
+
+        let changes;
+        try {
+          changes = validateChannel(req.body || {}, { partial: true });
+        } catch (error) {
+          return res.status(400).json({ error: error.message, problems: error.problems });
+        }
+
+        await this.db.updateChannel({ ...context.channel, ...changes });
+        await this.auth.audit(req, 'channel.update', context.channel.id, { fields: Object.keys(changes) });
+        const updated = await this.startChannel(await this.db.getChannel(context.channel.id));
+        res.json(this.describeChannel(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Content already produced stays in the database; only the channel and its tokens go
+    this.app.delete('/channels/:channelId', admin, async (req, res) => {
+      try {
+        const { channelId } = req.params;
+        if (channelId === DEFAULT_CHANNEL_ID) {
+          return res.status(400).json({ error: 'The default channel cannot be deleted' });
+        }
+        if (!this.channels.has(channelId)) {
+          return res.status(404).json({ error: 'Channel not found' });
+        }
+
+        const queued = await this.db.getPublishQueue(channelId);
+        if (queued.length > 0) {
+          return res.status(409).json({ error: `Channel has ${queued.length} scheduled uploads` });
+        }
+
+        await this.db.deleteChannel(channelId);
+        await this.credentials.removeYouTubeTokens(channelId);
+        this.credentials.releaseChannel(channelId);
+        this.channels.delete(channelId);
+        await this.auth.audit(req, 'channel.delete', channelId);
+        res.json({ success: true, channelId });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Consent URL for the Google account that owns the channel
+    this.app.get('/channels/:channelId/auth', admin, (req, res) => {
+      if (!this.channels.has(req.params.channelId)) {
+        return res.status(404).json({ error: 'Channel not found' });
+      }
+
+      try {
+        res.json({ url: this.oauth.getAuthUrl(req.params.channelId, REDIRECT_URI) });
+      } catch (error) {
+        res.status(409).json({ error: error.message });
+      }
+    });
 
     // Manual content generation
-    this.app.post('/generate', async (req, res) => {
+    this.app.post('/generate', editor, async (req, res) => {
       try {
-        const { topic, style, length } = req.body;
-        const result = await this.generateContent(topic, style, length);
+        const { topic, style, length, channelId, seriesId, format, shorts } = req.body;
+        await this.auth.audit(req, 'generate', channelId || DEFAULT_CHANNEL_ID, {
+          topic: topic || null,
+          seriesId: seriesId || null,
+          format: format || 'long'
+        });
+        const result = await this.generateContent(topic, style, length, channelId, seriesId, { format, shorts });
         res.json({ success: true, result });
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message, problems: error.problems });
+      }
+    });
+
+    // Pipeline jobs
+    this.app.get('/jobs', viewer, async (req, res) => {
+      try {
+        const { status, limit } = req.query;
+        const { pipeline } = this.getChannelContext(req.query.channel);
+        const jobs = await pipeline.listJobs({ status, limit: parseInt(limit) || 50 });
+        res.json(jobs);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/jobs/:jobId', viewer, async (req, res) => {
+      try {
+        const { job } = await this.getJobContext(req.params.jobId);
+        res.json(job);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Retry a failed stage; the job continues in the background with its own channel's agents
+    this.app.post('/jobs/:jobId/steps/:stage/retry', editor, async (req, res) => {
+      try {
+        const { jobId, stage } = req.params;
+        const { job, pipeline } = await this.getJobContext(jobId);
+
+        const step = job.steps.find(s => s.stage === stage);
+        if (!step) {
+          return res.status(404).json({ error: `Stage not found: ${stage}` });
+        }
+        if (step.status !== 'failed') {
+          return res.status(409).json({ error: `Stage ${stage} is ${step.status}, only failed stages can be retried` });
+        }
+
+        pipeline.retryStep(jobId, stage).catch(error => {
+          this.logger.error(`Retry of ${stage} for job ${jobId} failed:`, error);
+        });
+
+        res.status(202).json({ success: true, jobId, stage });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Automation event log
+    this.app.get('/events', viewer, async (req, res) => {
+      try {
+        const { task, status } = req.query;
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to, true);
+
+        if (from === undefined || to === undefined) {
+          return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+        }
+
+        const events = await this.db.getAutomationEvents({
+          task,
+          status,
+          from,
+          to,
+          limit: Math.min(parseInt(req.query.limit) || 100, 500),
+          offset: parseInt(req.query.offset) || 0
+        });
+        res.json(events);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/events/tasks', viewer, async (req, res) => {
+      try {
+        res.json(await this.db.getAutomationEventTasks());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
     });
 
     // Get analytics
-    this.app.get('/analytics', async (req, res) => {
+    this.app.get('/analytics', viewer, async (req, res) => {
       try {
-        const analytics = await this.agents.analytics.getRecentAnalytics();
+        const { agents } = this.getChannelContext(req.query.channel);
+        const analytics = await agents.analytics.getRecentAnalytics();
         res.json(analytics);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Get upcoming schedule, with byte-level progress for uploads in flight; all channels unless one is named
+    this.app.get('/schedule', viewer, async (req, res) => {
+      try {
+        const schedule = await this.db.getUpcomingSchedule(7, req.query.channel || null);
+        res.json(schedule.map(withoutUploadSession));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get upcoming schedule
-    this.app.get('/schedule', async (req, res) => {
+    // Content calendar: the planned publishing slots of a channel, ?from and ?to as YYYY-MM-DD
+    this.app.get('/calendar', viewer, async (req, res) => {
       try {
-        const schedule = await this.db.getUpcomingSchedule();
-        res.json(schedule);
+        const { agents } = this.getChannelContext(req.query.channel);
+        res.json(await agents.strategy.calendar.list({ from: req.query.from || null, to: req.query.to || null }));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    // Body: { channelId, weeks }. Replaces the slots planned before and keeps the ones moved by hand.
+    this.app.post('/calendar/plan', editor, async (req, res) => {
+      try {
+        const { channelId, weeks = 4 } = req.body || {};
+        if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_PLAN_WEEKS) {
+          return res.status(400).json({ error: `weeks must be a whole number from 1 to ${MAX_PLAN_WEEKS}` });
+        }
+
+        const { channel, agents } = this.getChannelContext(channelId);
+        const plan = await agents.strategy.planContentCalendar(weeks * 7);
+        await this.auth.audit(req, 'calendar.plan', channel.id, { weeks, slots: plan.slots.length });
+        res.json(plan);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    // Body: { date }. The slot keeps its time of day and is locked against replanning.
+    this.app.patch('/calendar/slots/:slotId', editor, async (req, res) => {
+      try {
+        const slot = await this.db.getCalendarSlot(req.params.slotId);
+        if (!slot) {
+          return res.status(404).json({ error: 'Slot not found' });
+        }
+
+        const { agents } = this.getChannelContext(slot.channelId);
+        const moved = await agents.strategy.calendar.moveSlot(slot.id, req.body || {});
+        await this.auth.audit(req, 'calendar.move', slot.id, { from: slot.date, to: moved.date });
+        res.json(moved);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    // Series: episodes share a playlist, intro/outro and thumbnail style; /generate takes a seriesId
+    this.app.get('/series', viewer, async (req, res) => {
+      try {
+        const { agents } = this.getChannelContext(req.query.channel);
+        res.json(await agents.strategy.series.list());
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/series/:seriesId', viewer, async (req, res) => {
+      try {
+        const { series, agents } = await this.getSeriesContext(req.params.seriesId);
+        res.json(await agents.strategy.series.getWithEpisodes(series.id));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Body: { channelId, name, description, playlistId, intro, outro, thumbnailStyle, schedule, contentType }
+    this.app.post('/series', editor, async (req, res) => {
+      try {
+        const { channelId, ...fields } = req.body || {};
+        const { channel, agents } = this.getChannelContext(channelId);
+        const series = await agents.strategy.series.create(fields);
+        await this.auth.audit(req, 'series.create', series.id, { channelId: channel.id, name: series.name });
+        res.status(201).json(series);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    this.app.patch('/series/:seriesId', editor, async (req, res) => {
+      try {
+        const { series, agents } = await this.getSeriesContext(req.params.seriesId);
+        const { series: updated, fields } = await agents.strategy.series.update(series.id, req.body || {});
+        await this.auth.audit(req, 'series.update', series.id, { fields });
+        res.json(updated);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    this.app.delete('/series/:seriesId', editor, async (req, res) => {
+      try {
+        const { series, agents } = await this.getSeriesContext(req.params.seriesId);
+        await agents.strategy.series.delete(series.id);
+        await this.auth.audit(req, 'series.delete', series.id, { name: series.name });
+        res.json({ success: true, seriesId: series.id });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Production timelines (render specs) can be inspected, hand-edited and re-rendered
+    this.app.get('/productions/:productionId/timeline', viewer, async (req, res) => {
+      try {
+        const { production, agents } = await this.getProductionContext(req.params.productionId);
+
+        const timeline = await agents.production.loadTimeline(production);
+        if (req.query.format === 'ffmpeg') {
+          const graph = timeline.toFilterGraph();
+          return res.json({ ...graph, args: timeline.toFFmpegArgs(`${production.id}_final.mp4`) });
+        }
+
+        res.json(timeline);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/productions/:productionId/timeline', editor, async (req, res) => {
+      try {
+        const { production, agents } = await this.getProductionContext(req.params.productionId);
+
+        try {
+          Timeline.fromJSON(req.body);
+        } catch (error) {
+          return res.status(400).json({ error: error.message, problems: error.problems });
+        }
+
+        const timeline = await agents.production.updateTimeline(production.id, req.body);
+        res.json(timeline);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/productions/:productionId/render', editor, async (req, res) => {
+      try {
+        const { productionId } = req.params;
+        const { agents } = await this.getProductionContext(productionId);
+
+        agents.production.renderProduction(productionId).catch(error => {
+          this.logger.error(`Render of ${productionId} failed:`, error);
+        });
+
+        res.status(202).json({ success: true, productionId });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Content review: productions waiting on a reviewer, and the full content of one
+    this.app.get('/reviews', viewer, async (req, res) => {
+      try {
+        const statuses = req.query.status ? String(req.query.status).split(',') : undefined;
+        if (statuses && statuses.some(status => !REVIEW_STATUSES.includes(status))) {
+          return res.status(400).json({ error: `status must be one of ${REVIEW_STATUSES.join(', ')}` });
+        }
+
+        res.json({
+          approvalRequired: await this.review.isApprovalRequired(),
+          items: await this.db.getReviewQueue({ statuses, channelId: req.query.channel || null })
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/productions/:productionId/review', viewer, async (req, res) => {
+      try {
+        const review = await this.review.getReview(req.params.productionId);
+        if (!review) {
+          return res.status(404).json({ error: 'Production not found' });
+        }
+        res.json(review);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Body: { action: submit | approve | reject | schedule | reopen, reviewer, comment }
+    this.app.post('/productions/:productionId/review', editor, async (req, res) => {
+      try {
+        const { action, comment } = req.body || {};
+        // Always the signed-in user, so the review history and audit log name who really acted
+        const production = await this.review.transition(req.params.productionId, action, {
+          reviewer: req.auth.user.username,
+          comment
+        });
+        await this.auth.audit(req, `review.${action}`, production.id);
+        res.json({ success: true, productionId: production.id, reviewStatus: production.reviewStatus });
+      } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/productions/:productionId/thumbnail', viewer, async (req, res) => {
+      try {
+        const production = await this.db.getProduction(req.params.productionId);
+        const thumbnailPath = production?.assets.thumbnail?.path;
+        if (!thumbnailPath) {
+          return res.status(404).json({ error: 'Thumbnail not found' });
+        }
+
+        // Only files in the thumbnails directory are served, whatever the production says
+        const realPath = await fs.realpath(thumbnailPath).catch(() => null);
+        if (!realPath || !isInsideDirectory(realPath, await fs.realpath(THUMBNAIL_DIR).catch(() => THUMBNAIL_DIR))) {
+          return res.status(404).json({ error: 'Thumbnail not found' });
+        }
+
+        res.sendFile(realPath, error => {
+          if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Thumbnail not found' });
+          }
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Settings, e.g. require_approval; only keys that already exist can be changed
+    this.app.get('/settings', viewer, async (req, res) => {
+      try {
+        res.json(await this.db.getAllSettings());
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    this.app.put('/settings/:key', admin, async (req, res) => {
+      try {
+        const { key } = req.params;
+        const { value } = req.body || {};
+        if (await this.db.getSetting(key) === null) {
+          return res.status(404).json({ error: `Setting not found: ${key}` });
+        }
+        // Schedules are validated and applied to the running tasks there
+        if (key.startsWith('schedule.')) {
+          return res.status(400).json({ error: 'Change schedules through /automation/schedules' });
+        }
+        if (value === undefined || value === null || typeof value === 'object') {
+          return res.status(400).json({ error: 'value must be a string, number or boolean' });
+        }
+
+        await this.db.setSetting(key, String(value));
+        await this.auth.audit(req, 'setting.update', key, { value: String(value) });
+        res.json({ key, value: String(value) });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Scheduled tasks: cron expression, time zone and enabled flag, with the next ?count= run times
+    this.app.get('/automation/schedules', viewer, (req, res) => {
+      try {
+        res.json(this.scheduler.describeSchedules(previewCount(req.query.count)));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/automation/schedules/:task', viewer, (req, res) => {
+      try {
+        res.json(this.scheduler.describeSchedule(req.params.task, previewCount(req.query.count)));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Body: any of { cron, timezone, enabled }; the task is rescheduled at once
+    this.app.patch('/automation/schedules/:task', admin, async (req, res) => {
+      try {
+        const schedule = await this.scheduler.updateSchedule(req.params.task, req.body);
+        const { cron, timezone, enabled } = schedule;
+        await this.auth.audit(req, 'schedule.update', req.params.task, { cron, timezone, enabled });
+        res.json(schedule);
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    // Run times for an expression before saving it. Body: { cron, timezone, count }
+    this.app.post('/automation/schedules/preview', viewer, (req, res) => {
+      try {
+        const { cron, timezone, count } = req.body || {};
+        const schedule = validateSchedule({ cron, timezone, enabled: true });
+        res.json({ ...schedule, nextRuns: nextRuns(schedule, previewCount(count)) });
+      } catch (error) {
+        res.status(400).json({ error: error.message, problems: error.problems });
+      }
+    });
+
+    // Generated content: /strategies, /scripts, /seo, /thumbnails and /schedule entries can be
+    // read, edited and deleted. GET /schedule keeps listing the upcoming schedule.
+    for (const kind of CONTENT_KINDS) {
+      const present = item => kind === 'schedule' ? withoutUploadSession(item) : item;
+
+      if (kind !== 'schedule') {
+        this.app.get(`/${kind}`, viewer, async (req, res) => {
+          try {
+            res.json(await this.editor.list(kind, {
+              channelId: req.query.channel || null,
+              limit: Math.min(parseInt(req.query.limit) || 20, 100),
+              offset: parseInt(req.query.offset) || 0
+            }));
+          } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+          }
+        });
+      }
+
+      this.app.get(`/${kind}/:id`, viewer, async (req, res) => {
+        try {
+          res.json(present(await this.editor.get(kind, req.params.id)));
+        } catch (error) {
+          res.status(error.status || 500).json({ error: error.message });
+        }
+      });
+
+      // Edits and rollbacks of a script with ?regenerate=true re-run narration, captions, chapters
+      // and the render of unpublished productions in the background
+      const respondWithUpdate = async (req, res, edit) => {
+        try {
+          let updated;
+          try {
+            updated = await edit();
+          } catch (error) {
+            if (!error.problems) throw error;
+            return res.status(400).json({ error: error.message, problems: error.problems });
+          }
+
+          if (kind === 'scripts' && req.query.regenerate === 'true') {
+            const regenerating = await this.editor.getRegenerationTargets(updated.id);
+            this.editor.regenerate(updated.id, { author: req.auth.user.username }).catch(error => {
+              this.logger.error(`Regeneration from script ${updated.id} failed:`, error);
+            });
+            return res.status(202).json({ ...updated, regenerating });
+          }
+
+          res.json(present(updated));
+        } catch (error) {
+          res.status(error.status || 500).json({ error: error.message });
+        }
+      };
+
+      // Body: the fields to change, plus the author and reason recorded with the revision
+      this.app.patch(`/${kind}/:id`, editor, (req, res) => {
+        const { author, reason, ...changes } = req.body || {};
+        return respondWithUpdate(req, res, async () => {
+          const updated = await this.editor.update(kind, req.params.id, changes, {
+            author: author || req.auth.user.username,
+            reason
+          });
+          await this.auth.audit(req, `${kind}.update`, req.params.id, { fields: Object.keys(changes) });
+          return updated;
+        });
+      });
+
+      this.app.delete(`/${kind}/:id`, editor, async (req, res) => {
+        try {
+          await this.editor.remove(kind, req.params.id);
+          await this.auth.audit(req, `${kind}.delete`, req.params.id);
+          res.json({ success: true, id: req.params.id });
+        } catch (error) {
+          res.status(error.status || 500).json({ success: false, error: error.message });
+        }
+      });
+
+      if (!ContentRevisions.isTracked(kind)) continue;
+
+      // Revision history of scripts and SEO data
+      this.app.get(`/${kind}/:id/revisions`, viewer, async (req, res) => {
+        try {
+          await this.editor.get(kind, req.params.id);
+          res.json(await this.editor.revisions.list(kind, req.params.id));
+        } catch (error) {
+          res.status(error.status || 500).json({ error: error.message });
+        }
+      });
+
+      // ?from=&to= revision numbers; by default the latest revision against the one before it
+      this.app.get(`/${kind}/:id/diff`, viewer, async (req, res) => {
+        try {
+          const [from, to] = [req.query.from, req.query.to].map(value => value ? parseInt(value) : null);
+          if ([from, to].some(value => Number.isNaN(value))) {
+            return res.status(400).json({ error: 'from and to must be revision numbers' });
+          }
+          res.json(await this.editor.revisions.diff(kind, req.params.id, { from, to }));
+        } catch (error) {
+          res.status(error.status || 500).json({ error: error.message });
+        }
+      });
+
+      this.app.get(`/${kind}/:id/revisions/:revision`, viewer, async (req, res) => {
+        try {
+          res.json(await this.editor.revisions.get(kind, req.params.id, parseInt(req.params.revision)));
+        } catch (error) {
+          res.status(error.status || 500).json({ error: error.message });
+        }
+      });
+
+      // Body: { author, reason }
+      this.app.post(`/${kind}/:id/revisions/:revision/rollback`, editor, (req, res) => {
+        const { author, reason } = req.body || {};
+        return respondWithUpdate(req, res, async () => {
+          const restored = await this.editor.rollback(kind, req.params.id, parseInt(req.params.revision), {
+            author: author || req.auth.user.username,
+            reason
+          });
+          await this.auth.audit(req, `${kind}.rollback`, req.params.id, { revision: parseInt(req.params.revision) });
+          return restored;
+        });
+      });
+    }
+
     // Manual publish
-    this.app.post('/publish/:contentId', async (req, res) => {
+    this.app.post('/publish/:contentId', editor, async (req, res) => {
       try {
         const { contentId } = req.params;
-        const result = await this.agents.publishing.publishContent(contentId);
+        const entry = await this.db.getScheduleEntry(contentId);
+        const { agents } = this.getChannelContext(entry ? entry.channelId : DEFAULT_CHANNEL_ID);
+        const { user } = req.auth;
+        const result = await agents.publishing.publishContent(contentId, { actor: user.username, userId: user.id });
         res.json({ success: true, result });
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.status || 500).json({ success: false, error: error.message });
       }
     });
   }
 
-  async generateContent(topic = null, style = null, length = 'medium') {
-    this.logger.info('Starting content generation pipeline...');
-    
-    // Step 1: Strategy
-    const strategy = await this.agents.strategy.generateContentStrategy(topic);
-    this.logger.info(`Strategy generated: ${strategy.topic}`);
-    
-    // Step 2: Script Writing
-    const script = await this.agents.scriptWriter.generateScript(strategy);
-    this.logger.info(`Script generated: ${script.title}`);
+  // options.format is long or short; options.shorts is how many Shorts to cut from a long-form video
+  async generateContent(topic = null, style = null, length = 'medium', channelId = DEFAULT_CHANNEL_ID, seriesId = null, options = {}) {
+    const { channel, agents, pipeline } = this.getChannelContext(channelId);
+    this.logger.info(`Starting content generation pipeline for ${channel.id}...`);
     
-    // Step 3: Thumbnail Design
-    const thumbnail = await this.agents.thumbnailDesigner.generateThumbnail(script);
-    this.logger.info('Thumbnail generated');
-    
-    // Step 4: SEO Optimization
-    const seoData = await this.agents.seoOptimizer.optimize(script, strategy);
-    this.logger.info('SEO optimization complete');
+    let format, shorts;
+    try {
+      ({ format, shorts } = validateGenerateOptions(options));
+    } catch (error) {
+      error.status = 400;
+      throw error;
+    }
     
-    // Step 5: Production Management
-    const productionData = await this.agents.production.processContent({
-      strategy,
-      script,
-      thumbnail,
-      seo: seoData
-    });
-    this.logger.info('Production processing complete');
+    // An unknown series fails here with a 404 rather than inside the job
+    if (seriesId) {
+      await agents.strategy.series.get(seriesId);
+    }
     
-    // Step 6: Save to database
-    const contentId = await this.db.saveProductionData(productionData);
-    this.logger.info(`Content saved with ID: ${contentId}`);
+    const job = await pipeline.start({ topic, style, length, seriesId: seriesId || null, format, shorts }, 'manual');
+    this.logger.info(`Content saved with ID: ${job.result.contentId}`);
     
     return {
-      contentId,
-      title: script.title,
-      scheduledFor: productionData.scheduledPublishTime
+      jobId: job.id,
+      ...job.result
     };
   }
 
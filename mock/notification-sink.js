@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+const express = require('express');
+const net = require('net');
+const { Logger } = require('../utils/logger');
+
+// Local SMTP server and webhook endpoint that accept every notification and keep it in memory,
+// for trying notification targets without a mail relay, Slack or Discord. SMTP is plain text
+// and takes any AUTH credentials.
+class NotificationSink {
+  constructor(options = {}) {
+    this.logger = new Logger('NotificationSink');
+    this.host = options.host || '127.0.0.1';
+    this.httpPort = options.httpPort !== undefined ? options.httpPort : parseInt(process.env.NOTIFICATION_SINK_PORT) || 4030;
+    this.smtpPort = options.smtpPort !== undefined ? options.smtpPort : parseInt(process.env.NOTIFICATION_SINK_SMTP_PORT) || 2525;
+    this.httpServer = null;
+    this.smtpServer = null;
+    this.app = this.createApp();
+    this.reset();
+  }
+
+  get webhookUrl() {
+    return this.httpServer ? `http://${this.host}:${this.httpServer.address().port}/` : null;
+  }
+
+  get smtp() {
+    return this.smtpServer ? { host: this.host, port: this.smtpServer.address().port } : null;
+  }
+
+  // Forgets what was received; webhooks answer 200 again
+  reset() {
+    this.emails = [];
+    this.webhooks = [];
+    this.webhookStatus = 200;
+  }
+
+  async start() {
+    this.httpServer = await listen(this.app, this.httpPort, this.host);
+    this.smtpServer = await listen(net.createServer(socket => this.handleSmtp(socket)), this.smtpPort, this.host);
+
+    this.logger.info(`Notification sink: webhooks at ${this.webhookUrl}, SMTP on ${this.host}:${this.smtp.port}`);
+    return { webhookUrl: this.webhookUrl, smtp: this.smtp };
+  }
+
+  async stop() {
+    for (const server of [this.httpServer, this.smtpServer]) {
+      if (server) await new Promise(resolve => server.close(resolve));
+    }
+    this.httpServer = null;
+    this.smtpServer = null;
+  }
+
+  createApp() {
+    const app = express();
+    // Raw text, so a signature can be checked against exactly what was sent
+    app.use(express.text({ type: '*/*', limit: '1mb' }));
+
+    app.post('*', (req, res) => {
+      let body = null;
+      try {
+        body = JSON.parse(req.body);
+      } catch {
+        // Kept as raw text only
+      }
+      this.webhooks.push({ path: req.path, headers: req.headers, raw: req.body, body });
+      res.status(this.webhookStatus).send(this.webhookStatus < 400 ? 'ok' : 'error');
+    });
+
+    app.get('/received', (req, res) => {
+      res.json({ emails: this.emails, webhooks: this.webhooks });
+    });
+
+    return app;
+  }
+
+  handleSmtp(socket) {
+    const session = { auth: null, from: null, to: [] };
+    let buffer = '';
+    let data = null;
+    let login = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    socket.on('error', () => {});
+    reply('220 notification-sink ESMTP');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data) {
+          if (line === '.') {
+            this.emails.push({ ...session, ...parseMessage(data) });
+            data = null;
+            reply('250 OK queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        if (login) {
+          login.push(Buffer.from(line, 'base64').toString('utf8'));
+          if (login.length === 1) {
+            reply('334 UGFzc3dvcmQ6');
+          } else {
+            session.auth = { username: login[0], password: login[1] };
+            login = null;
+            reply('235 Authenticated');
+          }
+          continue;
+        }
+
+        const [verb, ...args] = line.split(' ');
+        const arg = args.join(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+          case 'HELO':
+            socket.write('250-notification-sink\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+            break;
+          case 'AUTH':
+            if (args[0]?.toUpperCase() === 'LOGIN') {
+              login = [];
+              reply('334 VXNlcm5hbWU6');
+            } else {
+              const [, username, password] = Buffer.from(args[1] || '', 'base64').toString('utf8').split('\0');
+              session.auth = { username, password };
+              reply('235 Authenticated');
+            }
+            break;
+          case 'MAIL':
+            session.from = /<([^>]*)>/.exec(arg)?.[1] || null;
+            session.to = [];
+            reply('250 OK');
+            break;
+          case 'RCPT':
+            session.to.push(/<([^>]*)>/.exec(arg)?.[1]);
+            reply('250 OK');
+            break;
+          case 'DATA':
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'RSET':
+          case 'NOOP':
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 Command not implemented');
+        }
+      }
+    });
+  }
+}
+
+function listen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    const listening = server.listen(port, host, () => resolve(listening));
+    listening.once('error', reject);
+  });
+}
+
+// Headers and the decoded plain-text body of a received message
+function parseMessage(lines) {
+  const blank = lines.indexOf('');
+  const headers = {};
+  for (const line of lines.slice(0, blank)) {
+    const separator = line.indexOf(':');
+    headers[line.slice(0, separator).toLowerCase()] = line.slice(separator + 1).trim();
+  }
+
+  let text = lines.slice(blank + 1).join('\n');
+  if (headers['content-transfer-encoding'] === 'base64') {
+    text = Buffer.from(text.replace(/\s/g, ''), 'base64').toString('utf8');
+  }
+  const subject = (headers.subject || '').replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (match, encoded) =>
+    Buffer.from(encoded, 'base64').toString('utf8')
+  );
+
+  return { headers, subject, text };
+}
+
+// Run directly: `npm run mock:notifications`, then point a target at http://127.0.0.1:4030/
+// or at SMTP host 127.0.0.1, port 2525
+if (require.main === module) {
+  new NotificationSink().start().catch(error => {
+    console.error('Failed to start the notification sink:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { NotificationSink };
@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'youtube.json');
+const FLOAT_METRICS = ['impressionClickThroughRate', 'averageViewPercentage', 'viewerPercentage'];
+
+// Local stand-in for the parts of the YouTube Data API v3 and YouTube Analytics API v2 the agents use.
+// Serves fixture data that is identical on every run; uploads are kept in memory until reset().
+class MockYouTubeServer {
+  constructor(options = {}) {
+    this.logger = new Logger('MockYouTube');
+    this.port = options.port !== undefined ? options.port : parseInt(process.env.MOCK_YOUTUBE_PORT) || 4010;
+    this.host = options.host || '127.0.0.1';
+    this.fixturesPath = options.fixtures || DEFAULT_FIXTURES;
+    this.server = null;
+    this.app = this.createApp();
+    this.reset();
+  }
+
+  get url() {
+    return this.server ? `http://${this.host}:${this.server.address().port}/` : null;
+  }
+
+  // Restores the fixture state and forgets uploaded videos, captions, thumbnails and playlists
+  reset() {
+    const fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+
+    this.fixtures = fixtures;
+    this.channels = new Map(fixtures.channels.map(channel => [channel.id, channel]));
+    this.videos = new Map(fixtures.videos.map(video => [video.id, video]));
+    this.captions = [];
+    this.thumbnails = new Map();
+    this.playlists = new Map();
+    this.playlistItems = [];
+    this.sessions = new Map();
+    this.requests = [];
+    this.counter = 0;
+  }
+
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, this.host, resolve);
+      this.server.once('error', reject);
+    });
+
+    this.logger.info(`Mock YouTube API listening on ${this.url}`);
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  createApp() {
+    const app = express();
+
+    app.use((req, res, next) => {
+      this.requests.push({ method: req.method, path: req.path, query: req.query });
+      if (!/^Bearer \S+/.test(req.get('authorization') || '')) {
+        return this.sendError(res, 401, 'authError', 'Request is missing required authentication credential.');
+      }
+      next();
+    });
+
+    // Data API v3
+    app.get('/youtube/v3/videos', (req, res) => this.listVideos(req, res));
+    app.get('/youtube/v3/search', (req, res) => this.search(req, res));
+    app.get('/youtube/v3/channels', (req, res) => this.listChannels(req, res));
+    app.put('/youtube/v3/videos', express.json(), (req, res) => this.updateVideo(req, res));
+    app.get('/youtube/v3/playlists', (req, res) => this.listPlaylists(req, res));
+    app.post('/youtube/v3/playlists', express.json(), (req, res) => this.insertPlaylist(req, res));
+    app.get('/youtube/v3/playlistItems', (req, res) => this.listPlaylistItems(req, res));
+    app.post('/youtube/v3/playlistItems', express.json(), (req, res) => this.insertPlaylistItem(req, res));
+
+    // Media uploads
+    const raw = express.raw({ type: () => true, limit: '2gb' });
+    app.post('/upload/youtube/v3/videos', raw, (req, res) => this.insertVideo(req, res));
+    app.put('/upload/youtube/v3/videos', raw, (req, res) => this.uploadChunk(req, res));
+    app.post('/upload/youtube/v3/thumbnails/set', raw, (req, res) => this.setThumbnail(req, res));
+    app.post('/upload/youtube/v3/captions', raw, (req, res) => this.insertCaption(req, res));
+
+    // Analytics API v2
+    app.get('/v2/reports', (req, res) => this.queryReport(req, res));
+
+    app.use((req, res) => {
+      this.sendError(res, 404, 'notFound', `Not implemented by the mock server: ${req.method} ${req.path}`);
+    });
+
+    return app;
+  }
+
+  listVideos(req, res) {
+    const { id, chart, videoCategoryId } = req.query;
+    const maxResults = Math.min(parseInt(req.query.maxResults) || 5, 50);
+    let videos;
+
+    if (id) {
+      videos = id.split(',').map(videoId => this.videos.get(videoId)).filter(Boolean);
+    } else if (chart === 'mostPopular') {
+      videos = [...this.videos.values()]
+        .filter(video => video.trending)
+        .filter(video => !videoCategoryId || video.snippet.categoryId === videoCategoryId)
+        .sort((a, b) => b.statistics.viewCount - a.statistics.viewCount)
+        .slice(0, maxResults);
+    } else {
+      return this.sendError(res, 400, 'missingRequiredParameter', 'No filter selected. Expected one of: id, chart');
+    }
+
+    res.json(this.listResponse('youtube#videoListResponse', videos.map(video => this.toResource('youtube#video', video, req.query.part))));
+  }
+
+  search(req, res) {
+    const { channelId, q, order } = req.query;
+    const maxResults = Math.min(parseInt(req.query.maxResults) || 5, 50);
+
+    let videos = [...this.videos.values()]
+      .filter(video => !channelId || video.snippet.channelId === channelId)
+      .filter(video => !q || `${video.snippet.title} ${(video.snippet.tags || []).join(' ')}`.toLowerCase().includes(q.toLowerCase()));
+
+    if (order === 'viewCount') {
+      videos.sort((a, b) => b.statistics.viewCount - a.statistics.viewCount);
+    } else {
+      videos.sort((a, b) => b.snippet.publishedAt.localeCompare(a.snippet.publishedAt));
+    }
+    videos = videos.slice(0, maxResults);
+
+    res.json(this.listResponse('youtube#searchListResponse', videos.map(video => ({
+      kind: 'youtube#searchResult',
+      etag: this.etag(video.id),
+      id: { kind: 'youtube#video', videoId: video.id },
+      snippet: video.snippet
+    }))));
+  }
+
+  listChannels(req, res) {
+    const { id, mine } = req.query;
+    let channels;
+
+    if (mine === 'true') {
+      channels = [...this.channels.values()].filter(channel => channel.mine);
+    } else if (id) {
+      channels = id.split(',').map(channelId => this.channels.get(channelId)).filter(Boolean);
+    } else {
+      return this.sendError(res, 400, 'missingRequiredParameter', 'No filter selected. Expected one of: id, mine');
+    }
+
+    res.json(this.listResponse('youtube#channelListResponse', channels.map(channel => this.toResource('youtube#channel', channel, req.query.part))));
+  }
+
+  // videos.update replaces the parts it is sent, as the real API does
+  updateVideo(req, res) {
+    const resource = req.body || {};
+    const video = this.videos.get(resource.id);
+    if (!video) {
+      return this.sendError(res, 404, 'videoNotFound', `Video not found: ${resource.id}`);
+    }
+
+    const parts = (req.query.part || '').split(',').map(p => p.trim()).filter(Boolean);
+    if (parts.includes('snippet')) {
+      if (!resource.snippet?.title || !resource.snippet?.categoryId) {
+        return this.sendError(res, 400, 'invalidVideoMetadata', 'The request metadata must specify a title and categoryId.');
+      }
+      const { channelId, channelTitle, publishedAt } = video.snippet;
+      video.snippet = { ...resource.snippet, channelId, channelTitle, publishedAt };
+    }
+    if (parts.includes('status') && resource.status) {
+      video.status = { ...video.status, ...resource.status };
+    }
+
+    res.json(this.toResource('youtube#video', video, req.query.part));
+  }
+
+  listPlaylists(req, res) {
+    const { id, mine } = req.query;
+    let playlists;
+
+    if (mine === 'true') {
+      playlists = [...this.playlists.values()];
+    } else if (id) {
+      playlists = id.split(',').map(playlistId => this.playlists.get(playlistId)).filter(Boolean);
+    } else {
+      return this.sendError(res, 400, 'missingRequiredParameter', 'No filter selected. Expected one of: id, mine');
+    }
+
+    res.json(this.listResponse('youtube#playlistListResponse', playlists.map(playlist => this.toResource('youtube#playlist', playlist, req.query.part))));
+  }
+
+  insertPlaylist(req, res) {
+    const resource = req.body || {};
+    if (!resource.snippet?.title) {
+      return this.sendError(res, 400, 'playlistTitleRequired', 'The request must specify a playlist title.');
+    }
+
+    const channel = [...this.channels.values()].find(c => c.mine);
+    const playlist = {
+      id: this.nextId('playlist'),
+      snippet: {
+        channelId: channel.id,
+        channelTitle: channel.snippet.title,
+        publishedAt: new Date().toISOString(),
+        description: '',
+        ...resource.snippet
+      },
+      status: { privacyStatus: 'private', ...resource.status },
+      contentDetails: { itemCount: 0 }
+    };
+
+    this.playlists.set(playlist.id, playlist);
+    res.json(this.toResource('youtube#playlist', playlist, req.query.part));
+  }
+
+  listPlaylistItems(req, res) {
+    const { playlistId } = req.query;
+    if (!playlistId) {
+      return this.sendError(res, 400, 'missingRequiredParameter', 'No filter selected. Expected one of: playlistId, id');
+    }
+    if (!this.playlists.has(playlistId)) {
+      return this.sendError(res, 404, 'playlistNotFound', `Playlist not found: ${playlistId}`);
+    }
+
+    const items = this.playlistItems.filter(item => item.snippet.playlistId === playlistId);
+    res.json(this.listResponse('youtube#playlistItemListResponse', items.map(item => this.toResource('youtube#playlistItem', item, req.query.part))));
+  }
+
+  // Items are appended, or put at snippet.position like the real API
+  insertPlaylistItem(req, res) {
+    const snippet = req.body?.snippet || {};
+    const playlist = this.playlists.get(snippet.playlistId);
+    if (!playlist) {
+      return this.sendError(res, 404, 'playlistNotFound', `Playlist not found: ${snippet.playlistId}`);
+    }
+    if (!this.videos.has(snippet.resourceId?.videoId)) {
+      return this.sendError(res, 404, 'videoNotFound', `Video not found: ${snippet.resourceId?.videoId}`);
+    }
+
+    const items = this.playlistItems.filter(item => item.snippet.playlistId === playlist.id);
+    const position = Number.isInteger(snippet.position) ? Math.min(snippet.position, items.length) : items.length;
+    const item = {
+      id: this.nextId('playlistItem'),
+      snippet: {
+        ...snippet,
+        title: this.videos.get(snippet.resourceId.videoId).snippet.title,
+        position
+      }
+    };
+
+    items.filter(other => other.snippet.position >= position).forEach(other => { other.snippet.position++; });
+    this.playlistItems.push(item);
+    playlist.contentDetails.itemCount = items.length + 1;
+    res.json(this.toResource('youtube#playlistItem', item, req.query.part));
+  }
+
+  // videos.insert as googleapis sends it (multipart) or as a resumable session
+  insertVideo(req, res) {
+    const { uploadType } = req.query;
+
+    if (uploadType === 'multipart') {
+      const [metadata, media] = this.parseMultipart(req);
+      return res.json(this.createVideo(JSON.parse(metadata.body.toString('utf8')), media.body.length, req.query.part));
+    }
+
+    if (uploadType === 'resumable') {
+      const size = parseInt(req.get('x-upload-content-length'));
+      if (!size) {
+        return this.sendError(res, 400, 'uploadLengthRequired', 'X-Upload-Content-Length is required');
+      }
+
+      const uploadId = this.nextId('upload');
+      this.sessions.set(uploadId, {
+        metadata: JSON.parse(req.body.toString('utf8') || '{}'),
+        part: req.query.part,
+        size,
+        received: 0
+      });
+
+      res.set('Location', `${req.protocol}://${req.get('host')}/upload/youtube/v3/videos?uploadType=resumable&upload_id=${uploadId}`);
+      return res.status(200).end();
+    }
+
+    this.sendError(res, 400, 'invalidParameter', `Unsupported uploadType: ${uploadType}`);
+  }
+
+  uploadChunk(req, res) {
+    const session = this.sessions.get(req.query.upload_id);
+    if (!session) {
+      return this.sendError(res, 404, 'notFound', 'Upload session not found');
+    }
+
+    const range = /bytes (?:(\d+)-(\d+)|\*)\/(\d+)/.exec(req.get('content-range') || '');
+    if (!range) {
+      return this.sendError(res, 400, 'invalidParameter', 'Content-Range is required');
+    }
+
+    // A chunk must continue exactly where the stored bytes end
+    if (range[1] !== undefined) {
+      if (parseInt(range[1]) !== session.received || req.body.length !== parseInt(range[2]) - parseInt(range[1]) + 1) {
+        return this.sendError(res, 400, 'invalidParameter', `Expected a chunk starting at byte ${session.received}`);
+      }
+      session.received += req.body.length;
+    }
+
+    if (session.received >= session.size) {
+      if (!session.video) {
+        session.video = this.createVideo(session.metadata, session.size, session.part);
+      }
+      return res.status(200).json(session.video);
+    }
+
+    if (session.received > 0) {
+      res.set('Range', `bytes=0-${session.received - 1}`);
+    }
+    res.status(308).end();
+  }
+
+  setThumbnail(req, res) {
+    const video = this.videos.get(req.query.videoId);
+    if (!video) {
+      return this.sendError(res, 404, 'videoNotFound', `Video not found: ${req.query.videoId}`);
+    }
+
+    const url = `${req.protocol}://${req.get('host')}/thumbnails/${video.id}/default.jpg`;
+    this.thumbnails.set(video.id, { size: req.body.length, contentType: req.get('content-type') });
+
+    res.json({
+      kind: 'youtube#thumbnailSetResponse',
+      etag: this.etag(`thumb-${video.id}`),
+      items: [{ default: { url, width: 1280, height: 720 } }]
+    });
+  }
+
+  insertCaption(req, res) {
+    const [metadata, media] = this.parseMultipart(req);
+    const resource = JSON.parse(metadata.body.toString('utf8'));
+    const videoId = resource.snippet?.videoId;
+
+    if (!this.videos.has(videoId)) {
+      return this.sendError(res, 404, 'videoNotFound', `Video not found: ${videoId}`);
+    }
+
+    const caption = {
+      kind: 'youtube#caption',
+      etag: this.etag(`caption-${this.captions.length}`),
+      id: this.nextId('caption'),
+      snippet: {
+        ...resource.snippet,
+        trackKind: 'standard',
+        lastUpdated: new Date().toISOString(),
+        status: 'serving'
+      }
+    };
+
+    this.captions.push({ ...caption, body: media.body.toString('utf8') });
+    res.json(caption);
+  }
+
+  // Rows are derived from a hash of the video, metric and dimension value, so a query always returns the same numbers
+  queryReport(req, res) {
+    const { startDate, endDate } = req.query;
+    const metrics = (req.query.metrics || '').split(',').filter(Boolean);
+    const dimensions = (req.query.dimensions || '').split(',').filter(Boolean);
+    const filter = /video==([\w-]+)/.exec(req.query.filters || '');
+    const target = filter ? filter[1] : 'channel';
+
+    if (!startDate || !endDate || metrics.length === 0) {
+      return this.sendError(res, 400, 'required', 'startDate, endDate and metrics are required');
+    }
+
+    const unknown = metrics.filter(metric => !this.fixtures.analytics.metrics[metric]);
+    if (unknown.length > 0) {
+      return this.sendError(res, 400, 'badRequest', `Unknown identifier (${unknown[0]}) given in field parameters.metrics`);
+    }
+    if (dimensions.length > 1) {
+      return this.sendError(res, 400, 'badRequest', 'The mock server supports at most one dimension');
+    }
+
+    const dimension = dimensions[0];
+    const keys = dimension === 'day'
+      ? this.daysBetween(startDate, endDate)
+      : dimension
+        ? this.fixtures.analytics.dimensions[dimension]
+        : [null];
+
+    if (!keys) {
+      return this.sendError(res, 400, 'badRequest', `Unknown identifier (${dimension}) given in field parameters.dimensions`);
+    }
+
+    const rows = keys.map(key => [
+      ...(key === null ? [] : [key]),
+      ...metrics.map(metric => this.metricValue(target, metric, key))
+    ]);
+
+    // Percentage breakdowns add up to 100 like the real API
+    metrics.forEach((metric, index) => {
+      if (metric !== 'viewerPercentage' || !dimension) return;
+      const column = index + 1;
+      const total = rows.reduce((sum, row) => sum + row[column], 0);
+      rows.forEach(row => { row[column] = Math.round((row[column] / total) * 10000) / 100; });
+    });
+
+    if (dimension && dimension !== 'day') {
+      rows.sort((a, b) => b[1] - a[1]);
+    }
+
+    res.json({
+      kind: 'youtubeAnalytics#resultTable',
+      columnHeaders: [
+        ...(dimension ? [{ name: dimension, columnType: 'DIMENSION', dataType: 'STRING' }] : []),
+        ...metrics.map(name => ({
+          name,
+          columnType: 'METRIC',
+          dataType: FLOAT_METRICS.includes(name) ? 'FLOAT' : 'INTEGER'
+        }))
+      ],
+      rows
+    });
+  }
+
+  createVideo(metadata, size, part = 'snippet,status') {
+    const id = this.nextId('video');
+    const channel = [...this.channels.values()].find(c => c.mine);
+    const video = {
+      id,
+      snippet: {
+        channelId: channel.id,
+        channelTitle: channel.snippet.title,
+        publishedAt: new Date().toISOString(),
+        categoryId: '22',
+        ...metadata.snippet
+      },
+      statistics: { viewCount: '0', likeCount: '0', commentCount: '0' },
+      contentDetails: { duration: 'PT0S' },
+      status: {
+        uploadStatus: 'uploaded',
+        privacyStatus: 'private',
+        ...metadata.status
+      },
+      fileDetails: { fileSize: String(size) }
+    };
+    if (metadata.localizations) {
+      video.localizations = metadata.localizations;
+    }
+
+    this.videos.set(id, video);
+    this.logger.info(`Stored upload ${id} (${size} bytes): ${video.snippet.title}`);
+    return this.toResource('youtube#video', video, part);
+  }
+
+  toResource(kind, item, part = '') {
+    const resource = { kind, etag: this.etag(item.id), id: item.id };
+    for (const name of part.split(',').map(p => p.trim()).filter(Boolean)) {
+      if (item[name] !== undefined) resource[name] = item[name];
+    }
+    return resource;
+  }
+
+  listResponse(kind, items) {
+    return {
+      kind,
+      etag: this.etag(items.map(item => item.etag).join()),
+      pageInfo: { totalResults: items.length, resultsPerPage: items.length },
+      items
+    };
+  }
+
+  parseMultipart(req) {
+    const boundary = /boundary=([^;]+)/.exec(req.get('content-type') || '')?.[1];
+    if (!boundary) {
+      throw new Error('Expected a multipart/related body');
+    }
+
+    // latin1 keeps one character per byte so binary media survives the split
+    const body = req.body.toString('latin1');
+    return body.split(`--${boundary}`)
+      .slice(1, -1)
+      .map(part => {
+        const content = part.replace(/^\r\n/, '');
+        const separator = content.indexOf('\r\n\r\n');
+        return {
+          headers: content.slice(0, separator),
+          body: Buffer.from(content.slice(separator + 4).replace(/\r\n$/, ''), 'latin1')
+        };
+      });
+  }
+
+  metricValue(target, metric, key) {
+    const [min, max] = this.fixtures.analytics.metrics[metric];
+    const hash = crypto.createHash('md5').update(`${target}:${metric}:${key}`).digest();
+    const value = min + (hash.readUInt32BE(0) / 0xffffffff) * (max - min);
+    return FLOAT_METRICS.includes(metric) ? Math.round(value * 100) / 100 : Math.round(value);
+  }
+
+  daysBetween(startDate, endDate) {
+    const days = [];
+    const end = new Date(`${endDate}T00:00:00Z`);
+    for (let day = new Date(`${startDate}T00:00:00Z`); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+      days.push(day.toISOString().split('T')[0]);
+    }
+    return days;
+  }
+
+  nextId(prefix) {
+    this.counter++;
+    return prefix === 'video'
+      ? `mockUp${String(this.counter).padStart(5, '0')}`
+      : `${prefix}-${String(this.counter).padStart(5, '0')}`;
+  }
+
+  etag(value) {
+    return crypto.createHash('md5').update(String(value)).digest('base64').slice(0, 27);
+  }
+
+  sendError(res, code, reason, message) {
+    res.status(code).json({
+      error: {
+        code,
+        message,
+        errors: [{ message, domain: 'youtube.mock', reason }]
+      }
+    });
+  }
+}
+
+// Run directly: `npm run mock:youtube`, then start the agent with YOUTUBE_API_MOCK_URL=http://127.0.0.1:4010/
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const server = new MockYouTubeServer({
+    port: portIndex > -1 ? parseInt(process.argv[portIndex + 1]) : undefined
+  });
+
+  server.start().catch(error => {
+    console.error('Failed to start mock YouTube API:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { MockYouTubeServer };
@@ -1,11 +1,23 @@
 const cron = require('node-cron');
 const { Logger } = require('../utils/logger');
-
+const {
+  SCHEDULED_TASKS,
+  defaultSchedule,
+  loadSchedules,
+  saveSchedule,
+  validateSchedule,
+  nextRuns
+} = require('../utils/schedule-config');
+
+// Runs every task once per enabled channel. `channels` maps channel IDs to { channel, agents, pipeline };
+// it is shared with the caller, so channels added or edited at runtime are picked up on the next run.
 class DailyAutomation {
-  constructor(agents, database) {
-    this.agents = agents;
+  constructor(channels, database, options = {}) {
+    this.channels = channels;
     this.db = database;
+    this.notifier = options.notifier || null;
     this.logger = new Logger('DailyAutomation');
+    // name -> { schedule, task }; task is the node-cron job, null while the task is disabled
     this.scheduledTasks = new Map();
     this.isEnabled = true;
   }
@@ -15,144 +27,171 @@ class DailyAutomation {
     
     await this.setupScheduledTasks();
     
-    // Start monitoring loop
-    this.startMonitoringLoop();
-    
     this.logger.success('Daily automation initialized successfully');
     return true;
   }
 
+  // Schedules come from the settings table, so they can be changed without a restart
   async setupScheduledTasks() {
-    // Daily content generation at 6:00 AM
-    this.scheduledTasks.set('daily-content-generation', 
-      cron.schedule('0 6 * * *', async () => {
-        if (this.isEnabled) {
-          await this.runDailyContentGeneration();
-        }
-      }, { scheduled: false })
-    );
+    const schedules = await loadSchedules(this.db);
 
-    // Publishing queue processing every 15 minutes
-    this.scheduledTasks.set('publish-queue-processing',
-      cron.schedule('*/15 * * * *', async () => {
-        if (this.isEnabled) {
-          await this.processPublishQueue();
-        }
-      }, { scheduled: false })
-    );
+    for (const [name, schedule] of Object.entries(schedules)) {
+      this.scheduleTask(name, schedule);
+    }
+  }
 
-    // Analytics collection at 9:00 AM daily
-    this.scheduledTasks.set('daily-analytics',
-      cron.schedule('0 9 * * *', async () => {
-        if (this.isEnabled) {
-          await this.collectDailyAnalytics();
-        }
-      }, { scheduled: false })
-    );
+  getTaskRunner(name) {
+    const runners = {
+      'daily-content-generation': () => this.runDailyContentGeneration(),
+      'publish-queue-processing': () => this.processPublishQueue(),
+      'daily-analytics': () => this.collectDailyAnalytics(),
+      'weekly-strategy-review': () => this.weeklyStrategyReview(),
+      'daily-optimization': () => this.runDailyOptimization(),
+      'database-maintenance': () => this.databaseMaintenance(),
+      'health-check': () => this.performHealthCheck()
+    };
+    return runners[name];
+  }
 
-    // Weekly strategy review on Sundays at 8:00 AM
-    this.scheduledTasks.set('weekly-strategy-review',
-      cron.schedule('0 8 * * 0', async () => {
-        if (this.isEnabled) {
-          await this.weeklyStrategyReview();
-        }
-      }, { scheduled: false })
-    );
+  // Replaces the task's node-cron job with one for the new schedule; a disabled task has none
+  scheduleTask(name, schedule) {
+    const existing = this.scheduledTasks.get(name);
+    if (existing?.task) {
+      existing.task.stop();
+    }
 
-    // Optimization tasks daily at 10:00 PM
-    this.scheduledTasks.set('daily-optimization',
-      cron.schedule('0 22 * * *', async () => {
-        if (this.isEnabled) {
-          await this.runDailyOptimization();
-        }
-      }, { scheduled: false })
-    );
+    let task = null;
+    if (schedule.enabled) {
+      const run = this.getTaskRunner(name);
+      const pausable = SCHEDULED_TASKS[name].pausable !== false;
 
-    // Database maintenance weekly on Saturdays at 3:00 AM
-    this.scheduledTasks.set('database-maintenance',
-      cron.schedule('0 3 * * 6', async () => {
-        if (this.isEnabled) {
-          await this.databaseMaintenance();
+      task = cron.schedule(schedule.cron, async () => {
+        if (pausable && !this.isEnabled) return;
+        try {
+          await run();
+        } catch (error) {
+          this.logger.error(`Scheduled task ${name} failed:`, error);
         }
-      }, { scheduled: false })
-    );
-
-    // Start all scheduled tasks
-    this.scheduledTasks.forEach((task, name) => {
+      }, { scheduled: false, timezone: schedule.timezone });
       task.start();
-      this.logger.info(`Started scheduled task: ${name}`);
-    });
+      this.logger.info(`Scheduled task ${name}: ${schedule.cron} (${schedule.timezone})`);
+    } else {
+      this.logger.info(`Scheduled task ${name} is disabled`);
+    }
+
+    this.scheduledTasks.set(name, { schedule, task });
+  }
+
+  // Saves the changed fields and reschedules the running task
+  async updateSchedule(name, changes) {
+    if (!SCHEDULED_TASKS[name]) {
+      const error = new Error(`Scheduled task not found: ${name}`);
+      error.status = 404;
+      throw error;
+    }
+
+    let validated;
+    try {
+      validated = validateSchedule(changes || {}, { partial: true });
+    } catch (error) {
+      error.status = 400;
+      throw error;
+    }
+
+    const current = this.scheduledTasks.get(name)?.schedule || defaultSchedule(name);
+    const schedule = { ...current, ...validated };
+    await saveSchedule(this.db, name, schedule);
+    this.scheduleTask(name, schedule);
+    return this.describeSchedule(name);
+  }
+
+  describeSchedule(name, count = 5) {
+    const entry = this.scheduledTasks.get(name);
+    if (!entry) {
+      const error = new Error(`Scheduled task not found: ${name}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return {
+      name,
+      description: SCHEDULED_TASKS[name].description,
+      ...entry.schedule,
+      running: Boolean(entry.task),
+      pausable: SCHEDULED_TASKS[name].pausable !== false,
+      nextRuns: entry.schedule.enabled ? nextRuns(entry.schedule, count) : []
+    };
+  }
+
+  describeSchedules(count = 5) {
+    return Array.from(this.scheduledTasks.keys()).map(name => this.describeSchedule(name, count));
+  }
+
+  // Enabled channels whose agents started; a channel that failed to start is skipped until fixed
+  getActiveChannels() {
+    return Array.from(this.channels.values()).filter(context => context.agents && context.channel.enabled);
   }
 
   async runDailyContentGeneration() {
+    for (const context of this.getActiveChannels()) {
+      await this.runChannelContentGeneration(context);
+    }
+  }
+
+  async runChannelContentGeneration({ channel, agents, pipeline }) {
+    const startedAt = Date.now();
+
     try {
-      this.logger.info('Starting daily content generation...');
+      this.logger.info(`Starting daily content generation for ${channel.id}...`);
       
-      const timer = this.logger.startTimer('Daily Content Generation');
+      const timer = this.logger.startTimer(`Daily Content Generation (${channel.id})`);
       
       // Check if we should generate content today
-      const shouldGenerate = await this.shouldGenerateContentToday();
+      const shouldGenerate = await this.shouldGenerateContentToday(channel, agents);
       
       if (!shouldGenerate) {
-        this.logger.info('Skipping content generation - sufficient content in pipeline');
+        this.logger.info(`Skipping content generation for ${channel.id} - sufficient content in pipeline`);
+        await this.logAutomationEvent('daily_content_generation', 'skipped', {
+          channelId: channel.id,
+          reason: 'Sufficient content in pipeline'
+        }, { startedAt });
         return;
       }
 
-      // Generate content strategy
-      const strategy = await this.agents.strategy.generateContentStrategy();
-      this.logger.info(`Generated strategy: ${strategy.topic}`);
+      // Each stage is persisted, so a crash resumes from the last completed stage
+      const job = await pipeline.start({}, 'daily');
+      this.logger.info(`Content scheduled for publishing: ${job.result.contentId}`);
 
-      // Generate script
-      const script = await this.agents.scriptWriter.generateScript(strategy);
-      this.logger.info(`Generated script: ${script.title}`);
-
-      // Generate thumbnail
-      const thumbnail = await this.agents.thumbnailDesigner.generateThumbnail(script);
-      this.logger.info('Generated thumbnail');
-
-      // Optimize SEO
-      const seoData = await this.agents.seoOptimizer.optimize(script, strategy);
-      this.logger.info('Completed SEO optimization');
-
-      // Process through production
-      const productionData = await this.agents.production.processContent({
-        strategy,
-        script,
-        thumbnail,
-        seo: seoData
-      });
-      this.logger.info(`Production completed: ${productionData.id}`);
-
-      // Schedule for publishing
-      await this.agents.publishing.scheduleContent(productionData);
-      this.logger.info('Content scheduled for publishing');
+      channel.lastGeneratedAt = new Date().toISOString();
+      await this.db.updateChannel(channel);
 
       timer.end();
-      this.logger.success('Daily content generation completed successfully');
+      this.logger.success(`Daily content generation completed for ${channel.id}`);
 
       // Log the event
       await this.logAutomationEvent('daily_content_generation', 'success', {
-        contentId: productionData.id,
-        topic: strategy.topic,
-        scheduledFor: productionData.scheduledPublishTime
-      });
+        channelId: channel.id,
+        jobId: job.id,
+        ...job.result
+      }, { startedAt, contentId: job.result.contentId });
 
     } catch (error) {
-      this.logger.error('Daily content generation failed:', error);
+      this.logger.error(`Daily content generation failed for ${channel.id}:`, error);
       
       await this.logAutomationEvent('daily_content_generation', 'error', {
-        error: error.message
-      });
+        channelId: channel.id
+      }, { startedAt, error });
 
       // Send notification about failure
-      await this.sendFailureNotification('Daily Content Generation', error);
+      await this.sendFailureNotification(`Daily Content Generation (${channel.name})`, error, channel.id);
     }
   }
 
-  async shouldGenerateContentToday() {
+  // The channel's cadence wins over the global settings
+  async shouldGenerateContentToday(channel, agents) {
     // Check content buffer
-    const upcomingContent = await this.agents.publishing.getUpcomingSchedule(3);
-    const bufferDays = parseInt(await this.db.getSetting('content_buffer_days')) || 3;
+    const upcomingContent = await agents.publishing.getUpcomingSchedule(3);
+    const bufferDays = channel.cadence.bufferDays ?? (parseInt(await this.db.getSetting('content_buffer_days')) || 3);
     
     // Check if we have enough content scheduled
     if (upcomingContent.length >= bufferDays) {
@@ -160,8 +199,8 @@ class DailyAutomation {
     }
 
     // Check posting frequency settings
-    const frequency = await this.db.getSetting('posting_frequency') || 'daily';
-    const lastGeneration = await this.db.getSetting('last_content_generation');
+    const frequency = channel.cadence.postingFrequency || await this.db.getSetting('posting_frequency') || 'daily';
+    const lastGeneration = channel.lastGeneratedAt;
     
     if (lastGeneration) {
       const lastDate = new Date(lastGeneration);
@@ -185,38 +224,52 @@ class DailyAutomation {
     return true;
   }
 
+  // Each channel publishes from its own queue against its own quota
   async processPublishQueue() {
-    try {
-      const published = await this.agents.publishing.processPublishQueue();
-      
-      if (published > 0) {
-        this.logger.info(`Published ${published} videos from queue`);
+    for (const { channel, agents } of this.getActiveChannels()) {
+      const startedAt = Date.now();
+
+      try {
+        const published = await agents.publishing.processPublishQueue();
+        
+        if (published > 0) {
+          this.logger.info(`Published ${published} videos from the ${channel.id} queue`);
+          
+          await this.logAutomationEvent('queue_processing', 'success', {
+            channelId: channel.id,
+            publishedCount: published
+          }, { startedAt });
+        }
+      } catch (error) {
+        this.logger.error(`Failed to process publish queue for ${channel.id}:`, error);
         
-        await this.logAutomationEvent('queue_processing', 'success', {
-          publishedCount: published
-        });
+        await this.logAutomationEvent('queue_processing', 'error', {
+          channelId: channel.id
+        }, { startedAt, error });
       }
-    } catch (error) {
-      this.logger.error('Failed to process publish queue:', error);
-      
-      await this.logAutomationEvent('queue_processing', 'error', {
-        error: error.message
-      });
     }
   }
 
   async collectDailyAnalytics() {
+    for (const context of this.getActiveChannels()) {
+      await this.collectChannelAnalytics(context);
+    }
+  }
+
+  async collectChannelAnalytics({ channel, agents }) {
+    const startedAt = Date.now();
+
     try {
-      this.logger.info('Starting daily analytics collection...');
+      this.logger.info(`Starting daily analytics collection for ${channel.id}...`);
       
       // Get recently published videos
-      const recentVideos = await this.getRecentlyPublishedVideos(7);
+      const recentVideos = await this.getRecentlyPublishedVideos(7, channel.id);
       
       let processedCount = 0;
       
       for (const video of recentVideos) {
         try {
-          await this.agents.analytics.analyzeVideoPerformance(video.youtube_id);
+          await agents.analytics.analyzeVideoPerformance(video.youtube_id);
           processedCount++;
           
           this.logger.info(`Analyzed video: ${video.title}`);
@@ -228,27 +281,36 @@ class DailyAutomation {
         }
       }
 
-      this.logger.success(`Analytics collection completed. Processed ${processedCount} videos`);
+      this.logger.success(`Analytics collection completed for ${channel.id}. Processed ${processedCount} videos`);
       
       await this.logAutomationEvent('analytics_collection', 'success', {
+        channelId: channel.id,
         videosProcessed: processedCount
-      });
+      }, { startedAt });
 
     } catch (error) {
-      this.logger.error('Daily analytics collection failed:', error);
+      this.logger.error(`Daily analytics collection failed for ${channel.id}:`, error);
       
       await this.logAutomationEvent('analytics_collection', 'error', {
-        error: error.message
-      });
+        channelId: channel.id
+      }, { startedAt, error });
     }
   }
 
   async weeklyStrategyReview() {
+    for (const context of this.getActiveChannels()) {
+      await this.reviewChannelStrategy(context);
+    }
+  }
+
+  async reviewChannelStrategy({ channel, agents }) {
+    const startedAt = Date.now();
+
     try {
-      this.logger.info('Starting weekly strategy review...');
+      this.logger.info(`Starting weekly strategy review for ${channel.id}...`);
       
       // Analyze performance of last week's content
-      const weeklyAnalytics = await this.agents.analytics.getRecentAnalytics(7);
+      const weeklyAnalytics = await agents.analytics.getRecentAnalytics(7);
       
       // Update content strategy based on performance
       if (weeklyAnalytics.topPerformers.length > 0) {
@@ -260,32 +322,37 @@ class DailyAutomation {
       }
 
       // Optimize publishing times
-      await this.agents.publishing.optimizePublishTimes();
+      await agents.publishing.optimizePublishTimes();
       
       // Generate strategy insights
       const insights = await this.generateWeeklyInsights(weeklyAnalytics);
       
-      this.logger.success('Weekly strategy review completed');
+      this.logger.success(`Weekly strategy review completed for ${channel.id}`);
       
       await this.logAutomationEvent('weekly_strategy_review', 'success', {
+        channelId: channel.id,
         insights
-      });
+      }, { startedAt });
 
     } catch (error) {
-      this.logger.error('Weekly strategy review failed:', error);
+      this.logger.error(`Weekly strategy review failed for ${channel.id}:`, error);
       
       await this.logAutomationEvent('weekly_strategy_review', 'error', {
-        error: error.message
-      });
+        channelId: channel.id
+      }, { startedAt, error });
     }
   }
 
   async runDailyOptimization() {
+    const startedAt = Date.now();
+
     try {
       this.logger.info('Starting daily optimization tasks...');
       
       // Optimize existing content SEO
-      await this.optimizeExistingContent();
+      for (const context of this.getActiveChannels()) {
+        await this.optimizeExistingContent(context);
+      }
       
       // Update keyword performance data
       await this.updateKeywordPerformance();
@@ -295,18 +362,18 @@ class DailyAutomation {
       
       this.logger.success('Daily optimization completed');
       
-      await this.logAutomationEvent('daily_optimization', 'success');
+      await this.logAutomationEvent('daily_optimization', 'success', {}, { startedAt });
 
     } catch (error) {
       this.logger.error('Daily optimization failed:', error);
       
-      await this.logAutomationEvent('daily_optimization', 'error', {
-        error: error.message
-      });
+      await this.logAutomationEvent('daily_optimization', 'error', {}, { startedAt, error });
     }
   }
 
   async databaseMaintenance() {
+    const startedAt = Date.now();
+
     try {
       this.logger.info('Starting database maintenance...');
       
@@ -326,27 +393,25 @@ class DailyAutomation {
       await this.logAutomationEvent('database_maintenance', 'success', {
         backupPath,
         stats
-      });
+      }, { startedAt });
 
     } catch (error) {
       this.logger.error('Database maintenance failed:', error);
       
-      await this.logAutomationEvent('database_maintenance', 'error', {
-        error: error.message
-      });
+      await this.logAutomationEvent('database_maintenance', 'error', {}, { startedAt, error });
     }
   }
 
   // Helper methods
-  async getRecentlyPublishedVideos(days) {
+  async getRecentlyPublishedVideos(days, channelId = null) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - days);
     
     const rows = await this.db.getAllRows(
       `SELECT * FROM publish_schedule 
-       WHERE status = 'published' AND published_at > ?
+       WHERE status = 'published' AND published_at > ? AND (? IS NULL OR channel_id = ?)
        ORDER BY published_at DESC`,
-      [cutoffDate.toISOString()]
+      [cutoffDate.toISOString(), channelId, channelId]
     );
     
     return rows;
@@ -368,19 +433,29 @@ class DailyAutomation {
     return insights;
   }
 
-  async optimizeExistingContent() {
+  async optimizeExistingContent({ channel, agents }) {
     // Get videos published in last 30 days with low performance
     const lowPerformingVideos = await this.db.getAllRows(
       `SELECT ar.* FROM analytics_reports ar
        JOIN publish_schedule ps ON ar.video_id = ps.id
        WHERE ar.performance_score < 50 
        AND ps.published_at > datetime('now', '-30 days')
-       LIMIT 5`
+       AND ps.channel_id = ?
+       LIMIT 5`,
+      [channel.id]
     );
     
     for (const video of lowPerformingVideos) {
-      // Re-analyze and generate optimization suggestions
-      await this.agents.analytics.analyzeVideoPerformance(video.video_id);
+      // Re-analyze and generate optimization suggestions; this is the first work dropped when quota runs low
+      try {
+        await agents.analytics.analyzeVideoPerformance(video.video_id, { priority: 'low' });
+      } catch (error) {
+        if (error.deferred) {
+          this.logger.warn(`Stopped re-analysis for ${channel.id}: ${error.message}`);
+          break;
+        }
+        throw error;
+      }
       this.logger.info(`Re-analyzed low performing video: ${video.video_id}`);
     }
   }
@@ -458,30 +533,33 @@ class DailyAutomation {
     );
   }
 
-  async logAutomationEvent(eventType, status, data = {}) {
-    await this.db.executeQuery(
-      'INSERT INTO automation_events (event_type, status, data, created_at) VALUES (?, ?, ?, datetime("now"))',
-      [eventType, status, JSON.stringify(data)]
-    );
+  async logAutomationEvent(task, status, data = {}, { startedAt = null, contentId = null, error = null } = {}) {
+    try {
+      await this.db.saveAutomationEvent({
+        task,
+        status,
+        durationMs: startedAt ? Date.now() - startedAt : null,
+        contentId,
+        error,
+        data
+      });
+    } catch (logError) {
+      // A failed audit write must not fail the task being audited
+      this.logger.error(`Failed to record automation event for ${task}:`, logError);
+    }
   }
 
-  async sendFailureNotification(taskName, error) {
-    // This would integrate with notification services (email, Slack, etc.)
+  async sendFailureNotification(taskName, error, channelId = null) {
     this.logger.error(`AUTOMATION FAILURE - ${taskName}: ${error.message}`);
-    
-    // Could send webhook notification, email, etc.
-    // For now, just log it prominently
-  }
 
-  startMonitoringLoop() {
-    // Monitor system health every hour
-    setInterval(async () => {
-      try {
-        await this.performHealthCheck();
-      } catch (error) {
-        this.logger.error('Health check failed:', error);
-      }
-    }, 60 * 60 * 1000); // 1 hour
+    // A failed pipeline job has already notified with its stage
+    if (!this.notifier || error.notified) return;
+
+    await this.notifier.notify('pipeline_failure', {
+      channelId,
+      task: taskName,
+      error: error.message
+    }, { key: channelId || taskName });
   }
 
   async performHealthCheck() {
@@ -501,9 +579,16 @@ class DailyAutomation {
       health.database = false;
     }
 
-    // Check scheduled tasks
-    this.scheduledTasks.forEach((task, name) => {
-      health.scheduledTasks[name] = task.running;
+    // Check each channel's agents started
+    this.channels.forEach(({ agents }, channelId) => {
+      health.agents[channelId] = Boolean(agents);
+    });
+
+    // Check scheduled tasks; disabled ones are left out so switching a task off costs nothing
+    this.scheduledTasks.forEach(({ schedule, task }, name) => {
+      if (schedule.enabled) {
+        health.scheduledTasks[name] = Boolean(task);
+      }
     });
 
     // Get system resources (simplified)
@@ -515,9 +600,12 @@ class DailyAutomation {
 
     // Log health status
     const healthScore = this.calculateHealthScore(health);
+    // The database may be what is failing
+    const threshold = parseInt(await this.db.getSetting('notification_health_threshold').catch(() => null)) || 80;
     
-    if (healthScore < 80) {
+    if (healthScore < threshold) {
       this.logger.warn(`System health score: ${healthScore}/100`, health);
+      await this.notifyHealth(health, healthScore, threshold);
     } else {
       this.logger.info(`System health check passed: ${healthScore}/100`);
     }
@@ -525,6 +613,18 @@ class DailyAutomation {
     return health;
   }
 
+  async notifyHealth(health, score, threshold) {
+    if (!this.notifier) return;
+
+    const stopped = Object.keys(health.scheduledTasks).filter(name => !health.scheduledTasks[name]);
+    const problems = [
+      !health.database && 'The database is not responding.',
+      stopped.length > 0 && `Stopped tasks: ${stopped.join(', ')}.`
+    ].filter(Boolean);
+
+    await this.notifier.notify('health_low', { score, threshold, problems: problems.join(' ') }, { key: 'system' });
+  }
+
   calculateHealthScore(health) {
     let score = 100;
     
@@ -552,8 +652,10 @@ class DailyAutomation {
   }
 
   async stopAutomation() {
-    this.scheduledTasks.forEach((task, name) => {
-      task.stop();
+    this.scheduledTasks.forEach((entry, name) => {
+      if (!entry.task) return;
+      entry.task.stop();
+      entry.task = null;
       this.logger.info(`Stopped scheduled task: ${name}`);
     });
     
@@ -568,10 +670,8 @@ class DailyAutomation {
   async getAutomationStatus() {
     return {
       enabled: this.isEnabled,
-      scheduledTasks: Array.from(this.scheduledTasks.keys()).map(name => ({
-        name,
-        running: this.scheduledTasks.get(name).running
-      })),
+      channels: this.getActiveChannels().map(({ channel }) => channel.id),
+      scheduledTasks: this.describeSchedules(1),
       lastHealthCheck: this.lastHealthCheck,
       uptime: process.uptime()
     };
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, createTestDatabase, createTestCredentials, startMockYouTube, freezeTime, assertSnapshot } = require('./helpers');
+const { AnalyticsOptimizationAgent } = require('../agents/analytics-optimization-agent');
+
+describe('AnalyticsOptimizationAgent', () => {
+  const analytics = loadFixture('analytics');
+  let db;
+  let mock;
+  let agent;
+
+  before(async () => {
+    mock = await startMockYouTube();
+    db = await createTestDatabase();
+    agent = new AnalyticsOptimizationAgent(db, createTestCredentials({ youtubeMockUrl: mock.url }));
+    await agent.initialize();
+  });
+
+  after(async () => {
+    await db.close();
+    await mock.stop();
+  });
+
+  describe('calculatePerformanceScore', () => {
+    it('grades a strong video', () => {
+      const performance = agent.calculatePerformanceScore(analytics.strong);
+
+      assert.equal(performance.score, 91);
+      assert.equal(performance.grade, 'A+');
+      assert.deepEqual(performance.breakdown, { views: 30, retention: 16, engagement: 25, ctr: 20 });
+    });
+
+    it('grades an average video', () => {
+      const performance = agent.calculatePerformanceScore(analytics.average);
+
+      assert.equal(performance.score, 48);
+      assert.equal(performance.grade, 'F');
+    });
+
+    it('grades a weak video', () => {
+      const performance = agent.calculatePerformanceScore(analytics.weak);
+
+      assert.equal(performance.score, 9);
+      assert.equal(performance.grade, 'F');
+    });
+  });
+
+  it('analyzes a video from the YouTube APIs', async (t) => {
+    freezeTime(t);
+    const report = await agent.analyzeVideoPerformance('mockVid0008');
+
+    assert.equal(report.videoDetails.id, 'mockVid0008');
+    assert.ok(report.performance.score >= 0 && report.performance.score <= 100);
+
+    assertSnapshot(t, {
+      performance: report.performance,
+      analytics: report.analytics,
+      insights: report.insights
+    });
+
+    const [saved] = await db.getAnalyticsHistory();
+    assert.equal(saved.video_id, 'mockVid0008');
+  });
+
+  it('returns the same report for the same day', async (t) => {
+    freezeTime(t);
+    const first = await agent.analyzeVideoPerformance('mockVid0003');
+    const second = await agent.analyzeVideoPerformance('mockVid0003');
+
+    assert.deepEqual(second.analytics, first.analytics);
+    assert.deepEqual(second.performance, first.performance);
+  });
+
+  it('rejects an unknown video', async () => {
+    await assert.rejects(agent.analyzeVideoPerformance('missingVideo'), /Video not found/);
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTestDatabase, freezeTime } = require('./helpers');
+const { AuthManager, SESSION_COOKIE, hashPassword, verifyPassword, parseCookies } = require('../utils/auth');
+
+describe('AuthManager', () => {
+  let db;
+  let auth;
+  let server;
+  let baseUrl;
+
+  // A small app with one route per role, guarded the way index.js guards its routes
+  function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(auth.middleware());
+    app.get('/content', auth.require('viewer'), (req, res) => res.json({ user: req.auth.user.username }));
+    app.post('/content', auth.require('editor'), (req, res) => res.json({ saved: true }));
+    app.put('/settings', auth.require('admin'), (req, res) => res.json({ saved: true }));
+    return app;
+  }
+
+  async function request(method, path, { token, session, csrfToken } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (session) headers.Cookie = `${SESSION_COOKIE}=${session}`;
+    if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: method === 'GET' ? undefined : '{}' });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    db = await createTestDatabase();
+    auth = new AuthManager(db);
+    await new Promise(resolve => {
+      server = createApp().listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  it('hashes passwords with a salt and verifies them', async () => {
+    const first = await hashPassword('correct horse battery');
+    const second = await hashPassword('correct horse battery');
+
+    assert.match(first, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(first, second);
+    assert.equal(await verifyPassword('correct horse battery', first), true);
+    assert.equal(await verifyPassword('correct horse staple', first), false);
+    assert.equal(await verifyPassword('anything', 'plain-text'), false);
+  });
+
+  it('validates new users and refuses duplicates', async () => {
+    await assert.rejects(auth.createUser({ username: 'x', password: 'short', role: 'owner' }), error => {
+      assert.equal(error.status, 400);
+      assert.equal(error.problems.length, 3);
+      return true;
+    });
+
+    const user = await auth.createUser({ username: 'sam', password: 'sourdough-starter', role: 'editor' });
+    assert.equal(user.role, 'editor');
+    assert.equal(user.passwordHash, undefined);
+
+    await assert.rejects(auth.createUser({ username: 'sam', password: 'sourdough-starter' }), { status: 409 });
+  });
+
+  it('logs in only with the right password and an enabled account', async () => {
+    assert.equal(await auth.login('sam', 'wrong-password'), null);
+    assert.equal(await auth.login('nobody', 'sourdough-starter'), null);
+
+    const user = await auth.login('sam', 'sourdough-starter');
+    assert.equal(user.username, 'sam');
+    assert.ok((await db.getUser(user.id)).lastLoginAt);
+  });
+
+  it('requires the CSRF token for state-changing session requests', async () => {
+    const user = await auth.login('sam', 'sourdough-starter');
+    const { sessionId, csrfToken } = await auth.createSession(user);
+
+    assert.deepEqual((await request('GET', '/content', { session: sessionId })).body, { user: 'sam' });
+    assert.equal((await request('POST', '/content', { session: sessionId })).status, 403);
+    assert.equal((await request('POST', '/content', { session: sessionId, csrfToken: 'forged' })).status, 403);
+    // Same string length as the real token, more bytes
+    const multibyte = 'é'.repeat(csrfToken.length);
+    assert.equal((await request('POST', '/content', { session: sessionId, csrfToken: multibyte })).status, 403);
+    assert.equal((await request('POST', '/content', { session: sessionId, csrfToken })).status, 200);
+
+    await auth.endSession(sessionId);
+    assert.equal((await request('GET', '/content', { session: sessionId })).status, 401);
+  });
+
+  it('treats a malformed session cookie as anonymous', async () => {
+    assert.deepEqual(parseCookies(`${SESSION_COOKIE}=%E0%A4%A; theme=dark`), { theme: 'dark' });
+    assert.equal((await request('GET', '/content', { session: '%E0%A4%A' })).status, 401);
+  });
+
+  it('enforces roles per route', async () => {
+    const viewer = await auth.createUser({ username: 'vic', password: 'just-watching', role: 'viewer' });
+    const { token } = await auth.createApiToken(viewer.id, 'reports');
+    const editor = await db.getUserByUsername('sam');
+    const { token: editorToken } = await auth.createApiToken(editor.id, 'scripts');
+
+    assert.equal((await request('GET', '/content')).status, 401);
+    assert.equal((await request('GET', '/content', { token })).status, 200);
+    assert.equal((await request('POST', '/content', { token })).status, 403);
+    assert.equal((await request('POST', '/content', { token: editorToken })).status, 200);
+    assert.equal((await request('PUT', '/settings', { token: editorToken })).status, 403);
+  });
+
+  it('stops accepting revoked tokens and tokens of disabled users', async () => {
+    const user = await db.getUserByUsername('vic');
+    const created = await auth.createApiToken(user.id, 'cron');
+    assert.match(created.token, /^yta_/);
+    assert.equal((await db.getApiToken(created.id)).tokenHash, undefined);
+
+    const other = await auth.createUser({ username: 'alex', password: 'another-viewer', role: 'viewer' });
+    await assert.rejects(auth.revokeApiToken(created.id, other), { status: 404 });
+
+    await auth.revokeApiToken(created.id, user);
+    assert.equal((await request('GET', '/content', { token: created.token })).status, 401);
+
+    const { token } = await auth.createApiToken(user.id, 'nightly');
+    await auth.updateUser(user.id, { disabled: true });
+    assert.equal((await request('GET', '/content', { token })).status, 401);
+  });
+
+  it('keeps at least one active admin', async () => {
+    const admin = await auth.createUser({ username: 'root', password: 'keep-the-keys', role: 'admin' });
+
+    await assert.rejects(auth.updateUser(admin.id, { role: 'editor' }), { status: 409 });
+    await assert.rejects(auth.updateUser(admin.id, { disabled: true }), { status: 409 });
+
+    await auth.createUser({ username: 'backup', password: 'second-admin', role: 'admin' });
+    assert.equal((await auth.updateUser(admin.id, { role: 'editor' })).role, 'editor');
+  });
+
+  it('makes a username wait after repeated failed logins', async (t) => {
+    freezeTime(t);
+    await auth.createUser({ username: 'kim', password: 'rye-and-spelt', role: 'viewer' });
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal(await auth.login('kim', 'wrong-password', { ip: '10.0.0.1' }), null);
+    }
+
+    // The right password waits too, and every further failure doubles the wait
+    await assert.rejects(auth.login('kim', 'rye-and-spelt', { ip: '10.0.0.2' }), { status: 429, retryAfter: 30 });
+    t.mock.timers.tick(30000);
+    assert.equal(await auth.login('kim', 'wrong-password'), null);
+    await assert.rejects(auth.login('kim', 'rye-and-spelt'), { status: 429, retryAfter: 60 });
+
+    t.mock.timers.tick(60000);
+    assert.equal((await auth.login('kim', 'rye-and-spelt')).username, 'kim');
+    assert.equal((await db.getLoginFailures({ username: 'kim', since: new Date(0).toISOString() })).count, 0);
+  });
+
+  it('makes an address wait after failed logins across usernames', async (t) => {
+    freezeTime(t);
+    for (let attempt = 0; attempt < 20; attempt++) {
+      assert.equal(await auth.login(`guess${attempt}`, 'sourdough-starter', { ip: '10.0.0.9' }), null);
+    }
+
+    await assert.rejects(auth.login('sam', 'sourdough-starter', { ip: '10.0.0.9' }), { status: 429 });
+    assert.equal((await auth.login('sam', 'sourdough-starter', { ip: '10.0.0.10' })).username, 'sam');
+  });
+
+  it('records audit events with the acting user', async () => {
+    const user = await db.getUserByUsername('sam');
+    await auth.audit({ auth: { user }, ip: '127.0.0.1' }, 'setting.update', 'require_approval', { value: 'true' });
+
+    const [event] = await db.getAuditEvents({ action: 'setting.update' });
+    assert.equal(event.actor, 'sam');
+    assert.equal(event.userId, user.id);
+    assert.equal(event.target, 'require_approval');
+    assert.deepEqual(event.details, { value: 'true' });
+  });
+});
@@ -0,0 +1,216 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadFixture, createTestDatabase, createTestCredentials, createTempDir, removeTempDir } = require('./helpers');
+const { formatVTT, formatSRT, wrapCaption, buildCues } = require('../utils/captions');
+const {
+  NarrationAligner, wordsFromCharacters, parseSilences, speechSegments, alignToSpeech, spreadWords, tokenize
+} = require('../utils/narration-alignment');
+const { SHORTS_CAPTION_LINES } = require('../utils/shorts');
+const { ProductionManagementAgent } = require('../agents/production-management-agent');
+
+// Words read at an even pace, one every `step` seconds
+function timedWords(text, start = 0, step = 0.4) {
+  return tokenize(text).map((word, index) => ({ word, start: start + index * step, end: start + (index + 1) * step }));
+}
+
+describe('caption cues', () => {
+  it('writes WebVTT alongside SRT', () => {
+    const cues = [{ start: 0, end: 2.5, text: 'Hello there' }, { start: 3661.25, end: 3663, text: 'One hour in' }];
+
+    assert.equal(formatVTT(cues), 'WEBVTT\n\n00:00:00.000 --> 00:00:02.500\nHello there\n\n01:01:01.250 --> 01:01:03.000\nOne hour in\n\n');
+    assert.match(formatSRT(cues), /^1\n00:00:00,000 --> 00:00:02,500\nHello there\n\n2\n01:01:01,250 --> 01:01:03,000\n/);
+  });
+
+  it('wraps a cue into even lines', () => {
+    assert.equal(wrapCaption('A short line'), 'A short line');
+    assert.equal(
+      wrapCaption('Today we are building a sourdough starter from nothing at all'),
+      'Today we are building a sourdough\nstarter from nothing at all'
+    );
+    assert.equal(wrapCaption('one two three', { maxCharsPerLine: 5 }), 'one\ntwo\nthree');
+  });
+
+  it('keeps cues within two lines and breaks at sentences and pauses', () => {
+    const words = [
+      ...timedWords('Combine fifty grams of flour with fifty grams of water and stir it until no dry flour is left in the jar.'),
+      ...timedWords('Then wait.', 10)
+    ];
+    const cues = buildCues(words);
+
+    for (const cue of cues) {
+      const lines = cue.text.split('\n');
+      assert.ok(lines.length <= 2 && lines.every(line => line.length <= 42), cue.text);
+    }
+    assert.equal(cues.at(-2).text.split('\n').at(-1).endsWith('jar.'), true);
+    assert.deepEqual(cues.at(-1), { start: 10, end: 11, text: 'Then wait.' });
+    cues.slice(1).forEach((cue, index) => assert.ok(cue.start >= cues[index].end));
+  });
+
+  it('breaks a full cue after its last clause', () => {
+    const cues = buildCues(timedWords('By the end of this video, you will know exactly how to feed it and when it is ready.'));
+
+    assert.deepEqual(cues.map(cue => cue.text), ['By the end of this video,', 'you will know exactly how to\nfeed it and when it is ready.']);
+  });
+
+  it('holds fast cues long enough to read, without overlapping the next', () => {
+    const cues = buildCues([
+      { word: 'Absolutely', start: 0, end: 0.3 },
+      { word: 'fantastic.', start: 0.3, end: 0.6 },
+      { word: 'Next.', start: 0.9, end: 1.1 },
+      { word: 'Done.', start: 5, end: 5.2 }
+    ]);
+
+    // 21 characters at 17 a second need 1.24s, but the next cue starts at 0.9s
+    assert.deepEqual(cues.map(cue => [cue.start, cue.end]), [[0, 0.9], [0.9, 1.9], [5, 6]]);
+  });
+
+  it('flashes Shorts captions a few words at a time', () => {
+    const cues = buildCues(timedWords('This one trick makes every loaf of bread rise twice as high'), SHORTS_CAPTION_LINES);
+
+    assert.ok(cues.every(cue => !cue.text.includes('\n') && cue.text.split(' ').length <= 3));
+  });
+});
+
+describe('narration alignment', () => {
+  it('turns character timestamps into words', () => {
+    const words = wordsFromCharacters({
+      characters: [...'Hi you'],
+      character_start_times_seconds: [0, 0.1, 0.2, 0.3, 0.4, 0.5],
+      character_end_times_seconds: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6]
+    });
+
+    assert.deepEqual(words, [{ word: 'Hi', start: 0, end: 0.2 }, { word: 'you', start: 0.3, end: 0.6 }]);
+  });
+
+  it('reads silences from ffmpeg', () => {
+    const output = [
+      '[silencedetect @ 0x1] silence_start: -0.01',
+      '[silencedetect @ 0x1] silence_end: 0.4 | silence_duration: 0.41',
+      '[silencedetect @ 0x1] silence_start: 2.5',
+      '[silencedetect @ 0x1] silence_end: 3.1 | silence_duration: 0.6',
+      '[silencedetect @ 0x1] silence_start: 5.8'
+    ].join('\n');
+    const silences = parseSilences(output, 6);
+
+    assert.deepEqual(silences, [{ start: 0, end: 0.4 }, { start: 2.5, end: 3.1 }, { start: 5.8, end: 6 }]);
+    assert.deepEqual(speechSegments(silences, 6), [{ start: 0.4, end: 2.5 }, { start: 3.1, end: 5.8 }]);
+  });
+
+  it('puts sentence ends on the pauses and no word in a silence', () => {
+    const segments = [{ start: 0.5, end: 2.5 }, { start: 3.5, end: 5 }];
+    const words = alignToSpeech('Feed the starter every day.\n\nWatch it rise.', segments);
+
+    assert.deepEqual(words.map(entry => entry.word), ['Feed', 'the', 'starter', 'every', 'day.', 'Watch', 'it', 'rise.']);
+    assert.equal(words[0].start, 0.5);
+    assert.equal(words[4].end, 2.5);
+    assert.equal(words[5].start, 3.5);
+    assert.equal(words.at(-1).end, 5);
+    for (const word of words) {
+      assert.ok(segments.some(segment => word.start >= segment.start && word.end <= segment.end), word.word);
+    }
+  });
+
+  it('spreads words without a nearby pause by their length', () => {
+    const words = spreadWords(['a', 'longer'], 0, 9);
+
+    assert.deepEqual(words.map(entry => [entry.start, entry.end]), [[0, 2], [2, 9]]);
+  });
+
+  describe('NarrationAligner', () => {
+    let dir;
+
+    before(() => {
+      dir = createTempDir();
+    });
+
+    after(() => removeTempDir(dir));
+
+    it('prefers the TTS provider\'s word timings', async () => {
+      const wordsPath = path.join(dir, 'words.json');
+      fs.writeFileSync(wordsPath, JSON.stringify(timedWords('Hello there.')));
+
+      const aligned = await new NarrationAligner({}).align('Hello there.', { path: 'missing.mp3', wordsPath });
+      assert.equal(aligned.method, 'tts');
+      assert.equal(aligned.words.length, 2);
+    });
+
+    it('aligns against the audio, and gives up without any', async () => {
+      const audioPath = path.join(dir, 'narration.mp3');
+      fs.writeFileSync(audioPath, 'audio');
+      const calls = [];
+      const renderer = {
+        ffmpegPath: 'ffmpeg',
+        isUsableFile: async file => fs.existsSync(file),
+        probe: async () => ({ duration: 4 }),
+        execute: async (command, args) => {
+          calls.push(args);
+          return { stdout: '', stderr: 'silence_start: 1.9\nsilence_end: 2.4\n' };
+        }
+      };
+      const aligner = new NarrationAligner(renderer);
+
+      const aligned = await aligner.align('One two. Three four.', { path: audioPath });
+      assert.equal(aligned.method, 'alignment');
+      assert.deepEqual(aligned.words.map(entry => entry.word), ['One', 'two.', 'Three', 'four.']);
+      assert.equal(aligned.words[1].end, 1.9);
+      assert.equal(aligned.words[2].start, 2.4);
+      assert.ok(calls[0].includes(audioPath));
+
+      assert.equal(await aligner.align('One two.', { path: path.join(dir, 'simulated.mp3') }), null);
+    });
+  });
+});
+
+describe('narration-timed captions', () => {
+  let db;
+  let agent;
+  let dir;
+
+  before(async () => {
+    db = await createTestDatabase();
+    agent = new ProductionManagementAgent(db, createTestCredentials());
+    dir = createTempDir();
+  });
+
+  after(async () => {
+    await db.close();
+    removeTempDir(dir);
+  });
+
+  it('times captions by the narration and writes SRT and WebVTT', async () => {
+    const script = loadFixture('script');
+    const ttsPath = path.join(dir, 'script_tts.txt');
+    const wordsPath = path.join(dir, 'narration_words.json');
+    const narration = 'What if the best bread you ever ate came from flour, water and a little patience?';
+    fs.writeFileSync(ttsPath, narration);
+    fs.writeFileSync(wordsPath, JSON.stringify(timedWords(narration, 1.5, 0.3)));
+
+    const data = {
+      id: `prod_timed_${Date.now()}`,
+      script,
+      assets: { script: { ttsPath }, audio: { path: path.join(dir, 'narration.mp3'), wordsPath } },
+      timeline: {}
+    };
+    await agent.generateCaptions(data);
+    const { captions } = data.assets;
+
+    try {
+      assert.equal(captions.timing, 'tts');
+      const vtt = fs.readFileSync(captions.vttPath, 'utf8');
+      assert.match(vtt, /^WEBVTT\n\n00:00:01\.500 --> 00:00:06\.300\nWhat if the best bread you ever ate came\nfrom flour, water and a little patience\?\n/);
+      assert.match(fs.readFileSync(captions.path, 'utf8'), /^1\n00:00:01,500 --> 00:00:06,300\n/);
+
+      // Without narration the script timing is used
+      const estimated = { ...data, id: `${data.id}_estimate`, assets: {} };
+      await agent.generateCaptions(estimated);
+      assert.equal(estimated.assets.captions.timing, 'estimate');
+      fs.rmSync(estimated.assets.captions.path, { force: true });
+      fs.rmSync(estimated.assets.captions.vttPath, { force: true });
+    } finally {
+      fs.rmSync(captions.path, { force: true });
+      fs.rmSync(captions.vttPath, { force: true });
+    }
+  });
+});
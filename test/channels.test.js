@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createTestCredentials } = require('./helpers');
+const { DEFAULT_CHANNEL_ID, defaultChannel, validateChannel } = require('../utils/channel-config');
+const { ContentStrategyAgent } = require('../agents/content-strategy-agent');
+const { PublishingSchedulingAgent } = require('../agents/publishing-scheduling-agent');
+const { ContentPipeline } = require('../workflows/content-pipeline');
+
+const COOKING = {
+  id: 'cooking',
+  name: 'Weeknight Cooking',
+  niche: 'dinner recipes',
+  competitors: 'UCmockCompetitor000000001, UCmockCompetitor000000002',
+  cadence: { postingFrequency: 'weekly', bufferDays: 2, publishHour: 17 },
+  voice: { tone: 'warm', ttsVoice: 'nova' },
+  quotaLimit: 5000
+};
+
+describe('validateChannel', () => {
+  it('fills in defaults and splits a competitor string', () => {
+    const channel = validateChannel(COOKING);
+
+    assert.equal(channel.enabled, true);
+    assert.deepEqual(channel.competitors, ['UCmockCompetitor000000001', 'UCmockCompetitor000000002']);
+    assert.deepEqual(channel.cadence, COOKING.cadence);
+  });
+
+  it('lists every problem', () => {
+    assert.throws(
+      () => validateChannel({ id: 'Not Valid', cadence: { publishHour: 24, postingFrequency: 'hourly' }, quotaLimit: 0 }),
+      error => {
+        assert.equal(error.problems.length, 5);
+        return true;
+      }
+    );
+  });
+
+  it('only checks the given fields of a partial update', () => {
+    assert.deepEqual(validateChannel({ enabled: false }, { partial: true }), { enabled: false });
+    assert.throws(() => validateChannel({ name: ' ' }, { partial: true }), /name is required/);
+  });
+});
+
+describe('channels', () => {
+  let db;
+  let credentials;
+
+  before(async () => {
+    db = await createTestDatabase();
+    credentials = createTestCredentials();
+    await db.saveChannel(validateChannel(COOKING));
+  });
+
+  after(() => db.close());
+
+  it('migrates existing content into the default channel', async () => {
+    const channels = await db.getChannels();
+
+    assert.deepEqual(channels.map(channel => channel.id), [DEFAULT_CHANNEL_ID, 'cooking']);
+    assert.equal(channels[1].quotaLimit, 5000);
+    assert.deepEqual(channels[1].voice, COOKING.voice);
+  });
+
+  it('keeps a quota ledger per channel', async () => {
+    const cooking = await db.getChannel('cooking');
+    const defaultQuota = credentials.getQuotaLedger(db);
+    const cookingQuota = credentials.getQuotaLedger(db, cooking);
+
+    assert.notEqual(defaultQuota, cookingQuota);
+    assert.equal(credentials.getQuotaLedger(db, cooking), cookingQuota);
+
+    await cookingQuota.run('search.list', async () => ({}), { priority: 'low' });
+
+    assert.equal((await cookingQuota.getSummary()).used, 100);
+    assert.equal((await cookingQuota.getSummary()).limit, 5000);
+    assert.equal((await defaultQuota.getSummary()).used, 0);
+  });
+
+  it('keeps a publish queue per channel', async () => {
+    const publishTime = new Date(Date.now() + 86400000).toISOString();
+    for (const channelId of [DEFAULT_CHANNEL_ID, 'cooking', 'cooking']) {
+      await db.saveScheduleEntry({
+        channelId,
+        productionId: `prod_${channelId}`,
+        title: `A ${channelId} video`,
+        publishTime,
+        status: 'scheduled',
+        metadata: {}
+      });
+    }
+
+    const cooking = new PublishingSchedulingAgent(db, credentials, await db.getChannel('cooking'));
+    await cooking.loadPublishQueue();
+
+    assert.equal(cooking.publishQueue.length, 2);
+    assert.ok(cooking.publishQueue.every(entry => entry.channelId === 'cooking'));
+    assert.equal((await db.getPublishQueue()).length, 3);
+    assert.equal(await db.countUploadsDue(publishTime), 1);
+    assert.equal((await db.getScheduleEntry('prod_default')).channelId, DEFAULT_CHANNEL_ID);
+  });
+
+  it('lists pipeline jobs per channel', async () => {
+    await db.savePipelineJob({ id: 'job_legacy', triggeredBy: 'manual', status: 'completed', input: {} });
+    await db.savePipelineJob({ id: 'job_cooking', triggeredBy: 'manual', status: 'failed', input: { channelId: 'cooking' } });
+
+    const jobIds = async channelId => (await new ContentPipeline({}, db, { channelId }).listJobs()).map(job => job.id);
+    assert.deepEqual(await jobIds(DEFAULT_CHANNEL_ID), ['job_legacy']);
+    assert.deepEqual(await jobIds('cooking'), ['job_cooking']);
+    assert.deepEqual((await db.getPipelineJobs({ status: 'failed' })).map(job => job.id), ['job_cooking']);
+  });
+
+  it('picks topics inside the channel niche', async () => {
+    const agent = new ContentStrategyAgent(db, credentials, await db.getChannel('cooking'));
+    await agent.loadHistoricalData();
+    agent.trendingTopics = [
+      { topic: 'ai agents', score: 90 },
+      { topic: 'easy dinner ideas', score: 40 }
+    ];
+
+    assert.equal(agent.selectOptimalTopic().topic, 'easy dinner ideas');
+
+    agent.trendingTopics = [{ topic: 'ai agents', score: 90 }];
+    assert.equal(agent.selectOptimalTopic().topic, 'dinner recipes');
+
+    const strategy = await agent.generateContentStrategy('sheet pan dinners');
+    assert.equal(strategy.channelId, 'cooking');
+    assert.equal(new Date(strategy.bestPublishTime).getHours(), 17);
+
+    const saved = await db.getRow('SELECT channel_id FROM content_strategies WHERE topic = ?', ['sheet pan dinners']);
+    assert.equal(saved.channel_id, 'cooking');
+  });
+
+  it('leaves the default channel on the global settings', async () => {
+    const agent = new ContentStrategyAgent(db, credentials);
+    await agent.loadHistoricalData();
+
+    assert.deepEqual(agent.channel, defaultChannel());
+    agent.trendingTopics = [{ topic: 'ai agents', score: 90 }];
+    assert.equal(agent.selectOptimalTopic().topic, 'ai agents');
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createTestCredentials, freezeTime } = require('./helpers');
+const { ContentCalendar } = require('../workflows/content-calendar');
+const { ContentStrategyAgent } = require('../agents/content-strategy-agent');
+const { server } = require('../agents/content-strategy-agent-mcp');
+const { defaultChannel, validateChannel } = require('../utils/channel-config');
+
+const ALL_TYPES = ['Tutorial', 'List', 'Review', 'Explainer', 'News', 'Story'];
+
+function candidate(topic, score, category, contentTypes = ALL_TYPES) {
+  return { topic, score, category, contentTypes, estimatedViews: Math.round(score * 10000), sources: ['trending'] };
+}
+
+// Scored like the strategy agent would: tech topics trend hardest
+const CANDIDATES = [
+  candidate('agents', 9, 'tech'),
+  candidate('python', 8, 'tech', ['Tutorial', 'List']),
+  candidate('copilot', 7, 'tech'),
+  candidate('budget', 5, 'business', ['Tutorial']),
+  candidate('index funds', 4, 'business'),
+  candidate('fitness', 3, 'lifestyle')
+];
+
+describe('ContentCalendar', () => {
+  let db;
+
+  function calendarFor(cadence = {}) {
+    return new ContentCalendar(db, { ...defaultChannel(), cadence });
+  }
+
+  beforeEach(async (t) => {
+    // Monday 2024-10-14, so plans start on Tuesday the 15th
+    freezeTime(t);
+    db = await createTestDatabase();
+    t.after(() => db.close());
+  });
+
+  it('fills each day up to max_daily_posts without letting one category or type dominate', async () => {
+    await db.setSetting('max_daily_posts', '2');
+
+    const plan = await calendarFor().plan({ days: 3, candidates: CANDIDATES });
+
+    assert.equal(plan.from, '2024-10-15');
+    assert.equal(plan.to, '2024-10-17');
+    assert.deepEqual(plan.slots.map(slot => [slot.date, slot.publishTime]), [
+      ['2024-10-15', '2024-10-15T14:00:00.000Z'],
+      ['2024-10-15', '2024-10-15T17:00:00.000Z'],
+      ['2024-10-16', '2024-10-16T14:00:00.000Z'],
+      ['2024-10-16', '2024-10-16T17:00:00.000Z'],
+      ['2024-10-17', '2024-10-17T14:00:00.000Z'],
+      ['2024-10-17', '2024-10-17T17:00:00.000Z']
+    ]);
+    assert.deepEqual(plan.slots.map(slot => slot.category), ['tech', 'business', 'tech', 'lifestyle', 'tech', 'business']);
+    assert.deepEqual(plan.slots.map(slot => slot.contentType), ['Tutorial', 'Tutorial', 'List', 'Review', 'Explainer', 'News']);
+    assert.deepEqual(plan.slots.map(slot => slot.produceBy), [
+      '2024-10-14', '2024-10-14', '2024-10-14', '2024-10-14', '2024-10-14', '2024-10-14'
+    ]);
+    assert.deepEqual(await db.getCalendarSlots({ from: '2024-10-15', to: '2024-10-17' }), plan.slots);
+  });
+
+  it('keeps blackout dates empty, gives series their days and counts queued uploads', async () => {
+    await db.setSetting('calendar_blackout_dates', '2024-10-25..2024-10-26');
+    await db.saveScheduleEntry({
+      productionId: 'production_1',
+      title: 'Already queued',
+      publishTime: '2024-10-21T14:00:00.000Z',
+      status: 'scheduled',
+      priority: 'normal',
+      metadata: {}
+    });
+    await db.saveSeries({
+      channelId: 'default',
+      name: 'Weekend Q&A',
+      schedule: { weekdays: [6], everyWeeks: 2, startDate: '2024-10-19' }
+    });
+    await db.saveSeries({ channelId: 'default', name: 'Unscheduled' });
+    const calendar = calendarFor({
+      postingFrequency: '3-per-week',
+      bufferDays: 2,
+      publishHour: 17,
+      blackoutDates: ['2024-10-16']
+    });
+
+    const plan = await calendar.plan({ days: 14, candidates: CANDIDATES });
+
+    assert.deepEqual(plan.blackoutDates, ['2024-10-16', '2024-10-25', '2024-10-26']);
+    assert.deepEqual(plan.slots.map(slot => [slot.date, slot.topic || slot.series, slot.produceBy]), [
+      ['2024-10-18', 'agents', '2024-10-16'],
+      ['2024-10-19', 'Weekend Q&A', '2024-10-17'],
+      ['2024-10-23', 'budget', '2024-10-21'],
+      ['2024-10-28', 'python', '2024-10-26']
+    ]);
+    assert.ok(plan.slots.every(slot => slot.publishTime.endsWith('T17:00:00.000Z')));
+  });
+
+  it('moves a slot by hand, locks it and keeps it through a replan', async () => {
+    const calendar = calendarFor();
+    const { slots } = await calendar.plan({ days: 3, candidates: CANDIDATES });
+
+    const moved = await calendar.moveSlot(slots[0].id, { date: '2024-10-19' });
+
+    assert.equal(moved.date, '2024-10-19');
+    assert.equal(moved.publishTime, '2024-10-19T14:00:00.000Z');
+    assert.equal(moved.produceBy, '2024-10-16');
+    assert.equal(moved.locked, true);
+
+    const replan = await calendar.plan({ days: 7, candidates: CANDIDATES });
+
+    assert.equal(replan.slots.length, 7);
+    assert.deepEqual(replan.slots.filter(slot => slot.date === '2024-10-19'), [moved]);
+    assert.equal(replan.slots.filter(slot => slot.topic === moved.topic).length, 1);
+  });
+
+  it('refuses moves onto full, blacked out or past days', async () => {
+    await db.setSetting('calendar_blackout_dates', '2024-10-20');
+    const calendar = calendarFor();
+    const { slots } = await calendar.plan({ days: 3, candidates: CANDIDATES });
+
+    await assert.rejects(calendar.moveSlot(slots[0].id, { date: '2024-10-16' }), {
+      status: 409,
+      message: '2024-10-16 already has 1 of 1 posts'
+    });
+    await assert.rejects(calendar.moveSlot(slots[0].id, { date: '2024-10-20' }), { status: 409 });
+    await assert.rejects(calendar.moveSlot(slots[0].id, { date: '2024-10-13' }), error => {
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.problems, ['date must not be in the past']);
+      return true;
+    });
+    await assert.rejects(calendar.moveSlot('slot_missing', { date: '2024-10-18' }), { status: 404 });
+    assert.equal((await db.getCalendarSlot(slots[0].id)).date, '2024-10-15');
+  });
+
+  it('checks blackout dates on the channel', () => {
+    const { cadence } = validateChannel({
+      id: 'cooking',
+      name: 'Cooking',
+      cadence: { blackoutDates: ['2024-12-24..2024-12-26'] }
+    });
+    assert.deepEqual(cadence.blackoutDates, ['2024-12-24..2024-12-26']);
+
+    assert.throws(() => validateChannel({
+      id: 'cooking',
+      name: 'Cooking',
+      cadence: { blackoutDates: ['2024-12-26..2024-12-24'] }
+    }), error => {
+      assert.deepEqual(error.problems, [
+        'cadence.blackoutDates must be a list of YYYY-MM-DD dates or YYYY-MM-DD..YYYY-MM-DD ranges'
+      ]);
+      return true;
+    });
+  });
+
+  it('is planned by the strategy agent from its trending topics', async () => {
+    const agent = new ContentStrategyAgent(db, createTestCredentials());
+    agent.historicalPerformance = [];
+    agent.trendingTopics = [
+      { topic: 'best budget apps', score: 3, sources: ['trending', 'trending'] },
+      { topic: 'learn python', score: 2, sources: ['competitor'] }
+    ];
+
+    const plan = await agent.planContentCalendar(3);
+
+    assert.deepEqual(plan.slots.map(slot => [slot.topic, slot.category, slot.contentType]), [
+      ['best budget apps', 'tech', 'List'],
+      ['learn python', 'education', 'Tutorial'],
+      [null, null, null]
+    ]);
+    assert.deepEqual(plan.slots[0].sources, ['trending']);
+    assert.deepEqual(agent.contentCalendar, plan.slots);
+  });
+
+  it('is only replanned by the MCP plan tool, never by reading it', async (t) => {
+    const agent = new ContentStrategyAgent(db, createTestCredentials());
+    agent.historicalPerformance = [];
+    agent.trendingTopics = [{ topic: 'learn python', score: 2, sources: ['trending'] }];
+    const replan = t.mock.method(agent, 'planContentCalendar');
+    server.context = Promise.resolve({ db, agent });
+    t.after(() => { server.context = null; });
+
+    const planned = JSON.parse((await server.callTool('plan_content_calendar', { days: 2 })).content[0].text);
+    const read = JSON.parse((await server.callTool('get_content_calendar', { from: '2024-10-15' })).content[0].text);
+
+    assert.equal(replan.mock.callCount(), 1);
+    assert.deepEqual(read.map(slot => slot.id), planned.slots.map(slot => slot.id));
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadFixture, createTestDatabase, createTestCredentials, createTempDir, removeTempDir } = require('./helpers');
+const { ScriptWriterAgent } = require('../agents/script-writer-agent');
+const { SEOOptimizerAgent } = require('../agents/seo-optimizer-agent');
+const { PublishingSchedulingAgent } = require('../agents/publishing-scheduling-agent');
+const { ContentEditor } = require('../workflows/content-editor');
+const { validateContentUpdate, THUMBNAIL_DIR } = require('../utils/content-validation');
+
+describe('ContentEditor', () => {
+  const strategy = loadFixture('strategies').tutorial;
+  let db;
+  let dir;
+  let agents;
+  let editor;
+
+  // A script with its SEO data, built into a production that is queued for publishing
+  async function produce(id) {
+    const script = await agents.scriptWriter.generateScript(strategy);
+    const seo = await agents.seoOptimizer.optimize(script, strategy);
+    const production = {
+      id,
+      status: 'ready',
+      script,
+      seo,
+      assets: { thumbnail: { path: path.join(dir, `${id}.jpg`) } },
+      timeline: {},
+      scheduledPublishTime: new Date(Date.now() + 86400000).toISOString(),
+      priority: 50
+    };
+
+    await db.saveProductionData(production);
+    const entry = await agents.publishing.scheduleContent(production);
+    return { script, seo, entry };
+  }
+
+  before(async () => {
+    dir = createTempDir();
+    db = await createTestDatabase();
+    const credentials = createTestCredentials();
+    agents = {
+      scriptWriter: new ScriptWriterAgent(db, credentials),
+      seoOptimizer: new SEOOptimizerAgent(db, credentials),
+      publishing: new PublishingSchedulingAgent(db, credentials),
+      production: { reprocessScript: async () => { throw new Error('not expected'); } }
+    };
+    editor = new ContentEditor(db, channelId => channelId === 'default' ? agents : null);
+  });
+
+  after(async () => {
+    await db.close();
+    removeTempDir(dir);
+  });
+
+  it('reports every problem in an update', () => {
+    assert.throws(() => validateContentUpdate('seo', {
+      title: 'x'.repeat(101),
+      chapters: [{ time: '00:00' }],
+      seoScore: 100
+    }), error => {
+      assert.deepEqual(error.problems, [
+        'chapters must be a list of { time, title } chapters',
+        'seoScore cannot be edited',
+        'title must be at most 100 characters'
+      ]);
+      return true;
+    });
+    assert.throws(() => validateContentUpdate('schedule', {}), /Nothing to update/);
+    assert.throws(() => validateContentUpdate('schedule', { status: 'published' }), /status must be one of scheduled, paused/);
+  });
+
+  it('reformats a script and its duration after an edit', async () => {
+    const { script } = await produce('prod_script_edit');
+    const mainContent = { sections: [script.mainContent.sections[0]] };
+
+    const updated = await editor.update('scripts', script.id, { title: 'Sourdough in One Section', mainContent });
+    const stored = await editor.get('scripts', script.id);
+
+    assert.equal(stored.duration, agents.scriptWriter.estimateDuration(mainContent));
+    assert.match(stored.fullScript, /^TITLE: Sourdough in One Section/);
+    assert.equal(stored.fullScript, updated.fullScript);
+    assert.equal(stored.strategyId, null);
+  });
+
+  it('carries SEO edits into the publish queue', async () => {
+    const { seo, entry } = await produce('prod_seo_edit');
+
+    await editor.update('seo', seo.id, { title: 'A Better Title', tags: ['sourdough', 'bread'] });
+
+    const queued = agents.publishing.publishQueue.find(item => item.id === entry.id);
+    assert.equal(queued.metadata.seo.title, 'A Better Title');
+    assert.deepEqual(queued.metadata.seo.tags, ['sourdough', 'bread']);
+    assert.equal(queued.metadata.seo.description, seo.description);
+  });
+
+  it('sends edited content back to review when approval is required', async (t) => {
+    const { script, seo } = await produce('prod_review_edit');
+    await db.setSetting('require_approval', 'true');
+    t.after(() => db.setSetting('require_approval', 'false'));
+    assert.equal((await db.getProduction('prod_review_edit')).reviewStatus, 'scheduled');
+
+    // Saving what is already there changes nothing to review
+    await editor.update('seo', seo.id, { title: seo.title }, { author: 'sam' });
+    assert.equal((await db.getProduction('prod_review_edit')).reviewStatus, 'scheduled');
+
+    await editor.update('seo', seo.id, { title: 'A Title Nobody Approved' }, { author: 'sam' });
+    assert.equal((await db.getProduction('prod_review_edit')).reviewStatus, 'in_review');
+    let last = (await db.getProductionReviews('prod_review_edit')).at(-1);
+    assert.deepEqual([last.action, last.fromStatus, last.reviewer, last.comment], ['reopen', 'scheduled', 'sam', `Edited title of ${seo.id}`]);
+
+    await editor.review.transition('prod_review_edit', 'approve', { reviewer: 'alex' });
+    await editor.rollback('seo', seo.id, 1, { author: 'kim' });
+    last = (await db.getProductionReviews('prod_review_edit')).at(-1);
+    assert.deepEqual([last.action, last.fromStatus, last.reviewer, last.comment], ['reopen', 'approved', 'kim', 'Rolled back to revision 1']);
+
+    await editor.review.transition('prod_review_edit', 'approve', { reviewer: 'alex' });
+    await editor.update('scripts', script.id, { title: 'Retitled After Approval' }, { author: 'kim' });
+    assert.equal((await db.getProduction('prod_review_edit')).reviewStatus, 'in_review');
+  });
+
+  it('refuses to delete content in use or already published', async () => {
+    const { script, seo, entry } = await produce('prod_delete');
+
+    await assert.rejects(editor.remove('scripts', script.id), error => error.status === 409);
+    await assert.rejects(editor.remove('seo', seo.id), /used by productions prod_delete/);
+
+    await db.updateScheduleEntry({ ...entry, status: 'published' });
+    await assert.rejects(editor.update('schedule', entry.id, { priority: 80 }), error => error.status === 409);
+    await assert.rejects(editor.remove('schedule', entry.id), error => error.status === 409);
+
+    const unused = await agents.scriptWriter.generateScript(strategy);
+    await editor.remove('scripts', unused.id);
+    await assert.rejects(editor.get('scripts', unused.id), error => error.status === 404);
+  });
+
+  it('only takes thumbnail paths inside uploads/thumbnails', async (t) => {
+    const id = await db.saveThumbnail({ path: path.join(THUMBNAIL_DIR, 'original.png'), concept: {}, prompt: 'p', dimensions: {} });
+    fs.mkdirSync(THUMBNAIL_DIR, { recursive: true });
+    const inside = path.join(THUMBNAIL_DIR, `edited_${Date.now()}.png`);
+    const link = path.join(THUMBNAIL_DIR, `linked_${Date.now()}.png`);
+    fs.writeFileSync(inside, 'png');
+    fs.symlinkSync(path.resolve('package.json'), link);
+    t.after(() => [inside, link].forEach(file => fs.rmSync(file, { force: true })));
+
+    for (const outside of ['../config/master.key', path.join(THUMBNAIL_DIR, '..', '..', '.env'), link]) {
+      await assert.rejects(editor.update('thumbnails', id, { path: outside }), error => {
+        assert.match(error.problems[0], /a file in uploads\/thumbnails$/);
+        return true;
+      });
+    }
+
+    assert.equal((await editor.update('thumbnails', id, { path: inside })).fileSize, 3);
+  });
+
+  it('pauses and reschedules a queued entry', async () => {
+    const { entry } = await produce('prod_schedule_edit');
+
+    const updated = await editor.update('schedule', entry.id, { status: 'paused', publishTime: '2030-01-01T09:00:00Z' });
+    const stored = await db.getScheduleEntry(entry.id);
+
+    assert.equal(updated.publishTime, '2030-01-01T09:00:00.000Z');
+    assert.equal(stored.status, 'paused');
+    assert.equal(stored.publishTime, '2030-01-01T09:00:00.000Z');
+    await assert.rejects(editor.get('schedule', 'prod_schedule_edit'), error => error.status === 404);
+  });
+
+  it('re-runs narration, captions and chapters after a script edit', async (t) => {
+    const { script, seo, entry } = await produce('prod_regenerate');
+    const captionsPath = path.join(dir, 'prod_regenerate.srt');
+    fs.writeFileSync(captionsPath, '');
+    const reprocess = t.mock.method(agents.production, 'reprocessScript', async (productionId, edited) => ({
+      id: productionId,
+      script: edited,
+      assets: { finalVideo: { path: path.join(dir, 'final.mp4') }, captions: { path: captionsPath } }
+    }));
+
+    const sections = script.mainContent.sections.slice(0, 2);
+    await editor.update('scripts', script.id, { mainContent: { ...script.mainContent, sections } });
+    assert.deepEqual(await editor.getRegenerationTargets(script.id), ['prod_regenerate']);
+    assert.deepEqual(await editor.regenerate(script.id), ['prod_regenerate']);
+
+    assert.equal(reprocess.mock.calls[0].arguments[1].mainContent.sections.length, 2);
+
+    const refreshed = await db.getSEOData(seo.id);
+    assert.equal(refreshed.chapters.length, 4);
+    assert.match(refreshed.description, new RegExp(`${refreshed.chapters[1].time} ${sections[0].title}`));
+
+    const queued = agents.publishing.publishQueue.find(item => item.id === entry.id);
+    assert.equal(queued.metadata.captions.path, captionsPath);
+    assert.deepEqual(queued.metadata.seo.chapters, refreshed.chapters);
+  });
+});
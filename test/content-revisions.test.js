@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, createTestDatabase, createTestCredentials } = require('./helpers');
+const { ScriptWriterAgent } = require('../agents/script-writer-agent');
+const { SEOOptimizerAgent } = require('../agents/seo-optimizer-agent');
+const { PublishingSchedulingAgent } = require('../agents/publishing-scheduling-agent');
+const { ContentEditor } = require('../workflows/content-editor');
+const { diffLines } = require('../utils/text-diff');
+
+describe('ContentRevisions', () => {
+  const strategy = loadFixture('strategies').tutorial;
+  let db;
+  let agents;
+  let editor;
+
+  before(async () => {
+    db = await createTestDatabase();
+    const credentials = createTestCredentials();
+    agents = {
+      scriptWriter: new ScriptWriterAgent(db, credentials),
+      seoOptimizer: new SEOOptimizerAgent(db, credentials),
+      publishing: new PublishingSchedulingAgent(db, credentials)
+    };
+    editor = new ContentEditor(db, () => agents);
+  });
+
+  after(() => db.close());
+
+  it('records generated content as the first revision', async () => {
+    const script = await agents.scriptWriter.generateScript(strategy);
+    const [revision] = await editor.revisions.list('scripts', script.id);
+
+    assert.equal(script.metadata.revision, 1);
+    assert.equal(revision.revision, 1);
+    assert.equal(revision.author, 'ScriptWriter');
+    assert.equal(revision.authorType, 'agent');
+    assert.match(revision.reason, /^Generated from strategy/);
+  });
+
+  it('keeps each edit with its author and reason, and skips edits that change nothing', async () => {
+    const script = await agents.scriptWriter.generateScript(strategy);
+
+    const edited = await editor.update('scripts', script.id, { title: 'Sourdough, Slowly' }, { author: 'sam', reason: 'Calmer title' });
+    await editor.update('scripts', script.id, { title: 'Sourdough, Slowly' }, { author: 'sam' });
+
+    const revisions = await editor.revisions.list('scripts', script.id);
+    assert.equal(edited.revision, 2);
+    assert.equal(revisions.length, 2);
+    assert.deepEqual(revisions[1].changedFields, ['title', 'fullScript']);
+    assert.equal(revisions[1].author, 'sam');
+    assert.equal(revisions[1].authorType, 'human');
+    assert.equal(revisions[1].reason, 'Calmer title');
+  });
+
+  it('diffs two revisions field by field', async () => {
+    const script = await agents.scriptWriter.generateScript(strategy);
+    const seo = await agents.seoOptimizer.optimize(script, strategy);
+
+    await editor.update('seo', seo.id, { tags: [...seo.tags.slice(1), 'levain'] }, { author: 'sam' });
+    const diff = await editor.revisions.diff('seo', seo.id);
+
+    assert.deepEqual([diff.from.revision, diff.to.revision], [1, 2]);
+    assert.deepEqual(diff.changes.map(change => change.field), ['tags']);
+    assert.deepEqual(diff.changes[0].added, ['levain']);
+    assert.deepEqual(diff.changes[0].removed, [seo.tags[0]]);
+
+    await editor.update('scripts', script.id, { title: 'A New Title' });
+    const scriptDiff = await editor.revisions.diff('scripts', script.id, { from: 1, to: 2 });
+    const fullScript = scriptDiff.changes.find(change => change.field === 'fullScript');
+    assert.deepEqual(fullScript.lines.filter(line => line.type !== 'same'), [
+      { type: 'removed', text: `TITLE: ${script.title}` },
+      { type: 'added', text: 'TITLE: A New Title' }
+    ]);
+  });
+
+  it('rolls back by adding a revision with the earlier content', async () => {
+    const script = await agents.scriptWriter.generateScript(strategy);
+    const seo = await agents.seoOptimizer.optimize(script, strategy);
+
+    await editor.update('seo', seo.id, { title: 'Clickbait Title', description: 'Short.' }, { author: 'sam' });
+    const restored = await editor.rollback('seo', seo.id, 1, { author: 'alex' });
+
+    const stored = await db.getSEOData(seo.id);
+    const revisions = await editor.revisions.list('seo', seo.id);
+    assert.equal(restored.revision, 3);
+    assert.equal(stored.title, seo.title);
+    assert.equal(stored.description, seo.description);
+    assert.equal(revisions[2].reason, 'Rolled back to revision 1');
+    assert.deepEqual(revisions[2].changedFields, ['title', 'description']);
+
+    await assert.rejects(editor.rollback('seo', seo.id, 9), error => error.status === 404);
+    await assert.rejects(editor.rollback('strategies', seo.id, 1), error => error.status === 404);
+  });
+
+  it('keeps the state of content from before revision history as its first revision', async () => {
+    const id = await db.saveSEOData({ title: 'Legacy Title', description: 'Old', tags: ['old'], hashtags: [], chapters: [], endScreen: {}, metadata: {} });
+
+    await editor.update('seo', id, { title: 'Updated Title' }, { author: 'sam' });
+    const revisions = await editor.revisions.list('seo', id);
+
+    assert.deepEqual(revisions.map(revision => revision.author), ['unknown', 'sam']);
+    assert.equal((await editor.revisions.get('seo', id, 1)).snapshot.title, 'Legacy Title');
+  });
+
+  it('diffs lines by their longest common subsequence', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' }
+    ]);
+    assert.deepEqual(diffLines(null, 'a'), [{ type: 'added', text: 'a' }]);
+  });
+});
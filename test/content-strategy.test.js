@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createTestCredentials, startMockYouTube } = require('./helpers');
+const { ContentStrategyAgent } = require('../agents/content-strategy-agent');
+const { QuotaLedger } = require('../utils/quota-ledger');
+
+const COMPETITORS = ['UCmockCompetitor000000001', 'UCmockCompetitor000000002'];
+
+describe('ContentStrategyAgent', () => {
+  let db;
+  let mock;
+  let agent;
+
+  before(async () => {
+    mock = await startMockYouTube();
+    db = await createTestDatabase();
+    agent = new ContentStrategyAgent(db, createTestCredentials({ youtubeMockUrl: mock.url }));
+    await agent.loadHistoricalData();
+  });
+
+  after(async () => {
+    await db.close();
+    await mock.stop();
+  });
+
+  it('fetches trending videos ordered by views', async () => {
+    const trends = await agent.fetchYouTubeTrends();
+
+    assert.deepEqual(trends.map(trend => trend.title), [
+      'How AI Agents Actually Work in 2024',
+      '10 Python Automation Scripts You Need',
+      'Index Funds Explained for Beginners',
+      'The 50/30/20 Budget Rule in 8 Minutes',
+      'The Complete Guide to Productivity Systems'
+    ]);
+    assert.equal(trends[0].viewCount, 1284300);
+  });
+
+  it('summarizes competitor channels', async () => {
+    const competitors = await agent.analyzeCompetitors(COMPETITORS);
+
+    assert.deepEqual(competitors.map(c => [c.channelId, c.averageViews, c.uploadFrequency]), [
+      ['UCmockCompetitor000000001', 661150, 4],
+      ['UCmockCompetitor000000002', 424800, 3]
+    ]);
+    assert.ok(competitors[0].topPerformingTopics.some(({ topic }) => topic === 'agents'));
+  });
+
+  it('ranks merged topics from trends and competitors', async (t) => {
+    const channels = process.env.COMPETITOR_CHANNELS;
+    process.env.COMPETITOR_CHANNELS = COMPETITORS.join(',');
+    t.after(() => {
+      if (channels === undefined) delete process.env.COMPETITOR_CHANNELS;
+      else process.env.COMPETITOR_CHANNELS = channels;
+    });
+
+    const topics = await agent.analyzeTrends();
+
+    assert.ok(topics.length > 0);
+    assert.ok(topics.every((topic, i) => i === 0 || topics[i - 1].score >= topic.score));
+    assert.deepEqual([...new Set(topics.flatMap(topic => topic.sources))].sort(), ['competitor', 'trending']);
+  });
+
+  it('skips competitor scans when the low-priority budget is spent', async () => {
+    const quota = agent.quota;
+    agent.quota = new QuotaLedger(db, { limit: 150, lowPriorityFloor: 100 });
+
+    try {
+      const competitors = await agent.analyzeCompetitors(COMPETITORS);
+      const summary = await agent.quota.getSummary();
+      const search = summary.methods.find(row => row.method === 'search.list');
+
+      assert.deepEqual(competitors, []);
+      assert.equal(search.deferred, 2);
+    } finally {
+      agent.quota = quota;
+    }
+  });
+
+  it('builds and saves a strategy for a requested topic', async () => {
+    const strategy = await agent.generateContentStrategy('sourdough baking for beginners');
+
+    assert.equal(strategy.topic, 'sourdough baking for beginners');
+    assert.deepEqual(strategy.keywords, ['sourdough', 'baking', 'beginners']);
+    assert.ok(strategy.angle);
+    assert.ok(strategy.contentType);
+
+    const saved = await db.getAllRows('SELECT * FROM content_strategies');
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].topic, 'sourdough baking for beginners');
+  });
+});
@@ -0,0 +1,108 @@
+// Shared setup for the node:test suites. Loaded before the modules under test so that every
+// run is offline, in UTC and against an in-memory database.
+process.env.TZ = 'UTC';
+process.env.AI_PROVIDER = 'offline';
+process.env.RETRY_DELAY = '1';
+delete process.env.YOUTUBE_API_MOCK_URL;
+// Notification targets from a developer's .env would otherwise receive test events
+for (const name of Object.keys(process.env)) {
+  if (name.startsWith('NOTIFY_') || name.startsWith('SMTP_')) delete process.env[name];
+}
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../database/db');
+const { CredentialManager } = require('../utils/credential-manager');
+const { MockYouTubeServer } = require('../mock/youtube-api-server');
+const { NotificationSink } = require('../mock/notification-sink');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SNAPSHOTS_DIR = path.join(__dirname, '__snapshots__');
+
+// Fixed clock for anything that prints the year or a timestamp
+const FROZEN_NOW = '2024-10-14T12:00:00.000Z';
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+async function createTestDatabase() {
+  const db = new Database(':memory:');
+  await db.initialize();
+  return db;
+}
+
+// Credentials that never touch config/: offline text provider, and YouTube only through the mock
+function createTestCredentials({ youtubeMockUrl = null } = {}) {
+  const credentials = new CredentialManager();
+  credentials.credentials = { ai: { provider: 'offline' } };
+  credentials.tokens = {};
+  credentials.youtubeMockUrl = youtubeMockUrl;
+  return credentials;
+}
+
+// Starts the mock YouTube API on a free port. Given a test context it is stopped when the test
+// ends; suite hooks have no t.after, so suites stop it in their own after hook.
+async function startMockYouTube(t = null) {
+  const server = new MockYouTubeServer({ port: 0 });
+  await server.start();
+  if (t) t.after(() => server.stop());
+  return server;
+}
+
+// SMTP server and webhook endpoint on free ports, stopped like startMockYouTube
+async function startNotificationSink(t = null) {
+  const sink = new NotificationSink({ httpPort: 0, smtpPort: 0 });
+  await sink.start();
+  if (t) t.after(() => sink.stop());
+  return sink;
+}
+
+function freezeTime(t, now = FROZEN_NOW) {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(now) });
+}
+
+function createTempDir(t = null, prefix = 'yta-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  if (t) t.after(() => removeTempDir(dir));
+  return dir;
+}
+
+function removeTempDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Compares a value with the one recorded under the test's name in __snapshots__/<file>.json.
+// New snapshots are recorded on first run; UPDATE_SNAPSHOTS=1 re-records changed ones.
+function assertSnapshot(t, value, name = t.fullName) {
+  const file = path.join(SNAPSHOTS_DIR, `${path.basename(require.main.filename, '.js')}.json`);
+  const snapshots = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const actual = JSON.parse(JSON.stringify(value));
+
+  if (!(name in snapshots) || process.env.UPDATE_SNAPSHOTS === '1') {
+    if (process.env.CI && !(name in snapshots)) {
+      assert.fail(`Missing snapshot "${name}" in ${path.relative(process.cwd(), file)}; run the tests locally to record it`);
+    }
+    snapshots[name] = actual;
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(snapshots, null, 2) + '\n');
+    return;
+  }
+
+  assert.deepStrictEqual(actual, snapshots[name]);
+}
+
+module.exports = {
+  FROZEN_NOW,
+  loadFixture,
+  createTestDatabase,
+  createTestCredentials,
+  startMockYouTube,
+  startNotificationSink,
+  freezeTime,
+  createTempDir,
+  removeTempDir,
+  assertSnapshot
+};
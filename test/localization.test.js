@@ -0,0 +1,258 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  loadFixture, createTestDatabase, createTestCredentials, startMockYouTube, createTempDir, removeTempDir, freezeTime
+} = require('./helpers');
+const { validateChannel, channelLanguages, defaultChannel } = require('../utils/channel-config');
+const { validateContentUpdate } = require('../utils/content-validation');
+const { parseSRT, formatSRT } = require('../utils/captions');
+const { Localizer, languageName, TRANSLATION_BATCH } = require('../workflows/localization');
+const { ScriptWriterAgent } = require('../agents/script-writer-agent');
+const { SEOOptimizerAgent } = require('../agents/seo-optimizer-agent');
+const { ProductionManagementAgent } = require('../agents/production-management-agent');
+const { PublishingSchedulingAgent } = require('../agents/publishing-scheduling-agent');
+
+const SRT = '1\n00:00:00,000 --> 00:00:02,500\nHello there\n\n2\n00:00:02,500 --> 00:00:05,000\nWelcome back\nto the kitchen\n\n';
+
+const CHANNEL = {
+  ...defaultChannel(),
+  id: 'cooking',
+  localization: { sourceLanguage: 'en', languages: ['es', 'pt-BR'], dubbing: ['es'], voices: { es: 'es-voice' } }
+};
+
+// Credentials whose text provider is online and answers every request with the given reply
+function credentialsReplying(reply) {
+  const ai = {
+    isOffline: () => false,
+    completeJSON: async request => reply(request)
+  };
+  return { getAIService: () => ai };
+}
+
+describe('localization settings', () => {
+  it('checks a channel\'s languages', () => {
+    assert.deepEqual(validateChannel({ localization: CHANNEL.localization }, { partial: true }), {
+      localization: CHANNEL.localization
+    });
+
+    assert.throws(() => validateChannel({ localization: { sourceLanguage: 'English' } }, { partial: true }),
+      /localization.sourceLanguage must be a language code such as en or pt-BR/);
+    assert.throws(() => validateChannel({
+      localization: { languages: ['en', 'es'], dubbing: ['de'], voices: ['nova'] }
+    }, { partial: true }), error => {
+      assert.deepEqual(error.problems, [
+        'localization.languages must not include the source language en',
+        'localization.dubbing must be a list of languages from localization.languages',
+        'localization.voices must map language codes to TTS voice names'
+      ]);
+      return true;
+    });
+  });
+
+  it('fills in defaults for a channel without languages', () => {
+    assert.deepEqual(channelLanguages(defaultChannel()), { source: 'en', targets: [], dubbing: [], voices: {} });
+    assert.deepEqual(channelLanguages(CHANNEL).targets, ['es', 'pt-BR']);
+    assert.equal(languageName('pt-BR'), 'Brazilian Portuguese');
+  });
+
+  it('stores a channel\'s languages', async () => {
+    const db = await createTestDatabase();
+    try {
+      await db.saveChannel(validateChannel({ id: 'cooking', name: 'Cooking', localization: CHANNEL.localization }));
+      assert.deepEqual((await db.getChannel('cooking')).localization, CHANNEL.localization);
+    } finally {
+      await db.close();
+    }
+  });
+
+  it('checks edited translations against YouTube\'s limits', () => {
+    assert.throws(() => validateContentUpdate('seo', {
+      localizations: { es: { title: 'x'.repeat(101), description: 'Hola' } }
+    }), /localizations.es.title must be at most 100 characters/);
+    assert.throws(() => validateContentUpdate('seo', { localizations: { es: 'Hola' } }), /must map language codes/);
+  });
+});
+
+describe('Localizer', () => {
+  it('round-trips SRT cues', () => {
+    const cues = parseSRT(SRT);
+
+    assert.deepEqual(cues[1], { start: 2.5, end: 5, text: 'Welcome back\nto the kitchen' });
+    assert.equal(formatSRT(cues), SRT);
+  });
+
+  it('marks offline translations as placeholders', async () => {
+    const localizer = new Localizer(createTestCredentials(), CHANNEL);
+
+    assert.deepEqual(await localizer.localizeMetadata({ title: 'Sourdough', description: 'Bake it.' }), {
+      es: { title: '[es] Sourdough', description: '[es] Bake it.', pseudo: true },
+      'pt-BR': { title: '[pt-BR] Sourdough', description: '[pt-BR] Bake it.', pseudo: true }
+    });
+    assert.equal(await localizer.translateNarration('One.\n\nTwo.', 'es'), '[es] One.\n\n[es] Two.');
+  });
+
+  it('translates caption text and keeps the timings', async () => {
+    const localizer = new Localizer(credentialsReplying(request => {
+      const texts = JSON.parse(request.prompt.slice(request.prompt.indexOf('\n\n') + 2));
+      return { translations: texts.map(text => text.toUpperCase()) };
+    }), CHANNEL);
+
+    const translated = parseSRT(await localizer.translateCaptions(SRT, 'es'));
+    assert.deepEqual(translated.map(cue => [cue.start, cue.end, cue.text]), [
+      [0, 2.5, 'HELLO THERE'],
+      [2.5, 5, 'WELCOME BACK\nTO THE KITCHEN']
+    ]);
+  });
+
+  it('sends long tracks in batches', async () => {
+    const sizes = [];
+    const localizer = new Localizer(credentialsReplying(request => {
+      const texts = JSON.parse(request.prompt.slice(request.prompt.indexOf('\n\n') + 2));
+      sizes.push(texts.length);
+      return texts;
+    }), CHANNEL);
+
+    const texts = Array.from({ length: TRANSLATION_BATCH + 5 }, (_, i) => `line ${i}`);
+    assert.deepEqual(await localizer.translate(texts, 'es'), texts);
+    assert.deepEqual(sizes, [TRANSLATION_BATCH, 5]);
+  });
+
+  it('leaves a language out when the provider loses strings or fails', async () => {
+    const short = new Localizer(credentialsReplying(() => ({ translations: ['Hola'] })), CHANNEL);
+    assert.equal(await short.translateCaptions(SRT, 'es'), null);
+
+    // An online provider that fails falls back to the template, which has nothing to offer
+    const failing = new Localizer(credentialsReplying(request => request.fallback()), CHANNEL);
+    assert.deepEqual(await failing.localizeMetadata({ title: 'Sourdough', description: 'Bake it.' }), {});
+  });
+});
+
+describe('localized videos', () => {
+  const strategy = loadFixture('strategies').tutorial;
+  let db;
+  let credentials;
+  let script;
+
+  before(async () => {
+    db = await createTestDatabase();
+    credentials = createTestCredentials();
+    script = await new ScriptWriterAgent(db, credentials).generateScript(strategy);
+  });
+
+  after(() => db.close());
+
+  it('translates the title and description for the channel\'s languages', async (t) => {
+    freezeTime(t);
+    const seo = await new SEOOptimizerAgent(db, credentials, {
+      ...CHANNEL,
+      localization: { ...CHANNEL.localization, sourceLanguage: 'en-GB' }
+    }).optimize(script, strategy);
+
+    assert.equal(seo.metadata.language, 'en-GB');
+    assert.deepEqual(Object.keys(seo.localizations), ['es', 'pt-BR']);
+    assert.equal(seo.localizations.es.title, `[es] ${seo.title}`);
+    assert.deepEqual((await db.getSEOData(seo.id)).localizations, seo.localizations);
+
+    const plain = await new SEOOptimizerAgent(db, credentials).optimize(script, strategy);
+    assert.equal(plain.metadata.language, 'en');
+    assert.equal(plain.localizations, undefined);
+  });
+
+  it('writes a caption track per language and dubbed narration', async () => {
+    const production = new ProductionManagementAgent(db, credentials, CHANNEL);
+    const data = {
+      id: `prod_localized_${Date.now()}`,
+      script,
+      estimatedDuration: script.duration,
+      assets: { script: await production.processScript(script) },
+      timeline: {}
+    };
+
+    await production.generateCaptions(data);
+    const { captions } = data.assets;
+    assert.equal(captions.language, 'en');
+    assert.deepEqual(captions.tracks.map(track => [track.language, track.pseudo]), [['es', true], ['pt-BR', true]]);
+
+    const original = parseSRT(fs.readFileSync(captions.path, 'utf8'));
+    const spanish = parseSRT(fs.readFileSync(captions.tracks[0].path, 'utf8'));
+    assert.deepEqual(spanish.map(cue => cue.start), original.map(cue => cue.start));
+    assert.equal(spanish[0].text, `[es] ${original[0].text}`);
+
+    const dubs = await production.generateDubbedNarration(data);
+    assert.deepEqual(dubs.map(dub => [dub.language, dub.voice, dub.simulated]), [['es', 'es-voice', true]]);
+    assert.match(fs.readFileSync(dubs[0].path, 'utf8'), /\[es\]/);
+
+    const { originalPath, ttsPath } = data.assets.script;
+    const tracks = [captions, ...captions.tracks].flatMap(track => [track.path, track.vttPath]);
+    for (const file of [...tracks, dubs[0].path, originalPath, ttsPath]) {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  it('keeps placeholder translations off live videos', () => {
+    const localizations = {
+      es: { title: '[es] Sourdough', description: '[es] Bake it.', pseudo: true },
+      de: { title: 'Sauerteig', description: 'Backen.' }
+    };
+
+    const live = new PublishingSchedulingAgent(db, createTestCredentials(), CHANNEL);
+    assert.deepEqual(live.releasableLocalizations(localizations), { de: localizations.de });
+
+    const mocked = new PublishingSchedulingAgent(db, createTestCredentials({ youtubeMockUrl: 'http://127.0.0.1:1/' }), CHANNEL);
+    assert.deepEqual(mocked.releasableLocalizations(localizations), {
+      es: { title: '[es] Sourdough', description: '[es] Bake it.' },
+      de: localizations.de
+    });
+  });
+
+  it('uploads localizations and every caption track', async () => {
+    const mock = await startMockYouTube();
+    const dir = createTempDir();
+    const publishing = new PublishingSchedulingAgent(db, createTestCredentials({ youtubeMockUrl: mock.url }), CHANNEL);
+
+    try {
+      await publishing.initialize();
+      const track = language => {
+        const file = path.join(dir, `captions.${language}.srt`);
+        fs.writeFileSync(file, SRT);
+        return { path: file, format: 'srt', language };
+      };
+      const videoPath = path.join(dir, 'video.mp4');
+      fs.writeFileSync(videoPath, Buffer.alloc(300 * 1024, 7));
+
+      await publishing.scheduleContent({
+        id: 'prod_localized',
+        priority: 1,
+        scheduledPublishTime: '2024-10-15T15:00:00.000Z',
+        script: { title: 'Sourdough Basics' },
+        seo: {
+          title: 'Sourdough Basics',
+          description: 'Everything you need.',
+          tags: ['sourdough'],
+          metadata: { category: 26, language: 'en' },
+          localizations: { es: { title: 'Masa madre', description: 'Todo lo que necesitas.' } }
+        },
+        assets: {
+          finalVideo: { path: videoPath, verified: true },
+          // Placeholder tracks still go to the mock API
+          captions: { ...track('en'), tracks: [track('es'), { ...track('pt-BR'), pseudo: true }] }
+        }
+      });
+      const published = await publishing.publishContent('prod_localized');
+
+      const video = mock.videos.get(published.youtubeId);
+      assert.equal(video.snippet.defaultLanguage, 'en');
+      assert.deepEqual(video.localizations, { es: { title: 'Masa madre', description: 'Todo lo que necesitas.' } });
+      assert.deepEqual(mock.captions.map(caption => [caption.snippet.language, caption.snippet.name]), [
+        ['en', 'English Captions'],
+        ['es', 'Spanish Captions'],
+        ['pt-BR', 'Brazilian Portuguese Captions']
+      ]);
+    } finally {
+      await mock.stop();
+      removeTempDir(dir);
+    }
+  });
+});
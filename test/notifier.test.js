@@ -0,0 +1,255 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  createTestDatabase,
+  createTempDir,
+  startNotificationSink,
+  freezeTime
+} = require('./helpers');
+const { Notifier, validateTarget } = require('../utils/notifier');
+const { CredentialManager } = require('../utils/credential-manager');
+const { QuotaLedger } = require('../utils/quota-ledger');
+const { ContentPipeline } = require('../workflows/content-pipeline');
+const { DailyAutomation } = require('../schedules/daily-automation');
+
+describe('Notifier', () => {
+  let sink;
+  let db;
+  let credentials;
+
+  function createNotifier(targets = [], options = {}) {
+    credentials.credentials = { notifications: { targets } };
+    return new Notifier(db, credentials, { env: {}, ...options });
+  }
+
+  function webhook(type, fields = {}) {
+    return { id: `hook_${type}`, name: type, type, webhookUrl: `${sink.webhookUrl}${type}`, ...fields };
+  }
+
+  before(async () => {
+    sink = await startNotificationSink();
+  });
+
+  after(async () => {
+    await sink.stop();
+  });
+
+  beforeEach(async (t) => {
+    sink.reset();
+    db = await createTestDatabase();
+    t.after(() => db.close());
+    const dir = createTempDir(t);
+    credentials = new CredentialManager({ configDir: dir, keyFile: path.join(dir, 'master.key') });
+  });
+
+  it('emails through SMTP with the event rendered into the subject and body', async () => {
+    const notifier = createNotifier([{
+      id: 'mail',
+      name: 'Ops mail',
+      type: 'email',
+      ...sink.smtp,
+      username: 'bot',
+      password: 'smtp-password-for-tests',
+      from: 'Channel Bot <bot@example.com>',
+      to: ['ops@example.com', 'owner@example.com']
+    }]);
+
+    const results = await notifier.notify('pipeline_failure', {
+      channelId: 'cooking',
+      task: 'Daily Content Generation',
+      error: 'Script stage timed out'
+    });
+
+    assert.deepEqual(results, [{ targetId: 'mail', status: 'sent' }]);
+    const [email] = sink.emails;
+    assert.equal(email.from, 'bot@example.com');
+    assert.deepEqual(email.to, ['ops@example.com', 'owner@example.com']);
+    assert.deepEqual(email.auth, { username: 'bot', password: 'smtp-password-for-tests' });
+    assert.equal(email.subject, 'Pipeline failed on cooking');
+    assert.equal(email.text, 'Daily Content Generation failed: Script stage timed out');
+  });
+
+  it('posts Slack, Discord and signed generic webhook payloads', async () => {
+    const notifier = createNotifier([
+      webhook('slack'),
+      webhook('discord'),
+      webhook('webhook', { secret: 'signing-secret-for-tests' })
+    ]);
+
+    await notifier.notify('published', {
+      channelId: 'cooking',
+      title: 'Sourdough in 5 steps',
+      url: 'https://www.youtube.com/watch?v=abc123'
+    }, { key: 'sched_1' });
+
+    const byPath = Object.fromEntries(sink.webhooks.map(request => [request.path, request]));
+    const text = '"Sourdough in 5 steps" is live at https://www.youtube.com/watch?v=abc123';
+    assert.deepEqual(byPath['/slack'].body, { text: `*Published on cooking: Sourdough in 5 steps*\n${text}` });
+    assert.deepEqual(byPath['/discord'].body, { content: `**Published on cooking: Sourdough in 5 steps**\n${text}` });
+
+    const generic = byPath['/webhook'];
+    assert.equal(generic.body.event, 'published');
+    assert.equal(generic.body.text, text);
+    assert.equal(generic.body.data.channelId, 'cooking');
+    const signature = crypto.createHmac('sha256', 'signing-secret-for-tests').update(generic.raw).digest('hex');
+    assert.equal(generic.headers['x-signature-256'], `sha256=${signature}`);
+  });
+
+  it('only sends the events a target subscribes to, in its own wording', async () => {
+    const notifier = createNotifier([webhook('slack', {
+      events: ['token_expired'],
+      templates: { token_expired: { title: 'Re-auth {{channelId}} please' } }
+    })]);
+
+    await notifier.notify('published', { channelId: 'cooking', title: 'Ignored' });
+    await notifier.notify('token_expired', { channelId: 'cooking', error: 'invalid_grant' });
+
+    assert.equal(sink.webhooks.length, 1);
+    assert.match(sink.webhooks[0].body.text, /^\*Re-auth cooking please\*\nUploads for cooking are on hold/);
+  });
+
+  it('holds back repeats within the cooldown and over the hourly limit', async (t) => {
+    freezeTime(t);
+    const notifier = createNotifier([webhook('webhook', { rateLimit: { maxPerHour: 2 } })]);
+    const fail = channelId => notifier.notify('pipeline_failure', { channelId, task: 'Job', error: 'boom' });
+
+    assert.equal((await fail('cooking'))[0].status, 'sent');
+    assert.equal((await fail('cooking'))[0].status, 'suppressed');
+    assert.equal((await fail('travel'))[0].status, 'sent');
+    assert.equal((await fail('gaming'))[0].status, 'suppressed');
+    assert.equal(sink.webhooks.length, 2);
+
+    t.mock.timers.tick(61 * 60 * 1000);
+    assert.equal((await fail('cooking'))[0].status, 'sent');
+
+    const suppressed = await db.getNotificationDeliveries({ status: 'suppressed' });
+    assert.deepEqual(suppressed.map(delivery => delivery.key).sort(), ['cooking', 'gaming']);
+    assert.match(suppressed.find(delivery => delivery.key === 'gaming').error, /2 notifications per hour/);
+  });
+
+  it('sends nothing while notifications are disabled', async () => {
+    const notifier = createNotifier([webhook('slack')]);
+    await db.setSetting('notification_enabled', 'false');
+
+    assert.deepEqual(await notifier.notify('health_low', { score: 50, threshold: 80 }), []);
+    assert.equal(sink.webhooks.length, 0);
+  });
+
+  it('records a failed delivery without failing the caller', async () => {
+    const notifier = createNotifier([webhook('discord')]);
+    sink.webhookStatus = 500;
+
+    const [result] = await notifier.notify('quota_low', { channelId: 'cooking', remaining: 10, limit: 10000 });
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'webhook answered 500');
+    assert.equal((await db.getNotificationDeliveries({ status: 'failed' })).length, 1);
+  });
+
+  it('keeps targets in the encrypted credentials file and never shows their secrets', async () => {
+    const notifier = createNotifier();
+    const created = await notifier.addTarget({
+      name: 'Team Slack',
+      type: 'slack',
+      webhookUrl: 'https://hooks.slack.com/services/T000/B000/not-a-real-secret'
+    });
+
+    assert.equal(created.webhookUrl, 'https://hooks.slack.com/…');
+    assert.equal(created.events.length, 5);
+    assert.doesNotMatch(fs.readFileSync(credentials.credentialsPath, 'utf8'), /not-a-real-secret/);
+
+    const updated = await notifier.updateTarget(created.id, { events: ['published'] });
+    assert.deepEqual(updated.events, ['published']);
+    assert.equal(notifier.getTarget(created.id).webhookUrl, 'https://hooks.slack.com/services/T000/B000/not-a-real-secret');
+
+    await notifier.removeTarget(created.id);
+    assert.deepEqual(notifier.listTargets(), []);
+  });
+
+  it('adds read-only targets from the environment', async () => {
+    const notifier = createNotifier([], {
+      env: {
+        NOTIFY_DISCORD_WEBHOOK_URL: `${sink.webhookUrl}discord`,
+        NOTIFY_EVENTS: 'published'
+      }
+    });
+
+    assert.deepEqual(notifier.listTargets().map(target => [target.id, target.source, target.events]), [
+      ['env-discord', 'env', ['published']]
+    ]);
+    await assert.rejects(notifier.removeTarget('env-discord'), { status: 409 });
+
+    await notifier.sendTest('env-discord');
+    assert.equal(sink.webhooks[0].body.content, '**Test notification**\nNotifications to Discord are working.');
+  });
+
+  it('lists every problem with a target', () => {
+    assert.throws(() => validateTarget({
+      type: 'email',
+      host: '',
+      from: 'nobody',
+      to: [],
+      events: ['published', 'lunch'],
+      rateLimit: { maxPerHour: 0 }
+    }), error => {
+      assert.deepEqual(error.problems, [
+        'name is required',
+        'events must be a list of pipeline_failure, published, quota_low, health_low, token_expired',
+        'host is required for email',
+        'from must be an email address',
+        'to must be one or more email addresses',
+        'rateLimit.maxPerHour must be a positive number'
+      ]);
+      return true;
+    });
+    assert.throws(() => validateTarget({ name: 'Hook', type: 'slack', webhookUrl: 'ftp://example.com' }), /webhookUrl must be an http\(s\) URL/);
+  });
+
+  it('warns once a day when the quota drops under the low-priority floor', async () => {
+    const notifier = createNotifier([webhook('slack')]);
+    const quota = new QuotaLedger(db, { channelId: 'cooking', limit: 2000, lowPriorityFloor: 400, notifier });
+
+    await quota.record('videos.insert');
+    assert.equal(sink.webhooks.length, 0);
+
+    await quota.record('search.list');
+    await quota.record('search.list');
+    assert.equal(sink.webhooks.length, 1);
+    assert.match(sink.webhooks[0].body.text, /^\*YouTube quota low on cooking\*\n300 of 2000 units left/);
+  });
+
+  it('reports a failed pipeline job once, with its stage', async () => {
+    const notifier = createNotifier([webhook('webhook')]);
+    const pipeline = new ContentPipeline({}, db, {
+      channelId: 'cooking',
+      notifier,
+      maxAttempts: 1,
+      stages: [{ name: 'script', needs: [], run: async () => { throw new Error('Model refused'); } }]
+    });
+    const automation = new DailyAutomation(new Map(), db, { notifier });
+
+    const error = await pipeline.start({}, 'daily').catch(failure => failure);
+    await automation.sendFailureNotification('Daily Content Generation (Cooking)', error, 'cooking');
+
+    assert.equal(sink.webhooks.length, 1);
+    assert.equal(sink.webhooks[0].body.data.stage, 'script');
+    assert.equal(sink.webhooks[0].body.text, `Pipeline job ${sink.webhooks[0].body.data.jobId} (script stage) failed: Model refused`);
+  });
+
+  it('reports a health score under the configured threshold', async () => {
+    const notifier = createNotifier([webhook('slack')]);
+    const automation = new DailyAutomation(new Map(), db, { notifier });
+    automation.scheduledTasks.set('publish-queue-processing', { schedule: { enabled: true }, task: null });
+    automation.scheduledTasks.set('daily-analytics', { schedule: { enabled: true }, task: {} });
+
+    await automation.performHealthCheck();
+    assert.equal(sink.webhooks.length, 0);
+
+    await db.setSetting('notification_health_threshold', '95');
+    await automation.performHealthCheck();
+    assert.equal(sink.webhooks[0].body.text, '*Health score 90/100*\nThe health check scored 90, below the threshold of 95. Stopped tasks: publish-queue-processing.');
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadFixture, createTestDatabase, createTestCredentials, createTempDir, removeTempDir, assertSnapshot } = require('./helpers');
+const { ProductionManagementAgent } = require('../agents/production-management-agent');
+const { Timeline } = require('../utils/timeline');
+const { VideoRenderer } = require('../utils/video-renderer');
+const { MEDIA_DIRS } = require('../utils/content-validation');
+const { formatSRT } = require('../utils/captions');
+
+describe('ProductionManagementAgent', () => {
+  let db;
+  let agent;
+
+  const production = () => ({ id: 'prod_fixture', script: loadFixture('script'), assets: {} });
+
+  before(async () => {
+    db = await createTestDatabase();
+    agent = new ProductionManagementAgent(db, createTestCredentials());
+  });
+
+  after(() => db.close());
+
+  it('writes SRT captions that follow the script timing', async (t) => {
+    const { cues: timed, timing } = await agent.createCaptionCues(production());
+    const srt = formatSRT(timed);
+    const cues = srt.trim().split('\n\n');
+
+    assert.equal(timing, 'estimate');
+
+    assert.ok(cues.length > 0);
+    cues.forEach((cue, index) => {
+      const [number, timing, ...lines] = cue.split('\n');
+      assert.equal(number, String(index + 1));
+      assert.match(timing, /^\d{2}:\d{2}:\d{2},\d{3} --> \d{2}:\d{2}:\d{2},\d{3}$/);
+      assert.ok(lines.length >= 1 && lines.length <= 2);
+      assert.ok(lines.every(line => line.length <= 42), `cue ${index + 1} has a line over 42 characters`);
+    });
+    assertSnapshot(t, srt);
+  });
+
+  it('lays out one slide sequence per section', () => {
+    const elements = agent.createVideoElements(production());
+
+    assert.equal(elements[0].type, 'title_slide');
+    assert.deepEqual(elements.slice(-2).map(element => element.type), ['conclusion', 'subscribe_reminder']);
+    assert.equal(elements.filter(element => element.type === 'section_title').length, 5);
+
+    // Each section keeps its scripted length: a title card plus its content slides
+    for (const [index, section] of production().script.mainContent.sections.entries()) {
+      const total = elements
+        .filter(element => element.section === index)
+        .reduce((sum, element) => sum + element.duration, 0);
+      assert.ok(Math.abs(total - section.duration) < 1e-9, `section ${index} lasts ${total}s`);
+    }
+  });
+
+  it('builds a valid timeline fitted to the script length', async (t) => {
+    const data = production();
+    const timeline = await agent.buildTimeline(data);
+    const expected = agent.aiVideoGenerator.calculateScriptDuration(data.script);
+
+    assert.equal(timeline.duration, expected);
+    assert.deepEqual(timeline.tracks.narration, []);
+    assert.equal(timeline.tracks.visuals[0].transition, undefined);
+    assert.equal(timeline.tracks.visuals[1].transition.type, 'slideleft');
+
+    const json = JSON.stringify(timeline);
+    assert.equal(JSON.stringify(Timeline.fromJSON(JSON.parse(json))), json);
+    assertSnapshot(t, timeline.tracks.visuals.map(clip => [clip.id, clip.in, clip.out]));
+  });
+
+  it('rejects timeline values that would change the filtergraph', () => {
+    const tracks = {
+      visuals: [{ id: 'intro', kind: 'color', in: 0, out: 5, color: '#1a1a2e' }],
+      music: [{ id: 'music', in: 0, out: 5, source: 'music.mp3', volume: 0.2, fadeIn: 2, offset: 1 }],
+      overlays: [{ id: 'title', kind: 'text', text: 'Hi', in: 0, out: 2, size: 64, color: 'gold@0.8', font: 'uploads/fonts/Inter.ttf' }]
+    };
+    assert.match(Timeline.fromJSON({ tracks }).toFilterGraph().filterComplex, /volume=0\.2,afade=t=in:st=0:d=2\.000/);
+
+    tracks.music[0] = { ...tracks.music[0], volume: '0.2,aecho', fadeIn: '2', offset: -1 };
+    tracks.overlays[0] = { ...tracks.overlays[0], size: '48:x=0', color: 'white;[x]', font: '/etc/passwd' };
+    assert.throws(() => Timeline.fromJSON({ tracks }), error => {
+      assert.deepEqual(error.problems.map(problem => problem.split(' must')[0]), [
+        'music/music: volume',
+        'music/music: offset',
+        'music/music: fadeIn',
+        'overlays/title: size',
+        'overlays/title: color',
+        'overlays/title: font'
+      ]);
+      return true;
+    });
+  });
+
+  it('renders only media from data/ and uploads/', async (t) => {
+    const dir = createTempDir();
+    const assetsDir = path.join(MEDIA_DIRS[0], 'assets');
+    const image = path.join(assetsDir, `render_${Date.now()}.png`);
+    const music = path.join(assetsDir, `render_${Date.now()}.mp3`);
+    const link = path.join(assetsDir, `render_link_${Date.now()}.mp3`);
+    const outside = path.join(dir, 'secret.mp3');
+    fs.mkdirSync(assetsDir, { recursive: true });
+    fs.writeFileSync(image, 'png');
+    fs.writeFileSync(music, 'mp3');
+    fs.writeFileSync(outside, 'mp3');
+    fs.writeFileSync(path.join(dir, 'font.ttf'), 'ttf');
+    fs.symlinkSync(outside, link);
+    t.after(() => {
+      [image, music, link].forEach(file => fs.rmSync(file, { force: true }));
+      removeTempDir(dir);
+    });
+
+    const relative = path.relative(process.cwd(), image);
+    const prepared = await new VideoRenderer().prepare(new Timeline({
+      tracks: {
+        visuals: [
+          { id: 'inside', kind: 'image', in: 0, out: 2, source: relative },
+          { id: 'url', kind: 'image', in: 2, out: 4, source: 'http://example.com/frame.png' }
+        ],
+        music: ['music', 'outside', 'link'].map(id => ({ id, in: 0, out: 4, source: { music, outside, link }[id] })),
+        overlays: [{ id: 'title', kind: 'text', text: 'Hi', in: 0, out: 2, font: path.join(dir, 'font.ttf') }]
+      }
+    }));
+
+    assert.equal(prepared.tracks.visuals[0].source, fs.realpathSync(image));
+    assert.deepEqual([prepared.tracks.visuals[1].kind, prepared.tracks.visuals[1].source], ['color', undefined]);
+    assert.deepEqual(prepared.tracks.music.map(clip => clip.id), ['music']);
+    assert.equal(prepared.tracks.overlays[0].font, undefined);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTestDatabase, createTestCredentials, startMockYouTube, createTempDir, removeTempDir } = require('./helpers');
+const { PublishingSchedulingAgent } = require('../agents/publishing-scheduling-agent');
+
+const OPTIMAL_TIMES = {
+  bestDays: ['Tuesday', 'Thursday', 'Saturday'],
+  bestHours: [14, 15, 16, 17, 18, 19, 20]
+};
+
+function createProduction(dir, id) {
+  const videoPath = path.join(dir, `${id}.mp4`);
+  const thumbnailPath = path.join(dir, `${id}.jpg`);
+  const captionsPath = path.join(dir, `${id}.srt`);
+
+  fs.writeFileSync(videoPath, Buffer.alloc(300 * 1024, 7));
+  fs.writeFileSync(thumbnailPath, Buffer.from('fake jpeg'));
+  fs.writeFileSync(captionsPath, '1\n00:00:00,000 --> 00:00:03,000\nHello there\n');
+
+  return {
+    id,
+    priority: 1,
+    scheduledPublishTime: '2024-10-15T15:00:00.000Z',
+    script: { title: 'Sourdough Basics' },
+    seo: {
+      title: 'Sourdough Basics: The Complete Beginner Guide',
+      description: 'Everything you need for your first loaf.',
+      tags: ['sourdough', 'baking'],
+      metadata: { category: 26, language: 'en' }
+    },
+    assets: {
+      finalVideo: { path: videoPath, verified: true },
+      thumbnail: { path: thumbnailPath },
+      captions: { path: captionsPath }
+    }
+  };
+}
+
+describe('PublishingSchedulingAgent', () => {
+  let db;
+  let mock;
+  let agent;
+  let dir;
+
+  before(async () => {
+    mock = await startMockYouTube();
+    dir = createTempDir();
+    db = await createTestDatabase();
+    agent = new PublishingSchedulingAgent(db, createTestCredentials({ youtubeMockUrl: mock.url }));
+    await agent.initialize();
+  });
+
+  after(async () => {
+    await db.close();
+    await mock.stop();
+    removeTempDir(dir);
+  });
+
+  it('uploads the video, thumbnail and captions to YouTube', async () => {
+    await agent.scheduleContent(createProduction(dir, 'prod_publish'));
+    const published = await agent.publishContent('prod_publish');
+
+    assert.equal(published.status, 'published');
+    assert.match(published.youtubeId, /^mockUp\d+$/);
+
+    const video = mock.videos.get(published.youtubeId);
+    assert.equal(video.snippet.title, 'Sourdough Basics: The Complete Beginner Guide');
+    assert.equal(video.snippet.categoryId, '26');
+    assert.equal(video.status.publishAt, '2024-10-15T15:00:00.000Z');
+    assert.equal(video.fileDetails.fileSize, String(300 * 1024));
+
+    assert.ok(mock.thumbnails.has(published.youtubeId));
+    assert.equal(mock.captions.length, 1);
+    assert.equal(mock.captions[0].snippet.videoId, published.youtubeId);
+    assert.match(mock.captions[0].body, /Hello there/);
+
+    const entry = await db.getRow('SELECT * FROM publish_schedule WHERE production_id = ?', ['prod_publish']);
+    assert.equal(entry.status, 'published');
+    assert.equal(entry.upload_status, 'completed');
+    assert.equal(entry.upload_bytes_sent, 300 * 1024);
+    assert.equal(agent.publishQueue.length, 0);
+
+    const [audit] = await db.getAuditEvents({ action: 'publish', target: 'prod_publish' });
+    assert.equal(audit.actor, 'scheduler');
+    assert.equal(audit.details.youtubeId, published.youtubeId);
+  });
+
+  it('charges the upload against the quota ledger', async () => {
+    const summary = await agent.quota.getSummary();
+    const methods = Object.fromEntries(summary.methods.map(row => [row.method, row.calls]));
+
+    assert.equal(methods['videos.insert'], 1);
+    assert.equal(methods['thumbnails.set'], 1);
+    assert.equal(methods['captions.insert'], 1);
+  });
+
+  it('refuses to upload a simulated video', async () => {
+    const production = createProduction(dir, 'prod_simulated');
+    production.assets.finalVideo = { path: production.assets.finalVideo.path, simulated: true };
+    await agent.scheduleContent(production);
+
+    await assert.rejects(agent.publishContent('prod_simulated'), /No rendered video available/);
+  });
+
+  describe('findBetterTime', () => {
+    it('keeps a time that is already optimal', () => {
+      // Tuesday 15:00
+      assert.equal(agent.findBetterTime(new Date('2024-10-15T15:00:00Z'), OPTIMAL_TIMES), null);
+    });
+
+    it('moves to a later hour on an optimal day', () => {
+      const better = agent.findBetterTime(new Date('2024-10-15T09:30:00Z'), OPTIMAL_TIMES);
+      assert.equal(better.toISOString(), '2024-10-15T14:00:00.000Z');
+    });
+
+    it('moves to the next optimal day', () => {
+      // Wednesday 10:00
+      const better = agent.findBetterTime(new Date('2024-10-16T10:00:00Z'), OPTIMAL_TIMES);
+      assert.equal(better.toISOString(), '2024-10-17T14:00:00.000Z');
+    });
+  });
+});
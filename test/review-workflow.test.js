@@ -0,0 +1,129 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadFixture, createTestDatabase, createTestCredentials, createTempDir, removeTempDir } = require('./helpers');
+const { PublishingSchedulingAgent } = require('../agents/publishing-scheduling-agent');
+
+describe('ReviewWorkflow', () => {
+  let db;
+  let dir;
+  let agent;
+
+  // A produced video due an hour ago, with its script files on disk
+  async function produce(id) {
+    const script = loadFixture('script');
+    const scriptPath = path.join(dir, `${id}_script.json`);
+    fs.writeFileSync(scriptPath, JSON.stringify(script));
+    fs.writeFileSync(scriptPath.replace('.json', '_tts.txt'), 'What if the best bread you ever ate...');
+
+    const production = {
+      id,
+      status: 'ready',
+      script,
+      seo: { title: 'Sourdough Starter From Scratch (Day by Day)', description: 'Flour, water, patience.', tags: ['sourdough'] },
+      assets: {
+        script: { originalPath: scriptPath, ttsPath: scriptPath.replace('.json', '_tts.txt') },
+        thumbnail: { path: path.join(dir, `${id}.jpg`) }
+      },
+      timeline: {},
+      scheduledPublishTime: new Date(Date.now() - 3600000).toISOString(),
+      priority: 50
+    };
+
+    await db.saveProductionData(production);
+    return agent.scheduleContent(production);
+  }
+
+  before(async () => {
+    dir = createTempDir();
+    db = await createTestDatabase();
+  });
+
+  beforeEach(async () => {
+    agent = new PublishingSchedulingAgent(db, createTestCredentials());
+    await db.setSetting('require_approval', 'false');
+  });
+
+  after(async () => {
+    await db.close();
+    removeTempDir(dir);
+  });
+
+  it('releases content straight to the queue when approval is not required', async () => {
+    const entry = await produce('prod_unreviewed');
+
+    assert.equal(entry.reviewStatus, 'scheduled');
+    assert.deepEqual(await agent.review.filterReleased([entry]), [entry]);
+  });
+
+  it('holds content in review until it is approved and scheduled', async (t) => {
+    await db.setSetting('require_approval', 'true');
+    const entry = await produce('prod_reviewed');
+    const publish = t.mock.method(agent, 'publishContent', async () => entry);
+    // The test credentials hold no YouTube tokens, which would otherwise hold every upload
+    t.mock.method(agent.credentials, 'ensureFreshYouTubeToken', async () => ({ state: 'valid' }));
+
+    assert.equal(entry.reviewStatus, 'in_review');
+    assert.equal(await agent.processPublishQueue(), 0);
+
+    await agent.review.transition('prod_reviewed', 'approve', { reviewer: 'sam' });
+    assert.equal(await agent.processPublishQueue(), 0);
+
+    await agent.review.transition('prod_reviewed', 'schedule', { reviewer: 'sam' });
+    assert.equal(await agent.processPublishQueue(), 1);
+    assert.equal(publish.mock.calls[0].arguments[0], 'prod_reviewed');
+
+    const history = await db.getProductionReviews('prod_reviewed');
+    assert.deepEqual(history.map(review => review.toStatus), ['in_review', 'approved', 'scheduled']);
+    assert.equal(history[1].reviewer, 'sam');
+  });
+
+  it('refuses to publish held content by hand', async (t) => {
+    await db.setSetting('require_approval', 'true');
+    await produce('prod_manual');
+    const upload = t.mock.method(agent, 'uploadToYouTube', async () => ({ id: 'video123' }));
+
+    await assert.rejects(agent.publishContent('prod_manual', { actor: 'sam' }), error => error.status === 409);
+    await agent.review.transition('prod_manual', 'approve', { reviewer: 'sam' });
+    await assert.rejects(agent.publishContent('prod_manual', { actor: 'sam' }), error => error.status === 409);
+    assert.equal(upload.mock.callCount(), 0);
+
+    await agent.review.transition('prod_manual', 'schedule', { reviewer: 'sam' });
+    assert.equal((await agent.publishContent('prod_manual', { actor: 'sam' })).youtubeId, 'video123');
+  });
+
+  it('refuses transitions the state machine does not allow', async () => {
+    await db.setSetting('require_approval', 'true');
+    await produce('prod_rules');
+
+    await assert.rejects(agent.review.transition('prod_rules', 'schedule'), error => error.status === 409);
+    await assert.rejects(agent.review.transition('prod_rules', 'reject'), /comment is required/);
+    await assert.rejects(agent.review.transition('prod_rules', 'publish'), error => error.status === 400);
+    await assert.rejects(agent.review.transition('prod_missing', 'approve'), error => error.status === 404);
+  });
+
+  it('keeps rejected content out of the queue until it is resubmitted', async () => {
+    const entry = await produce('prod_rejected');
+
+    await agent.review.transition('prod_rejected', 'reject', { reviewer: 'sam', comment: 'Wrong hydration ratio' });
+    assert.deepEqual(await agent.review.filterReleased([entry]), []);
+
+    await agent.review.transition('prod_rejected', 'submit', { reviewer: 'sam' });
+    assert.equal((await db.getProduction('prod_rejected')).reviewStatus, 'in_review');
+  });
+
+  it('gathers the script, SEO data, thumbnail and history for the reviewer', async () => {
+    const review = await agent.review.getReview('prod_rejected');
+
+    assert.equal(review.production.reviewStatus, 'in_review');
+    assert.equal(review.script.title, 'Sourdough Starter From Scratch');
+    assert.match(review.narration, /best bread/);
+    assert.equal(review.seo.title, 'Sourdough Starter From Scratch (Day by Day)');
+    assert.equal(review.thumbnail.path, path.join(dir, 'prod_rejected.jpg'));
+    assert.equal(review.history[1].comment, 'Wrong hydration ratio');
+
+    const queue = await db.getReviewQueue();
+    assert.deepEqual(queue.map(item => item.id).sort(), ['prod_rejected', 'prod_rules']);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, freezeTime } = require('./helpers');
+const { SCHEDULED_TASKS, loadSchedules, validateSchedule, nextRuns } = require('../utils/schedule-config');
+const { DailyAutomation } = require('../schedules/daily-automation');
+
+describe('schedule config', () => {
+  it('stores the default schedules in the server time zone', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.close());
+
+    const schedules = await loadSchedules(db);
+
+    assert.deepEqual(Object.keys(schedules), Object.keys(SCHEDULED_TASKS));
+    assert.deepEqual(schedules['daily-content-generation'], { cron: '0 6 * * *', timezone: 'UTC', enabled: true });
+    assert.deepEqual(JSON.parse(await db.getSetting('schedule.publish-queue-processing')), {
+      cron: '*/15 * * * *',
+      timezone: 'UTC',
+      enabled: true
+    });
+  });
+
+  it('keeps stored schedules and replaces ones that no longer parse', async (t) => {
+    const db = await createTestDatabase();
+    t.after(() => db.close());
+    await db.setSetting('schedule.daily-analytics', JSON.stringify({ cron: '15 10 * * 1-5', timezone: 'Asia/Tokyo', enabled: false }));
+    await db.setSetting('schedule.daily-optimization', '{"cron": "every night"');
+
+    const schedules = await loadSchedules(db);
+
+    assert.deepEqual(schedules['daily-analytics'], { cron: '15 10 * * 1-5', timezone: 'Asia/Tokyo', enabled: false });
+    assert.equal(schedules['daily-optimization'].cron, '0 22 * * *');
+  });
+
+  it('lists every problem with a schedule', () => {
+    assert.throws(() => validateSchedule({ cron: '0 25 * * *', timezone: 'Mars/Olympus', enabled: 'yes' }), error => {
+      assert.deepEqual(error.problems, [
+        'cron must be a cron expression such as "0 6 * * *"',
+        'timezone must be an IANA time zone such as "Europe/Berlin"',
+        'enabled must be true or false'
+      ]);
+      return true;
+    });
+    assert.deepEqual(validateSchedule({ cron: ' 30  7 * * 1-5 ' }, { partial: true }), { cron: '30 7 * * 1-5' });
+  });
+
+  it('previews run times in the schedule\'s time zone', (t) => {
+    freezeTime(t);
+
+    assert.deepEqual(nextRuns({ cron: '0 6 * * *', timezone: 'America/New_York' }, 3), [
+      '2024-10-15T06:00:00.000-04:00',
+      '2024-10-16T06:00:00.000-04:00',
+      '2024-10-17T06:00:00.000-04:00'
+    ]);
+    assert.deepEqual(nextRuns({ cron: '0 8 * * 0', timezone: 'UTC' }, 1), ['2024-10-20T08:00:00.000Z']);
+  });
+});
+
+describe('DailyAutomation schedules', () => {
+  let db;
+  let automation;
+
+  beforeEach(async (t) => {
+    db = await createTestDatabase();
+    automation = new DailyAutomation(new Map(), db);
+    t.after(async () => {
+      await automation.stopAutomation();
+      await db.close();
+    });
+  });
+
+  it('reschedules a running task without a restart', async () => {
+    await automation.initialize();
+    let runs = 0;
+    automation.processPublishQueue = async () => { runs++; };
+    const original = automation.scheduledTasks.get('publish-queue-processing').task;
+
+    const updated = await automation.updateSchedule('publish-queue-processing', { cron: '* * * * * *' });
+
+    assert.equal(updated.cron, '* * * * * *');
+    assert.equal(updated.timezone, 'UTC');
+    assert.equal(updated.nextRuns.length, 5);
+    assert.notEqual(automation.scheduledTasks.get('publish-queue-processing').task, original);
+    assert.equal(JSON.parse(await db.getSetting('schedule.publish-queue-processing')).cron, '* * * * * *');
+
+    await new Promise(resolve => setTimeout(resolve, 2200));
+    assert.ok(runs >= 1, 'the rescheduled task ran');
+
+    await automation.updateSchedule('publish-queue-processing', { enabled: false });
+    const after = runs;
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    assert.equal(runs, after);
+  });
+
+  it('leaves disabled tasks out of the health score', async () => {
+    await automation.initialize();
+    await automation.updateSchedule('daily-analytics', { enabled: false });
+
+    const health = await automation.performHealthCheck();
+
+    assert.equal('daily-analytics' in health.scheduledTasks, false);
+    assert.equal(automation.calculateHealthScore(health), 100);
+    assert.deepEqual(automation.describeSchedule('daily-analytics').nextRuns, []);
+  });
+
+  it('rejects unknown tasks and invalid changes', async () => {
+    await automation.initialize();
+
+    await assert.rejects(automation.updateSchedule('lunch', { enabled: false }), { status: 404 });
+    await assert.rejects(automation.updateSchedule('daily-analytics', { cron: 'soon' }), error => {
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.problems, ['cron must be a cron expression such as "0 6 * * *"']);
+      return true;
+    });
+    assert.equal(JSON.parse(await db.getSetting('schedule.daily-analytics')).cron, '0 9 * * *');
+  });
+});
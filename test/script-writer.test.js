@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, createTestDatabase, createTestCredentials, freezeTime, assertSnapshot } = require('./helpers');
+const { ScriptWriterAgent } = require('../agents/script-writer-agent');
+
+describe('ScriptWriterAgent', () => {
+  const strategies = loadFixture('strategies');
+  let db;
+  let agent;
+
+  before(async () => {
+    db = await createTestDatabase();
+    agent = new ScriptWriterAgent(db, createTestCredentials());
+  });
+
+  after(() => db.close());
+
+  for (const [name, strategy] of Object.entries(strategies)) {
+    it(`writes a ${name} script from templates`, async (t) => {
+      freezeTime(t);
+      const script = await agent.generateScript(strategy);
+
+      assert.equal(script.keywords, strategy.keywords);
+      assert.equal(script.fullScript, agent.formatFullScript(script));
+      assertSnapshot(t, {
+        title: script.title,
+        duration: script.duration,
+        sections: script.mainContent.sections.map(section => section.type),
+        fullScript: script.fullScript
+      });
+    });
+  }
+
+  it('produces the same script for the same strategy', async (t) => {
+    freezeTime(t);
+    const first = await agent.generateScript(strategies.list);
+    const second = await agent.generateScript(strategies.list);
+
+    assert.equal(first.fullScript, second.fullScript);
+  });
+
+  it('stores generated scripts', async () => {
+    const before = await db.getRow('SELECT COUNT(*) as count FROM scripts');
+    await agent.generateScript(strategies.explainer);
+    const after = await db.getRow('SELECT COUNT(*) as count FROM scripts');
+
+    assert.equal(after.count, before.count + 1);
+  });
+
+  it('normalizes provider scripts even when they look finished', async (t) => {
+    const strategy = strategies.explainer;
+    const template = agent.templates.explainer;
+    t.mock.method(agent.ai, 'completeJSON', async () => ({
+      title: 'Sourdough, Explained',
+      hook: { text: 'Flour and water, nothing else.' },
+      mainContent: 'not a section list',
+      sections: [{ title: 'Feeding', content: 'Feed it daily.', duration: '45' }]
+    }));
+
+    const draft = await agent.draftScript(strategy, template);
+    assert.deepEqual(draft.mainContent.sections, [{ type: 'section_1', title: 'Feeding', content: ['Feed it daily.'], visuals: undefined, duration: 45 }]);
+
+    // A response with only the template's shape is incomplete and replaced by the templates
+    t.mock.method(agent.ai, 'completeJSON', async () => ({ mainContent: { sections: [] } }));
+    assert.ok((await agent.draftScript(strategy, template)).mainContent.sections.length > 0);
+  });
+
+  describe('formatFullScript', () => {
+    it('renders every section shape', (t) => {
+      assertSnapshot(t, agent.formatFullScript(loadFixture('script')));
+    });
+
+    it('skips visuals when a section has none', () => {
+      const script = loadFixture('script');
+      script.mainContent.sections = [{ title: 'Only Text', content: 'Plain paragraph.', duration: 20 }];
+
+      const text = agent.formatFullScript(script);
+      assert.match(text, /\[0:20\] ONLY TEXT\nPlain paragraph\.\n\n/);
+      assert.doesNotMatch(text, /VISUALS/);
+    });
+  });
+
+  describe('estimateDuration', () => {
+    it('adds hook, intro, conclusion and CTA time to the sections', () => {
+      assert.equal(agent.estimateDuration({ sections: [{ duration: 60 }, { duration: 45 }] }), '2:50');
+    });
+
+    it('counts sections without a duration as a minute', () => {
+      assert.equal(agent.estimateDuration({ sections: [{}, {}] }), '3:05');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir } = require('./helpers');
+const { SecretStore, keyId, parseKey } = require('../utils/secret-store');
+const { CredentialManager } = require('../utils/credential-manager');
+const { redact, registerSecrets } = require('../utils/logger');
+
+const CREDENTIALS = {
+  youtube: { client_id: 'client.apps.googleusercontent.com', client_secret: 'GOCSPX-not-a-real-secret', redirect_uris: ['http://localhost:8080/oauth2callback'] },
+  openai: { apiKey: 'sk-test-0123456789abcdefghij', model: 'gpt-4' }
+};
+const TOKENS = { youtube: { access_token: 'ya29.a0-test-access', refresh_token: '1//0g-test-refresh-token-value' } };
+
+function createManager(dir) {
+  return new CredentialManager({ configDir: dir, keyFile: path.join(dir, 'master.key') });
+}
+
+describe('SecretStore', () => {
+  it('encrypts files so no secret is left in them', (t) => {
+    const dir = createTempDir(t);
+    const store = new SecretStore({ keyFile: path.join(dir, 'master.key') });
+    const file = path.join(dir, 'credentials.json');
+
+    store.writeFileSync(file, CREDENTIALS);
+    const text = fs.readFileSync(file, 'utf8');
+
+    assert.doesNotMatch(text, /GOCSPX|sk-test/);
+    assert.equal(JSON.parse(text).keyId, keyId(store.getKey()));
+    assert.deepEqual(store.readFileSync(file), { value: CREDENTIALS, encrypted: true });
+    assert.equal(fs.statSync(path.join(dir, 'master.key')).mode & 0o777, 0o600);
+  });
+
+  it('refuses files under an unknown key or with changed contents', (t) => {
+    const dir = createTempDir(t);
+    const file = path.join(dir, 'tokens.json');
+    new SecretStore({ keyFile: path.join(dir, 'master.key') }).writeFileSync(file, TOKENS);
+
+    const stranger = new SecretStore({ masterKey: 'a different passphrase' });
+    assert.throws(() => stranger.readFileSync(file), { code: 'MASTER_KEY_MISSING' });
+
+    const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+    envelope.data = Buffer.from('{"youtube":{}}').toString('base64');
+    fs.writeFileSync(file, JSON.stringify(envelope));
+    assert.throws(() => new SecretStore({ keyFile: path.join(dir, 'master.key') }).readFileSync(file), { code: 'DECRYPT_FAILED' });
+  });
+
+  it('takes the master key from the environment as base64, hex or a passphrase', () => {
+    const key = Buffer.alloc(32, 9);
+
+    assert.deepEqual(parseKey(key.toString('base64')), key);
+    assert.deepEqual(parseKey(key.toString('hex')), key);
+    assert.equal(parseKey('correct horse battery staple').length, 32);
+    assert.deepEqual(parseKey('correct horse battery staple'), parseKey('correct horse battery staple'));
+  });
+
+  it('rotates the key file and still opens files encrypted under the previous key', (t) => {
+    const dir = createTempDir(t);
+    const keyFile = path.join(dir, 'master.key');
+    const store = new SecretStore({ keyFile });
+    const file = path.join(dir, 'credentials.json');
+    const untouched = path.join(dir, 'other.json');
+    store.writeFileSync(file, CREDENTIALS);
+    store.writeFileSync(untouched, TOKENS);
+
+    const result = store.rotate([file]);
+
+    assert.deepEqual(result.files, [file]);
+    assert.notEqual(result.keyId, result.previousKeyId);
+    assert.equal(result.newKey, null);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).keyId, result.keyId);
+    assert.equal(keyId(parseKey(fs.readFileSync(path.join(dir, 'master.previous.key'), 'utf8'))), result.previousKeyId);
+    assert.deepEqual(new SecretStore({ keyFile }).readFileSync(untouched).value, TOKENS);
+  });
+
+  it('returns the new key when the current one comes from the environment', (t) => {
+    const dir = createTempDir(t);
+    const file = path.join(dir, 'tokens.json');
+    new SecretStore({ masterKey: 'old passphrase' }).writeFileSync(file, TOKENS);
+
+    const { newKey } = new SecretStore({ masterKey: 'old passphrase' }).rotate([file]);
+
+    assert.deepEqual(new SecretStore({ masterKey: newKey }).readFileSync(file).value, TOKENS);
+    assert.equal(fs.existsSync(path.join(dir, 'master.key')), false);
+  });
+});
+
+describe('CredentialManager encryption', () => {
+  it('encrypts plaintext credential files in place when it loads them', async (t) => {
+    const dir = createTempDir(t);
+    fs.writeFileSync(path.join(dir, 'credentials.json'), JSON.stringify(CREDENTIALS, null, 2));
+    fs.writeFileSync(path.join(dir, 'tokens.json'), JSON.stringify(TOKENS, null, 2));
+
+    const manager = createManager(dir);
+    assert.equal(await manager.initialize(), true);
+    assert.deepEqual(manager.credentials, CREDENTIALS);
+
+    for (const name of ['credentials.json', 'tokens.json']) {
+      assert.doesNotMatch(fs.readFileSync(path.join(dir, name), 'utf8'), /client_secret|refresh_token/);
+    }
+
+    const reloaded = createManager(dir);
+    await reloaded.initialize();
+    assert.deepEqual(reloaded.tokens, TOKENS);
+    assert.equal(reloaded.plaintextFiles.size, 0);
+  });
+
+  it('does not treat an unreadable file as empty', async (t) => {
+    const dir = createTempDir(t);
+    createManager(dir).store.writeFileSync(path.join(dir, 'tokens.json'), TOKENS);
+    fs.rmSync(path.join(dir, 'master.key'));
+
+    const manager = createManager(dir);
+    await assert.rejects(manager.loadTokens(), { code: 'MASTER_KEY_MISSING' });
+  });
+
+  it('re-encrypts both files when rotating the master key', async (t) => {
+    const dir = createTempDir(t);
+    const manager = createManager(dir);
+    manager.credentials = CREDENTIALS;
+    manager.tokens = TOKENS;
+    await manager.saveCredentials();
+    await manager.saveTokens();
+
+    const result = await manager.rotateMasterKey();
+
+    assert.equal(result.files.length, 2);
+    const reloaded = createManager(dir);
+    await reloaded.initialize();
+    assert.deepEqual(reloaded.credentials, CREDENTIALS);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'tokens.json'), 'utf8')).keyId, result.keyId);
+  });
+});
+
+describe('Logger redaction', () => {
+  it('masks secret keys, known credential shapes and loaded secrets', () => {
+    registerSecrets({ youtube: { client_secret: 'GOCSPX-registered-secret' }, channel: { channelName: 'Bread Lab' } });
+
+    const redacted = redact({
+      message: 'Request failed for sk-abcdefghijklmnopqrstuvwx with GOCSPX-registered-secret',
+      headers: { Authorization: 'Bearer ya29.a0AfH6SM' },
+      tokens: { refresh_token: '1//0g-some-refresh-token-value' },
+      channel: 'Bread Lab',
+      error: new Error('invalid_grant for 1//0gABCDEFGHIJKLMNOPQRSTUVWXYZ')
+    });
+
+    assert.equal(redacted.message, 'Request failed for [REDACTED] with [REDACTED]');
+    assert.equal(redacted.headers.Authorization, '[REDACTED]');
+    assert.equal(redacted.tokens.refresh_token, '[REDACTED]');
+    assert.equal(redacted.channel, 'Bread Lab');
+    assert.equal(redacted.error.message, 'invalid_grant for [REDACTED]');
+  });
+});
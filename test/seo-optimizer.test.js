@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, createTestDatabase, createTestCredentials, freezeTime, assertSnapshot } = require('./helpers');
+const { SEOOptimizerAgent } = require('../agents/seo-optimizer-agent');
+const { ScriptWriterAgent } = require('../agents/script-writer-agent');
+
+describe('SEOOptimizerAgent', () => {
+  const strategies = loadFixture('strategies');
+  let db;
+  let agent;
+  let writer;
+
+  before(async () => {
+    db = await createTestDatabase();
+    const credentials = createTestCredentials();
+    agent = new SEOOptimizerAgent(db, credentials);
+    writer = new ScriptWriterAgent(db, credentials);
+    await agent.initialize();
+  });
+
+  after(() => db.close());
+
+  for (const [name, strategy] of Object.entries(strategies)) {
+    it(`builds the ${name} SEO payload`, async (t) => {
+      freezeTime(t);
+      const script = await writer.generateScript(strategy);
+      const { id, scriptId, ...seo } = await agent.optimize(script, strategy);
+
+      assert.match(id, /^seo_/);
+      assert.equal(scriptId, script.id);
+      assert.ok(seo.title.length <= 100);
+      assert.ok(seo.tags.join(',').length <= 500);
+      assert.ok(seo.description.length <= 5000);
+      assertSnapshot(t, seo);
+    });
+  }
+
+  describe('generateChapters', () => {
+    it('starts at zero and follows section durations', async () => {
+      const chapters = await agent.generateChapters(loadFixture('script'));
+
+      assert.deepEqual(chapters.map(chapter => chapter.time), ['00:00', '00:20', '01:00', '02:30', '03:15', '03:45', '04:20']);
+      assert.equal(chapters[1].title, 'What a Starter Is');
+      assert.equal(chapters.at(-1).title, 'Conclusion & Next Steps');
+    });
+
+    it('returns intro and conclusion for a script without sections', async () => {
+      const chapters = await agent.generateChapters({});
+
+      assert.deepEqual(chapters, [
+        { time: '00:00', title: 'Introduction', seconds: 0 },
+        { time: '00:20', title: 'Conclusion & Next Steps', seconds: 20 }
+      ]);
+    });
+  });
+
+  describe('calculateSEOScore', () => {
+    const description = [
+      'Home network security made simple - http://example.com',
+      ...Array.from({ length: 12 }, (_, i) => `Line ${i + 1} of a well formatted description that explains the video.`)
+    ].join('\n');
+    const tags = ['network security', 'router settings', 'wifi password', 'firewall', 'home network security',
+      'how to secure wifi', 'tech', 'tutorial', 'guide', 'learn', 'step by step', 'how to', 'wifi', 'router', 'security'];
+
+    it('scores a complete payload at the maximum', async (t) => {
+      freezeTime(t);
+      const title = 'How to Secure Your Home Network in 2024 - 7 Router Settings!';
+
+      assert.equal(await agent.calculateSEOScore(title, description, tags), 95);
+    });
+
+    it('gives no title points to a short lowercase title', async (t) => {
+      freezeTime(t);
+      const full = await agent.calculateSEOScore('How to Secure Your Home Network in 2024 - 7 Router Settings!', description, tags);
+      const bare = await agent.calculateSEOScore('network tips', description, tags);
+
+      assert.equal(full - bare, 30);
+    });
+
+    it('penalises thin descriptions and few tags', async (t) => {
+      freezeTime(t);
+      assert.equal(await agent.calculateSEOScore('network tips', 'Short.', ['network']), 10);
+    });
+
+    it('never exceeds 100', async (t) => {
+      freezeTime(t);
+      const score = await agent.calculateSEOScore('x'.repeat(65) + ' 2024 How', `network security ${description} TIMESTAMPS`, tags);
+      assert.ok(score <= 100);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTestDatabase, createTestCredentials, startMockYouTube, createTempDir, removeTempDir } = require('./helpers');
+const { validateSeries } = require('../utils/series-config');
+const { SeriesManager, seriesLinks, replaceSeriesLinks, linkNextEpisode } = require('../workflows/series');
+const { defaultChannel } = require('../utils/channel-config');
+const { ContentStrategyAgent } = require('../agents/content-strategy-agent');
+const { ScriptWriterAgent } = require('../agents/script-writer-agent');
+const { ThumbnailDesignerAgent } = require('../agents/thumbnail-designer-agent');
+const { SEOOptimizerAgent } = require('../agents/seo-optimizer-agent');
+const { PublishingSchedulingAgent } = require('../agents/publishing-scheduling-agent');
+const seriesMigration = require('../database/migrations/014_series');
+
+const ROAST = {
+  name: ' Sunday Roast ',
+  intro: 'Welcome to {series}, episode {episode}!',
+  outro: 'That was {topic}. See you next time.',
+  thumbnailStyle: { style: 'dramatic', colors: { primary: '#5a2d0c', accent: 'gold' }, badge: 'ep {episode}' },
+  schedule: { weekdays: [0, 0], everyWeeks: 2, startDate: '2024-11-03' },
+  contentType: 'Tutorial'
+};
+
+describe('validateSeries', () => {
+  it('returns the series in its stored shape', () => {
+    assert.deepEqual(validateSeries(ROAST), {
+      name: 'Sunday Roast',
+      description: null,
+      playlistId: null,
+      intro: 'Welcome to {series}, episode {episode}!',
+      outro: 'That was {topic}. See you next time.',
+      thumbnailStyle: { style: 'dramatic', badge: 'ep {episode}', colors: { primary: '#5a2d0c', accent: 'gold' } },
+      schedule: { weekdays: [0], everyWeeks: 2, startDate: '2024-11-03' },
+      contentType: 'Tutorial'
+    });
+    assert.deepEqual(validateSeries({ playlistId: 'PL123' }, { partial: true }), { playlistId: 'PL123' });
+  });
+
+  it('lists every problem', () => {
+    assert.throws(() => validateSeries({
+      intro: 5,
+      thumbnailStyle: { colors: { primary: 'rgb(1, 2, 3)' } },
+      schedule: { weekdays: [7], everyWeeks: 0, startDate: '2024-02-30' }
+    }), error => {
+      assert.deepEqual(error.problems, [
+        'name is required',
+        'intro must be a string',
+        'thumbnailStyle.colors.primary must be a color name or #rrggbb',
+        'schedule.weekdays must be a list of weekdays from 0 (Sunday) to 6',
+        'schedule.everyWeeks must be a whole number of weeks',
+        'schedule.startDate must be a YYYY-MM-DD date'
+      ]);
+      return true;
+    });
+  });
+});
+
+describe('series links', () => {
+  const series = { name: 'Sunday Roast', episode: 3, playlistId: 'PL1' };
+  const previous = { title: 'Perfect Yorkshire Puddings', youtubeId: 'vid2' };
+
+  it('links the previous episode and the playlist, and waits for the next one', () => {
+    assert.equal(seriesLinks(series, { previous }), [
+      '📺 SERIES: Sunday Roast, episode 3',
+      '⏮️ Previous episode: Perfect Yorkshire Puddings https://youtu.be/vid2',
+      "⏭️ Next episode: coming soon, subscribe so you don't miss it",
+      '▶️ All episodes: https://www.youtube.com/playlist?list=PL1',
+      ''
+    ].join('\n'));
+  });
+
+  it('replaces the block and the next-episode line in place', () => {
+    const description = `Hook\n\n${seriesLinks({ ...series, playlistId: null })}\nMore\n`;
+
+    assert.equal(
+      replaceSeriesLinks(description, seriesLinks(series, { previous })),
+      `Hook\n\n${seriesLinks(series, { previous })}\nMore\n`
+    );
+    assert.equal(
+      linkNextEpisode(description, { title: 'Gravy', youtubeId: 'vid4' }),
+      'Hook\n\n📺 SERIES: Sunday Roast, episode 3\n⏭️ Next episode: Gravy https://youtu.be/vid4\n\nMore\n'
+    );
+    assert.equal(replaceSeriesLinks('No series here', seriesLinks(series)), null);
+    assert.equal(linkNextEpisode('No series here', previous), null);
+  });
+});
+
+describe('SeriesManager', () => {
+  let db;
+  let manager;
+
+  beforeEach(async (t) => {
+    db = await createTestDatabase();
+    manager = new SeriesManager(db, defaultChannel());
+    t.after(() => db.close());
+  });
+
+  it('creates, renames and deletes series of its channel', async () => {
+    const series = await manager.create(ROAST);
+    assert.match(series.id, /^series_/);
+    assert.equal(series.channelId, 'default');
+
+    await assert.rejects(manager.create({ name: 'Sunday Roast' }), { status: 409 });
+    await assert.rejects(manager.create({}), { status: 400 });
+
+    const { series: renamed, fields } = await manager.update(series.id, { name: 'Roast Night', outro: null });
+    assert.deepEqual(fields, ['name', 'outro']);
+    assert.equal(renamed.name, 'Roast Night');
+    assert.equal(renamed.outro, null);
+    assert.equal(renamed.intro, series.intro);
+
+    const other = new SeriesManager(db, { ...defaultChannel(), id: 'cooking' });
+    await assert.rejects(other.get(series.id), { status: 404 });
+
+    await manager.delete(series.id);
+    assert.deepEqual(await manager.list(), []);
+  });
+
+  it('numbers episodes in order and finds their published neighbours', async () => {
+    const series = await manager.create(ROAST);
+    const first = await manager.startEpisode(series.id, 'strategy_1');
+    const second = await manager.startEpisode(series.id, 'strategy_2');
+    const third = await manager.startEpisode(series.id, 'strategy_3');
+
+    assert.deepEqual([first.episode, second.episode, third.episode], [1, 2, 3]);
+    assert.equal(third.previous, null);
+
+    await db.updateSeriesEpisode({ id: first.episodeId, youtubeId: 'vid1', snippet: { title: 'Roast Chicken' } });
+    await db.updateSeriesEpisode({ id: third.episodeId, youtubeId: 'vid3', snippet: { title: 'Roast Beef' } });
+
+    const { previous, next } = await manager.neighbours(series.id, 2);
+    assert.deepEqual(previous, { id: first.episodeId, episode: 1, title: 'Roast Chicken', youtubeId: 'vid1' });
+    assert.deepEqual(next, { id: third.episodeId, episode: 3, title: 'Roast Beef', youtubeId: 'vid3' });
+    assert.equal((await manager.list())[0].episodes, 3);
+  });
+
+  it('moves series out of the channel cadence', async () => {
+    await db.saveChannel({
+      id: 'cooking',
+      name: 'Cooking',
+      cadence: {
+        postingFrequency: 'weekly',
+        series: [{ name: 'Weekend Q&A', weekdays: [6], everyWeeks: 2, startDate: '2024-10-19', contentType: null }]
+      }
+    });
+
+    await seriesMigration.up(db);
+
+    assert.deepEqual((await db.getChannel('cooking')).cadence, { postingFrequency: 'weekly' });
+    const [series] = await db.getChannelSeries('cooking');
+    assert.equal(series.name, 'Weekend Q&A');
+    assert.deepEqual(series.schedule, { weekdays: [6], everyWeeks: 2, startDate: '2024-10-19' });
+  });
+});
+
+describe('series episodes', () => {
+  let db;
+  let mock;
+  let dir;
+  let credentials;
+  let series;
+
+  before(async () => {
+    mock = await startMockYouTube();
+    dir = createTempDir();
+    db = await createTestDatabase();
+    credentials = createTestCredentials({ youtubeMockUrl: mock.url });
+    series = await new SeriesManager(db, defaultChannel()).create({ ...ROAST, description: 'A roast every other Sunday.' });
+  });
+
+  after(async () => {
+    await db.close();
+    await mock.stop();
+    removeTempDir(dir);
+  });
+
+  async function generateEpisode(topic) {
+    const strategist = new ContentStrategyAgent(db, credentials);
+    strategist.historicalPerformance = [];
+    const strategy = await strategist.generateContentStrategy(topic, { seriesId: series.id });
+    const script = await new ScriptWriterAgent(db, credentials).generateScript(strategy);
+    const seo = await new SEOOptimizerAgent(db, credentials).optimize(script, strategy);
+    return { strategy, script, seo };
+  }
+
+  function createProduction(id, seo) {
+    const videoPath = path.join(dir, `${id}.mp4`);
+    fs.writeFileSync(videoPath, Buffer.alloc(1024, 7));
+
+    return {
+      id,
+      priority: 1,
+      scheduledPublishTime: '2024-11-03T10:00:00.000Z',
+      script: { title: seo.title },
+      seo,
+      assets: { finalVideo: { path: videoPath, verified: true } }
+    };
+  }
+
+  it('writes the series into the script, thumbnail, description and end screen', async () => {
+    const { strategy, script, seo } = await generateEpisode('roast chicken');
+
+    assert.equal(strategy.contentType, 'Tutorial');
+    assert.deepEqual(
+      { id: strategy.series.id, name: strategy.series.name, episode: strategy.series.episode },
+      { id: series.id, name: 'Sunday Roast', episode: 1 }
+    );
+    assert.equal(script.introduction.greeting, 'Welcome to Sunday Roast, episode 1!');
+    assert.equal(script.conclusion.finalThought, 'That was roast chicken. See you next time.');
+    assert.match(script.fullScript, /Welcome to Sunday Roast, episode 1!/);
+
+    const concept = await new ThumbnailDesignerAgent(db, credentials).generateConcept(script);
+    assert.equal(concept.style, 'dramatic');
+    assert.equal(concept.secondaryText, 'EP 1');
+    assert.equal(concept.colors.primary, '#5a2d0c');
+    assert.equal(concept.colors.accent, 'gold');
+
+    assert.match(seo.description, /📺 SERIES: Sunday Roast, episode 1\n⏭️ Next episode: coming soon/);
+    assert.doesNotMatch(seo.description, /Previous episode/);
+    assert.deepEqual(seo.metadata.series, { id: series.id, episodeId: strategy.series.episodeId, episode: 1 });
+    assert.equal(seo.endScreen.template, 'series');
+    assert.equal(seo.endScreen.elements[1].title, 'Sunday Roast');
+  });
+
+  it('creates the playlist on first upload and links episodes both ways', async () => {
+    const agent = new PublishingSchedulingAgent(db, credentials);
+    await agent.initialize();
+
+    // Episode 1 was generated above and never published
+    const { seo: secondSeo } = await generateEpisode('yorkshire puddings');
+    assert.equal(secondSeo.metadata.series.episode, 2);
+
+    await agent.scheduleContent(createProduction('prod_roast_2', secondSeo));
+    const published = await agent.publishContent('prod_roast_2');
+
+    const [playlist] = [...mock.playlists.values()];
+    assert.equal(playlist.snippet.title, 'Sunday Roast');
+    assert.equal(playlist.snippet.description, 'A roast every other Sunday.');
+    assert.equal((await db.getSeries(series.id)).playlistId, playlist.id);
+    assert.deepEqual(mock.playlistItems.map(item => item.snippet.resourceId.videoId), [published.youtubeId]);
+    assert.match(mock.videos.get(published.youtubeId).snippet.description,
+      new RegExp(`▶️ All episodes: https://www.youtube.com/playlist\\?list=${playlist.id}`));
+
+    const { strategy, seo } = await generateEpisode('roast beef');
+    assert.equal(strategy.series.episode, 3);
+    assert.equal(strategy.series.playlistId, playlist.id);
+    assert.equal(seo.endScreen.elements[0].videoId, published.youtubeId);
+    assert.match(seo.description, new RegExp(`⏮️ Previous episode: .+ https://youtu.be/${published.youtubeId}`));
+
+    await agent.scheduleContent(createProduction('prod_roast_3', seo));
+    const next = await agent.publishContent('prod_roast_3');
+
+    assert.equal(mock.playlists.size, 1);
+    assert.deepEqual(mock.playlistItems.map(item => [item.snippet.resourceId.videoId, item.snippet.position]), [
+      [published.youtubeId, 0],
+      [next.youtubeId, 1]
+    ]);
+    assert.ok(mock.videos.get(published.youtubeId).snippet.description
+      .includes(`⏭️ Next episode: ${seo.title} https://youtu.be/${next.youtubeId}`));
+
+    const episodes = await db.getSeriesEpisodes(series.id);
+    assert.deepEqual(episodes.map(episode => [episode.episode, episode.youtubeId]), [
+      [1, null],
+      [2, published.youtubeId],
+      [3, next.youtubeId]
+    ]);
+    assert.match(episodes[1].snippet.description, new RegExp(next.youtubeId));
+
+    const summary = await agent.quota.getSummary();
+    const methods = Object.fromEntries(summary.methods.map(row => [row.method, row.calls]));
+    assert.equal(methods['playlists.insert'], 1);
+    assert.equal(methods['playlistItems.insert'], 2);
+    assert.equal(methods['videos.update'], 1);
+  });
+});
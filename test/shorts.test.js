@@ -0,0 +1,180 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, createTestDatabase, createTestCredentials, freezeTime } = require('./helpers');
+const {
+  SHORTS_MAX_SECONDS, SHORTS_CAPTION_STYLE, validateGenerateOptions, spokenLines, fitLines, strongestSections
+} = require('../utils/shorts');
+const { ScriptWriterAgent } = require('../agents/script-writer-agent');
+const { SEOOptimizerAgent } = require('../agents/seo-optimizer-agent');
+const { ProductionManagementAgent } = require('../agents/production-management-agent');
+const { STAGES } = require('../workflows/content-pipeline');
+const { formatSRT } = require('../utils/captions');
+
+describe('shorts helpers', () => {
+  it('checks the format and Shorts count of a generation request', () => {
+    assert.deepEqual(validateGenerateOptions({}), { format: 'long', shorts: null });
+    assert.deepEqual(validateGenerateOptions({ format: 'long', shorts: 2 }), { format: 'long', shorts: 2 });
+    assert.throws(() => validateGenerateOptions({ format: 'square', shorts: 1.5 }), error => {
+      assert.deepEqual(error.problems, [
+        'format must be one of long, short',
+        'shorts must be a whole number from 0 to 5'
+      ]);
+      return true;
+    });
+    assert.throws(() => validateGenerateOptions({ format: 'short', shorts: 1 }), /only be cut from long-form videos/);
+  });
+
+  it('picks the most concrete, on-topic sections', () => {
+    const script = loadFixture('script');
+
+    assert.deepEqual(strongestSections(script, 2).map(section => section.title), ['The Seven Day Schedule', "Signs It's Ready"]);
+    assert.deepEqual(spokenLines(script.mainContent.sections[3]), ['Better flavour', 'Longer shelf life', 'Costs almost nothing']);
+    assert.equal(strongestSections({ mainContent: { sections: [{ content: 'Too short.' }] } }, 1).length, 0);
+  });
+
+  it('keeps whole lines that fit the time', () => {
+    const lines = ['one two three four', 'five six seven eight', 'nine ten'];
+
+    assert.deepEqual(fitLines(lines, 4), lines);
+    assert.deepEqual(fitLines(lines, 3), ['one two three four']);
+    assert.deepEqual(fitLines(lines, 1), ['one two']);
+  });
+});
+
+describe('Shorts mode', () => {
+  const strategies = loadFixture('strategies');
+  const shortStrategy = { ...strategies.tutorial, format: 'short' };
+  let db;
+  let writer;
+  let seo;
+  let production;
+
+  before(async () => {
+    db = await createTestDatabase();
+    const credentials = createTestCredentials();
+    writer = new ScriptWriterAgent(db, credentials);
+    seo = new SEOOptimizerAgent(db, credentials);
+    production = new ProductionManagementAgent(db, credentials);
+  });
+
+  after(() => db.close());
+
+  it('writes a Short with one hook and one payoff', async (t) => {
+    freezeTime(t);
+    const script = await writer.generateScript(shortStrategy);
+
+    assert.equal(script.format, 'short');
+    assert.equal(script.introduction, null);
+    assert.equal(script.conclusion, null);
+    assert.deepEqual(script.mainContent.sections.map(section => section.type), ['payoff']);
+    assert.ok(parseInt(script.duration.split(':')[1]) <= SHORTS_MAX_SECONDS && script.duration.startsWith('0:'));
+    assert.doesNotMatch(script.fullScript, /INTRODUCTION|CONCLUSION|undefined/);
+
+    const saved = await db.getScript(script.id);
+    assert.equal(saved.format, 'short');
+  });
+
+  it('normalizes provider Shorts even when they look finished', async (t) => {
+    t.mock.method(writer.ai, 'completeJSON', async () => ({
+      title: 'Starter in a Minute',
+      hook: { text: 'Two ingredients.' },
+      payoff: { title: 'Feed it', lines: ['Feed it daily.'] },
+      mainContent: { sections: 'not a section list' }
+    }));
+
+    const draft = await writer.draftShort(shortStrategy);
+    assert.deepEqual(draft.mainContent.sections.map(section => [section.type, section.content]), [['payoff', ['Feed it daily.']]]);
+  });
+
+  it('cuts Shorts from the strongest sections of a long-form script', async (t) => {
+    freezeTime(t);
+    const source = { ...loadFixture('script'), id: 'script_source' };
+    const shorts = await writer.cutShorts(source, strategies.tutorial, 2);
+
+    assert.deepEqual(shorts.map(short => short.mainContent.sections[0].title), ['The Seven Day Schedule', "Signs It's Ready"]);
+    for (const short of shorts) {
+      assert.equal(short.format, 'short');
+      assert.equal(short.sourceScriptId, 'script_source');
+      assert.equal((await db.getScript(short.id)).sourceScriptId, 'script_source');
+    }
+    assert.deepEqual(shorts[0].mainContent.sections[0].content, spokenLines(source.mainContent.sections[1]));
+
+    assert.deepEqual(await writer.cutShorts(shorts[0], strategies.tutorial, 1), []);
+  });
+
+  it('tags Shorts for the Shorts feed', async (t) => {
+    freezeTime(t);
+    const script = await writer.generateScript(shortStrategy);
+    const data = await seo.optimize(script, shortStrategy);
+
+    assert.match(data.title, / #Shorts$/);
+    assert.ok(data.title.length <= 100);
+    assert.equal(data.hashtags[0], '#Shorts');
+    assert.ok(data.tags.includes('shorts'));
+    assert.deepEqual(data.chapters, []);
+    assert.equal(data.endScreen, null);
+    assert.equal(data.metadata.format, 'short');
+    assert.doesNotMatch(data.description, /TIMESTAMPS/);
+    assert.match(data.description, /#Shorts/);
+
+    assert.equal(seo.shortsTitle('x'.repeat(100)).length, 100);
+    assert.equal(seo.shortsTitle('Already a #shorts title'), 'Already a #shorts title');
+  });
+
+  it('renders Shorts vertically with large burned-in captions', async (t) => {
+    freezeTime(t);
+    const script = await writer.generateScript(shortStrategy);
+    const data = { id: 'prod_short', script, assets: { captions: { path: '/tmp/short.srt', language: 'en' } } };
+
+    const elements = production.createVideoElements(data);
+    assert.equal(elements[0].type, 'hook');
+    assert.equal(elements.at(-1).type, 'subscribe_reminder');
+    assert.equal(elements.filter(element => element.type === 'payoff').length, script.mainContent.sections[0].content.length);
+
+    const timeline = await production.buildTimeline(data);
+    assert.deepEqual([timeline.settings.width, timeline.settings.height], [1080, 1920]);
+    assert.ok(timeline.duration <= SHORTS_MAX_SECONDS);
+    assert.equal(timeline.tracks.captions[0].burnIn, true);
+    assert.equal(timeline.tracks.captions[0].style, SHORTS_CAPTION_STYLE);
+
+    const { cues } = await production.createCaptionCues(data);
+    for (const cue of formatSRT(cues).trim().split('\n\n')) {
+      assert.ok(cue.split('\n')[2].split(' ').length <= 3);
+    }
+  });
+
+  it('produces and schedules cut Shorts a day apart after the long-form video', async () => {
+    const stage = STAGES.find(entry => entry.name === 'shorts');
+    const calls = [];
+    const agents = {
+      scriptWriter: {
+        cutShorts: async (script, strategy, count) => {
+          calls.push({ strategy, count });
+          return [{ id: 'script_a', format: 'short' }, { id: 'script_b', format: 'short' }];
+        }
+      },
+      seoOptimizer: { optimize: async short => ({ title: `${short.id} #Shorts` }) },
+      production: {
+        processContent: async ({ strategy, script, thumbnail }) => {
+          assert.equal(thumbnail, null);
+          return { id: `prod_${script.id}`, scheduledPublishTime: strategy.bestPublishTime };
+        }
+      },
+      publishing: { scheduleContent: async produced => ({ publishTime: produced.scheduledPublishTime }) }
+    };
+    const outputs = {
+      strategy: { topic: 'sourdough', series: { id: 'series_1' } },
+      script: { id: 'script_long', format: 'long' },
+      production: { scheduledPublishTime: '2024-10-15T15:00:00.000Z' }
+    };
+
+    assert.deepEqual(await stage.run(agents, outputs, { shorts: 2 }), [
+      { scriptId: 'script_a', contentId: 'prod_script_a', title: 'script_a #Shorts', scheduledFor: '2024-10-16T15:00:00.000Z' },
+      { scriptId: 'script_b', contentId: 'prod_script_b', title: 'script_b #Shorts', scheduledFor: '2024-10-17T15:00:00.000Z' }
+    ]);
+    assert.deepEqual(calls, [{ strategy: { topic: 'sourdough' }, count: 2 }]);
+
+    assert.deepEqual(await stage.run(agents, outputs, { shorts: 0 }), []);
+    assert.deepEqual(await stage.run(agents, { ...outputs, script: { format: 'short' } }, { shorts: 2 }), []);
+  });
+});
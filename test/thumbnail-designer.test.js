@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createTestCredentials } = require('./helpers');
+const { ThumbnailDesignerAgent } = require('../agents/thumbnail-designer-agent');
+
+describe('ThumbnailDesignerAgent', () => {
+  let db;
+  let agent;
+
+  before(async () => {
+    db = await createTestDatabase();
+    agent = new ThumbnailDesignerAgent(db, createTestCredentials());
+  });
+
+  after(() => db.close());
+
+  describe('extractPrimaryText', () => {
+    it('prefers an impact word', () => {
+      assert.equal(agent.extractPrimaryText('The Complete Guide to Sourdough'), 'COMPLETE');
+    });
+
+    it('falls back to a number', () => {
+      assert.equal(agent.extractPrimaryText('7 Sourdough Mistakes Beginners Make'), '7');
+    });
+
+    it('falls back to the first long word', () => {
+      assert.equal(agent.extractPrimaryText('Baking bread at home'), 'BAKING');
+      assert.equal(agent.extractPrimaryText('Eat it'), 'WATCH');
+    });
+  });
+
+  it('shortens long titles to five words', () => {
+    assert.equal(agent.formatThumbnailTitle('Sourdough Starter From Scratch'), 'Sourdough Starter From Scratch');
+    assert.equal(
+      agent.formatThumbnailTitle('How to Make a Sourdough Starter From Scratch'),
+      'How to Make a Sourdough...'
+    );
+  });
+
+  it('builds a concept for the content type', async () => {
+    const concept = await agent.generateConcept({
+      title: '7 Sourdough Mistakes Beginners Make',
+      metadata: { strategy: { contentType: 'List' } }
+    });
+
+    assert.equal(concept.style, 'numbered');
+    assert.equal(concept.primaryText, '7');
+    assert.equal(concept.secondaryText, 'YOU WON\'T BELIEVE #1');
+    assert.deepEqual(concept.colors, { primary: 'red', secondary: 'yellow', accent: 'black' });
+    assert.equal(concept.effects.shadow, true);
+  });
+
+  it('uses the explainer concept for unknown content types', async () => {
+    const concept = await agent.generateConcept({ title: 'Why Bread Rises' });
+
+    assert.equal(concept.style, 'informative');
+    assert.equal(concept.primaryText, 'WHY');
+    assert.equal(concept.secondaryText, 'MUST WATCH');
+  });
+});
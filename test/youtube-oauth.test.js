@@ -0,0 +1,206 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createTestDatabase, createTempDir, removeTempDir, freezeTime } = require('./helpers');
+const { CredentialManager } = require('../utils/credential-manager');
+const { YouTubeOAuth } = require('../utils/youtube-oauth');
+const { PublishingSchedulingAgent } = require('../agents/publishing-scheduling-agent');
+
+const CLIENT = { client_id: 'client-id', client_secret: 'client-secret', redirect_uris: ['http://localhost:8080/oauth2callback'] };
+
+describe('YouTube OAuth tokens', () => {
+  let server;
+  let tokenUrl;
+  let dir;
+  let requests;
+  // What the token endpoint answers next: { status, body }
+  let reply;
+
+  function createManager() {
+    const manager = new CredentialManager({
+      configDir: dir,
+      keyFile: path.join(dir, 'master.key'),
+      oauthEndpoints: { oauth2TokenUrl: tokenUrl }
+    });
+    manager.credentials = { youtube: CLIENT };
+    return manager;
+  }
+
+  async function authorize(manager, expiresInMs) {
+    await manager.saveYouTubeTokens({
+      access_token: 'ya29.old-access',
+      refresh_token: '1//refresh-token-for-tests',
+      expiry_date: Date.now() + expiresInMs
+    });
+  }
+
+  before(async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.post('/token', (req, res) => {
+      requests.push(req.body);
+      res.status(reply.status).json(reply.body);
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    tokenUrl = `http://127.0.0.1:${server.address().port}/token`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach((t) => {
+    dir = createTempDir(t);
+    requests = [];
+    reply = { status: 200, body: { access_token: 'ya29.new-access', expires_in: 3600, token_type: 'Bearer' } };
+  });
+
+  it('refreshes a token that is about to expire and saves it with the refresh token', async () => {
+    const manager = createManager();
+    await authorize(manager, 60 * 1000);
+
+    const status = await manager.ensureFreshYouTubeToken();
+
+    assert.equal(status.state, 'valid');
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].grant_type, 'refresh_token');
+    assert.equal(requests[0].refresh_token, '1//refresh-token-for-tests');
+
+    const reloaded = createManager();
+    await reloaded.loadTokens();
+    assert.equal(reloaded.tokens.youtube.access_token, 'ya29.new-access');
+    assert.equal(reloaded.tokens.youtube.refresh_token, '1//refresh-token-for-tests');
+    assert.ok(reloaded.tokens.youtube.expiry_date > Date.now() + 50 * 60 * 1000);
+  });
+
+  it('leaves a token alone while it has time left', async () => {
+    const manager = createManager();
+    await authorize(manager, 45 * 60 * 1000);
+
+    assert.equal((await manager.ensureFreshYouTubeToken()).state, 'valid');
+    assert.equal(requests.length, 0);
+  });
+
+  it('records a revoked refresh token until the channel is authorized again', async () => {
+    const manager = createManager();
+    await authorize(manager, -1000);
+    reply = { status: 400, body: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } };
+
+    await assert.rejects(manager.ensureFreshYouTubeToken(), error => {
+      assert.equal(error.code, 'YOUTUBE_REAUTH_REQUIRED');
+      assert.equal(error.deferred, true);
+      return true;
+    });
+
+    const reloaded = createManager();
+    await reloaded.loadTokens();
+    const status = reloaded.getYouTubeAuthStatus();
+    assert.equal(status.state, 'reauth_required');
+    assert.equal(status.error, 'Token has been expired or revoked.');
+
+    // No more refresh attempts until new tokens arrive
+    await assert.rejects(reloaded.ensureFreshYouTubeToken(), { code: 'YOUTUBE_REAUTH_REQUIRED' });
+    assert.equal(requests.length, 1);
+
+    await authorize(reloaded, 60 * 60 * 1000);
+    assert.equal(reloaded.getYouTubeAuthStatus().state, 'valid');
+  });
+
+  it('holds due uploads while the channel needs re-authentication', async (t) => {
+    const db = await createTestDatabase();
+    const videoDir = createTempDir();
+    try {
+      const manager = createManager();
+      await authorize(manager, -1000);
+      reply = { status: 400, body: { error: 'invalid_grant' } };
+
+      const agent = new PublishingSchedulingAgent(db, manager);
+      await agent.initialize();
+      const publish = t.mock.method(agent, 'publishContent', async () => {});
+      const entry = await agent.scheduleContent({
+        id: 'prod_held',
+        priority: 1,
+        scheduledPublishTime: new Date(Date.now() - 60000).toISOString(),
+        script: { title: 'Held' },
+        seo: { title: 'Held', description: '', tags: [], metadata: { category: 22, language: 'en' } },
+        assets: { finalVideo: { path: path.join(videoDir, 'held.mp4') }, thumbnail: {}, captions: {} }
+      });
+
+      assert.equal(await agent.processPublishQueue(), 0);
+      assert.equal(entry.status, 'scheduled');
+      assert.equal(publish.mock.callCount(), 0);
+    } finally {
+      await db.close();
+      removeTempDir(videoDir);
+    }
+  });
+
+  it('builds the consent URL and saves the tokens exchanged for a code', async () => {
+    const manager = createManager();
+    const oauth = new YouTubeOAuth(manager);
+
+    const url = new URL(oauth.getAuthUrl('cooking', 'http://localhost:3456/oauth2callback'));
+    assert.match(url.searchParams.get('state'), /^[0-9a-f]{48}$/);
+    assert.equal(oauth.consumeState(url.searchParams.get('state')), 'cooking');
+    assert.equal(url.searchParams.get('access_type'), 'offline');
+    assert.equal(url.searchParams.get('prompt'), 'consent');
+    assert.match(url.searchParams.get('scope'), /youtube\.upload/);
+
+    reply = { status: 200, body: { access_token: 'ya29.first', refresh_token: '1//first-refresh', expires_in: 3600 } };
+    await oauth.exchangeCode('auth-code', 'cooking', 'http://localhost:3456/oauth2callback');
+
+    assert.equal(requests[0].code, 'auth-code');
+    assert.equal(requests[0].redirect_uri, 'http://localhost:3456/oauth2callback');
+    assert.equal(manager.getYouTubeTokens('cooking').refresh_token, '1//first-refresh');
+    assert.doesNotMatch(fs.readFileSync(path.join(dir, 'tokens.json'), 'utf8'), /first-refresh/);
+  });
+
+  it('rejects unknown, reused and expired states', async (t) => {
+    freezeTime(t);
+    const oauth = new YouTubeOAuth(createManager(), { stateTtlMs: 1000 });
+    const state = oauth.createState('cooking');
+
+    assert.equal(oauth.consumeState('cooking'), null);
+    assert.equal(oauth.consumeState(undefined), null);
+    assert.equal(oauth.consumeState(state), 'cooking');
+    assert.equal(oauth.consumeState(state), null);
+
+    const expired = oauth.createState('cooking');
+    t.mock.timers.tick(2000);
+    assert.equal(oauth.consumeState(expired), null);
+  });
+
+  it('refuses a loopback callback whose state it did not issue', async (t) => {
+    const manager = createManager();
+    manager.credentials = { youtube: { ...CLIENT, redirect_uris: ['urn:ietf:wg:oauth:2.0:oob'] } };
+    const logged = t.mock.method(console, 'log', () => {});
+    const oauth = new YouTubeOAuth(manager);
+
+    const refused = assert.rejects(oauth.authorizeInBrowser('cooking', { timeoutMs: 5000 }), /unknown or expired state/);
+    while (logged.mock.callCount() < 2) await new Promise(resolve => setTimeout(resolve, 10));
+    const consent = new URL(logged.mock.calls[1].arguments[0]);
+    const callback = new URL(consent.searchParams.get('redirect_uri'));
+    callback.searchParams.set('code', 'attacker-code');
+    callback.searchParams.set('state', 'cooking');
+
+    assert.equal((await fetch(callback)).status, 400);
+    await refused;
+    assert.equal(requests.length, 0);
+  });
+
+  it('refuses an exchange that returns no refresh token', async () => {
+    const oauth = new YouTubeOAuth(createManager());
+    reply = { status: 200, body: { access_token: 'ya29.no-refresh', expires_in: 3600 } };
+
+    await assert.rejects(oauth.exchangeCode('auth-code', 'cooking', 'http://localhost:3456/oauth2callback'), /refresh token/);
+  });
+
+  it('redirects the CLI flow to the client\'s own localhost URI', () => {
+    const oauth = new YouTubeOAuth(createManager());
+    assert.deepEqual(oauth.loopbackRedirect('cooking'), { host: 'localhost', port: 8080, pathname: '/oauth2callback' });
+  });
+});
@@ -0,0 +1,483 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { Logger } = require('./logger');
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4-turbo-preview',
+  gemini: 'gemini-pro',
+  anthropic: 'claude-3-5-sonnet-latest',
+  ollama: 'llama3',
+  'openai-compatible': 'default',
+  offline: 'templates'
+};
+
+const OLLAMA_BASE_URL = 'http://localhost:11434/v1';
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+
+// Rough estimate used when a provider does not report token usage (~4 chars per token)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function buildMessages(request) {
+  if (Array.isArray(request.messages) && request.messages.length > 0) {
+    return request.messages;
+  }
+  return [{ role: 'user', content: request.prompt || '' }];
+}
+
+function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+// Deterministic provider backed by the agents' built-in templates
+class OfflineProvider {
+  constructor() {
+    this.name = 'offline';
+    this.model = DEFAULT_MODELS.offline;
+    this.offline = true;
+  }
+
+  async complete(request) {
+    if (typeof request.fallback !== 'function') {
+      throw new Error(`No offline template available for task: ${request.task || 'unknown'}`);
+    }
+
+    const output = await request.fallback();
+    const text = typeof output === 'string' ? output : JSON.stringify(output);
+    return { text, data: output, usage: emptyUsage() };
+  }
+
+  async *stream(request) {
+    const { text } = await this.complete(request);
+    yield { text, usage: emptyUsage() };
+  }
+}
+
+// OpenAI, Ollama and any OpenAI-compatible chat completions API
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, model, baseURL, supportsJSONMode = true }) {
+    const OpenAI = require('openai');
+    this.name = name;
+    this.model = model || DEFAULT_MODELS[name] || DEFAULT_MODELS.openai;
+    this.supportsJSONMode = supportsJSONMode;
+    this.client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL });
+  }
+
+  buildParams(request) {
+    const messages = buildMessages(request);
+    const params = {
+      model: this.model,
+      messages: request.system ? [{ role: 'system', content: request.system }, ...messages] : messages,
+      temperature: request.temperature ?? 0.7,
+      max_tokens: request.maxTokens || 1024
+    };
+
+    if (request.json && this.supportsJSONMode) {
+      params.response_format = { type: 'json_object' };
+    }
+
+    return params;
+  }
+
+  async complete(request) {
+    const response = await this.client.chat.completions.create(this.buildParams(request));
+    const text = response.choices[0]?.message?.content || '';
+    const usage = response.usage || {};
+
+    return {
+      text,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || estimateTokens(text),
+        totalTokens: usage.total_tokens || 0
+      }
+    };
+  }
+
+  async *stream(request) {
+    const params = { ...this.buildParams(request), stream: true };
+    if (this.name === 'openai') {
+      params.stream_options = { include_usage: true };
+    }
+
+    const stream = await this.client.chat.completions.create(params);
+    let reportedUsage = false;
+    let completionTokens = 0;
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content || '';
+      completionTokens += estimateTokens(text);
+
+      if (chunk.usage) {
+        reportedUsage = true;
+        yield {
+          text,
+          usage: {
+            promptTokens: chunk.usage.prompt_tokens || 0,
+            completionTokens: chunk.usage.completion_tokens || 0,
+            totalTokens: chunk.usage.total_tokens || 0
+          }
+        };
+      } else if (text) {
+        yield { text, usage: null };
+      }
+    }
+
+    // Compatible servers often omit usage on streams
+    if (!reportedUsage) {
+      const promptTokens = estimateTokens(JSON.stringify(params.messages));
+      yield { text: '', usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+    }
+  }
+}
+
+class GeminiProvider {
+  constructor({ apiKey, model }) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    this.name = 'gemini';
+    this.model = model || DEFAULT_MODELS.gemini;
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  getModel(request) {
+    return this.client.getGenerativeModel({
+      model: this.model,
+      generationConfig: {
+        temperature: request.temperature ?? 0.7,
+        maxOutputTokens: request.maxTokens || 1024
+      }
+    });
+  }
+
+  // Gemini has no separate system role in this SDK version, so fold it into the prompt
+  buildPrompt(request) {
+    const conversation = buildMessages(request)
+      .map(message => message.content)
+      .join('\n\n');
+    const jsonHint = request.json ? '\n\nRespond with valid JSON only.' : '';
+    return `${request.system ? `${request.system}\n\n` : ''}${conversation}${jsonHint}`;
+  }
+
+  async complete(request) {
+    const prompt = this.buildPrompt(request);
+    const result = await this.getModel(request).generateContent(prompt);
+    const text = result.response.text();
+
+    return {
+      text,
+      usage: {
+        promptTokens: estimateTokens(prompt),
+        completionTokens: estimateTokens(text),
+        totalTokens: estimateTokens(prompt) + estimateTokens(text)
+      }
+    };
+  }
+
+  async *stream(request) {
+    const prompt = this.buildPrompt(request);
+    const result = await this.getModel(request).generateContentStream(prompt);
+    let completionTokens = 0;
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      completionTokens += estimateTokens(text);
+      yield { text, usage: null };
+    }
+
+    yield {
+      text: '',
+      usage: {
+        promptTokens: estimateTokens(prompt),
+        completionTokens,
+        totalTokens: estimateTokens(prompt) + completionTokens
+      }
+    };
+  }
+}
+
+class AnthropicProvider {
+  constructor({ apiKey, model, baseURL }) {
+    this.name = 'anthropic';
+    this.model = model || DEFAULT_MODELS.anthropic;
+    this.apiKey = apiKey;
+    this.url = baseURL || ANTHROPIC_API_URL;
+  }
+
+  buildBody(request) {
+    const jsonHint = request.json ? '\n\nRespond with valid JSON only.' : '';
+    return {
+      model: this.model,
+      max_tokens: request.maxTokens || 1024,
+      temperature: request.temperature ?? 0.7,
+      system: request.system ? `${request.system}${jsonHint}` : (jsonHint.trim() || undefined),
+      messages: buildMessages(request)
+    };
+  }
+
+  get headers() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async complete(request) {
+    const response = await axios.post(this.url, this.buildBody(request), { headers: this.headers });
+    const text = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = response.data.usage || {};
+
+    return {
+      text,
+      usage: {
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0,
+        totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }
+    };
+  }
+
+  async *stream(request) {
+    const response = await axios.post(
+      this.url,
+      { ...this.buildBody(request), stream: true },
+      { headers: this.headers, responseType: 'stream' }
+    );
+
+    const usage = emptyUsage();
+    let buffer = '';
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        const event = JSON.parse(line.slice(5).trim());
+        if (event.type === 'message_start') {
+          usage.promptTokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta?.text) {
+          yield { text: event.delta.text, usage: null };
+        } else if (event.type === 'message_delta') {
+          usage.completionTokens = event.usage?.output_tokens || 0;
+        }
+      }
+    }
+
+    usage.totalTokens = usage.promptTokens + usage.completionTokens;
+    yield { text: '', usage };
+  }
+}
+
+function createProvider(config = {}) {
+  switch (config.provider) {
+    case 'openai':
+      return new OpenAIProvider({ name: 'openai', apiKey: config.apiKey, model: config.model, baseURL: config.baseURL });
+    case 'ollama':
+      return new OpenAIProvider({
+        name: 'ollama',
+        model: config.model,
+        baseURL: config.baseURL || OLLAMA_BASE_URL,
+        supportsJSONMode: false
+      });
+    case 'openai-compatible':
+      if (!config.baseURL) {
+        throw new Error('An OpenAI-compatible provider requires a baseURL');
+      }
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: config.apiKey,
+        model: config.model,
+        baseURL: config.baseURL,
+        supportsJSONMode: config.supportsJSONMode === true
+      });
+    case 'gemini':
+      return new GeminiProvider({ apiKey: config.apiKey, model: config.model });
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: config.apiKey, model: config.model, baseURL: config.baseURL });
+    case 'offline':
+    case undefined:
+      return new OfflineProvider();
+    default:
+      throw new Error(`Unknown AI provider: ${config.provider}`);
+  }
+}
+
+// Resolve provider settings from the credentials file, falling back to environment variables
+function resolveProviderConfig(credentials = {}) {
+  const ai = credentials.ai || {};
+  const provider = process.env.AI_PROVIDER || ai.provider ||
+    (credentials.openai?.apiKey || process.env.OPENAI_API_KEY ? 'openai' : null) ||
+    (credentials.gemini?.apiKey || process.env.GEMINI_API_KEY ? 'gemini' : null) ||
+    'offline';
+
+  const apiKeys = {
+    openai: credentials.openai?.apiKey || process.env.OPENAI_API_KEY,
+    gemini: credentials.gemini?.apiKey || process.env.GEMINI_API_KEY,
+    anthropic: credentials.anthropic?.apiKey || process.env.ANTHROPIC_API_KEY,
+    'openai-compatible': ai.apiKey || process.env.AI_API_KEY
+  };
+
+  const models = {
+    openai: credentials.openai?.model,
+    gemini: credentials.gemini?.model,
+    anthropic: credentials.anthropic?.model
+  };
+
+  return {
+    provider,
+    apiKey: apiKeys[provider],
+    model: process.env.AI_MODEL || ai.model || models[provider],
+    baseURL: process.env.AI_BASE_URL || ai.baseURL,
+    supportsJSONMode: ai.supportsJSONMode
+  };
+}
+
+class AIService {
+  constructor(provider = new OfflineProvider()) {
+    this.provider = provider;
+    this.logger = new Logger('AIService');
+    this.usage = { ...emptyUsage(), requests: 0, fallbacks: 0, byTask: {} };
+  }
+
+  static fromCredentials(credentials = {}) {
+    const config = resolveProviderConfig(credentials);
+    const logger = new Logger('AIService');
+
+    try {
+      const provider = createProvider(config);
+      logger.info(`Using ${provider.name} text provider (${provider.model})`);
+      return new AIService(provider);
+    } catch (error) {
+      logger.warn(`Failed to configure ${config.provider} provider, using offline templates: ${error.message}`);
+      return new AIService(new OfflineProvider());
+    }
+  }
+
+  get providerName() {
+    return this.provider.name;
+  }
+
+  isOffline() {
+    return this.provider.offline === true;
+  }
+
+  // Deterministic choice so template output is reproducible for a given seed
+  pick(items, seed = '') {
+    if (!items || items.length === 0) return undefined;
+    const hash = crypto.createHash('sha1').update(String(seed)).digest();
+    return items[hash.readUInt32BE(0) % items.length];
+  }
+
+  async complete(request) {
+    const result = await this.run(request, false);
+    return result.trim();
+  }
+
+  // First non-empty line with surrounding quotes removed, for titles, angles and other one-liners
+  async completeLine(request) {
+    const text = await this.complete(request);
+    const line = text.split('\n').map(l => l.trim()).find(l => l.length > 0) || '';
+    return line.replace(/^["'“”]+|["'“”]+$/g, '').trim();
+  }
+
+  async completeJSON(request) {
+    return this.run(request, true);
+  }
+
+  async *stream(request) {
+    if (this.isOffline()) {
+      yield* this.provider.stream(request);
+      return;
+    }
+
+    const usage = emptyUsage();
+    for await (const chunk of this.provider.stream(request)) {
+      if (chunk.usage) Object.assign(usage, chunk.usage);
+      if (chunk.text) yield chunk;
+    }
+
+    this.recordUsage(request.task, usage);
+  }
+
+  async run(request, json) {
+    if (this.isOffline()) {
+      const { text, data } = await this.provider.complete(request);
+      this.recordUsage(request.task, emptyUsage());
+      return json ? data : text;
+    }
+
+    try {
+      const { text, usage } = await this.provider.complete({ ...request, json });
+      this.recordUsage(request.task, usage);
+      return json ? this.parseJSON(text) : text;
+    } catch (error) {
+      if (typeof request.fallback !== 'function') {
+        throw error;
+      }
+
+      this.logger.warn(`${this.provider.name} failed for ${request.task || 'task'}, using template: ${error.message}`);
+      this.usage.fallbacks++;
+      return request.fallback();
+    }
+  }
+
+  parseJSON(text) {
+    // Models sometimes wrap JSON in markdown fences or add a sentence around it
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : text;
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+
+    if (start === -1 || end < start) {
+      throw new Error('Provider response did not contain JSON');
+    }
+
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+
+  recordUsage(task = 'unknown', usage = emptyUsage()) {
+    const totalTokens = usage.totalTokens || (usage.promptTokens + usage.completionTokens);
+
+    this.usage.requests++;
+    this.usage.promptTokens += usage.promptTokens;
+    this.usage.completionTokens += usage.completionTokens;
+    this.usage.totalTokens += totalTokens;
+
+    if (!this.usage.byTask[task]) {
+      this.usage.byTask[task] = { requests: 0, totalTokens: 0 };
+    }
+    this.usage.byTask[task].requests++;
+    this.usage.byTask[task].totalTokens += totalTokens;
+
+    if (!this.isOffline()) {
+      this.logger.logEvent('ai_usage', { provider: this.provider.name, model: this.provider.model, task, ...usage });
+    }
+  }
+
+  getUsage() {
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      ...this.usage
+    };
+  }
+}
+
+module.exports = {
+  AIService,
+  OfflineProvider,
+  OpenAIProvider,
+  GeminiProvider,
+  AnthropicProvider,
+  createProvider,
+  resolveProviderConfig,
+  estimateTokens,
+  DEFAULT_MODELS
+};
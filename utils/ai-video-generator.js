@@ -7,12 +7,18 @@ const path = require('path');
 const axios = require('axios');
 const FormData = require('form-data');
 const { Logger } = require('./logger');
+const { VideoRenderer, IMAGE_EXTENSIONS } = require('./video-renderer');
+const { wordsFromCharacters } = require('./narration-alignment');
 
 const execAsync = promisify(exec);
 
 class AIVideoGenerator {
   constructor(credentials) {
     this.logger = new Logger('AIVideoGenerator');
+    this.renderer = new VideoRenderer();
+    
+    // Accept either a CredentialManager or the raw credentials object
+    credentials = credentials?.credentials || credentials || {};
     
     // Initialize AI services with graceful fallback
     const openaiKey = credentials.openai?.apiKey || process.env.OPENAI_API_KEY;
@@ -41,34 +47,45 @@ class AIVideoGenerator {
     this.azureSpeechRegion = credentials.azure?.speechRegion || process.env.AZURE_SPEECH_REGION;
   }
 
-  async generateTTSAudio(text, outputPath) {
+  // options.voice overrides the configured voice: an ElevenLabs voice ID, or an OpenAI voice name.
+  // options.language is the language of the text, as a code such as en or es.
+  async generateTTSAudio(text, outputPath, options = {}) {
+    return (await this.synthesizeSpeech(text, outputPath, options)).path;
+  }
+
+  // Narration audio, with word timings as [{ word, start, end }] when the provider reports them
+  // (ElevenLabs does, OpenAI does not) and null otherwise
+  async synthesizeSpeech(text, outputPath, options = {}) {
     this.logger.info('Generating TTS audio...');
     
     try {
       // Try ElevenLabs first (higher quality)
-      if (this.elevenLabsApiKey && this.elevenLabsVoiceId) {
-        return await this.generateElevenLabsTTS(text, outputPath);
+      if (this.elevenLabsApiKey && (options.voice || this.elevenLabsVoiceId)) {
+        return await this.generateElevenLabsTTS(text, outputPath, options.voice, options.language);
       }
       
       // Fallback to OpenAI TTS
       if (this.openai) {
-        return await this.generateOpenAITTS(text, outputPath);
+        return { path: await this.generateOpenAITTS(text, outputPath, options.voice), words: null };
       }
       
       // Final fallback to simulation
-      return await this.simulateTTSGeneration(text, outputPath);
+      return { path: await this.simulateTTSGeneration(text, outputPath), words: null };
     } catch (error) {
       this.logger.error('TTS generation failed:', error);
       throw error;
     }
   }
 
-  async generateElevenLabsTTS(text, outputPath) {
-    const url = `https://api.elevenlabs.io/v1/text-to-speech/${this.elevenLabsVoiceId}`;
+  // Narration in another language than English needs the multilingual model. The timestamps
+  // endpoint returns the audio with the time of every character, from which captions are timed.
+  async generateElevenLabsTTS(text, outputPath, voiceId = null, language = null) {
+    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId || this.elevenLabsVoiceId}/with-timestamps`;
+    const multilingual = language && !language.startsWith('en');
     
     const data = {
       text: text,
-      model_id: "eleven_monolingual_v1",
+      model_id: multilingual ? "eleven_multilingual_v2" : "eleven_monolingual_v1",
       voice_settings: {
         stability: 0.5,
         similarity_boost: 0.8,
@@ -82,29 +99,24 @@ class AIVideoGenerator {
       url: url,
       data: data,
       headers: {
-        'Accept': 'audio/mpeg',
         'Content-Type': 'application/json',
         'xi-api-key': this.elevenLabsApiKey
       },
-      responseType: 'stream'
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
     });
 
-    const writer = require('fs').createWriteStream(outputPath);
-    response.data.pipe(writer);
-
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => {
-        this.logger.info('ElevenLabs TTS generation complete');
-        resolve(outputPath);
-      });
-      writer.on('error', reject);
-    });
+    await fs.writeFile(outputPath, Buffer.from(response.data.audio_base64, 'base64'));
+    this.logger.info('ElevenLabs TTS generation complete');
+    
+    const alignment = response.data.alignment;
+    return { path: outputPath, words: alignment ? wordsFromCharacters(alignment) : null };
   }
 
-  async generateOpenAITTS(text, outputPath) {
+  async generateOpenAITTS(text, outputPath, voice = null) {
     const response = await this.openai.audio.speech.create({
       model: "tts-1-hd",
-      voice: "nova",
+      voice: voice || "nova",
       input: text,
       speed: 1.0
     });
@@ -183,24 +195,28 @@ class AIVideoGenerator {
     });
   }
 
-  async generateVideo(script, visualAssets, audioPath, outputPath) {
-    this.logger.info('Generating video from assets...');
+  async generateVideo(timeline, outputPath) {
+    this.logger.info('Generating video from timeline...');
     
     try {
       // Try Replicate for video generation first
       if (this.replicate && this.replicate.auth) {
-        return await this.generateReplicateVideo(script, visualAssets, audioPath, outputPath);
+        return await this.generateReplicateVideo(timeline, outputPath);
       }
       
       // Fallback to simple slideshow with Playwright
-      return await this.generateSlideshowVideo(script, visualAssets, audioPath, outputPath);
+      return await this.generateSlideshowVideo(timeline, outputPath);
     } catch (error) {
       this.logger.error('Video generation failed:', error);
-      return await this.simulateVideoGeneration(script, visualAssets, audioPath, outputPath);
+      return await this.simulateVideoGeneration(timeline, outputPath);
     }
   }
 
-  async generateReplicateVideo(script, visualAssets, audioPath, outputPath) {
+  async generateReplicateVideo(timeline, outputPath) {
+    const prepared = await this.renderer.prepare(timeline);
+    const firstVisual = prepared.tracks.visuals.find(clip => clip.source || clip.background);
+    const narration = prepared.tracks.narration[0];
+    
     // Use Stable Video Diffusion or similar model
     const output = await this.replicate.run(
       "stability-ai/stable-video-diffusion:3f0457e4619daac51203dedb1a4f46e66251bb3bfb18edd25d728dda8aa28ab7",
@@ -208,7 +224,7 @@ class AIVideoGenerator {
         input: {
           cond_aug: 0.02,
           decoding_t: 7,
-          input_image: visualAssets[0], // Use first image as base
+          input_image: firstVisual && (firstVisual.source || firstVisual.background), // Use first image as base
           video_length: "14_frames_with_svd",
           sizing_strategy: "maintain_aspect_ratio",
           motion_bucket_id: 127,
@@ -222,72 +238,90 @@ class AIVideoGenerator {
       await this.downloadVideo(output[0], outputPath);
       
       // Add audio track
-      await this.addAudioToVideo(outputPath, audioPath, outputPath);
+      if (narration) {
+        await this.addAudioToVideo(outputPath, narration.source, outputPath);
+      }
     }
 
     return outputPath;
   }
 
-  async generateSlideshowVideo(script, visualAssets, audioPath, outputPath) {
+  // Rasterizes the timeline's slide clips with Playwright, then renders the timeline with FFmpeg
+  async generateSlideshowVideo(timeline, outputPath) {
     this.logger.info('Creating slideshow video...');
     
-    const { chromium } = require('playwright');
-    const browser = await chromium.launch();
-    const page = await browser.newPage();
-
-    // Create HTML for slideshow
-    const slideshowHtml = this.createSlideshowHTML(script, visualAssets);
+    const framesDir = path.join(path.dirname(outputPath), `${path.basename(outputPath, '.mp4')}_frames`);
+    await fs.mkdir(framesDir, { recursive: true });
     
-    // Set page content
-    await page.setContent(slideshowHtml);
-    await page.setViewportSize({ width: 1920, height: 1080 });
+    try {
+      let renderable = timeline;
+      try {
+        renderable = await this.captureSlides(timeline, framesDir);
+      } catch (error) {
+        // No browser available: slides fall back to their background images
+        this.logger.warn(`Slide capture failed, rendering slide backgrounds only: ${error.message}`);
+      }
+      
+      await this.renderer.renderTimeline(renderable, outputPath);
+      return outputPath;
+    } finally {
+      await this.cleanupDirectory(framesDir);
+    }
+  }
 
-    // Record video of the slideshow
-    const videoPath = outputPath.replace('.mp4', '_visual.mp4');
-    
-    // Use Playwright to record
-    await page.waitForTimeout(1000); // Wait for assets to load
+  // Screenshots each slide clip once; FFmpeg holds the still for the clip's duration
+  async captureSlides(timeline, framesDir) {
+    const { chromium } = require('playwright');
+    const { width, height } = timeline.settings;
+    const captured = timeline.clone();
+    const browser = await chromium.launch();
     
-    // Create video frames by taking screenshots at intervals
-    const duration = this.calculateScriptDuration(script);
-    const frameCount = Math.ceil(duration * 30); // 30 FPS
-    const frameInterval = duration / frameCount * 1000;
-
-    const framesDir = path.join(path.dirname(outputPath), 'frames');
-    await fs.mkdir(framesDir, { recursive: true });
-
-    for (let i = 0; i < frameCount; i++) {
-      await page.screenshot({
-        path: path.join(framesDir, `frame_${String(i).padStart(6, '0')}.png`),
-        fullPage: true
-      });
+    try {
+      const page = await browser.newPage();
+      await page.setViewportSize({ width, height });
       
-      // Advance animation
-      await page.evaluate(() => {
-        if (window.advanceAnimation) {
-          window.advanceAnimation();
-        }
-      });
+      for (const clip of captured.tracks.visuals) {
+        if (clip.kind !== 'slide') continue;
+        
+        await page.setContent(this.createSlideHTML(clip, await this.toImageSource(clip.background), timeline.settings));
+        await page.waitForTimeout(200); // Let the background decode
+        
+        clip.source = path.join(framesDir, `${clip.id}.png`);
+        await page.screenshot({ path: clip.source });
+      }
       
-      await page.waitForTimeout(frameInterval);
+      return captured;
+    } finally {
+      await browser.close();
     }
+  }
 
-    await browser.close();
-
-    // Convert frames to video using FFmpeg
-    const ffmpegCommand = `ffmpeg -framerate 30 -i "${framesDir}/frame_%06d.png" -c:v libx264 -pix_fmt yuv420p "${videoPath}"`;
-    await execAsync(ffmpegCommand);
-
-    // Add audio
-    await this.addAudioToVideo(videoPath, audioPath, outputPath);
-
-    // Cleanup frames
-    await this.cleanupDirectory(framesDir);
-
-    return outputPath;
+  // Inlines a local image so the page can show it without file:// access
+  async toImageSource(asset) {
+    const imagePath = await this.renderer.resolveMediaFile(asset, IMAGE_EXTENSIONS);
+    if (!imagePath) {
+      return null;
+    }
+    
+    try {
+      const data = await fs.readFile(imagePath);
+      const extension = path.extname(asset).toLowerCase();
+      const mime = extension === '.jpg' ? 'jpeg' : extension.slice(1);
+      return `data:image/${mime};base64,${data.toString('base64')}`;
+    } catch (error) {
+      return null;
+    }
   }
 
-  createSlideshowHTML(script, visualAssets) {
+  createSlideHTML(clip, backgroundSource, settings) {
+    const content = clip.content || {};
+    const Heading = content.style === 'title' ? 'h1' : 'h2';
+    const lines = (content.lines || []).map(line => `<p>${escapeHtml(line)}</p>`).join('');
+    // Vertical frames (Shorts) are seen on phones: larger type across more of the width
+    const fonts = settings.height > settings.width
+      ? { h1: 96, h2: 80, p: 60, width: '88%' }
+      : { h1: 72, h2: 48, p: 36, width: '80%' };
+    
     return `
 <!DOCTYPE html>
 <html>
@@ -296,8 +330,8 @@ class AIVideoGenerator {
         body {
             margin: 0;
             padding: 0;
-            width: 1920px;
-            height: 1080px;
+            width: ${settings.width}px;
+            height: ${settings.height}px;
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
             font-family: 'Arial', sans-serif;
             overflow: hidden;
@@ -310,34 +344,28 @@ class AIVideoGenerator {
             display: flex;
             align-items: center;
             justify-content: center;
-            opacity: 0;
-            transition: opacity 2s ease-in-out;
-        }
-        
-        .slide.active {
-            opacity: 1;
         }
         
         .content {
             text-align: center;
             color: white;
-            max-width: 80%;
+            max-width: ${fonts.width};
         }
         
         h1 {
-            font-size: 72px;
+            font-size: ${fonts.h1}px;
             margin-bottom: 30px;
             text-shadow: 2px 2px 4px rgba(0,0,0,0.5);
         }
         
         h2 {
-            font-size: 48px;
+            font-size: ${fonts.h2}px;
             margin-bottom: 20px;
             text-shadow: 2px 2px 4px rgba(0,0,0,0.5);
         }
         
         p {
-            font-size: 36px;
+            font-size: ${fonts.p}px;
             line-height: 1.4;
             text-shadow: 1px 1px 2px rgba(0,0,0,0.5);
         }
@@ -353,122 +381,43 @@ class AIVideoGenerator {
             z-index: -1;
         }
         
-        .particles {
-            position: absolute;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            overflow: hidden;
-            z-index: -1;
-        }
-        
         .particle {
             position: absolute;
             background: rgba(255,255,255,0.8);
             border-radius: 50%;
-            animation: float 6s ease-in-out infinite;
-        }
-        
-        @keyframes float {
-            0%, 100% { transform: translateY(0px); }
-            50% { transform: translateY(-20px); }
         }
     </style>
 </head>
 <body>
-    <div class="particles"></div>
-    
-    <!-- Title Slide -->
-    <div class="slide active">
-        ${visualAssets[0] ? `<img class="background-image" src="${visualAssets[0]}" />` : ''}
-        <div class="content">
-            <h1>${script.title}</h1>
-            <p>Ethereal Dreamscript</p>
-        </div>
-    </div>
-    
-    ${this.generateContentSlides(script, visualAssets).join('')}
-    
-    <!-- Subscribe Slide -->
+    ${this.createParticles(clip.id)}
     <div class="slide">
+        ${backgroundSource ? `<img class="background-image" src="${backgroundSource}" />` : ''}
         <div class="content">
-            <h2>✨ Subscribe for More Stories ✨</h2>
-            <p>New content daily at 2:00 PM</p>
+            ${content.heading ? `<${Heading}>${escapeHtml(content.heading)}</${Heading}>` : ''}
+            ${content.subheading ? `<p>${escapeHtml(content.subheading)}</p>` : ''}
+            ${lines}
         </div>
     </div>
-    
-    <script>
-        // Create floating particles
-        function createParticles() {
-            const container = document.querySelector('.particles');
-            for (let i = 0; i < 20; i++) {
-                const particle = document.createElement('div');
-                particle.className = 'particle';
-                particle.style.left = Math.random() * 100 + '%';
-                particle.style.top = Math.random() * 100 + '%';
-                particle.style.width = (Math.random() * 4 + 2) + 'px';
-                particle.style.height = particle.style.width;
-                particle.style.animationDelay = Math.random() * 6 + 's';
-                container.appendChild(particle);
-            }
-        }
-        
-        let currentSlide = 0;
-        const slides = document.querySelectorAll('.slide');
-        
-        function advanceAnimation() {
-            slides[currentSlide].classList.remove('active');
-            currentSlide = (currentSlide + 1) % slides.length;
-            slides[currentSlide].classList.add('active');
-        }
-        
-        window.advanceAnimation = advanceAnimation;
-        createParticles();
-    </script>
 </body>
 </html>`;
   }
 
-  generateContentSlides(script, visualAssets) {
-    const slides = [];
-    
-    if (script.mainContent && script.mainContent.sections) {
-      script.mainContent.sections.forEach((section, index) => {
-        const assetIndex = Math.min(index + 1, visualAssets.length - 1);
-        
-        slides.push(`
-        <div class="slide">
-            ${visualAssets[assetIndex] ? `<img class="background-image" src="${visualAssets[assetIndex]}" />` : ''}
-            <div class="content">
-                <h2>${section.title}</h2>
-                ${this.formatSectionContent(section)}
-            </div>
-        </div>`);
-      });
-    }
-    
-    return slides;
-  }
-
-  formatSectionContent(section) {
-    if (section.items && Array.isArray(section.items)) {
-      return section.items.slice(0, 3).map(item => 
-        `<p>${item.number}. ${item.title}</p>`
-      ).join('');
-    }
-    
-    if (section.steps && Array.isArray(section.steps)) {
-      return section.steps.slice(0, 3).map(step => 
-        `<p>${step.title}</p>`
-      ).join('');
-    }
+  // Particle positions are seeded by the clip id so re-renders of a timeline look the same
+  createParticles(seed) {
+    let state = [...String(seed)].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+    const random = () => {
+      state = (state * 1664525 + 1013904223) >>> 0;
+      return state / 4294967296;
+    };
     
-    if (typeof section.content === 'string') {
-      return `<p>${section.content.slice(0, 200)}${section.content.length > 200 ? '...' : ''}</p>`;
+    const particles = [];
+    for (let i = 0; i < 20; i++) {
+      const size = (random() * 4 + 2).toFixed(1);
+      particles.push(
+        `<div class="particle" style="left:${(random() * 100).toFixed(1)}%;top:${(random() * 100).toFixed(1)}%;width:${size}px;height:${size}px"></div>`
+      );
     }
-    
-    return '<p>Content coming soon...</p>';
+    return particles.join('');
   }
 
   calculateScriptDuration(script) {
@@ -485,6 +434,8 @@ class AIVideoGenerator {
       script.mainContent.sections.forEach(section => {
         if (typeof section.content === 'string') {
           totalWords += section.content.split(' ').length;
+        } else if (Array.isArray(section.content)) {
+          totalWords += section.content.join(' ').split(' ').length;
         }
         if (section.items) {
           section.items.forEach(item => {
@@ -615,21 +566,22 @@ class AIVideoGenerator {
     return paths;
   }
 
-  async simulateVideoGeneration(script, visualAssets, audioPath, outputPath) {
+  async simulateVideoGeneration(timeline, outputPath) {
     this.logger.info('Simulating video generation...');
     
     const infoPath = outputPath + '.info';
     await fs.writeFile(infoPath, JSON.stringify({
       message: 'AI video would be generated here',
-      script: script.title,
-      visualAssets: visualAssets.length,
-      audioPath: audioPath,
+      title: timeline.title,
+      clips: timeline.tracks.visuals.length,
+      duration: timeline.duration,
       timestamp: new Date().toISOString()
     }, null, 2));
     
     return infoPath;
   }
 
+
   async simulateThumbnailGeneration(script, style) {
     this.logger.info('Simulating thumbnail generation...');
     
@@ -652,4 +604,14 @@ class AIVideoGenerator {
   }
 }
 
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  }[char]));
+}
+
 module.exports = { AIVideoGenerator };
\ No newline at end of file
@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { Logger } = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the ones before it can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,40}$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+const SESSION_COOKIE = 'yta_session';
+const TOKEN_PREFIX = 'yta_';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Failed logins allowed per username and per address before each further attempt has to wait.
+// The wait doubles with every failure up to the maximum; failures older than the window are forgotten.
+const LOGIN_FREE_FAILURES = { username: 5, ip: 20 };
+const LOGIN_BACKOFF_SECONDS = 30;
+const LOGIN_MAX_BACKOFF_SECONDS = 3600;
+const LOGIN_FAILURE_WINDOW_HOURS = 24;
+
+function authError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// scrypt with a random salt, stored as scrypt$<salt>$<hash>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Tokens and session ids carry 256 random bits, so a plain SHA-256 is enough to store them
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Not valid percent-encoding: skip the cookie, so the request is treated as anonymous
+    }
+  }
+  return cookies;
+}
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// What a user looks like outside the auth manager
+function describeUser({ passwordHash, ...user }) {
+  return user;
+}
+
+// Local users with hashed passwords, API tokens for scripts, cookie sessions for the dashboard,
+// and the audit trail. Requests authenticate with "Authorization: Bearer <token>" or the session
+// cookie; state-changing requests made with a session must also send its X-CSRF-Token.
+class AuthManager {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.logger = new Logger('Auth');
+    this.sessionTtlHours = options.sessionTtlHours || parseInt(process.env.SESSION_TTL_HOURS) || 12;
+    // Verified against when the username does not exist, so both cases take as long
+    this.dummyHash = null;
+  }
+
+  // Checks a user from the API; with partial, only the given fields (PATCH)
+  validateUser(input, { partial = false } = {}) {
+    const problems = [];
+    const has = field => input[field] !== undefined;
+
+    if (!partial && !USERNAME_PATTERN.test(input.username || '')) {
+      problems.push('username must be 3-40 letters, digits, dots, dashes or underscores');
+    }
+    if ((!partial || has('password')) && (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH)) {
+      problems.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if ((!partial || has('role')) && !ROLES.includes(input.role)) {
+      problems.push(`role must be one of ${ROLES.join(', ')}`);
+    }
+    if (has('disabled') && typeof input.disabled !== 'boolean') {
+      problems.push('disabled must be true or false');
+    }
+
+    if (problems.length > 0) {
+      const error = authError(`Invalid user: ${problems.join('; ')}`, 400);
+      error.problems = problems;
+      throw error;
+    }
+  }
+
+  async createUser({ username, password, role = 'viewer' }) {
+    this.validateUser({ username, password, role });
+    if (await this.db.getUserByUsername(username)) {
+      throw authError(`User already exists: ${username}`, 409);
+    }
+
+    const id = await this.db.saveUser({ username, passwordHash: await hashPassword(password), role });
+    this.logger.info(`Created ${role} ${username}`);
+    return describeUser(await this.db.getUser(id));
+  }
+
+  // Changing the password or disabling a user ends their sessions
+  async updateUser(id, changes) {
+    this.validateUser(changes, { partial: true });
+
+    const user = await this.db.getUser(id);
+    if (!user) {
+      throw authError(`User not found: ${id}`, 404);
+    }
+
+    const updated = { ...user };
+    if (changes.role) updated.role = changes.role;
+    if (changes.disabled !== undefined) updated.disabled = changes.disabled;
+    if (changes.password) updated.passwordHash = await hashPassword(changes.password);
+
+    if (user.role === 'admin' && (updated.role !== 'admin' || updated.disabled) && await this.isLastAdmin(user.id)) {
+      throw authError('The last active admin cannot be demoted or disabled', 409);
+    }
+
+    await this.db.updateUser(updated);
+    if (changes.password || updated.disabled) {
+      await this.db.deleteUserSessions(id);
+    }
+    return describeUser(updated);
+  }
+
+  async isLastAdmin(userId) {
+    const admins = (await this.db.getUsers()).filter(user => user.role === 'admin' && !user.disabled);
+    return admins.length === 1 && admins[0].id === userId;
+  }
+
+  async listUsers() {
+    return (await this.db.getUsers()).map(describeUser);
+  }
+
+  // Returns the user for a correct username and password, otherwise null. While the username or
+  // address is backing off, throws a 429 without checking the password.
+  async login(username, password, { ip = null } = {}) {
+    const name = String(username || '');
+    await this.checkLoginBackoff(name, ip);
+
+    const user = await this.db.getUserByUsername(name);
+    if (!user) {
+      this.dummyHash = this.dummyHash || await hashPassword(generateSecret());
+      await verifyPassword(String(password || ''), this.dummyHash);
+      await this.recordLoginFailure(name, ip);
+      return null;
+    }
+
+    if (!await verifyPassword(String(password || ''), user.passwordHash) || user.disabled) {
+      await this.recordLoginFailure(name, ip);
+      return null;
+    }
+
+    await this.db.clearLoginFailures(name);
+    await this.db.recordLogin(user.id);
+    return describeUser(user);
+  }
+
+  async checkLoginBackoff(username, ip) {
+    const now = Date.now();
+    const since = new Date(now - LOGIN_FAILURE_WINDOW_HOURS * 3600000).toISOString();
+    const keys = ip ? { username, ip } : { username };
+
+    let retryAfter = 0;
+    for (const [key, value] of Object.entries(keys)) {
+      const { count, lastAt } = await this.db.getLoginFailures({ [key]: value, since });
+      if (count < LOGIN_FREE_FAILURES[key]) continue;
+
+      const wait = Math.min(LOGIN_MAX_BACKOFF_SECONDS, LOGIN_BACKOFF_SECONDS * 2 ** (count - LOGIN_FREE_FAILURES[key]));
+      retryAfter = Math.max(retryAfter, Math.ceil((Date.parse(lastAt) + wait * 1000 - now) / 1000));
+    }
+
+    if (retryAfter > 0) {
+      const error = authError(`Too many failed logins; try again in ${retryAfter} seconds`, 429);
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  async recordLoginFailure(username, ip) {
+    await this.db.saveLoginFailure({ username, ip });
+    await this.db.deleteExpiredLoginFailures(new Date(Date.now() - LOGIN_FAILURE_WINDOW_HOURS * 3600000).toISOString());
+  }
+
+  async createSession(user) {
+    const sessionId = generateSecret();
+    const session = {
+      idHash: hashSecret(sessionId),
+      userId: user.id,
+      csrfToken: generateSecret(),
+      expiresAt: new Date(Date.now() + this.sessionTtlHours * 3600000).toISOString()
+    };
+
+    await this.db.saveSession(session);
+    await this.db.deleteExpiredSessions();
+    return { sessionId, csrfToken: session.csrfToken, expiresAt: session.expiresAt };
+  }
+
+  async endSession(sessionId) {
+    await this.db.deleteSession(hashSecret(sessionId));
+  }
+
+  // The token is returned once; only its hash is kept
+  async createApiToken(userId, name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      const error = authError('Invalid token: name is required', 400);
+      error.problems = ['name is required'];
+      throw error;
+    }
+
+    const token = TOKEN_PREFIX + generateSecret();
+    const id = await this.db.saveApiToken({ userId, name: name.trim(), tokenHash: hashSecret(token) });
+    return { ...(await this.db.getApiToken(id)), token };
+  }
+
+  // Admins may revoke anyone's token, everyone else only their own
+  async revokeApiToken(id, user) {
+    const token = await this.db.getApiToken(id);
+    if (!token || (token.userId !== user.id && !hasRole(user, 'admin'))) {
+      throw authError(`Token not found: ${id}`, 404);
+    }
+
+    await this.db.revokeApiToken(id);
+    return token;
+  }
+
+  // Resolves the user behind a request, or null
+  async resolve(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      const token = await this.db.getApiTokenByHash(hashSecret(header.slice(7).trim()));
+      const user = token ? await this.db.getUser(token.userId) : null;
+      if (!user || user.disabled) return null;
+
+      await this.db.touchApiToken(token.id);
+      return { user: describeUser(user), via: 'token', tokenId: token.id };
+    }
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId) {
+      const session = await this.db.getSession(hashSecret(sessionId));
+      const user = session ? await this.db.getUser(session.userId) : null;
+      if (!user || user.disabled) return null;
+
+      return { user: describeUser(user), via: 'session', sessionId, csrfToken: session.csrfToken };
+    }
+
+    return null;
+  }
+
+  // Sets req.auth for every request; rejects session requests that change state without the CSRF token
+  middleware() {
+    return async (req, res, next) => {
+      try {
+        req.auth = await this.resolve(req);
+
+        if (req.auth && req.auth.via === 'session' && !SAFE_METHODS.includes(req.method)) {
+          // Compared as bytes: a multibyte token can match the string length but not the byte length
+          const sent = Buffer.from(String(req.headers['x-csrf-token'] || ''));
+          const expected = Buffer.from(req.auth.csrfToken);
+          if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+            return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+          }
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Route guard: 401 without a user, 403 when their role is below the one required
+  require(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    return (req, res, next) => {
+      if (!req.auth) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasRole(req.auth.user, role)) {
+        return res.status(403).json({ error: `This requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  sessionCookie(req, sessionId, maxAgeSeconds) {
+    const parts = [
+      `${SESSION_COOKIE}=${encodeURIComponent(sessionId)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Strict',
+      `Max-Age=${maxAgeSeconds}`
+    ];
+    if (req.secure) parts.push('Secure');
+    return parts.join('; ');
+  }
+
+  async audit(req, action, target = null, details = null) {
+    try {
+      await this.db.saveAuditEvent({
+        userId: req.auth ? req.auth.user.id : null,
+        actor: req.auth ? req.auth.user.username : 'anonymous',
+        action,
+        target,
+        details,
+        ip: req.ip
+      });
+    } catch (error) {
+      // The action itself already happened; a lost audit row must not fail the request
+      this.logger.error(`Failed to record audit event ${action}:`, error);
+    }
+  }
+}
+
+// CLI for managing users before anyone can log in to the dashboard
+if (require.main === module) {
+  const inquirer = require('inquirer');
+  const { Database } = require('../database/db');
+
+  const [command, username, ...rest] = process.argv.slice(2);
+  const roleIndex = rest.indexOf('--role');
+  const role = roleIndex === -1 ? 'viewer' : rest[roleIndex + 1];
+
+  const run = async () => {
+    const db = new Database();
+    await db.initialize();
+    const auth = new AuthManager(db);
+
+    try {
+      if (command === 'add' && username) {
+        const { password } = await inquirer.prompt([
+          { type: 'password', name: 'password', message: `Password for ${username}:`, mask: '*' }
+        ]);
+        const user = await auth.createUser({ username, password, role });
+        console.log(`Created ${user.role} ${user.username}`);
+      } else if (command === 'token' && username) {
+        const user = await db.getUserByUsername(username);
+        if (!user) throw new Error(`User not found: ${username}`);
+        const token = await auth.createApiToken(user.id, rest[0] || 'cli');
+        console.log(`API token for ${username} (shown once): ${token.token}`);
+      } else if (command === 'list') {
+        for (const user of await auth.listUsers()) {
+          console.log(`${user.username}\t${user.role}${user.disabled ? '\tdisabled' : ''}`);
+        }
+      } else {
+        console.log('Usage: node utils/auth.js add <username> [--role viewer|editor|admin] | token <username> [name] | list');
+      }
+    } finally {
+      await db.close();
+    }
+  };
+
+  run().catch(error => {
+    console.error(error.problems ? error.problems.join('\n') : error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { AuthManager, ROLES, SESSION_COOKIE, hashPassword, verifyPassword, parseCookies };
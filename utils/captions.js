@@ -0,0 +1,183 @@
+// Caption files as a list of cues: { start, end, text } with times in seconds. Cues are built from
+// timed words, [{ word, start, end }], split to fit the line length and reading speed of a style.
+
+// Common broadcast limits: two lines of 42 characters, read at up to 17 characters a second
+const DEFAULT_CAPTION_STYLE = {
+  maxCharsPerLine: parseInt(process.env.CAPTION_MAX_CHARS_PER_LINE) || 42,
+  maxLines: 2,
+  maxCharsPerSecond: parseFloat(process.env.CAPTION_MAX_CHARS_PER_SECOND) || 17,
+  maxWords: null,
+  minDuration: 1,
+  maxDuration: 7
+};
+
+// A pause this long in the narration always starts a new cue
+const PAUSE_BREAK_SECONDS = 0.6;
+
+function formatSRTTime(seconds) {
+  return formatTime(seconds, ',');
+}
+
+function formatVTTTime(seconds) {
+  return formatTime(seconds, '.');
+}
+
+function formatTime(seconds, separator) {
+  const totalMs = Math.round(Math.max(0, seconds) * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+function parseSRTTime(value) {
+  const [hours, minutes, rest] = value.trim().split(':');
+  const [secs, ms = '0'] = rest.split(/[,.]/);
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(secs) + parseInt(ms.padEnd(3, '0')) / 1000;
+}
+
+// Blocks without a timing line are skipped; a cue's text keeps its line breaks
+function parseSRT(srt) {
+  const cues = [];
+  for (const block of srt.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) continue;
+
+    const [start, end] = lines[timing].split('-->');
+    cues.push({
+      start: parseSRTTime(start),
+      end: parseSRTTime(end),
+      text: lines.slice(timing + 1).join('\n')
+    });
+  }
+  return cues;
+}
+
+function formatSRT(cues) {
+  return cues
+    .map((cue, index) => `${index + 1}\n${formatSRTTime(cue.start)} --> ${formatSRTTime(cue.end)}\n${cue.text}\n\n`)
+    .join('');
+}
+
+function formatVTT(cues) {
+  return 'WEBVTT\n\n' + cues
+    .map(cue => `${formatVTTTime(cue.start)} --> ${formatVTTTime(cue.end)}\n${cue.text}\n\n`)
+    .join('');
+}
+
+// Greedy line breaks: as many words per line as fit
+function wrapWords(words, maxCharsPerLine) {
+  const lines = [];
+  for (const word of words) {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= maxCharsPerLine) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+}
+
+// A cue's text in as few lines as fit. Two lines are split where they come out most even, so the
+// eye does not jump between a long line and a stub.
+function wrapCaption(text, { maxCharsPerLine = DEFAULT_CAPTION_STYLE.maxCharsPerLine } = {}) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = wrapWords(words, maxCharsPerLine);
+  if (lines.length !== 2) {
+    return lines.join('\n');
+  }
+
+  let best = null;
+  for (let i = 1; i < words.length; i++) {
+    const first = words.slice(0, i).join(' ');
+    const second = words.slice(i).join(' ');
+    if (first.length > maxCharsPerLine || second.length > maxCharsPerLine) continue;
+
+    const longest = Math.max(first.length, second.length);
+    if (!best || longest < best.longest) {
+      best = { longest, text: `${first}\n${second}` };
+    }
+  }
+  return best ? best.text : lines.join('\n');
+}
+
+function fitsCue(words, style) {
+  if (style.maxWords && words.length > style.maxWords) return false;
+  return wrapWords(words, style.maxCharsPerLine).length <= style.maxLines;
+}
+
+// Groups timed words into cues. A cue ends at a sentence end, at a pause, or when the next word
+// would not fit its lines or maximum duration; then it ends after its last clause if it has one.
+// Cues too short to read at the style's reading speed are held on screen into the gap before the
+// next one.
+function buildCues(timedWords, style = {}) {
+  style = { ...DEFAULT_CAPTION_STYLE, ...style };
+  const groups = [];
+  let current = [];
+
+  for (const word of timedWords) {
+    const previous = current[current.length - 1];
+    const breaks = previous && (
+      !fitsCue([...current, word].map(entry => entry.word), style) ||
+      word.start - previous.end >= PAUSE_BREAK_SECONDS ||
+      word.end - current[0].start > style.maxDuration
+    );
+
+    if (breaks) {
+      // A full cue breaks after its last clause instead, when the rest fits with the next word
+      const clause = current.findLastIndex((entry, index) => index < current.length - 1 && /[,;:]$/.test(entry.word));
+      const rest = current.slice(clause + 1);
+      if (clause > 0 && word.start - previous.end < PAUSE_BREAK_SECONDS &&
+          fitsCue([...rest, word].map(entry => entry.word), style) && word.end - rest[0].start <= style.maxDuration) {
+        groups.push(current.slice(0, clause + 1));
+        current = rest;
+      } else {
+        groups.push(current);
+        current = [];
+      }
+    }
+    current.push(word);
+
+    if (/[.!?]["')\]]?$/.test(word.word)) {
+      groups.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  const cues = groups.map(group => ({
+    start: group[0].start,
+    end: group[group.length - 1].end,
+    text: wrapCaption(group.map(entry => entry.word).join(' '), style)
+  }));
+
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    const characters = cue.text.replace(/\n/g, ' ').length;
+    const readingTime = Math.max(style.minDuration, characters / style.maxCharsPerSecond);
+    if (cue.end - cue.start < readingTime) {
+      cue.end = next ? Math.min(cue.start + readingTime, next.start) : cue.start + readingTime;
+    }
+    cue.end = Math.max(cue.end, cue.start);
+  });
+
+  return cues;
+}
+
+module.exports = {
+  DEFAULT_CAPTION_STYLE,
+  formatSRTTime,
+  formatVTTTime,
+  parseSRTTime,
+  parseSRT,
+  formatSRT,
+  formatVTT,
+  wrapCaption,
+  buildCues
+};
@@ -0,0 +1,209 @@
+// Channels are the unit of isolation: each has its own OAuth tokens, topic niche, competitors,
+// posting cadence, narration voice, languages, publish queue and quota ledger
+const DEFAULT_CHANNEL_ID = 'default';
+
+const POSTING_FREQUENCIES = ['daily', 'every-2-days', '3-per-week', 'weekly'];
+
+const CHANNEL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+// BCP-47 language tags as YouTube accepts them: en, pt-BR, zh-Hant
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const DEFAULT_LANGUAGE = 'en';
+
+function defaultChannel() {
+  return {
+    id: DEFAULT_CHANNEL_ID,
+    name: process.env.CHANNEL_NAME || 'Default channel',
+    youtubeChannelId: null,
+    niche: null,
+    competitors: [],
+    cadence: {},
+    voice: {},
+    localization: {},
+    quotaLimit: null,
+    enabled: true,
+    lastGeneratedAt: null
+  };
+}
+
+// Checks a channel from the API. With partial, only the given fields are checked (PATCH).
+// Throws an error with a problems list, and returns the fields in their stored shape.
+function validateChannel(input, { partial = false } = {}) {
+  const problems = [];
+  const channel = {};
+  const has = field => input[field] !== undefined;
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    const error = new Error('Channel must be a JSON object');
+    error.problems = [error.message];
+    throw error;
+  }
+
+  if (!partial) {
+    if (!CHANNEL_ID_PATTERN.test(input.id || '')) {
+      problems.push('id must be 1-40 lowercase letters, digits, dashes or underscores');
+    }
+    channel.id = input.id;
+  }
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      problems.push('name is required');
+    } else {
+      channel.name = input.name.trim();
+    }
+  }
+
+  for (const field of ['youtubeChannelId', 'niche']) {
+    if (!has(field)) continue;
+    if (input[field] !== null && typeof input[field] !== 'string') {
+      problems.push(`${field} must be a string`);
+    } else {
+      channel[field] = input[field] ? input[field].trim() : null;
+    }
+  }
+
+  if (has('competitors')) {
+    const competitors = typeof input.competitors === 'string'
+      ? input.competitors.split(',')
+      : input.competitors;
+    if (!Array.isArray(competitors) || competitors.some(id => typeof id !== 'string')) {
+      problems.push('competitors must be a list of YouTube channel IDs');
+    } else {
+      channel.competitors = competitors.map(id => id.trim()).filter(Boolean);
+    }
+  }
+
+  if (has('cadence')) {
+    const cadence = input.cadence || {};
+    if (cadence.postingFrequency !== undefined && !POSTING_FREQUENCIES.includes(cadence.postingFrequency)) {
+      problems.push(`cadence.postingFrequency must be one of ${POSTING_FREQUENCIES.join(', ')}`);
+    }
+    if (cadence.bufferDays !== undefined && !(Number.isInteger(cadence.bufferDays) && cadence.bufferDays >= 0)) {
+      problems.push('cadence.bufferDays must be a whole number of days');
+    }
+    if (cadence.publishHour !== undefined && cadence.publishHour !== null &&
+        !(Number.isInteger(cadence.publishHour) && cadence.publishHour >= 0 && cadence.publishHour <= 23)) {
+      problems.push('cadence.publishHour must be an hour from 0 to 23');
+    }
+    if (cadence.blackoutDates !== undefined &&
+        !(Array.isArray(cadence.blackoutDates) && cadence.blackoutDates.every(isDateOrRange))) {
+      problems.push('cadence.blackoutDates must be a list of YYYY-MM-DD dates or YYYY-MM-DD..YYYY-MM-DD ranges');
+    }
+    channel.cadence = pick(cadence, ['postingFrequency', 'bufferDays', 'publishHour', 'blackoutDates']);
+  }
+
+  if (has('voice')) {
+    const voice = input.voice || {};
+    for (const field of ['tone', 'persona', 'ttsVoice']) {
+      if (voice[field] !== undefined && voice[field] !== null && typeof voice[field] !== 'string') {
+        problems.push(`voice.${field} must be a string`);
+      }
+    }
+    channel.voice = pick(voice, ['tone', 'persona', 'ttsVoice']);
+  }
+
+  if (has('localization')) {
+    const localization = input.localization || {};
+    const isLanguage = value => typeof value === 'string' && LANGUAGE_PATTERN.test(value);
+    const isLanguageList = value => Array.isArray(value) && value.every(isLanguage);
+    const source = localization.sourceLanguage || DEFAULT_LANGUAGE;
+
+    if (localization.sourceLanguage !== undefined && !isLanguage(localization.sourceLanguage)) {
+      problems.push('localization.sourceLanguage must be a language code such as en or pt-BR');
+    }
+    if (localization.languages !== undefined) {
+      if (!isLanguageList(localization.languages)) {
+        problems.push('localization.languages must be a list of language codes such as es or pt-BR');
+      } else if (localization.languages.includes(source)) {
+        problems.push(`localization.languages must not include the source language ${source}`);
+      }
+    }
+    if (localization.dubbing !== undefined &&
+        !(isLanguageList(localization.dubbing) &&
+          localization.dubbing.every(language => (localization.languages || []).includes(language)))) {
+      problems.push('localization.dubbing must be a list of languages from localization.languages');
+    }
+    if (localization.voices !== undefined) {
+      const voices = localization.voices;
+      if (!voices || typeof voices !== 'object' || Array.isArray(voices) ||
+          Object.entries(voices).some(([language, voice]) => !isLanguage(language) || typeof voice !== 'string')) {
+        problems.push('localization.voices must map language codes to TTS voice names');
+      }
+    }
+    channel.localization = pick(localization, ['sourceLanguage', 'languages', 'dubbing', 'voices']);
+    for (const field of ['languages', 'dubbing']) {
+      if (Array.isArray(channel.localization[field])) {
+        channel.localization[field] = [...new Set(channel.localization[field])];
+      }
+    }
+  }
+
+  if (has('quotaLimit')) {
+    if (input.quotaLimit !== null && !(Number.isInteger(input.quotaLimit) && input.quotaLimit > 0)) {
+      problems.push('quotaLimit must be a positive number of units');
+    } else {
+      channel.quotaLimit = input.quotaLimit;
+    }
+  }
+
+  if (has('enabled')) {
+    if (typeof input.enabled !== 'boolean') {
+      problems.push('enabled must be true or false');
+    } else {
+      channel.enabled = input.enabled;
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid channel: ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return partial ? channel : { ...defaultChannel(), ...channel };
+}
+
+function isDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function isDateOrRange(value) {
+  if (typeof value !== 'string') return false;
+  const [from, to, ...rest] = value.split('..');
+  return rest.length === 0 && isDate(from) && (to === undefined || (isDate(to) && to >= from));
+}
+
+// A channel's languages with defaults filled in: the language it is made in, the languages its
+// titles, descriptions and captions are translated into, and those that also get dubbed narration
+function channelLanguages(channel) {
+  const localization = channel?.localization || {};
+  return {
+    source: localization.sourceLanguage || DEFAULT_LANGUAGE,
+    targets: localization.languages || [],
+    dubbing: localization.dubbing || [],
+    voices: localization.voices || {}
+  };
+}
+
+function pick(object, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (object[field] !== undefined) picked[field] = object[field];
+  }
+  return picked;
+}
+
+module.exports = {
+  DEFAULT_CHANNEL_ID,
+  DEFAULT_LANGUAGE,
+  POSTING_FREQUENCIES,
+  defaultChannel,
+  validateChannel,
+  channelLanguages,
+  isDate,
+  isDateOrRange
+};
@@ -0,0 +1,168 @@
+const path = require('path');
+
+// Fields of generated content that may be edited through the API, and what each must hold.
+// Ids, links between items, scores and timestamps are not editable.
+const EDITABLE_FIELDS = {
+  strategies: {
+    topic: 'text',
+    angle: 'text',
+    targetAudience: 'text',
+    contentType: 'text',
+    keywords: 'list',
+    estimatedViews: 'count',
+    bestPublishTime: 'date'
+  },
+  scripts: {
+    title: 'text',
+    hook: 'object',
+    introduction: 'object',
+    mainContent: 'sections',
+    conclusion: 'object',
+    callToAction: 'object',
+    tone: 'text',
+    pacing: 'text',
+    keywords: 'list'
+  },
+  seo: {
+    title: 'text',
+    description: 'text',
+    tags: 'list',
+    hashtags: 'list',
+    chapters: 'chapters',
+    endScreen: 'object',
+    metadata: 'object',
+    localizations: 'localizations'
+  },
+  thumbnails: {
+    path: 'thumbnailPath',
+    concept: 'object',
+    prompt: 'text'
+  },
+  schedule: {
+    title: 'text',
+    publishTime: 'date',
+    priority: 'priority',
+    status: 'scheduleStatus'
+  }
+};
+
+// YouTube's own limits on video metadata
+const SEO_LIMITS = { title: 100, description: 5000, tags: 500 };
+
+// Where thumbnails are written. Thumbnails are served to anyone who can view content, so an
+// edited path must stay inside this directory.
+const THUMBNAIL_DIR = path.join(__dirname, '..', 'uploads', 'thumbnails');
+
+// Where generated and uploaded media live. Timelines can be edited by hand, so the renderer only
+// reads files inside these directories.
+const MEDIA_DIRS = [path.join(__dirname, '..', 'data'), path.join(__dirname, '..', 'uploads')];
+
+function isInsideDirectory(file, directory) {
+  const relative = path.relative(path.resolve(directory), path.resolve(file));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Users may pause or resume an entry; the other statuses belong to the publisher
+const EDITABLE_SCHEDULE_STATUSES = ['scheduled', 'paused'];
+
+const CHECKS = {
+  text: value => typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string',
+  list: value => Array.isArray(value) && value.every(item => typeof item === 'string')
+    ? null
+    : 'must be a list of strings',
+  count: value => Number.isInteger(value) && value >= 0 ? null : 'must be a whole number',
+  date: value => typeof value === 'string' && !isNaN(Date.parse(value)) ? null : 'must be an ISO date',
+  object: value => value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object',
+  sections: value => value && Array.isArray(value.sections) && value.sections.length > 0 &&
+    value.sections.every(section => section && typeof section.title === 'string')
+    ? null
+    : 'must have a sections list, each with a title',
+  chapters: value => Array.isArray(value) &&
+    value.every(chapter => chapter && typeof chapter.time === 'string' && typeof chapter.title === 'string')
+    ? null
+    : 'must be a list of { time, title } chapters',
+  localizations: value => value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(entry => entry && typeof entry.title === 'string' && typeof entry.description === 'string')
+    ? null
+    : 'must map language codes to { title, description }',
+  thumbnailPath: value => typeof value === 'string' && isInsideDirectory(value.trim(), THUMBNAIL_DIR)
+    ? null
+    : 'must be a file in uploads/thumbnails',
+  priority: value => Number.isInteger(value) && value >= 0 && value <= 100 ? null : 'must be a whole number from 0 to 100',
+  scheduleStatus: value => EDITABLE_SCHEDULE_STATUSES.includes(value)
+    ? null
+    : `must be one of ${EDITABLE_SCHEDULE_STATUSES.join(', ')}`
+};
+
+// Checks a PATCH body for one kind of content. Throws an error with a problems list,
+// and returns the given fields with single-line strings trimmed.
+function validateContentUpdate(kind, input) {
+  const fields = EDITABLE_FIELDS[kind];
+  if (!fields) {
+    throw new Error(`Unknown content kind: ${kind}`);
+  }
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    const error = new Error('Update must be a JSON object');
+    error.problems = [error.message];
+    throw error;
+  }
+
+  const problems = [];
+  const changes = {};
+
+  for (const [field, value] of Object.entries(input)) {
+    if (!fields[field]) {
+      problems.push(`${field} cannot be edited`);
+      continue;
+    }
+
+    const problem = CHECKS[fields[field]](value);
+    if (problem) {
+      problems.push(`${field} ${problem}`);
+    } else {
+      changes[field] = typeof value === 'string' && !value.includes('\n') ? value.trim() : value;
+    }
+  }
+
+  if (Object.keys(input).length === 0) {
+    problems.push(`Nothing to update; editable fields are ${Object.keys(fields).join(', ')}`);
+  }
+
+  if (kind === 'seo') {
+    if (changes.title && changes.title.length > SEO_LIMITS.title) {
+      problems.push(`title must be at most ${SEO_LIMITS.title} characters`);
+    }
+    if (changes.description && changes.description.length > SEO_LIMITS.description) {
+      problems.push(`description must be at most ${SEO_LIMITS.description} characters`);
+    }
+    if (changes.tags && changes.tags.join(',').length > SEO_LIMITS.tags) {
+      problems.push(`tags must be at most ${SEO_LIMITS.tags} characters together`);
+    }
+    for (const [language, localization] of Object.entries(changes.localizations || {})) {
+      if (localization.title.length > SEO_LIMITS.title) {
+        problems.push(`localizations.${language}.title must be at most ${SEO_LIMITS.title} characters`);
+      }
+      if (localization.description.length > SEO_LIMITS.description) {
+        problems.push(`localizations.${language}.description must be at most ${SEO_LIMITS.description} characters`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid ${kind} update: ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return changes;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  EDITABLE_SCHEDULE_STATUSES,
+  THUMBNAIL_DIR,
+  MEDIA_DIRS,
+  isInsideDirectory,
+  validateContentUpdate
+};
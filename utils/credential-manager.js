@@ -1,23 +1,56 @@
-const fs = require('fs').promises;
 const path = require('path');
 const { google } = require('googleapis');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
-const { Logger } = require('./logger');
+const { Logger, registerSecrets } = require('./logger');
+const { SecretStore } = require('./secret-store');
+const { AIService, resolveProviderConfig } = require('./ai-service');
+const { QuotaLedger } = require('./quota-ledger');
+const { Notifier } = require('./notifier');
+const { DEFAULT_CHANNEL_ID } = require('./channel-config');
+const { YouTubeOAuth } = require('./youtube-oauth');
+
+// Refresh an access token this long before it expires when work is about to need it
+const REFRESH_MARGIN_MS = 10 * 60 * 1000;
+
+function reauthError(channelId, detail) {
+  const error = new Error(`YouTube authorization for channel ${channelId} was revoked or has expired; re-authenticate it (${detail})`);
+  error.code = 'YOUTUBE_REAUTH_REQUIRED';
+  // Scheduled uploads wait for the new authorization instead of failing
+  error.deferred = true;
+  return error;
+}
 
+// credentials.json and tokens.json are encrypted at rest (see utils/secret-store.js). Plain JSON
+// files from before encryption still load, and are encrypted in place the first time they do.
 class CredentialManager {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('CredentialManager');
-    this.credentialsPath = path.join(__dirname, '..', 'config', 'credentials.json');
-    this.tokensPath = path.join(__dirname, '..', 'config', 'tokens.json');
+    const configDir = options.configDir || path.join(__dirname, '..', 'config');
+    this.credentialsPath = path.join(configDir, 'credentials.json');
+    this.tokensPath = path.join(configDir, 'tokens.json');
+    this.store = new SecretStore({ keyFile: options.keyFile });
     this.credentials = {};
     this.tokens = {};
+    // Files that were read as plain JSON and still need encrypting
+    this.plaintextFiles = new Set();
+    this.aiService = null;
+    this.quotaLedgers = new Map();
+    this.notifier = null;
+    // One OAuth client per channel, so every agent shares its refreshed tokens
+    this.youtubeAuthClients = new Map();
+    // Refreshed tokens are written one after another so none is lost
+    this.tokenWrites = Promise.resolve();
+    this.oauthEndpoints = options.oauthEndpoints || undefined;
+    // Points every YouTube client at a local stand-in such as mock/youtube-api-server.js
+    this.youtubeMockUrl = process.env.YOUTUBE_API_MOCK_URL || null;
   }
 
   async initialize() {
     try {
       await this.loadCredentials();
       await this.loadTokens();
+      await this.encryptPlaintextFiles();
       return true;
     } catch (error) {
       this.logger.error('Failed to initialize credentials:', error);
@@ -26,31 +59,68 @@ class CredentialManager {
   }
 
   async loadCredentials() {
-    try {
-      const data = await fs.readFile(this.credentialsPath, 'utf8');
-      this.credentials = JSON.parse(data);
-    } catch (error) {
-      this.credentials = {};
-    }
+    this.credentials = this.readSecretFile(this.credentialsPath);
+    this.aiService = null;
   }
 
   async loadTokens() {
-    try {
-      const data = await fs.readFile(this.tokensPath, 'utf8');
-      this.tokens = JSON.parse(data);
-    } catch (error) {
-      this.tokens = {};
+    this.tokens = this.readSecretFile(this.tokensPath);
+  }
+
+  // A missing file is empty; one that cannot be decrypted is an error, so it is never
+  // overwritten with nothing
+  readSecretFile(filePath) {
+    const file = this.store.readFileSync(filePath);
+    if (!file) return {};
+
+    if (!file.encrypted) {
+      this.plaintextFiles.add(filePath);
     }
+    registerSecrets(file.value);
+    return file.value;
   }
 
   async saveCredentials() {
-    await fs.mkdir(path.dirname(this.credentialsPath), { recursive: true });
-    await fs.writeFile(this.credentialsPath, JSON.stringify(this.credentials, null, 2));
+    this.store.writeFileSync(this.credentialsPath, this.credentials);
+    this.plaintextFiles.delete(this.credentialsPath);
+    registerSecrets(this.credentials);
   }
 
   async saveTokens() {
-    await fs.mkdir(path.dirname(this.tokensPath), { recursive: true });
-    await fs.writeFile(this.tokensPath, JSON.stringify(this.tokens, null, 2));
+    this.store.writeFileSync(this.tokensPath, this.tokens);
+    this.plaintextFiles.delete(this.tokensPath);
+    registerSecrets(this.tokens);
+  }
+
+  // Migration from the plain JSON files: rewrites them encrypted, in place
+  async encryptPlaintextFiles() {
+    const migrated = [];
+    if (this.plaintextFiles.has(this.credentialsPath)) {
+      await this.saveCredentials();
+      migrated.push(this.credentialsPath);
+    }
+    if (this.plaintextFiles.has(this.tokensPath)) {
+      await this.saveTokens();
+      migrated.push(this.tokensPath);
+    }
+
+    for (const filePath of migrated) {
+      this.logger.warn(`Encrypted ${path.basename(filePath)}; keep the master key (${this.describeKeySource()}) safe`);
+    }
+    return migrated;
+  }
+
+  describeKeySource() {
+    return this.store.keySource === 'env' ? 'CREDENTIALS_MASTER_KEY' : this.store.keyFile;
+  }
+
+  // Re-encrypts both files under a new master key
+  async rotateMasterKey() {
+    await this.loadCredentials();
+    await this.loadTokens();
+    const result = this.store.rotate([this.credentialsPath, this.tokensPath]);
+    this.plaintextFiles.clear();
+    return result;
   }
 
   // YouTube API Authentication
@@ -94,64 +164,251 @@ class CredentialManager {
     console.log(chalk.green('✅ YouTube credentials configured successfully!'));
   }
 
-  async authenticateYouTube() {
-    const oauth2Client = new google.auth.OAuth2(
-      this.credentials.youtube.client_id,
-      this.credentials.youtube.client_secret,
-      this.credentials.youtube.redirect_uris[0]
-    );
+  // Opens the consent flow for a channel and checks the tokens it returns
+  async authenticateYouTube(channelId = DEFAULT_CHANNEL_ID) {
+    const oauth = new YouTubeOAuth(this);
+    await oauth.authorizeInBrowser(channelId);
 
-    const scopes = [
-      'https://www.googleapis.com/auth/youtube.upload',
-      'https://www.googleapis.com/auth/youtube',
-      'https://www.googleapis.com/auth/youtube.readonly',
-      'https://www.googleapis.com/auth/yt-analytics.readonly'
-    ];
+    const channel = await oauth.verify(channelId);
+    console.log(chalk.green(`✅ YouTube authentication completed for "${channel.title}" (${channel.id})`));
+  }
+
+  // A channel may bring its own Google Cloud OAuth client (and with it its own API quota);
+  // otherwise it authorizes through the shared credentials.youtube client, or one given in
+  // YOUTUBE_CLIENT_ID and YOUTUBE_CLIENT_SECRET
+  getYouTubeClientConfig(channelId = DEFAULT_CHANNEL_ID) {
+    const configured = this.credentials.channels?.[channelId]?.youtube || this.credentials.youtube;
+    if (configured) return configured;
+
+    if (process.env.YOUTUBE_CLIENT_ID && process.env.YOUTUBE_CLIENT_SECRET) {
+      return {
+        client_id: process.env.YOUTUBE_CLIENT_ID,
+        client_secret: process.env.YOUTUBE_CLIENT_SECRET,
+        redirect_uris: process.env.REDIRECT_URI ? [process.env.REDIRECT_URI] : []
+      };
+    }
+    return null;
+  }
 
-    const authUrl = oauth2Client.generateAuthUrl({
-      access_type: 'offline',
-      scope: scopes,
+  createOAuthClient(client, redirectUri = (client.redirect_uris || [])[0]) {
+    return new google.auth.OAuth2({
+      clientId: client.client_id,
+      clientSecret: client.client_secret,
+      redirectUri,
+      endpoints: this.oauthEndpoints
     });
+  }
 
-    console.log(chalk.cyan('\n🔗 Please visit this URL to authorize the application:'));
-    console.log(chalk.blue(authUrl));
+  // The default channel keeps its tokens in tokens.youtube, as before channels existed
+  getYouTubeTokens(channelId = DEFAULT_CHANNEL_ID) {
+    if (channelId === DEFAULT_CHANNEL_ID) {
+      return this.tokens.youtube || null;
+    }
+    return this.tokens.channels?.[channelId] || null;
+  }
 
-    const { code } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'code',
-        message: 'Enter the authorization code:',
-        validate: input => input.length > 0 || 'Authorization code is required'
-      }
-    ]);
+  hasYouTubeTokens(channelId = DEFAULT_CHANNEL_ID) {
+    return this.isYouTubeMocked() || Boolean(this.getYouTubeTokens(channelId));
+  }
 
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
+  // New tokens also clear a recorded revocation, and reach the clients agents already hold
+  async saveYouTubeTokens(tokens, channelId = DEFAULT_CHANNEL_ID) {
+    if (channelId === DEFAULT_CHANNEL_ID) {
+      this.tokens.youtube = tokens;
+    } else {
+      this.tokens.channels = { ...this.tokens.channels, [channelId]: tokens };
+    }
+    if (this.tokens.authErrors) {
+      delete this.tokens.authErrors[channelId];
+    }
+    this.youtubeAuthClients.get(channelId)?.setCredentials(tokens);
+    await this.saveTokens();
+  }
+
+  async removeYouTubeTokens(channelId) {
+    if (channelId === DEFAULT_CHANNEL_ID || !this.tokens.channels?.[channelId]) return;
 
-    this.tokens.youtube = tokens;
+    delete this.tokens.channels[channelId];
+    if (this.tokens.authErrors) {
+      delete this.tokens.authErrors[channelId];
+    }
+    this.youtubeAuthClients.delete(channelId);
     await this.saveTokens();
+  }
+
+  // Google answers a refresh with invalid_grant once the user revokes access, changes their
+  // password, or the refresh token expires
+  static isRevokedError(error) {
+    return error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+  }
+
+  // Records a revoked authorization so /health and the dashboard can ask for a new one.
+  // Returns whether the error was one.
+  async recordYouTubeAuthError(channelId, error) {
+    if (!CredentialManager.isRevokedError(error)) return false;
 
-    console.log(chalk.green('✅ YouTube authentication completed!'));
+    this.tokens.authErrors = {
+      ...this.tokens.authErrors,
+      [channelId]: { reason: 'invalid_grant', message: error.response?.data?.error_description || error.message, at: new Date().toISOString() }
+    };
+    await this.saveTokens();
+    this.logger.error(`YouTube authorization for channel ${channelId} was revoked or has expired; re-authenticate it`);
+    return true;
   }
 
-  getYouTubeAuth() {
-    if (!this.credentials.youtube || !this.tokens.youtube) {
-      throw new Error('YouTube credentials not configured');
+  // valid | expiring (refreshes on next use) | reauth_required | missing | mocked
+  getYouTubeAuthStatus(channelId = DEFAULT_CHANNEL_ID) {
+    if (this.isYouTubeMocked()) {
+      return { state: 'mocked', needsReauth: false };
+    }
+
+    const tokens = this.getYouTubeTokens(channelId);
+    if (!tokens) {
+      return { state: 'missing', needsReauth: true };
+    }
+
+    const expiresAt = tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null;
+    const authError = this.tokens.authErrors?.[channelId];
+    if (authError) {
+      return { state: 'reauth_required', needsReauth: true, expiresAt, error: authError.message, since: authError.at };
+    }
+
+    const expired = !tokens.expiry_date || tokens.expiry_date <= Date.now();
+    if (!tokens.refresh_token) {
+      return expired
+        ? { state: 'reauth_required', needsReauth: true, expiresAt, error: 'Access token expired and there is no refresh token' }
+        : { state: 'valid', needsReauth: false, expiresAt, refreshable: false };
+    }
+    return { state: expired ? 'expiring' : 'valid', needsReauth: false, expiresAt, refreshable: true };
+  }
+
+  // Refreshes the access token when it expires within the margin, so work that is about to
+  // start (a scheduled upload) does not stop halfway for a refresh that fails
+  async ensureFreshYouTubeToken(channelId = DEFAULT_CHANNEL_ID, marginMs = REFRESH_MARGIN_MS) {
+    if (this.isYouTubeMocked()) return this.getYouTubeAuthStatus(channelId);
+
+    const status = this.getYouTubeAuthStatus(channelId);
+    if (status.needsReauth) {
+      throw reauthError(channelId, status.error || 'no tokens');
+    }
+
+    const auth = this.getYouTubeAuth(channelId);
+    const { access_token: accessToken, expiry_date: expiryDate } = auth.credentials;
+    if (accessToken && expiryDate && expiryDate - Date.now() > marginMs) {
+      return status;
+    }
+    if (!auth.credentials.refresh_token) {
+      return status;
+    }
+
+    try {
+      await auth.refreshAccessToken();
+      await this.tokenWrites;
+    } catch (error) {
+      if (await this.recordYouTubeAuthError(channelId, error)) {
+        throw reauthError(channelId, error.message);
+      }
+      throw error;
+    }
+
+    this.logger.info(`Refreshed the YouTube access token for channel ${channelId}`);
+    return this.getYouTubeAuthStatus(channelId);
+  }
+
+  // Google sends refreshed tokens without the refresh token, which is kept
+  persistRefreshedTokens(channelId, refreshed) {
+    this.tokenWrites = this.tokenWrites
+      .then(async () => {
+        const current = this.getYouTubeTokens(channelId) || {};
+        await this.saveYouTubeTokens({
+          ...current,
+          ...refreshed,
+          refresh_token: refreshed.refresh_token || current.refresh_token
+        }, channelId);
+      })
+      .catch(error => this.logger.error(`Failed to save refreshed tokens for channel ${channelId}:`, error));
+    return this.tokenWrites;
+  }
+
+  isYouTubeMocked() {
+    return Boolean(this.youtubeMockUrl);
+  }
+
+  // Undefined outside mock mode so clients keep the googleapis defaults
+  getYouTubeRootUrl() {
+    return this.youtubeMockUrl || undefined;
+  }
+
+  getYouTubeAuth(channelId = DEFAULT_CHANNEL_ID) {
+    if (this.isYouTubeMocked()) {
+      // The mock accepts any bearer token; real tokens are never sent to it
+      const oauth2Client = new google.auth.OAuth2('mock-client-id', 'mock-client-secret');
+      oauth2Client.setCredentials({ access_token: 'mock-access-token' });
+      return oauth2Client;
+    }
+
+    if (this.youtubeAuthClients.has(channelId)) {
+      return this.youtubeAuthClients.get(channelId);
     }
 
-    const oauth2Client = new google.auth.OAuth2(
-      this.credentials.youtube.client_id,
-      this.credentials.youtube.client_secret,
-      this.credentials.youtube.redirect_uris[0]
-    );
+    const client = this.getYouTubeClientConfig(channelId);
+    const tokens = this.getYouTubeTokens(channelId);
+    if (!client || !tokens) {
+      throw new Error(channelId === DEFAULT_CHANNEL_ID
+        ? 'YouTube credentials not configured'
+        : `YouTube is not authorized for channel ${channelId}`);
+    }
 
-    oauth2Client.setCredentials(this.tokens.youtube);
+    const oauth2Client = this.createOAuthClient(client);
+    oauth2Client.setCredentials(tokens);
+    // googleapis refreshes expired access tokens on its own; this keeps the result
+    oauth2Client.on('tokens', refreshed => this.persistRefreshedTokens(channelId, refreshed));
+
+    this.youtubeAuthClients.set(channelId, oauth2Client);
     return oauth2Client;
   }
 
-  getYouTubeClient() {
-    const auth = this.getYouTubeAuth();
-    return google.youtube({ version: 'v3', auth });
+  getYouTubeClient(auth = this.getYouTubeAuth()) {
+    return google.youtube({ version: 'v3', auth, rootUrl: this.getYouTubeRootUrl() });
+  }
+
+  getYouTubeAnalyticsClient(auth = this.getYouTubeAuth()) {
+    return google.youtubeAnalytics({ version: 'v2', auth, rootUrl: this.getYouTubeRootUrl() });
+  }
+
+  // Text generation provider shared by all agents
+  getAIService() {
+    if (!this.aiService) {
+      this.aiService = AIService.fromCredentials(this.credentials);
+    }
+    return this.aiService;
+  }
+
+  // Every agent working for a channel shares that channel's ledger
+  getQuotaLedger(db, channel = null) {
+    const channelId = channel?.id || DEFAULT_CHANNEL_ID;
+    if (!this.quotaLedgers.has(channelId)) {
+      this.quotaLedgers.set(channelId, new QuotaLedger(db, {
+        channelId,
+        limit: channel?.quotaLimit || undefined,
+        notifier: this.getNotifier(db)
+      }));
+    }
+    return this.quotaLedgers.get(channelId);
+  }
+
+  // Notification targets are kept with the other credentials, so one notifier serves everything
+  getNotifier(db) {
+    if (!this.notifier) {
+      this.notifier = new Notifier(db, this);
+    }
+    return this.notifier;
+  }
+
+  // Drops cached per-channel state so an edited channel picks up its new settings
+  releaseChannel(channelId) {
+    this.quotaLedgers.delete(channelId);
+    this.youtubeAuthClients.delete(channelId);
   }
 
   // OpenAI API Setup
@@ -189,6 +446,76 @@ class CredentialManager {
     console.log(chalk.green('✅ OpenAI credentials configured successfully!'));
   }
 
+  // Anthropic API Setup
+  async setupAnthropicCredentials() {
+    console.log(chalk.cyan('\n🧠 Anthropic API Setup'));
+    console.log(chalk.gray('Get your API key from: https://console.anthropic.com/'));
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'apiKey',
+        message: 'Enter your Anthropic API Key:',
+        validate: input => input.length > 0 || 'API key is required'
+      },
+      {
+        type: 'input',
+        name: 'model',
+        message: 'Model name:',
+        default: 'claude-3-5-sonnet-latest'
+      }
+    ]);
+
+    this.credentials.anthropic = {
+      apiKey: answers.apiKey,
+      model: answers.model
+    };
+
+    await this.saveCredentials();
+    console.log(chalk.green('✅ Anthropic credentials configured successfully!'));
+  }
+
+  // Local models via Ollama or any OpenAI-compatible endpoint
+  async setupCompatibleEndpoint(provider) {
+    const isOllama = provider === 'ollama';
+    console.log(chalk.cyan(isOllama ? '\n🦙 Ollama Setup' : '\n🔌 OpenAI-Compatible API Setup'));
+
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'baseURL',
+        message: 'API base URL:',
+        default: isOllama ? 'http://localhost:11434/v1' : undefined,
+        validate: input => input.startsWith('http') || 'Enter a full http(s) URL'
+      },
+      {
+        type: 'input',
+        name: 'model',
+        message: 'Model name:',
+        default: isOllama ? 'llama3' : undefined,
+        validate: input => input.length > 0 || 'Model name is required'
+      },
+      {
+        type: 'password',
+        name: 'apiKey',
+        message: 'API key (leave empty if not required):',
+        when: () => !isOllama
+      }
+    ]);
+
+    this.credentials.ai = {
+      provider,
+      baseURL: answers.baseURL,
+      model: answers.model
+    };
+    if (answers.apiKey) {
+      this.credentials.ai.apiKey = answers.apiKey;
+    }
+
+    await this.saveCredentials();
+    console.log(chalk.green(`✅ ${isOllama ? 'Ollama' : 'OpenAI-compatible API'} configured successfully!`));
+  }
+
   // Google Gemini API Setup
   async setupGeminiCredentials() {
     console.log(chalk.cyan('\n💎 Google Gemini API Setup'));
@@ -374,11 +701,14 @@ class CredentialManager {
     try {
       await this.loadCredentials();
       await this.loadTokens();
+      await this.encryptPlaintextFiles();
     } catch (error) {
-      // Files might not exist yet
+      // Missing files load as empty, so this is a key or decryption problem
+      console.log(chalk.red(`\n❌ Could not read credentials: ${error.message}`));
+      return false;
     }
 
-    const requiredCredentials = ['youtube', 'openai'];
+    const requiredCredentials = this.isYouTubeMocked() ? [] : ['youtube'];
     const missing = [];
 
     for (const service of requiredCredentials) {
@@ -387,17 +717,33 @@ class CredentialManager {
       }
     }
 
+    // Hosted text providers need an API key; local and offline providers do not
+    const aiConfig = resolveProviderConfig(this.credentials);
+    if (['openai', 'gemini', 'anthropic'].includes(aiConfig.provider) && !aiConfig.apiKey) {
+      missing.push(aiConfig.provider);
+    }
+
     if (missing.length > 0) {
       console.log(chalk.yellow(`\n⚠️  Missing credentials for: ${missing.join(', ')}`));
       return false;
     }
 
     // Validate YouTube tokens
-    if (!this.tokens.youtube) {
+    if (!this.tokens.youtube && !this.isYouTubeMocked()) {
       console.log(chalk.yellow('\n⚠️  YouTube authentication required'));
       return false;
     }
 
+    // A revoked authorization still lets the app start, so /health and the dashboard can show it
+    try {
+      await this.ensureFreshYouTubeToken(DEFAULT_CHANNEL_ID);
+    } catch (error) {
+      console.log(chalk.yellow(`\n⚠️  ${error.message}`));
+      if (error.code === 'YOUTUBE_REAUTH_REQUIRED') {
+        console.log(chalk.yellow('Run: npm run auth'));
+      }
+    }
+
     return true;
   }
 
@@ -406,7 +752,7 @@ class CredentialManager {
     
     const results = {
       youtube: false,
-      openai: false,
+      ai: false,
       azureSpeech: false
     };
 
@@ -422,23 +768,23 @@ class CredentialManager {
     } catch (error) {
       console.log(chalk.red('❌ YouTube API connection failed'));
       this.logger.error('YouTube API test failed:', error);
+      await this.recordYouTubeAuthError(DEFAULT_CHANNEL_ID, error);
     }
 
-    // Test OpenAI API
-    if (this.credentials.openai) {
+    // Test text generation provider
+    const aiService = this.getAIService();
+    if (!aiService.isOffline()) {
       try {
-        const { Configuration, OpenAIApi } = require('openai');
-        const configuration = new Configuration({
-          apiKey: this.credentials.openai.apiKey,
+        await aiService.complete({
+          task: 'connection_test',
+          prompt: 'Reply with the single word OK.',
+          maxTokens: 5
         });
-        const openai = new OpenAIApi(configuration);
-        
-        await openai.listModels();
-        results.openai = true;
-        console.log(chalk.green('✅ OpenAI API connection successful'));
+        results.ai = true;
+        console.log(chalk.green(`✅ ${aiService.providerName} connection successful`));
       } catch (error) {
-        console.log(chalk.red('❌ OpenAI API connection failed'));
-        this.logger.error('OpenAI API test failed:', error);
+        console.log(chalk.red(`❌ ${aiService.providerName} connection failed`));
+        this.logger.error('AI provider test failed:', error);
       }
     }
 
@@ -479,7 +825,11 @@ class CredentialManager {
         choices: [
           { name: 'OpenAI (GPT-4/GPT-3.5)', value: 'openai' },
           { name: 'Google Gemini', value: 'gemini' },
-          { name: 'Both (OpenAI primary)', value: 'both' }
+          { name: 'Both (OpenAI primary)', value: 'both' },
+          { name: 'Anthropic Claude', value: 'anthropic' },
+          { name: 'Ollama (local models)', value: 'ollama' },
+          { name: 'Other OpenAI-compatible API', value: 'openai-compatible' },
+          { name: 'Offline templates (no AI service)', value: 'offline' }
         ]
       }
     ]);
@@ -491,6 +841,20 @@ class CredentialManager {
     if (service === 'gemini' || service === 'both') {
       await this.setupGeminiCredentials();
     }
+
+    if (service === 'anthropic') {
+      await this.setupAnthropicCredentials();
+    }
+
+    if (service === 'ollama' || service === 'openai-compatible') {
+      // Stores credentials.ai itself, including the endpoint
+      await this.setupCompatibleEndpoint(service);
+    } else {
+      this.credentials.ai = { provider: service === 'both' ? 'openai' : service };
+      await this.saveCredentials();
+    }
+
+    this.aiService = null;
   }
 
   async setupTTSService() {
@@ -512,7 +876,7 @@ class CredentialManager {
       await this.setupAzureSpeechCredentials();
     } else if (service !== 'skip') {
       console.log(chalk.yellow(`\n⚠️  ${service.toUpperCase()} TTS setup not implemented yet.`));
-      console.log(chalk.gray('You can manually configure it later in config/credentials.json'));
+      console.log(chalk.gray('You can configure it later by rerunning: npm run credentials:setup'));
     }
   }
 }
@@ -524,8 +888,43 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   if (args.includes('setup')) {
     credentialManager.runSetupWizard().catch(console.error);
+  } else if (args[0] === 'auth') {
+    credentialManager.initialize()
+      .then(() => credentialManager.authenticateYouTube(args[1] || DEFAULT_CHANNEL_ID))
+      .catch(error => {
+        console.error(chalk.red(`Authentication failed: ${error.message}`));
+        process.exit(1);
+      });
+  } else if (args[0] === 'encrypt') {
+    (async () => {
+      await credentialManager.loadCredentials();
+      await credentialManager.loadTokens();
+      const migrated = await credentialManager.encryptPlaintextFiles();
+      console.log(migrated.length > 0
+        ? chalk.green(`✅ Encrypted ${migrated.map(file => path.basename(file)).join(' and ')}`)
+        : chalk.gray('Nothing to encrypt; the credential files are already encrypted'));
+    })().catch(error => {
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    });
+  } else if (args[0] === 'rotate-key') {
+    credentialManager.rotateMasterKey()
+      .then(result => {
+        console.log(chalk.green(`✅ Re-encrypted ${result.files.length} file(s) under key ${result.keyId}`));
+        if (result.newKey) {
+          // The old key stays usable as CREDENTIALS_MASTER_KEY_PREVIOUS until the environment is updated
+          console.log(chalk.yellow('The master key comes from the environment. Set it to the new key:'));
+          console.log(`CREDENTIALS_MASTER_KEY=${result.newKey}`);
+        } else {
+          console.log(chalk.gray(`New key in ${credentialManager.store.keyFile}; the old one is kept in ${credentialManager.store.previousKeyFile}`));
+        }
+      })
+      .catch(error => {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      });
   } else {
-    console.log('Usage: node credential-manager.js setup');
+    console.log('Usage: node credential-manager.js setup | auth [channelId] | encrypt | rotate-key');
   }
 }
 
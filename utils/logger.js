@@ -2,6 +2,72 @@ const winston = require('winston');
 const path = require('path');
 const chalk = require('chalk');
 
+const REDACTED = '[REDACTED]';
+
+// Values under these keys never reach a log
+const SECRET_KEYS = /^(api_?key|client_secret|refresh_token|access_token|id_token|subscription_?key|password|secret|authorization|token|webhook_?url)$/i;
+
+// Credential shapes caught even when nobody registered them
+const SECRET_PATTERNS = [
+  /\bsk-[A-Za-z0-9_-]{16,}/g, // OpenAI and Anthropic keys
+  /\bAIza[0-9A-Za-z_-]{35}/g, // Google API keys
+  /\bya29\.[A-Za-z0-9_.-]+/g, // Google access tokens
+  /\b1\/\/[A-Za-z0-9_-]{20,}/g, // Google refresh tokens
+  /\byta_[A-Za-z0-9_-]{20,}/g // API tokens from utils/auth.js
+];
+
+// Secret values loaded at runtime (see CredentialManager), masked wherever they appear
+const registeredSecrets = new Set();
+
+function isPlainObject(value) {
+  return Boolean(value) && (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype);
+}
+
+// Registers the values under secret keys anywhere in a credentials object
+function registerSecrets(value, underSecretKey = false) {
+  if (typeof value === 'string') {
+    if (underSecretKey && value.length >= 8) registeredSecrets.add(value);
+  } else if (isPlainObject(value)) {
+    for (const [key, item] of Object.entries(value)) {
+      registerSecrets(item, underSecretKey || SECRET_KEYS.test(key));
+    }
+  }
+}
+
+function redactString(text) {
+  let result = text;
+  for (const secret of registeredSecrets) {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  }
+  for (const pattern of SECRET_PATTERNS) {
+    result = result.replace(pattern, REDACTED);
+  }
+  return result;
+}
+
+// A copy of a log message or its metadata with secrets masked
+function redact(value) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (!isPlainObject(value)) return value;
+  if (Array.isArray(value)) return value.map(redact);
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEYS.test(key) && item ? REDACTED : redact(item)
+  ]));
+}
+
+// Runs before the other formats so nothing written to a log file carries a secret
+const redactFormat = winston.format(info => {
+  for (const key of Object.keys(info)) {
+    info[key] = SECRET_KEYS.test(key) && info[key] ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
 class Logger {
   constructor(component = 'System') {
     this.component = component;
@@ -14,6 +80,7 @@ class Logger {
     return winston.createLogger({
       level: process.env.LOG_LEVEL || 'info',
       format: winston.format.combine(
+        redactFormat(),
         winston.format.timestamp(),
         winston.format.errors({ stack: true }),
         winston.format.json()
@@ -68,7 +135,7 @@ class Logger {
     }
     console.log(this.formatConsoleMessage('ERROR', message, chalk.red));
     if (error && process.env.NODE_ENV !== 'production') {
-      console.error(chalk.red(error.stack));
+      console.error(chalk.red(redactString(String(error.stack))));
     }
   }
 
@@ -84,7 +151,7 @@ class Logger {
     const componentTag = chalk.cyan(`[${this.component}]`);
     const levelTag = colorFunc(`[${level}]`);
     
-    return `${chalk.gray(timestamp)} ${componentTag} ${levelTag} ${message}`;
+    return `${chalk.gray(timestamp)} ${componentTag} ${levelTag} ${redactString(String(message))}`;
   }
 
   // Method to create specialized loggers for different purposes
@@ -167,4 +234,4 @@ class Logger {
   }
 }
 
-module.exports = { Logger };
\ No newline at end of file
+module.exports = { Logger, redact, registerSecrets };
\ No newline at end of file
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  McpError,
+  ErrorCode
+} = require('@modelcontextprotocol/sdk/types.js');
+
+// Serves one agent over stdio using the tool and resource definitions from its mcp/*.mcp.json manifest
+class AgentMCPServer {
+  constructor({ manifest, createAgent, tools = {}, resources = {} }) {
+    this.manifest = typeof manifest === 'string'
+      ? JSON.parse(fs.readFileSync(path.resolve(manifest), 'utf8'))
+      : manifest;
+    this.createAgent = createAgent;
+    this.toolHandlers = tools;
+    this.resourceHandlers = resources;
+    this.context = null;
+
+    this.server = new Server(
+      { name: this.manifest.name, version: this.manifest.version },
+      { capabilities: { tools: {}, resources: {} } }
+    );
+
+    this.registerHandlers();
+  }
+
+  get tools() {
+    return this.manifest.capabilities.tools || [];
+  }
+
+  get resources() {
+    return (this.manifest.capabilities.resources || []).map(resource => ({
+      ...resource,
+      uri: resource.uri || `${this.manifest.name}://${resource.name}`
+    }));
+  }
+
+  registerHandlers() {
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: this.tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      return this.callTool(name, args);
+    });
+
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: this.resources.map(({ uri, name, description, mimeType }) => ({ uri, name, description, mimeType }))
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return this.readResource(request.params.uri);
+    });
+  }
+
+  // Agents are created on first use so listing tools works without credentials or a database
+  async getContext() {
+    if (!this.context) {
+      this.context = this.createAgent().catch(error => {
+        this.context = null;
+        throw error;
+      });
+    }
+    return this.context;
+  }
+
+  async callTool(name, args) {
+    const definition = this.tools.find(tool => tool.name === name);
+    const handler = this.toolHandlers[name];
+
+    if (!definition || !handler) {
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+
+    const missing = (definition.inputSchema?.required || []).filter(field => args[field] === undefined);
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required arguments: ${missing.join(', ')}`);
+    }
+
+    try {
+      const result = await handler(args, await this.getContext());
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+      };
+    } catch (error) {
+      // Tool failures are reported to the model rather than as protocol errors
+      return {
+        content: [{ type: 'text', text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+
+  async readResource(uri) {
+    const resource = this.resources.find(r => r.uri === uri);
+    const handler = resource && this.resourceHandlers[resource.name];
+
+    if (!handler) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+    }
+
+    const data = await handler(await this.getContext());
+    return {
+      contents: [{
+        uri,
+        mimeType: resource.mimeType || 'application/json',
+        text: JSON.stringify(data, null, 2)
+      }]
+    };
+  }
+
+  async start() {
+    // stdout carries the JSON-RPC stream, so agent console output goes to stderr
+    console.log = console.error;
+    console.info = console.error;
+
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    console.error(`${this.manifest.name} MCP server running on stdio`);
+  }
+}
+
+// Builds the database, credentials and agent shared by every MCP server
+async function createAgentContext(AgentClass) {
+  const { Database } = require('../database/db');
+  const { CredentialManager } = require('./credential-manager');
+
+  const db = new Database();
+  await db.initialize();
+
+  const credentials = new CredentialManager();
+  await credentials.initialize();
+
+  const agent = new AgentClass(db, credentials);
+  await agent.initialize();
+
+  return { db, credentials, agent };
+}
+
+// Fills the fields agents expect when a client passes a partial strategy
+function normalizeStrategy(strategy = {}) {
+  if (!strategy.topic) {
+    throw new Error('strategy.topic is required');
+  }
+
+  return {
+    ...strategy,
+    topic: strategy.topic,
+    angle: strategy.angle || strategy.topic,
+    contentType: strategy.contentType || 'Explainer',
+    targetAudience: strategy.targetAudience || 'General audience',
+    keywords: Array.isArray(strategy.keywords) && strategy.keywords.length > 0
+      ? strategy.keywords
+      : strategy.topic.toLowerCase().split(/\s+/).filter(word => word.length > 3)
+  };
+}
+
+function runServer(server) {
+  server.start().catch(error => {
+    console.error('Failed to start MCP server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { AgentMCPServer, createAgentContext, normalizeStrategy, runServer };
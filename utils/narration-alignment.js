@@ -0,0 +1,211 @@
+const fs = require('fs').promises;
+const { Logger } = require('./logger');
+const { AUDIO_EXTENSIONS } = require('./video-renderer');
+
+// Quieter than this for at least SILENCE_SECONDS counts as a pause between phrases
+const SILENCE_NOISE = process.env.ALIGNMENT_SILENCE_NOISE || '-35dB';
+const SILENCE_SECONDS = 0.25;
+
+// How far, in seconds of speech, an expected phrase boundary may be moved to meet a pause in the
+// audio
+const SNAP_SECONDS = 1.5;
+
+function tokenize(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+// Speaking time a word takes relative to others: its letters plus a beat for trailing punctuation
+function wordWeight(word) {
+  const pause = /[.!?]["')\]]?$/.test(word) ? 4 : /[,;:]$/.test(word) ? 2 : 0;
+  return word.length + 1 + pause;
+}
+
+// Spreads words over [start, end] by their weights
+function spreadWords(words, start, end) {
+  const total = words.reduce((sum, word) => sum + wordWeight(word), 0);
+  const timed = [];
+  let elapsed = 0;
+
+  for (const word of words) {
+    const weight = wordWeight(word);
+    timed.push({
+      word,
+      start: start + (elapsed / total) * (end - start),
+      end: start + ((elapsed + weight) / total) * (end - start)
+    });
+    elapsed += weight;
+  }
+  return timed;
+}
+
+// Word timings from character timings, as ElevenLabs returns them with its audio
+function wordsFromCharacters({ characters, character_start_times_seconds: starts, character_end_times_seconds: ends }) {
+  const words = [];
+  let current = null;
+
+  characters.forEach((character, index) => {
+    if (/\s/.test(character)) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { word: '', start: starts[index], end: ends[index] };
+      words.push(current);
+    }
+    current.word += character;
+    current.end = ends[index];
+  });
+
+  return words;
+}
+
+// Silences from the stderr of ffmpeg's silencedetect filter, as [{ start, end }]. A silence still
+// open at the end of the file runs to duration.
+function parseSilences(output, duration) {
+  const silences = [];
+  for (const line of output.split('\n')) {
+    const start = line.match(/silence_start: (-?[\d.]+)/);
+    const end = line.match(/silence_end: ([\d.]+)/);
+    if (start) {
+      silences.push({ start: Math.max(0, parseFloat(start[1])), end: duration });
+    } else if (end && silences.length > 0) {
+      silences[silences.length - 1].end = parseFloat(end[1]);
+    }
+  }
+  return silences;
+}
+
+// The stretches of audio between silences
+function speechSegments(silences, duration) {
+  const segments = [];
+  let cursor = 0;
+  for (const silence of silences) {
+    if (silence.start > cursor) segments.push({ start: cursor, end: silence.start });
+    cursor = Math.max(cursor, silence.end);
+  }
+  if (cursor < duration) segments.push({ start: cursor, end: duration });
+  return segments;
+}
+
+// Aligns narration text with the speech in its audio. Time is counted on a speaking clock that
+// skips the silences. Phrase boundaries (sentence and clause ends) are expected where their share
+// of the text since the last anchor falls, and moved onto the nearest pause within reach. Words
+// between those anchors are spread by their weights, so no word lands in a silence.
+function alignToSpeech(text, segments) {
+  const words = tokenize(text);
+  if (words.length === 0 || segments.length === 0) return [];
+
+  const speaking = segments.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+  const total = words.reduce((sum, word) => sum + wordWeight(word), 0);
+
+  // Pauses on the speaking clock: the point where each segment but the last ends
+  const pauses = [];
+  let clock = 0;
+  for (const segment of segments.slice(0, -1)) {
+    clock += segment.end - segment.start;
+    pauses.push(clock);
+  }
+
+  // Anchor each phrase end that is close to a pause, in order, using each pause once. Expectations
+  // are measured from the last anchor, so an early misjudgement does not carry down the text.
+  const anchors = [{ index: 0, clock: 0 }];
+  let anchorWeight = 0;
+  let weight = 0;
+  let nextPause = 0;
+  words.forEach((word, index) => {
+    weight += wordWeight(word);
+    if (index === words.length - 1 || !/[.!?,;:]["')\]]?$/.test(word)) return;
+
+    const last = anchors[anchors.length - 1].clock;
+    const expected = last + ((weight - anchorWeight) / (total - anchorWeight)) * (speaking - last);
+    let best = -1;
+    for (let p = nextPause; p < pauses.length; p++) {
+      if (Math.abs(pauses[p] - expected) > SNAP_SECONDS) {
+        if (pauses[p] > expected) break;
+        continue;
+      }
+      if (best === -1 || Math.abs(pauses[p] - expected) < Math.abs(pauses[best] - expected)) best = p;
+    }
+    if (best !== -1) {
+      anchors.push({ index: index + 1, clock: pauses[best] });
+      anchorWeight = weight;
+      nextPause = best + 1;
+    }
+  });
+  anchors.push({ index: words.length, clock: speaking });
+
+  const timed = [];
+  for (let a = 0; a < anchors.length - 1; a++) {
+    const { index: from, clock: start } = anchors[a];
+    const { index: to, clock: end } = anchors[a + 1];
+    timed.push(...spreadWords(words.slice(from, to), start, end));
+  }
+
+  // Back from the speaking clock to audio time; a word ending on a pause ends before it
+  const toAudioTime = (value, isEnd) => {
+    let elapsed = 0;
+    for (const segment of segments) {
+      const length = segment.end - segment.start;
+      if (value < elapsed + length || (isEnd && value <= elapsed + length)) {
+        return segment.start + (value - elapsed);
+      }
+      elapsed += length;
+    }
+    return segments[segments.length - 1].end;
+  };
+
+  return timed.map(entry => ({
+    word: entry.word,
+    start: toAudioTime(entry.start, false),
+    end: toAudioTime(entry.end, true)
+  }));
+}
+
+// Word timings for a narration: the TTS provider's own where it returned them, otherwise the
+// narration text aligned against the audio with ffmpeg's silence detection
+class NarrationAligner {
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.logger = new Logger('NarrationAligner');
+  }
+
+  // { words, method } with method 'tts' or 'alignment'; null when there is no usable audio
+  async align(text, audio) {
+    if (audio?.wordsPath) {
+      const words = JSON.parse(await fs.readFile(audio.wordsPath, 'utf8'));
+      if (words.length > 0) {
+        return { words, method: 'tts' };
+      }
+    }
+
+    if (!audio || !(await this.renderer.isUsableFile(audio.path, AUDIO_EXTENSIONS))) {
+      return null;
+    }
+
+    const { duration } = await this.renderer.probe(audio.path);
+    const silences = await this.detectSilences(audio.path, duration);
+    this.logger.info(`Aligning narration to ${silences.length} pauses in ${duration.toFixed(1)}s of audio`);
+
+    return { words: alignToSpeech(text, speechSegments(silences, duration)), method: 'alignment' };
+  }
+
+  async detectSilences(audioPath, duration) {
+    const { stderr } = await this.renderer.execute(this.renderer.ffmpegPath, [
+      '-hide_banner', '-nostats',
+      '-i', audioPath,
+      '-af', `silencedetect=noise=${SILENCE_NOISE}:d=${SILENCE_SECONDS}`,
+      '-f', 'null', '-'
+    ]);
+    return parseSilences(stderr, duration);
+  }
+}
+
+module.exports = {
+  NarrationAligner,
+  tokenize,
+  spreadWords,
+  wordsFromCharacters,
+  parseSilences,
+  speechSegments,
+  alignToSpeech
+};
@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { Logger, registerSecrets } = require('./logger');
+const { sendMail } = require('./smtp-client');
+
+const TARGET_TYPES = ['email', 'webhook', 'slack', 'discord'];
+
+// Default wording for each event, and how long a target stays quiet about the same subject
+// (the dedupe key, usually the channel) once it has been told
+const EVENTS = {
+  pipeline_failure: {
+    cooldownMinutes: 15,
+    title: 'Pipeline failed on {{channelId}}',
+    text: '{{task}} failed: {{error}}'
+  },
+  published: {
+    cooldownMinutes: 0,
+    title: 'Published on {{channelId}}: {{title}}',
+    text: '"{{title}}" is live at {{url}}'
+  },
+  quota_low: {
+    cooldownMinutes: 24 * 60,
+    title: 'YouTube quota low on {{channelId}}',
+    text: '{{remaining}} of {{limit}} units left until {{resetsAt}}; low-priority calls are deferred until then'
+  },
+  health_low: {
+    cooldownMinutes: 60,
+    title: 'Health score {{score}}/100',
+    text: 'The health check scored {{score}}, below the threshold of {{threshold}}. {{problems}}'
+  },
+  token_expired: {
+    cooldownMinutes: 6 * 60,
+    title: 'YouTube authorization expired for {{channelId}}',
+    text: 'Uploads for {{channelId}} are on hold until the channel is authorized again: {{error}}'
+  }
+};
+
+const NOTIFICATION_EVENTS = Object.keys(EVENTS);
+
+const TEST_MESSAGE = {
+  title: 'Test notification',
+  text: 'Notifications to {{target}} are working.'
+};
+
+const DEFAULT_MAX_PER_HOUR = 20;
+const HTTP_TIMEOUT_MS = 10000;
+// Discord rejects longer messages
+const DISCORD_MAX_LENGTH = 2000;
+
+// Sends events to email (SMTP), generic webhook, Slack and Discord targets. Targets hold secrets,
+// so the ones added through the API are kept in the encrypted credentials file; NOTIFY_* and
+// SMTP_* variables add read-only targets from the environment. Deliveries are recorded in
+// SQLite, which is also where the rate limits are counted.
+class Notifier {
+  constructor(db, credentials, options = {}) {
+    this.db = db;
+    this.credentials = credentials;
+    this.logger = new Logger('Notifier');
+    this.timeoutMs = options.timeoutMs || HTTP_TIMEOUT_MS;
+    this.envTargets = targetsFromEnv(options.env || process.env);
+    registerSecrets(this.envTargets);
+  }
+
+  getTargets() {
+    return [...this.envTargets, ...this.getStoredTargets()];
+  }
+
+  getStoredTargets() {
+    return this.credentials.credentials?.notifications?.targets || [];
+  }
+
+  getTarget(id) {
+    const target = this.getTargets().find(candidate => candidate.id === id);
+    if (!target) {
+      const error = new Error(`Notification target not found: ${id}`);
+      error.status = 404;
+      throw error;
+    }
+    return target;
+  }
+
+  listTargets() {
+    return this.getTargets().map(describeTarget);
+  }
+
+  async addTarget(input) {
+    const target = { id: `notify_${crypto.randomBytes(6).toString('hex')}`, ...validateTarget(input) };
+    await this.saveTargets([...this.getStoredTargets(), target]);
+    return describeTarget(target);
+  }
+
+  // Fields left out keep their value, so secrets need not be sent again
+  async updateTarget(id, changes) {
+    const existing = this.getStoredTarget(id);
+    const target = { id, ...validateTarget({ ...existing, ...changes }) };
+    await this.saveTargets(this.getStoredTargets().map(candidate => candidate.id === id ? target : candidate));
+    return describeTarget(target);
+  }
+
+  async removeTarget(id) {
+    this.getStoredTarget(id);
+    await this.saveTargets(this.getStoredTargets().filter(candidate => candidate.id !== id));
+  }
+
+  getStoredTarget(id) {
+    const target = this.getTarget(id);
+    if (target.source === 'env') {
+      const error = new Error(`Notification target ${id} is configured in the environment`);
+      error.status = 409;
+      throw error;
+    }
+    return target;
+  }
+
+  async saveTargets(targets) {
+    const notifications = { ...this.credentials.credentials.notifications, targets };
+    this.credentials.credentials = { ...this.credentials.credentials, notifications };
+    await this.credentials.saveCredentials();
+  }
+
+  async isEnabled() {
+    return await this.db.getSetting('notification_enabled') !== 'false';
+  }
+
+  // Sends an event to every enabled target subscribed to it. Delivery problems are recorded and
+  // logged, never thrown: the work that raised the event carries on regardless.
+  async notify(event, data = {}, { key = data.channelId || 'system' } = {}) {
+    if (!EVENTS[event]) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    try {
+      if (!await this.isEnabled()) return [];
+
+      const results = [];
+      for (const target of this.getTargets()) {
+        if (target.enabled === false || !(target.events || NOTIFICATION_EVENTS).includes(event)) continue;
+        results.push(await this.deliver(target, event, data, String(key)));
+      }
+      return results;
+    } catch (error) {
+      this.logger.error(`Failed to send ${event} notifications:`, error);
+      return [];
+    }
+  }
+
+  async deliver(target, event, data, key) {
+    const message = renderMessage(target, event, data);
+    const delivery = { targetId: target.id, event, key, title: message.title };
+
+    const limited = await this.checkRateLimit(target, event, key);
+    if (limited) {
+      this.logger.info(`Held back ${event} notification to ${target.name}: ${limited}`);
+      await this.db.saveNotificationDelivery({ ...delivery, status: 'suppressed', error: limited });
+      return { targetId: target.id, status: 'suppressed', reason: limited };
+    }
+
+    try {
+      await this.send(target, message);
+      await this.db.saveNotificationDelivery({ ...delivery, status: 'sent' });
+      return { targetId: target.id, status: 'sent' };
+    } catch (error) {
+      this.logger.warn(`Failed to send ${event} notification to ${target.name}: ${error.message}`);
+      await this.db.saveNotificationDelivery({ ...delivery, status: 'failed', error: error.message });
+      return { targetId: target.id, status: 'failed', error: error.message };
+    }
+  }
+
+  // Ignores rate limits and subscriptions; throws when the target cannot be reached
+  async sendTest(id) {
+    const target = this.getTarget(id);
+    const values = { target: target.name };
+    const message = {
+      event: 'test',
+      title: renderTemplate(TEST_MESSAGE.title, values),
+      text: renderTemplate(TEST_MESSAGE.text, values),
+      data: values
+    };
+    const delivery = { targetId: target.id, event: 'test', key: 'test', title: message.title };
+
+    try {
+      await this.send(target, message);
+    } catch (error) {
+      await this.db.saveNotificationDelivery({ ...delivery, status: 'failed', error: error.message });
+      throw error;
+    }
+    await this.db.saveNotificationDelivery({ ...delivery, status: 'sent' });
+    return { targetId: target.id, status: 'sent' };
+  }
+
+  // The reason a notification is held back, or null when it may go out
+  async checkRateLimit(target, event, key) {
+    const now = Date.now();
+    const cooldownMinutes = target.rateLimit?.cooldownMinutes ?? EVENTS[event].cooldownMinutes;
+
+    if (cooldownMinutes > 0) {
+      const since = new Date(now - cooldownMinutes * 60 * 1000).toISOString();
+      if (await this.db.countNotificationDeliveries({ targetId: target.id, event, key, since }) > 0) {
+        return `already sent for ${key} in the last ${cooldownMinutes} minutes`;
+      }
+    }
+
+    const maxPerHour = target.rateLimit?.maxPerHour ?? DEFAULT_MAX_PER_HOUR;
+    const since = new Date(now - 60 * 60 * 1000).toISOString();
+    if (await this.db.countNotificationDeliveries({ targetId: target.id, since }) >= maxPerHour) {
+      return `limit of ${maxPerHour} notifications per hour reached`;
+    }
+
+    return null;
+  }
+
+  async send(target, message) {
+    switch (target.type) {
+      case 'email':
+        await sendMail({
+          host: target.host,
+          port: target.port,
+          secure: target.secure,
+          username: target.username,
+          password: target.password,
+          from: target.from,
+          to: target.to,
+          subject: message.title,
+          text: message.text,
+          timeoutMs: this.timeoutMs
+        });
+        return;
+      case 'slack':
+        await this.post(target.webhookUrl, { text: `*${message.title}*\n${message.text}` });
+        return;
+      case 'discord':
+        await this.post(target.webhookUrl, {
+          content: `**${message.title}**\n${message.text}`.slice(0, DISCORD_MAX_LENGTH)
+        });
+        return;
+      default:
+        await this.post(target.webhookUrl, {
+          event: message.event,
+          title: message.title,
+          text: message.text,
+          data: message.data,
+          sentAt: new Date().toISOString()
+        }, target.secret);
+    }
+  }
+
+  // With a secret the body is signed like GitHub webhooks: X-Signature-256: sha256=<hmac>
+  async post(url, payload, secret = null) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    try {
+      await axios.post(url, body, { headers, timeout: this.timeoutMs });
+    } catch (error) {
+      // axios errors carry the request config, webhook URL included
+      throw new Error(error.response
+        ? `webhook answered ${error.response.status}`
+        : `webhook request failed: ${error.code || error.message}`);
+    }
+  }
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    values[name] === undefined || values[name] === null ? '' : String(values[name])
+  ).trim();
+}
+
+// A target's own templates replace the default title and text per event
+function renderMessage(target, event, data) {
+  const template = { ...EVENTS[event], ...target.templates?.[event] };
+  const values = { event, time: new Date().toISOString(), ...data };
+  return {
+    event,
+    title: renderTemplate(template.title, values),
+    text: renderTemplate(template.text, values),
+    data
+  };
+}
+
+// Targets from NOTIFY_* and SMTP_* variables, subscribed to NOTIFY_EVENTS (default all)
+function targetsFromEnv(env) {
+  const list = value => value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+  const events = list(env.NOTIFY_EVENTS) || NOTIFICATION_EVENTS;
+  const targets = [];
+
+  if (env.NOTIFY_WEBHOOK_URL) {
+    targets.push({ id: 'env-webhook', name: 'Webhook', type: 'webhook', webhookUrl: env.NOTIFY_WEBHOOK_URL, secret: env.NOTIFY_WEBHOOK_SECRET || null });
+  }
+  if (env.NOTIFY_SLACK_WEBHOOK_URL) {
+    targets.push({ id: 'env-slack', name: 'Slack', type: 'slack', webhookUrl: env.NOTIFY_SLACK_WEBHOOK_URL });
+  }
+  if (env.NOTIFY_DISCORD_WEBHOOK_URL) {
+    targets.push({ id: 'env-discord', name: 'Discord', type: 'discord', webhookUrl: env.NOTIFY_DISCORD_WEBHOOK_URL });
+  }
+  if (env.SMTP_HOST && env.NOTIFY_EMAIL_TO) {
+    targets.push({
+      id: 'env-email',
+      name: 'Email',
+      type: 'email',
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT) || undefined,
+      secure: env.SMTP_SECURE === 'true',
+      username: env.SMTP_USER || null,
+      password: env.SMTP_PASSWORD || null,
+      from: env.NOTIFY_EMAIL_FROM || env.SMTP_USER,
+      to: list(env.NOTIFY_EMAIL_TO)
+    });
+  }
+
+  return targets.map(target => ({ ...target, enabled: true, events, source: 'env' }));
+}
+
+// Checks a target from the API and returns it in its stored shape; throws with a problems list
+function validateTarget(input) {
+  const problems = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    const error = new Error('Notification target must be a JSON object');
+    error.problems = [error.message];
+    error.status = 400;
+    throw error;
+  }
+
+  const target = {
+    name: typeof input.name === 'string' ? input.name.trim() : '',
+    type: input.type,
+    enabled: input.enabled === undefined ? true : input.enabled,
+    events: input.events === undefined ? NOTIFICATION_EVENTS : input.events
+  };
+
+  if (!target.name) problems.push('name is required');
+  if (!TARGET_TYPES.includes(target.type)) {
+    problems.push(`type must be one of ${TARGET_TYPES.join(', ')}`);
+  }
+  if (typeof target.enabled !== 'boolean') problems.push('enabled must be true or false');
+  if (!Array.isArray(target.events) || target.events.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+    problems.push(`events must be a list of ${NOTIFICATION_EVENTS.join(', ')}`);
+  }
+
+  if (target.type === 'email') {
+    const to = typeof input.to === 'string' ? input.to.split(',').map(item => item.trim()).filter(Boolean) : input.to;
+    if (typeof input.host !== 'string' || !input.host.trim()) problems.push('host is required for email');
+    if (input.port !== undefined && input.port !== null &&
+        !(Number.isInteger(input.port) && input.port > 0 && input.port < 65536)) {
+      problems.push('port must be a TCP port number');
+    }
+    if (input.secure !== undefined && typeof input.secure !== 'boolean') problems.push('secure must be true or false');
+    if (!isAddress(input.from)) problems.push('from must be an email address');
+    if (!Array.isArray(to) || to.length === 0 || !to.every(isAddress)) {
+      problems.push('to must be one or more email addresses');
+    }
+    for (const field of ['username', 'password']) {
+      if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') {
+        problems.push(`${field} must be a string`);
+      }
+    }
+    Object.assign(target, {
+      host: input.host?.trim?.(),
+      port: input.port ?? undefined,
+      secure: input.secure || false,
+      username: input.username || null,
+      password: input.password || null,
+      from: input.from,
+      to
+    });
+  } else if (TARGET_TYPES.includes(target.type)) {
+    if (!isHttpUrl(input.webhookUrl)) problems.push('webhookUrl must be an http(s) URL');
+    if (input.secret !== undefined && input.secret !== null && typeof input.secret !== 'string') {
+      problems.push('secret must be a string');
+    }
+    target.webhookUrl = input.webhookUrl;
+    if (target.type === 'webhook') target.secret = input.secret || null;
+  }
+
+  if (input.templates !== undefined && input.templates !== null) {
+    const templates = input.templates;
+    if (typeof templates !== 'object' || Array.isArray(templates)) {
+      problems.push('templates must map events to { title, text }');
+    } else {
+      for (const [event, template] of Object.entries(templates)) {
+        if (!NOTIFICATION_EVENTS.includes(event)) {
+          problems.push(`templates.${event} is not a notification event`);
+        } else if (!template || ['title', 'text'].some(field =>
+          template[field] !== undefined && typeof template[field] !== 'string')) {
+          problems.push(`templates.${event} must have string title and text`);
+        }
+      }
+      target.templates = templates;
+    }
+  }
+
+  if (input.rateLimit !== undefined && input.rateLimit !== null) {
+    const { cooldownMinutes, maxPerHour } = input.rateLimit;
+    if (cooldownMinutes !== undefined && !(Number.isInteger(cooldownMinutes) && cooldownMinutes >= 0)) {
+      problems.push('rateLimit.cooldownMinutes must be a whole number of minutes');
+    }
+    if (maxPerHour !== undefined && !(Number.isInteger(maxPerHour) && maxPerHour > 0)) {
+      problems.push('rateLimit.maxPerHour must be a positive number');
+    }
+    target.rateLimit = { cooldownMinutes, maxPerHour };
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid notification target: ${problems.join('; ')}`);
+    error.problems = problems;
+    error.status = 400;
+    throw error;
+  }
+
+  return target;
+}
+
+// What the API shows: no passwords or secrets, and webhook URLs only up to their host
+function describeTarget(target) {
+  const { password, secret, webhookUrl, ...visible } = target;
+  const described = { source: 'api', ...visible };
+  if (webhookUrl) described.webhookUrl = `${new URL(webhookUrl).origin}/…`;
+  if (target.type === 'email') described.hasPassword = Boolean(password);
+  if (target.type === 'webhook') described.signed = Boolean(secret);
+  return described;
+}
+
+function isAddress(value) {
+  return typeof value === 'string' && /^[^\s@<>]+@[^\s@<>]+$/.test(value.replace(/^.*<([^>]+)>\s*$/, '$1').trim());
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { Notifier, NOTIFICATION_EVENTS, TARGET_TYPES, validateTarget, renderTemplate };
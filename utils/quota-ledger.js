@@ -0,0 +1,182 @@
+const { Logger } = require('./logger');
+const { DEFAULT_CHANNEL_ID } = require('./channel-config');
+
+// Data API units per call, from https://developers.google.com/youtube/v3/determine_quota_cost
+const COSTS = {
+  'videos.list': 1,
+  'videos.insert': 1600,
+  'videos.update': 50,
+  'search.list': 100,
+  'channels.list': 1,
+  'captions.insert': 400,
+  'thumbnails.set': 50,
+  'playlists.list': 1,
+  'playlists.insert': 50,
+  'playlistItems.list': 1,
+  'playlistItems.insert': 50,
+  // YouTube Analytics has its own quota; calls are counted but cost no Data API units
+  'analytics.reports.query': 0
+};
+
+// Video, thumbnail and captions for one scheduled upload
+const UPLOAD_UNITS = COSTS['videos.insert'] + COSTS['thumbnails.set'] + COSTS['captions.insert'];
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Quota resets at midnight Pacific time
+const QUOTA_TIMEZONE = 'America/Los_Angeles';
+
+// Prices YouTube API calls and keeps daily usage in SQLite. Uploads (high) may use the whole
+// budget, normal calls leave room for the uploads scheduled before the reset, and low-priority
+// calls (competitor scans, re-analysis) also leave a floor for unplanned work. Each channel
+// keeps its own ledger.
+class QuotaLedger {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.channelId = options.channelId || DEFAULT_CHANNEL_ID;
+    this.logger = new Logger('QuotaLedger');
+    this.limit = options.limit || parseInt(process.env.YOUTUBE_QUOTA_LIMIT) || 10000;
+    this.lowPriorityFloor = options.lowPriorityFloor !== undefined
+      ? options.lowPriorityFloor
+      : parseInt(process.env.YOUTUBE_QUOTA_LOW_PRIORITY_FLOOR) || Math.round(this.limit * 0.2);
+    this.exhaustedOn = null;
+    // Told once per quota day when the remaining budget drops under the low-priority floor
+    this.notifier = options.notifier || null;
+    this.lowNotifiedOn = null;
+  }
+
+  getCost(method) {
+    if (!(method in COSTS)) {
+      throw new Error(`Unknown YouTube API method: ${method}`);
+    }
+    return COSTS[method];
+  }
+
+  // Runs an API call if the budget allows it for the given priority, and records its cost
+  async run(method, operation, { priority = 'normal' } = {}) {
+    await this.assertAvailable(method, priority);
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (this.isQuotaError(error)) {
+        this.exhaustedOn = getQuotaDate();
+        this.logger.warn('YouTube reported the daily quota as exceeded, deferring calls until the reset');
+      }
+      throw error;
+    } finally {
+      // Failed requests are charged too
+      await this.record(method);
+    }
+  }
+
+  async assertAvailable(method, priority = 'normal') {
+    const check = await this.check(method, priority);
+    if (check.allowed) return check;
+
+    await this.db.recordQuotaUsage(check.date, method, { deferred: 1 }, this.channelId);
+    this.logger.warn(`Deferred ${method} for ${this.channelId} (${priority}, ${check.cost} units): ${check.available} units available`);
+
+    const error = new Error(
+      `YouTube quota budget exhausted: ${method} deferred until ${check.resetsAt}`
+    );
+    error.code = 'QUOTA_DEFERRED';
+    error.deferred = true;
+    error.resetsAt = check.resetsAt;
+    throw error;
+  }
+
+  async check(method, priority = 'normal') {
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Unknown quota priority: ${priority}`);
+    }
+
+    const cost = this.getCost(method);
+    const date = getQuotaDate();
+    const resetsAt = getQuotaReset().toISOString();
+    const used = await this.getUsed(date);
+    const reserved = priority === 'high' ? 0 : await this.getReserved(resetsAt);
+    const floor = priority === 'low' ? this.lowPriorityFloor : 0;
+    const available = this.exhaustedOn === date
+      ? 0
+      : Math.max(0, this.limit - used - reserved - floor);
+
+    return { allowed: cost === 0 || cost <= available, cost, date, used, reserved, available, resetsAt };
+  }
+
+  async record(method, date = getQuotaDate()) {
+    await this.db.recordQuotaUsage(date, method, { calls: 1, units: this.getCost(method) }, this.channelId);
+    await this.notifyIfLow(date);
+  }
+
+  async notifyIfLow(date) {
+    if (!this.notifier || this.lowNotifiedOn === date) return;
+
+    const remaining = this.limit - await this.getUsed(date);
+    if (remaining >= this.lowPriorityFloor) return;
+
+    this.lowNotifiedOn = date;
+    await this.notifier.notify('quota_low', {
+      channelId: this.channelId,
+      remaining: Math.max(0, remaining),
+      limit: this.limit,
+      resetsAt: getQuotaReset().toISOString()
+    }, { key: `${this.channelId}:${date}` });
+  }
+
+  async getUsed(date) {
+    const rows = await this.db.getQuotaUsage(date, this.channelId);
+    return rows.reduce((sum, row) => sum + row.units, 0);
+  }
+
+  async getReserved(until) {
+    const uploads = await this.db.countUploadsDue(until, this.channelId);
+    return uploads * UPLOAD_UNITS;
+  }
+
+  async getSummary() {
+    const date = getQuotaDate();
+    const resetsAt = getQuotaReset().toISOString();
+    const methods = await this.db.getQuotaUsage(date, this.channelId);
+    const used = methods.reduce((sum, row) => sum + row.units, 0);
+    const reserved = await this.getReserved(resetsAt);
+
+    return {
+      channelId: this.channelId,
+      date,
+      limit: this.limit,
+      used,
+      remaining: this.exhaustedOn === date ? 0 : Math.max(0, this.limit - used),
+      reservedForUploads: reserved,
+      lowPriorityFloor: this.lowPriorityFloor,
+      exhausted: this.exhaustedOn === date,
+      resetsAt,
+      methods
+    };
+  }
+
+  isQuotaError(error) {
+    const reason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason || error.reason;
+    return reason === 'quotaExceeded' || reason === 'dailyLimitExceeded';
+  }
+}
+
+function getQuotaDate(date = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: QUOTA_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+// Next midnight in Pacific time, which is 08:00 UTC in winter and 07:00 UTC in summer
+function getQuotaReset(date = new Date()) {
+  const [year, month, day] = getQuotaDate(date).split('-').map(Number);
+  const winter = new Date(Date.UTC(year, month - 1, day + 1, 8));
+  const summer = new Date(winter.getTime() - 60 * 60 * 1000);
+  return getQuotaDate(summer) === getQuotaDate(winter) ? summer : winter;
+}
+
+module.exports = { QuotaLedger, COSTS, UPLOAD_UNITS, getQuotaDate, getQuotaReset };
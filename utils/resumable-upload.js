@@ -0,0 +1,210 @@
+const axios = require('axios');
+const fs = require('fs');
+const { Logger } = require('./logger');
+
+const CHUNK_GRANULARITY = 256 * 1024; // YouTube requires chunks in multiples of 256 KiB
+const RETRYABLE_REASONS = ['quotaExceeded', 'rateLimitExceeded', 'userRateLimitExceeded', 'backendError'];
+
+// Uploads a video with the YouTube resumable upload protocol. The session URI is handed to
+// onSession so callers can persist it and resume the same upload after a restart.
+class ResumableUpload {
+  constructor({
+    auth,
+    filePath,
+    metadata,
+    part = 'snippet,status',
+    mimeType = 'video/mp4',
+    sessionUri = null,
+    chunkSize = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024,
+    maxRetries = parseInt(process.env.UPLOAD_MAX_RETRIES) || 5,
+    retryDelay = parseInt(process.env.RETRY_DELAY) || 5000,
+    rootUrl = 'https://www.googleapis.com/',
+    onSession = async () => {},
+    onProgress = async () => {},
+    onRetry = async () => {}
+  }) {
+    this.logger = new Logger('ResumableUpload');
+    this.auth = auth;
+    this.filePath = filePath;
+    this.metadata = metadata;
+    this.part = part;
+    this.mimeType = mimeType;
+    this.sessionUri = sessionUri;
+    this.chunkSize = Math.max(CHUNK_GRANULARITY, Math.floor(chunkSize / CHUNK_GRANULARITY) * CHUNK_GRANULARITY);
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.uploadUrl = `${rootUrl.replace(/\/$/, '')}/upload/youtube/v3/videos`;
+    this.onSession = onSession;
+    this.onProgress = onProgress;
+    this.onRetry = onRetry;
+  }
+
+  // Resolves with the created video resource
+  async start() {
+    const { size } = await fs.promises.stat(this.filePath);
+    this.size = size;
+
+    let offset = 0;
+    if (this.sessionUri) {
+      const status = await this.withRetry(() => this.queryStatus());
+      if (status.video) {
+        return status.video;
+      }
+      if (status.expired) {
+        this.logger.warn('Upload session expired, starting a new one');
+        this.sessionUri = null;
+      } else {
+        offset = status.offset;
+        this.logger.info(`Resuming upload at ${offset}/${size} bytes`);
+      }
+    }
+
+    if (!this.sessionUri) {
+      this.sessionUri = await this.withRetry(() => this.createSession());
+      await this.onSession(this.sessionUri);
+    }
+
+    await this.onProgress({ bytesSent: offset, bytesTotal: size });
+
+    while (true) {
+      const result = await this.withRetry(
+        () => this.uploadChunk(offset),
+        // The server may have stored part of a failed chunk, so ask where to continue
+        async () => {
+          const status = await this.queryStatus();
+          if (status.expired) throw new Error('Upload session expired during retry');
+          offset = status.offset;
+          return status.video;
+        }
+      );
+
+      if (result.video) {
+        await this.onProgress({ bytesSent: size, bytesTotal: size });
+        return result.video;
+      }
+
+      offset = result.offset;
+      await this.onProgress({ bytesSent: offset, bytesTotal: size });
+    }
+  }
+
+  async createSession() {
+    const response = await this.request({
+      method: 'POST',
+      url: this.uploadUrl,
+      params: { uploadType: 'resumable', part: this.part },
+      headers: {
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Length': String(this.size),
+        'X-Upload-Content-Type': this.mimeType
+      },
+      data: this.metadata
+    });
+
+    if (response.status !== 200 || !response.headers.location) {
+      throw this.toError(response, 'Failed to start upload session');
+    }
+
+    return response.headers.location;
+  }
+
+  async uploadChunk(offset) {
+    const end = Math.min(offset + this.chunkSize, this.size) - 1;
+
+    const response = await this.request({
+      method: 'PUT',
+      url: this.sessionUri,
+      headers: {
+        'Content-Length': String(end - offset + 1),
+        'Content-Range': `bytes ${offset}-${end}/${this.size}`
+      },
+      data: fs.createReadStream(this.filePath, { start: offset, end })
+    });
+
+    return this.parseUploadResponse(response);
+  }
+
+  async queryStatus() {
+    const response = await this.request({
+      method: 'PUT',
+      url: this.sessionUri,
+      headers: {
+        'Content-Length': '0',
+        'Content-Range': `bytes */${this.size}`
+      }
+    });
+
+    if (response.status === 404 || response.status === 410) {
+      return { expired: true };
+    }
+    return this.parseUploadResponse(response);
+  }
+
+  parseUploadResponse(response) {
+    if (response.status === 200 || response.status === 201) {
+      return { video: response.data };
+    }
+
+    // 308 Resume Incomplete; Range is absent until the first byte is stored
+    if (response.status === 308) {
+      const match = /bytes=0-(\d+)/.exec(response.headers.range || '');
+      return { offset: match ? parseInt(match[1]) + 1 : 0 };
+    }
+
+    throw this.toError(response, 'Upload failed');
+  }
+
+  async request(config) {
+    const headers = await this.auth.getRequestHeaders(config.url);
+
+    try {
+      return await axios({
+        ...config,
+        headers: { ...headers, ...config.headers },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      // Connection resets and timeouts are worth retrying
+      error.retryable = true;
+      throw error;
+    }
+  }
+
+  async withRetry(operation, beforeRetry = null) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (attempt > 0 && beforeRetry) {
+          const video = await beforeRetry();
+          if (video) return { video };
+        }
+        return await operation();
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.retryDelay * Math.pow(2, attempt) + Math.floor(Math.random() * 1000);
+        this.logger.warn(`Upload request failed (${error.message}), retrying in ${delay}ms`);
+        await this.onRetry({ attempt: attempt + 1, delay, error });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  toError(response, message) {
+    const details = response.data?.error;
+    const reason = details?.errors?.[0]?.reason;
+    const error = new Error(`${message}: ${response.status} ${details?.message || reason || ''}`.trim());
+
+    error.status = response.status;
+    error.reason = reason;
+    error.retryable = response.status >= 500 || response.status === 429 ||
+      (response.status === 403 && RETRYABLE_REASONS.includes(reason));
+    return error;
+  }
+}
+
+module.exports = { ResumableUpload };
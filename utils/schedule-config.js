@@ -0,0 +1,149 @@
+const nodeCron = require('node-cron');
+const { CronTime } = require('cron');
+
+// Every task the scheduler runs, with its default schedule. Tasks that are not pausable keep
+// running while automation is paused.
+const SCHEDULED_TASKS = {
+  'daily-content-generation': { cron: '0 6 * * *', description: 'Generate content for each channel' },
+  'publish-queue-processing': { cron: '*/15 * * * *', description: 'Publish due videos' },
+  'daily-analytics': { cron: '0 9 * * *', description: 'Collect analytics for recent videos' },
+  'weekly-strategy-review': { cron: '0 8 * * 0', description: 'Review strategy and publish times' },
+  'daily-optimization': { cron: '0 22 * * *', description: 'Re-analyze weak videos and clean up files' },
+  'database-maintenance': { cron: '0 3 * * 6', description: 'Back up and prune the database' },
+  'health-check': { cron: '0 * * * *', description: 'Score system health', pausable: false }
+};
+
+const MAX_PREVIEW_RUNS = 50;
+
+// Schedules live in the settings table as JSON under schedule.<task>
+function settingKey(name) {
+  return `schedule.${name}`;
+}
+
+// Where the defaults run unless SCHEDULE_TIMEZONE says otherwise: the server's own zone,
+// which is what the hard-coded schedules used
+function defaultTimezone() {
+  return process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function defaultSchedule(name) {
+  return { cron: SCHEDULED_TASKS[name].cron, timezone: defaultTimezone(), enabled: true };
+}
+
+// Reads every task's schedule, storing the default for any task that has none yet
+async function loadSchedules(db) {
+  const schedules = {};
+
+  for (const name of Object.keys(SCHEDULED_TASKS)) {
+    const stored = await db.getSetting(settingKey(name));
+    let schedule = null;
+    try {
+      schedule = stored ? validateSchedule(JSON.parse(stored)) : null;
+    } catch {
+      // A hand-edited value that no longer parses falls back to the default, which is saved
+    }
+
+    if (!schedule) {
+      schedule = defaultSchedule(name);
+      await db.setSetting(settingKey(name), JSON.stringify(schedule), `Schedule: ${SCHEDULED_TASKS[name].description}`);
+    }
+    schedules[name] = schedule;
+  }
+
+  return schedules;
+}
+
+async function saveSchedule(db, name, schedule) {
+  await db.setSetting(settingKey(name), JSON.stringify(schedule), `Schedule: ${SCHEDULED_TASKS[name].description}`);
+}
+
+// Checks a schedule from the API; with partial only the given fields. Throws with a problems list.
+function validateSchedule(input, { partial = false } = {}) {
+  const problems = [];
+  const schedule = {};
+  const has = field => input[field] !== undefined;
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    const error = new Error('Schedule must be a JSON object');
+    error.problems = [error.message];
+    throw error;
+  }
+
+  if (!partial || has('cron')) {
+    if (typeof input.cron !== 'string' || !isValidCron(input.cron.trim())) {
+      problems.push('cron must be a cron expression such as "0 6 * * *"');
+    } else {
+      schedule.cron = input.cron.trim().replace(/\s+/g, ' ');
+    }
+  }
+
+  if (!partial || has('timezone')) {
+    if (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone)) {
+      problems.push('timezone must be an IANA time zone such as "Europe/Berlin"');
+    } else {
+      schedule.timezone = input.timezone;
+    }
+  }
+
+  if (!partial || has('enabled')) {
+    if (typeof input.enabled !== 'boolean') {
+      problems.push('enabled must be true or false');
+    } else {
+      schedule.enabled = input.enabled;
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid schedule: ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return schedule;
+}
+
+// node-cron runs the task and the cron package computes its run times, so both must accept it
+function isValidCron(expression) {
+  if (!nodeCron.validate(expression)) return false;
+  try {
+    new CronTime(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The next run times as ISO strings in the schedule's own time zone
+function nextRuns({ cron, timezone }, count = 5, from = new Date()) {
+  const cronTime = new CronTime(cron, timezone);
+  const runs = [];
+  let after = from;
+
+  for (let i = 0; i < Math.min(count, MAX_PREVIEW_RUNS); i++) {
+    const next = cronTime.getNextDateFrom(after, timezone);
+    runs.push(next.toISO());
+    after = next.toJSDate();
+  }
+
+  return runs;
+}
+
+module.exports = {
+  SCHEDULED_TASKS,
+  MAX_PREVIEW_RUNS,
+  settingKey,
+  defaultSchedule,
+  loadSchedules,
+  saveSchedule,
+  validateSchedule,
+  nextRuns
+};
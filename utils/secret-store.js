@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT = 'yta-encrypted';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+// Fixed so the same passphrase always gives the same key
+const PASSPHRASE_SALT = 'youtube-automation-agent/credentials';
+
+const DEFAULT_KEY_FILE = path.join(__dirname, '..', 'config', 'master.key');
+
+function storeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// A master key given as base64 or hex of 32 bytes is used as is; anything else is a passphrase
+function parseKey(value) {
+  const text = String(value).trim();
+  if (/^[0-9a-f]{64}$/i.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+  const decoded = Buffer.from(text, 'base64');
+  if (decoded.length === KEY_LENGTH && decoded.toString('base64').replace(/=+$/, '') === text.replace(/=+$/, '')) {
+    return decoded;
+  }
+  return crypto.scryptSync(text, PASSPHRASE_SALT, KEY_LENGTH);
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+function isEnvelope(value) {
+  return Boolean(value) && value.format === FORMAT;
+}
+
+// Writes through a temporary file so a crash never leaves half a file behind
+function writeAtomicSync(filePath, text) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const temporary = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, text, { mode: 0o600 });
+  fs.renameSync(temporary, filePath);
+}
+
+// Encrypts JSON config files at rest with AES-256-GCM under a master key. The key comes from
+// CREDENTIALS_MASTER_KEY, or else from a key file readable only by its owner (config/master.key
+// by default, or CREDENTIALS_KEY_FILE), which is created the first time something is saved.
+// After a rotation the old key is kept as <name>.previous.key so files the rotation did not
+// reach yet still open.
+class SecretStore {
+  constructor(options = {}) {
+    this.keyFile = options.keyFile || process.env.CREDENTIALS_KEY_FILE || DEFAULT_KEY_FILE;
+    this.previousKeyFile = this.keyFile.replace(/(\.key)?$/, '.previous.key');
+    this.envKey = options.masterKey !== undefined ? options.masterKey : process.env.CREDENTIALS_MASTER_KEY;
+    this.envPreviousKey = options.previousMasterKey !== undefined
+      ? options.previousMasterKey
+      : process.env.CREDENTIALS_MASTER_KEY_PREVIOUS;
+  }
+
+  // 'env' or 'file'; decides whether a rotation can store the new key itself
+  get keySource() {
+    return this.envKey ? 'env' : 'file';
+  }
+
+  readKeyFile(filePath) {
+    try {
+      return parseKey(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // The current key, created in the key file when asked to and none exists yet
+  getKey({ create = false } = {}) {
+    if (this.envKey) {
+      return parseKey(this.envKey);
+    }
+
+    const key = this.readKeyFile(this.keyFile);
+    if (key || !create) return key;
+
+    const created = generateKey();
+    writeAtomicSync(this.keyFile, created.toString('base64') + '\n');
+    return created;
+  }
+
+  // Every key that may have encrypted a file, by key id
+  getKeyring() {
+    const keys = [
+      this.getKey(),
+      this.envPreviousKey ? parseKey(this.envPreviousKey) : null,
+      this.readKeyFile(this.previousKeyFile)
+    ].filter(Boolean);
+    return new Map(keys.map(key => [keyId(key), key]));
+  }
+
+  encrypt(value, key = this.getKey({ create: true })) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+      format: FORMAT,
+      version: 1,
+      algorithm: ALGORITHM,
+      keyId: keyId(key),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    const key = this.getKeyring().get(envelope.keyId);
+    if (!key) {
+      throw storeError(
+        `No master key for ${envelope.keyId}; set CREDENTIALS_MASTER_KEY or restore ${this.keyFile}`,
+        'MASTER_KEY_MISSING'
+      );
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(envelope.algorithm || ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      throw storeError('Encrypted file is corrupt or was changed', 'DECRYPT_FAILED');
+    }
+  }
+
+  // { value, encrypted } for a file's text; plain JSON from before encryption still reads
+  parse(text) {
+    const parsed = JSON.parse(text);
+    return isEnvelope(parsed)
+      ? { value: this.decrypt(parsed), encrypted: true }
+      : { value: parsed, encrypted: false };
+  }
+
+  // Null when the file does not exist, unless it is required
+  readFileSync(filePath, { required = false } = {}) {
+    try {
+      return this.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' && !required) return null;
+      throw error;
+    }
+  }
+
+  writeFileSync(filePath, value, key = undefined) {
+    writeAtomicSync(filePath, JSON.stringify(this.encrypt(value, key), null, 2));
+  }
+
+  // Re-encrypts the files under a new key. The new key is stored in the key file, or, when the
+  // key comes from the environment, returned for the caller to put there.
+  rotate(filePaths, newKey = generateKey()) {
+    const contents = filePaths
+      .map(filePath => ({ filePath, file: this.readFileSync(filePath) }))
+      .filter(({ file }) => file);
+
+    const oldKey = this.getKey({ create: true });
+    if (this.keySource === 'file') {
+      writeAtomicSync(this.previousKeyFile, oldKey.toString('base64') + '\n');
+      writeAtomicSync(this.keyFile, newKey.toString('base64') + '\n');
+    }
+
+    for (const { filePath, file } of contents) {
+      this.writeFileSync(filePath, file.value, newKey);
+    }
+
+    return {
+      keySource: this.keySource,
+      previousKeyId: keyId(oldKey),
+      keyId: keyId(newKey),
+      files: contents.map(({ filePath }) => filePath),
+      newKey: this.keySource === 'env' ? newKey.toString('base64') : null
+    };
+  }
+}
+
+module.exports = { SecretStore, isEnvelope, parseKey, keyId, generateKey };
@@ -0,0 +1,133 @@
+const { isDate } = require('./channel-config');
+
+const TEXT_FIELDS = ['description', 'playlistId', 'intro', 'outro', 'contentType'];
+
+const COLOR_FIELDS = ['primary', 'secondary', 'accent'];
+
+// A color name the thumbnail designer knows, or a #rrggbb value
+const COLOR_PATTERN = /^(#[0-9a-f]{6}|[a-z]+( [a-z]+)?)$/i;
+
+// Checks a series from the API. With partial, only the given fields are checked (PATCH).
+// Intro, outro and the thumbnail badge may use {series}, {episode} and {topic}.
+// Throws an error with a problems list, and returns the fields in their stored shape.
+function validateSeries(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    const error = new Error('Series must be a JSON object');
+    error.problems = [error.message];
+    throw error;
+  }
+
+  const problems = [];
+  const series = {};
+  const has = field => input[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      problems.push('name is required');
+    } else {
+      series.name = input.name.trim();
+    }
+  }
+
+  for (const field of TEXT_FIELDS) {
+    if (!has(field)) continue;
+    if (input[field] !== null && typeof input[field] !== 'string') {
+      problems.push(`${field} must be a string`);
+    } else {
+      series[field] = input[field] && input[field].trim() ? input[field].trim() : null;
+    }
+  }
+
+  if (has('thumbnailStyle')) {
+    const style = input.thumbnailStyle || {};
+    const colors = style.colors || {};
+    if (typeof style !== 'object' || Array.isArray(style)) {
+      problems.push('thumbnailStyle must be an object');
+    } else {
+      for (const field of ['style', 'badge']) {
+        if (style[field] !== undefined && style[field] !== null && typeof style[field] !== 'string') {
+          problems.push(`thumbnailStyle.${field} must be a string`);
+        }
+      }
+      for (const field of COLOR_FIELDS) {
+        if (colors[field] !== undefined && !(typeof colors[field] === 'string' && COLOR_PATTERN.test(colors[field]))) {
+          problems.push(`thumbnailStyle.colors.${field} must be a color name or #rrggbb`);
+        }
+      }
+      series.thumbnailStyle = pick({ ...style, colors: pick(colors, COLOR_FIELDS) }, ['style', 'badge', 'colors']);
+    }
+  }
+
+  if (has('schedule')) {
+    if (input.schedule === null) {
+      series.schedule = null;
+    } else {
+      const found = scheduleProblems(input.schedule);
+      problems.push(...found);
+      if (found.length === 0) {
+        series.schedule = {
+          weekdays: [...new Set(input.schedule.weekdays)].sort((a, b) => a - b),
+          everyWeeks: input.schedule.everyWeeks || 1,
+          startDate: input.schedule.startDate || null
+        };
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid series: ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return partial ? series : { ...defaultSeries(), ...series };
+}
+
+function defaultSeries() {
+  return {
+    description: null,
+    playlistId: null,
+    intro: null,
+    outro: null,
+    thumbnailStyle: {},
+    schedule: null,
+    contentType: null
+  };
+}
+
+// A schedule publishes on fixed weekdays (0 = Sunday), every week or every few weeks from startDate
+function scheduleProblems(schedule) {
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['schedule must be an object'];
+  }
+
+  const problems = [];
+  if (!Array.isArray(schedule.weekdays) || schedule.weekdays.length === 0 ||
+      !schedule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    problems.push('schedule.weekdays must be a list of weekdays from 0 (Sunday) to 6');
+  }
+  if (schedule.everyWeeks !== undefined && !(Number.isInteger(schedule.everyWeeks) && schedule.everyWeeks >= 1)) {
+    problems.push('schedule.everyWeeks must be a whole number of weeks');
+  }
+  if (schedule.startDate !== undefined && schedule.startDate !== null && !isDate(schedule.startDate)) {
+    problems.push('schedule.startDate must be a YYYY-MM-DD date');
+  }
+  return problems;
+}
+
+function pick(object, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (object[field] !== undefined && object[field] !== null) picked[field] = object[field];
+  }
+  return picked;
+}
+
+// Fills {series}, {episode} and {topic} in an intro, outro or badge
+function fillTemplate(template, values) {
+  return template.replace(/\{(series|episode|topic)\}/g, (match, name) => (
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  ));
+}
+
+module.exports = { validateSeries, fillTemplate };
@@ -0,0 +1,148 @@
+// YouTube treats vertical videos of up to a minute as Shorts. Scripts carry a format: 'long' (the
+// default) or 'short'. A Short is a hook, one payoff and a one-line call to action, rendered at
+// 1080x1920 with large burned-in captions.
+const SHORTS_MAX_SECONDS = 59;
+const SHORTS_HOOK_SECONDS = 3;
+const SHORTS_CTA_SECONDS = 3;
+const SHORTS_PAYOFF_SECONDS = SHORTS_MAX_SECONDS - SHORTS_HOOK_SECONDS - SHORTS_CTA_SECONDS;
+const SHORTS_SIZE = { width: 1080, height: 1920 };
+
+const FORMATS = ['long', 'short'];
+
+// Most Shorts a generation run cuts from its long-form video
+const MAX_CUT_SHORTS = 5;
+
+// Bold and well above the bottom edge, clear of the Shorts player's buttons and title
+const SHORTS_CAPTION_STYLE = 'FontSize=20,Bold=1,Outline=3,Shadow=0,Alignment=2,MarginV=60';
+
+// Caption cues flash a few words at a time, on one line
+const SHORTS_CAPTION_LINES = { maxCharsPerLine: 20, maxLines: 1, maxWords: 3, minDuration: 0.5, maxDuration: 3 };
+
+// Same narration rate as the duration estimates: 150 words per minute
+const WORDS_PER_SECOND = 2.5;
+
+// A section with less to say than this cannot carry a Short on its own
+const MIN_PAYOFF_WORDS = 8;
+
+function isShort(script) {
+  return script?.format === 'short';
+}
+
+// Checks the format and Shorts count of a generation request. shorts is null when the request
+// leaves it to AUTO_SHORTS.
+function validateGenerateOptions({ format, shorts } = {}) {
+  const problems = [];
+  const given = value => value !== undefined && value !== null;
+
+  if (given(format) && !FORMATS.includes(format)) {
+    problems.push(`format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (given(shorts) && !(Number.isInteger(shorts) && shorts >= 0 && shorts <= MAX_CUT_SHORTS)) {
+    problems.push(`shorts must be a whole number from 0 to ${MAX_CUT_SHORTS}`);
+  }
+  if (format === 'short' && shorts > 0) {
+    problems.push('shorts can only be cut from long-form videos');
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid generation options: ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return { format: format || 'long', shorts: given(shorts) ? shorts : null };
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Seconds of narration for a list of spoken lines
+function speakingTime(lines) {
+  return Math.ceil(countWords(lines.join(' ')) / WORDS_PER_SECOND);
+}
+
+// The spoken lines of a section, whatever its shape: lines, steps, list items or points
+function spokenLines(section) {
+  if (Array.isArray(section.content)) {
+    return section.content.filter(line => typeof line === 'string' && !line.startsWith('['));
+  }
+  if (section.steps) {
+    return section.steps.map(step => `${step.title}. ${step.description}`);
+  }
+  if (section.items) {
+    return section.items.map(item => `Number ${item.number}: ${item.title}. ${item.description}`);
+  }
+  if (section.points) {
+    return section.points.map(String);
+  }
+  return typeof section.content === 'string' ? [section.content] : [];
+}
+
+// Whole lines from the start, as many as the narration fits in the given seconds. A first line
+// that is too long on its own is cut at a word.
+function fitLines(lines, seconds = SHORTS_PAYOFF_SECONDS) {
+  const budget = Math.floor(seconds * WORDS_PER_SECOND);
+  const fitted = [];
+  let words = 0;
+
+  for (const line of lines) {
+    const length = countWords(line);
+    if (words + length > budget) {
+      if (fitted.length === 0) {
+        fitted.push(line.split(/\s+/).filter(Boolean).slice(0, budget).join(' '));
+      }
+      break;
+    }
+    fitted.push(line);
+    words += length;
+  }
+  return fitted;
+}
+
+// How well a section stands alone as a Short: on topic, concrete (numbers, steps, list items),
+// punchy, and short enough to keep whole
+function scoreSection(section, keywords = []) {
+  const lines = spokenLines(section);
+  const text = lines.join(' ').toLowerCase();
+  const words = countWords(text);
+  if (words < MIN_PAYOFF_WORDS) return 0;
+
+  let score = 0;
+  score += keywords.filter(keyword => text.includes(keyword.toLowerCase())).length * 3;
+  score += Math.min((text.match(/\d+/g) || []).length, 5) * 2;
+  score += Math.min((text.match(/[?!]/g) || []).length, 3);
+  if (section.steps || section.items || section.points) score += 3;
+  if (speakingTime(lines) <= SHORTS_PAYOFF_SECONDS) score += 4;
+  return score;
+}
+
+// The sections of a long-form script that make the best Shorts, strongest first. Ties keep the
+// script order; sections with too little to say are never picked.
+function strongestSections(script, count = 1, keywords = script.keywords || []) {
+  return (script.mainContent?.sections || [])
+    .map((section, index) => ({ section, index, score: scoreSection(section, keywords) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, count)
+    .map(entry => entry.section);
+}
+
+module.exports = {
+  SHORTS_MAX_SECONDS,
+  SHORTS_HOOK_SECONDS,
+  SHORTS_CTA_SECONDS,
+  SHORTS_PAYOFF_SECONDS,
+  SHORTS_SIZE,
+  SHORTS_CAPTION_STYLE,
+  SHORTS_CAPTION_LINES,
+  FORMATS,
+  MAX_CUT_SHORTS,
+  validateGenerateOptions,
+  isShort,
+  speakingTime,
+  spokenLines,
+  fitLines,
+  scoreSection,
+  strongestSections
+};
@@ -0,0 +1,239 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Just enough SMTP to hand a plain-text message to a relay: EHLO, STARTTLS when the server
+// offers it (or implicit TLS with secure), AUTH PLAIN or LOGIN, then MAIL, RCPT and DATA.
+async function sendMail(options) {
+  const {
+    host,
+    port = options.secure ? 465 : 587,
+    secure = false,
+    username = null,
+    password = null,
+    from,
+    to,
+    subject,
+    text,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+  } = options;
+  const recipients = Array.isArray(to) ? to : [to];
+
+  const connection = new SmtpConnection(await connect({ host, port, secure, timeoutMs }), timeoutMs);
+  connection.encrypted = secure;
+
+  try {
+    await connection.expect(220);
+    let extensions = await connection.hello();
+
+    if (!secure && extensions.has('STARTTLS')) {
+      await connection.command('STARTTLS', 220);
+      await connection.upgrade(host);
+      extensions = await connection.hello();
+    }
+
+    if (username) {
+      // Credentials only travel in the clear to a relay on this machine
+      if (!connection.encrypted && !LOOPBACK_HOSTS.includes(host)) {
+        throw new Error(`SMTP server ${host} offers no TLS; refusing to send the password unencrypted`);
+      }
+      await connection.authenticate(extensions.get('AUTH') || '', username, password || '');
+    }
+
+    await connection.command(`MAIL FROM:<${address(from)}>`, 250);
+    for (const recipient of recipients) {
+      await connection.command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+    }
+    await connection.command('DATA', 354);
+    await connection.command(`${formatMessage({ from, to: recipients, subject, text })}\r\n.`, 250);
+    await connection.command('QUIT', 221).catch(() => {});
+
+    return { accepted: recipients };
+  } finally {
+    connection.close();
+  }
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    const timer = setTimeout(() => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)), timeoutMs);
+
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+    socket.once('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// Reads replies line by line; a reply ends at the line whose code is followed by a space
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.encrypted = false;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP server stopped responding')));
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  onData(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      if (!/^\d{3}-/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        this.deliver(reply);
+      }
+    }
+  }
+
+  deliver(reply) {
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(reply);
+    } else {
+      this.replies.push(reply);
+    }
+  }
+
+  fail(error) {
+    if (this.error) return;
+    this.error = error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  async expect(codes, command = 'greeting') {
+    const reply = await this.read();
+    const expected = Array.isArray(codes) ? codes : [codes];
+    if (!expected.includes(reply.code)) {
+      const error = new Error(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      error.responseCode = reply.code;
+      throw error;
+    }
+    return reply;
+  }
+
+  async command(line, codes) {
+    this.socket.write(`${line}\r\n`);
+    // Never echo the message body or credentials into an error
+    return this.expect(codes, line.split(/[\s:]/)[0]);
+  }
+
+  // Extensions the server advertised, e.g. STARTTLS or AUTH -> 'PLAIN LOGIN'
+  async hello() {
+    const reply = await this.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+    const extensions = new Map();
+    for (const line of reply.lines.slice(1)) {
+      const [name, ...params] = line.split(' ');
+      extensions.set(name.toUpperCase(), params.join(' ').toUpperCase());
+    }
+    return extensions;
+  }
+
+  async upgrade(host) {
+    const plain = this.socket;
+    plain.setTimeout(0);
+    plain.removeAllListeners('timeout');
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('error');
+
+    const secured = await new Promise((resolve, reject) => {
+      const socket = tls.connect({ socket: plain, servername: host }, () => resolve(socket));
+      socket.once('error', reject);
+    });
+    this.attach(secured);
+    this.encrypted = true;
+  }
+
+  async authenticate(mechanisms, username, password) {
+    if (mechanisms.split(' ').includes('PLAIN') || !mechanisms.split(' ').includes('LOGIN')) {
+      const credentials = Buffer.from(`\0${username}\0${password}`).toString('base64');
+      await this.command(`AUTH PLAIN ${credentials}`, 235);
+      return;
+    }
+
+    await this.command('AUTH LOGIN', 334);
+    await this.command(Buffer.from(username).toString('base64'), 334);
+    await this.command(Buffer.from(password).toString('base64'), 235);
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.destroy();
+  }
+}
+
+// "Channel Bot <bot@example.com>" -> bot@example.com
+function address(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function formatMessage({ from, to, subject, text }) {
+  const body = String(text).replace(/\r?\n/g, '\r\n');
+  const ascii = /^[\x00-\x7f]*$/.test(body);
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${address(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Transfer-Encoding: ${ascii ? '7bit' : 'base64'}`
+  ];
+  const encoded = ascii
+    ? body.replace(/^\./gm, '..')
+    : Buffer.from(body).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return `${headers.join('\r\n')}\r\n\r\n${encoded}`;
+}
+
+module.exports = { sendMail, formatMessage };
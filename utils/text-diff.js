@@ -0,0 +1,45 @@
+// Line diff from the longest common subsequence of two texts. Scripts and descriptions are at
+// most a few hundred lines, so the quadratic table is fine here.
+function diffLines(before, after) {
+  const a = before ? String(before).split('\n') : [];
+  const b = after ? String(after).split('\n') : [];
+
+  // common[i][j] is the length of the longest common subsequence of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (common[i + 1][j] >= common[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+}
+
+// Items added to and removed from a list, e.g. a tag set
+function diffList(before = [], after = []) {
+  return {
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item))
+  };
+}
+
+module.exports = { diffLines, diffList };
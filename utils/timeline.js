@@ -0,0 +1,450 @@
+// Declarative render spec (edit decision list) shared by the production agent and the video renderer.
+// Times are in seconds on the output timeline; `in` is inclusive and `out` exclusive.
+const path = require('path');
+
+const TRACKS = ['visuals', 'narration', 'music', 'captions', 'overlays'];
+
+// FFmpeg xfade transitions that are safe on every build with xfade (4.3+)
+const TRANSITIONS = [
+  'fade', 'fadeblack', 'fadewhite', 'dissolve', 'radial', 'pixelize',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'circleopen', 'circleclose', 'circlecrop'
+];
+
+const VISUAL_KINDS = ['slide', 'image', 'color'];
+const OVERLAY_KINDS = ['text', 'image'];
+const POSITIONS = ['top-left', 'top', 'top-right', 'center', 'bottom-left', 'bottom', 'bottom-right'];
+
+// Values below end up inside the filtergraph, so hand-edited timelines may only use these
+const COLOR_NAMES = [
+  'white', 'black', 'gray', 'silver', 'red', 'orange', 'gold', 'yellow',
+  'green', 'teal', 'cyan', 'blue', 'navy', 'purple', 'magenta', 'pink', 'brown'
+];
+const COLOR_PATTERN = new RegExp(`^(?:(?:#|0x)[0-9a-f]{6}(?:[0-9a-f]{2})?|${COLOR_NAMES.join('|')})(?:@(?:0(?:\\.\\d+)?|1(?:\\.0+)?))?$`, 'i');
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc'];
+const FONT_SIZE = { min: 8, max: 400 };
+const MAX_VOLUME = 4;
+
+const TIMELINE_VERSION = 1;
+const EPSILON = 0.001;
+
+class Timeline {
+  constructor({ id = null, title = '', settings = {}, tracks = {} } = {}) {
+    this.version = TIMELINE_VERSION;
+    this.id = id;
+    this.title = title;
+    this.settings = {
+      width: 1920,
+      height: 1080,
+      fps: 30,
+      background: '0x1a1a2e',
+      ...settings
+    };
+    this.tracks = {};
+    for (const track of TRACKS) {
+      this.tracks[track] = (tracks[track] || []).map(clip => ({ ...clip }));
+    }
+  }
+
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || typeof data !== 'object') {
+      throw new Error('Timeline must be a JSON object');
+    }
+    if (data.version && data.version > TIMELINE_VERSION) {
+      throw new Error(`Unsupported timeline version: ${data.version}`);
+    }
+
+    const unknown = Object.keys(data.tracks || {}).filter(track => !TRACKS.includes(track));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown timeline tracks: ${unknown.join(', ')}`);
+    }
+
+    const timeline = new Timeline(data);
+    timeline.validate();
+    return timeline;
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      id: this.id,
+      title: this.title,
+      duration: this.duration,
+      settings: { ...this.settings },
+      tracks: this.tracks
+    };
+  }
+
+  clone() {
+    return new Timeline(JSON.parse(JSON.stringify(this.toJSON())));
+  }
+
+  // The visual track defines the length of the video
+  get duration() {
+    const visuals = this.tracks.visuals;
+    return visuals.length > 0 ? visuals[visuals.length - 1].out : 0;
+  }
+
+  add(track, clip) {
+    if (!TRACKS.includes(track)) {
+      throw new Error(`Unknown timeline track: ${track}`);
+    }
+
+    const entry = { id: clip.id || `${track}_${this.tracks[track].length + 1}`, ...clip };
+    this.tracks[track].push(entry);
+    return entry;
+  }
+
+  // Appends a visual clip after the last one
+  append(clip, duration) {
+    const start = this.duration;
+    return this.add('visuals', { ...clip, in: start, out: start + duration });
+  }
+
+  // Rescales visuals and overlays proportionally, e.g. to match the narration length
+  fitTo(duration) {
+    const current = this.duration;
+    if (!current || !duration) return this;
+
+    const scale = duration / current;
+    const round = value => Math.round(value * scale * 1000) / 1000;
+
+    for (const track of ['visuals', 'overlays']) {
+      for (const clip of this.tracks[track]) {
+        clip.in = round(clip.in);
+        clip.out = round(clip.out);
+      }
+    }
+
+    // Keep the last visual exactly on the requested length despite rounding
+    const visuals = this.tracks.visuals;
+    if (visuals.length > 0) {
+      visuals[visuals.length - 1].out = duration;
+    }
+
+    // Transitions keep their length but never take up more than half of the clip they lead into
+    for (const clip of visuals) {
+      if (clip.transition) {
+        clip.transition.duration = Math.min(clip.transition.duration, Math.floor((clip.out - clip.in) * 500) / 1000);
+        if (clip.transition.duration <= 0) delete clip.transition;
+      }
+    }
+
+    return this;
+  }
+
+  validate() {
+    const problems = [];
+    const { width, height, fps, background } = this.settings;
+
+    if (!isNumberIn(width, 2, Infinity) || !isNumberIn(height, 2, Infinity) || width % 2 !== 0 || height % 2 !== 0) {
+      problems.push('settings.width and settings.height must be positive even numbers');
+    }
+    if (!isNumberIn(fps, 1, 120)) {
+      problems.push('settings.fps must be a number from 1 to 120');
+    }
+    if (!isColor(background)) {
+      problems.push(`settings.background must be #rrggbb, 0xrrggbb or one of ${COLOR_NAMES.join(', ')}`);
+    }
+
+    for (const track of TRACKS) {
+      this.tracks[track].forEach(clip => {
+        const label = `${track}/${clip.id}`;
+        if (typeof clip.in !== 'number' || typeof clip.out !== 'number' || clip.in < 0 || clip.out <= clip.in) {
+          problems.push(`${label}: needs numeric in/out with 0 <= in < out`);
+        }
+      });
+    }
+
+    const visuals = this.tracks.visuals;
+    if (visuals.length === 0) {
+      problems.push('visuals track is empty');
+    }
+
+    visuals.forEach((clip, index) => {
+      const label = `visuals/${clip.id}`;
+      const expectedStart = index === 0 ? 0 : visuals[index - 1].out;
+
+      if (Math.abs(clip.in - expectedStart) > EPSILON) {
+        problems.push(`${label}: starts at ${clip.in}, expected ${expectedStart} (visuals must be contiguous)`);
+      }
+      if (!VISUAL_KINDS.includes(clip.kind)) {
+        problems.push(`${label}: kind must be one of ${VISUAL_KINDS.join(', ')}`);
+      }
+      if (clip.kind === 'image' && !clip.source) {
+        problems.push(`${label}: image clips need a source`);
+      }
+      if (clip.color !== undefined && !isColor(clip.color)) {
+        problems.push(`${label}: color must be #rrggbb, 0xrrggbb or one of ${COLOR_NAMES.join(', ')}`);
+      }
+
+      if (clip.transition) {
+        const { type, duration } = clip.transition;
+        if (index === 0) {
+          problems.push(`${label}: the first clip cannot have a transition`);
+        }
+        if (!TRANSITIONS.includes(type)) {
+          problems.push(`${label}: transition must be one of ${TRANSITIONS.join(', ')}`);
+        }
+        if (typeof duration !== 'number' || !(duration > 0) || duration >= clip.out - clip.in) {
+          problems.push(`${label}: transition duration must be positive and shorter than the clip`);
+        }
+      }
+    });
+
+    for (const track of ['narration', 'music', 'captions']) {
+      this.tracks[track].forEach(clip => {
+        if (!clip.source) problems.push(`${track}/${clip.id}: needs a source`);
+      });
+    }
+
+    for (const track of ['narration', 'music']) {
+      this.tracks[track].forEach(clip => {
+        const label = `${track}/${clip.id}`;
+        const length = clip.out - clip.in;
+        if (clip.volume !== undefined && !isNumberIn(clip.volume, 0, MAX_VOLUME)) {
+          problems.push(`${label}: volume must be a number from 0 to ${MAX_VOLUME}`);
+        }
+        if (clip.offset !== undefined && !isNumberIn(clip.offset, 0, Infinity)) {
+          problems.push(`${label}: offset must be a number of seconds, 0 or more`);
+        }
+        for (const fade of ['fadeIn', 'fadeOut']) {
+          if (clip[fade] !== undefined && !isNumberIn(clip[fade], 0, length)) {
+            problems.push(`${label}: ${fade} must be a number of seconds, at most the clip length`);
+          }
+        }
+      });
+    }
+
+    this.tracks.overlays.forEach(clip => {
+      const label = `overlays/${clip.id}`;
+      if (!OVERLAY_KINDS.includes(clip.kind)) {
+        problems.push(`${label}: kind must be one of ${OVERLAY_KINDS.join(', ')}`);
+      }
+      if (clip.kind === 'text' && !clip.text) problems.push(`${label}: text overlays need text`);
+      if (clip.kind === 'image' && !clip.source) problems.push(`${label}: image overlays need a source`);
+      if (clip.position !== undefined && !POSITIONS.includes(clip.position)) {
+        problems.push(`${label}: position must be one of ${POSITIONS.join(', ')}`);
+      }
+      if (clip.size !== undefined && !isNumberIn(clip.size, FONT_SIZE.min, FONT_SIZE.max)) {
+        problems.push(`${label}: size must be a number from ${FONT_SIZE.min} to ${FONT_SIZE.max}`);
+      }
+      if (clip.width !== undefined && !isNumberIn(clip.width, 1, width)) {
+        problems.push(`${label}: width must be a number of pixels, at most the video width`);
+      }
+      if (clip.color !== undefined && !isColor(clip.color)) {
+        problems.push(`${label}: color must be #rrggbb, 0xrrggbb or one of ${COLOR_NAMES.join(', ')}`);
+      }
+      if (clip.font !== undefined && !(typeof clip.font === 'string' && FONT_EXTENSIONS.includes(path.extname(clip.font).toLowerCase()))) {
+        problems.push(`${label}: font must be a ${FONT_EXTENSIONS.join(', ')} file`);
+      }
+    });
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid timeline: ${problems.join('; ')}`);
+      error.problems = problems;
+      throw error;
+    }
+
+    return true;
+  }
+
+  // Exports the timeline as FFmpeg inputs plus one filter_complex graph producing [vout] and [aout]
+  toFilterGraph() {
+    this.validate();
+
+    const { width, height, fps, background } = this.settings;
+    const duration = this.duration;
+    const inputs = [];
+    const filters = [];
+    const addInput = args => inputs.push(args) - 1;
+    const seconds = value => value.toFixed(3);
+
+    // Visuals: each clip is held long enough to cover the next clip's transition
+    const visuals = this.tracks.visuals;
+    visuals.forEach((clip, index) => {
+      const next = visuals[index + 1];
+      const length = (clip.out - clip.in) + (next?.transition ? next.transition.duration : 0);
+      const image = clip.source || (clip.kind === 'slide' ? clip.background : null);
+
+      if (image) {
+        const input = addInput(['-loop', '1', '-framerate', String(fps), '-t', seconds(length), '-i', image]);
+        filters.push(
+          `[${input}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+          `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p,settb=AVTB[v${index}]`
+        );
+      } else {
+        const color = normalizeColor(clip.color || background);
+        const input = addInput(['-f', 'lavfi', '-i', `color=c=${color}:s=${width}x${height}:r=${fps}:d=${seconds(length)}`]);
+        filters.push(`[${input}:v]setsar=1,format=yuv420p,settb=AVTB[v${index}]`);
+      }
+    });
+
+    let video = '[v0]';
+    visuals.slice(1).forEach((clip, offset) => {
+      const index = offset + 1;
+      const label = `[x${index}]`;
+
+      if (clip.transition) {
+        filters.push(
+          `${video}[v${index}]xfade=transition=${clip.transition.type}:` +
+          `duration=${seconds(clip.transition.duration)}:offset=${seconds(clip.in)}${label}`
+        );
+      } else {
+        filters.push(`${video}[v${index}]concat=n=2:v=1:a=0${label}`);
+      }
+      video = label;
+    });
+
+    // Overlays are drawn in track order over the assembled visuals
+    this.tracks.overlays.forEach((clip, index) => {
+      const label = `[o${index}]`;
+      const enable = `enable='between(t,${seconds(clip.in)},${seconds(clip.out)})'`;
+
+      if (clip.kind === 'image') {
+        const input = addInput(['-loop', '1', '-t', seconds(duration), '-i', clip.source]);
+        const scale = clip.width ? `scale=${Math.round(clip.width)}:-2,` : '';
+        filters.push(`[${input}:v]${scale}format=rgba[oi${index}]`);
+        filters.push(`${video}[oi${index}]overlay=${overlayPosition(clip.position, 'w', 'h')}:${enable}${label}`);
+      } else {
+        const options = [
+          `text=${escapeFilterValue(clip.text)}`,
+          'expansion=none',
+          `fontsize=${clip.size || 48}`,
+          `fontcolor=${normalizeColor(clip.color || 'white')}`,
+          'box=1',
+          'boxcolor=black@0.5',
+          'boxborderw=16',
+          overlayPosition(clip.position, 'text_w', 'text_h')
+        ];
+        if (clip.font) options.push(`fontfile=${escapeFilterValue(clip.font)}`);
+        filters.push(`${video}drawtext=${options.join(':')}:${enable}${label}`);
+      }
+      video = label;
+    });
+
+    this.tracks.captions.filter(clip => clip.burnIn).forEach((clip, index) => {
+      const label = `[c${index}]`;
+      const style = clip.style || 'FontSize=24,Outline=2';
+      filters.push(
+        `${video}subtitles=filename=${escapeFilterValue(clip.source)}:force_style=${escapeFilterValue(style)}${label}`
+      );
+      video = label;
+    });
+
+    filters.push(`${video}null[vout]`);
+
+    // Audio: narration and music are positioned on a silent bed that spans the whole video
+    const bed = addInput(['-f', 'lavfi', '-t', seconds(duration), '-i', 'anullsrc=r=44100:cl=stereo']);
+    const mix = [`[${bed}:a]`];
+
+    for (const track of ['narration', 'music']) {
+      this.tracks[track].forEach((clip, index) => {
+        const isMusic = track === 'music';
+        const loop = isMusic && clip.loop !== false;
+        const input = addInput([...(loop ? ['-stream_loop', '-1'] : []), '-i', clip.source]);
+        const length = clip.out - clip.in;
+        const delay = Math.round(clip.in * 1000);
+        const label = `[${isMusic ? 'm' : 'n'}${index}]`;
+        const chain = [
+          'aformat=sample_rates=44100:channel_layouts=stereo',
+          `atrim=start=${seconds(clip.offset || 0)}:duration=${seconds(length)}`,
+          'asetpts=PTS-STARTPTS',
+          `volume=${clip.volume ?? (isMusic ? 0.15 : 1)}`
+        ];
+
+        if (isMusic) {
+          const fadeIn = clip.fadeIn ?? 2;
+          const fadeOut = clip.fadeOut ?? 3;
+          if (fadeIn > 0) chain.push(`afade=t=in:st=0:d=${seconds(fadeIn)}`);
+          if (fadeOut > 0) chain.push(`afade=t=out:st=${seconds(Math.max(0, length - fadeOut))}:d=${seconds(fadeOut)}`);
+        }
+        if (delay > 0) chain.push(`adelay=${delay}|${delay}`);
+
+        filters.push(`[${input}:a]${chain.join(',')}${label}`);
+        mix.push(label);
+      });
+    }
+
+    filters.push(`${mix.join('')}amix=inputs=${mix.length}:duration=first:dropout_transition=0:normalize=0[aout]`);
+
+    return {
+      inputs,
+      filterComplex: filters.join(';\n'),
+      video: '[vout]',
+      audio: '[aout]',
+      duration
+    };
+  }
+
+  toFFmpegArgs(outputPath, { preset = 'veryfast', crf = 23, audioBitrate = '192k' } = {}) {
+    const graph = this.toFilterGraph();
+
+    return [
+      '-y', '-hide_banner', '-loglevel', 'error',
+      ...graph.inputs.flat(),
+      '-filter_complex', graph.filterComplex,
+      '-map', graph.video,
+      '-map', graph.audio,
+      '-c:v', 'libx264',
+      '-preset', preset,
+      '-crf', String(crf),
+      '-pix_fmt', 'yuv420p',
+      '-r', String(this.settings.fps),
+      '-c:a', 'aac',
+      '-b:a', audioBitrate,
+      '-t', graph.duration.toFixed(3),
+      '-movflags', '+faststart',
+      outputPath
+    ];
+  }
+}
+
+function isNumberIn(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isColor(value) {
+  return typeof value === 'string' && COLOR_PATTERN.test(value);
+}
+
+// Escapes a value for a filter option inside a filtergraph (both FFmpeg escaping levels)
+function escapeFilterValue(value) {
+  const optionLevel = String(value).replace(/[\\':]/g, '\\$&');
+  return optionLevel.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+function normalizeColor(color) {
+  return String(color).replace(/^#/, '0x').replace(/[^\w@.]/g, '');
+}
+
+function overlayPosition(position = 'bottom-right', w, h) {
+  const margin = 40;
+  const x = {
+    left: `${margin}`,
+    center: `(W-${w})/2`,
+    right: `W-${w}-${margin}`
+  };
+  const y = {
+    top: `${margin}`,
+    middle: `(H-${h})/2`,
+    bottom: `H-${h}-${margin}`
+  };
+  const [vertical, horizontal] = {
+    'top-left': ['top', 'left'],
+    top: ['top', 'center'],
+    'top-right': ['top', 'right'],
+    center: ['middle', 'center'],
+    'bottom-left': ['bottom', 'left'],
+    bottom: ['bottom', 'center'],
+    'bottom-right': ['bottom', 'right']
+  }[position];
+
+  // drawtext uses lowercase w/h for the frame size
+  const frame = w === 'text_w' ? value => value.replace(/W/g, 'w').replace(/H/g, 'h') : value => value;
+  return `x=${frame(x[horizontal])}:y=${frame(y[vertical])}`;
+}
+
+module.exports = { Timeline, TRACKS, TRANSITIONS, FONT_EXTENSIONS, escapeFilterValue };
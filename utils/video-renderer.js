@@ -0,0 +1,202 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { Logger } = require('./logger');
+const { FONT_EXTENSIONS } = require('./timeline');
+const { MEDIA_DIRS, isInsideDirectory } = require('./content-validation');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.ogg'];
+const CAPTION_EXTENSIONS = ['.srt', '.ass', '.vtt'];
+
+// Renders timelines into H.264/AAC MP4s with the local ffmpeg binary and verifies the output with ffprobe
+class VideoRenderer {
+  constructor(options = {}) {
+    this.logger = new Logger('VideoRenderer');
+    this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffprobePath = options.ffprobePath || process.env.FFPROBE_PATH || 'ffprobe';
+    this.width = options.width || 1920;
+    this.height = options.height || 1080;
+    this.fps = options.fps || 30;
+    this.burnCaptions = options.burnCaptions !== undefined
+      ? options.burnCaptions
+      : process.env.BURN_IN_CAPTIONS !== 'false';
+  }
+
+  async isAvailable() {
+    try {
+      await this.execute(this.ffmpegPath, ['-version']);
+      await this.execute(this.ffprobePath, ['-version']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async renderTimeline(timeline, outputPath) {
+    const prepared = await this.prepare(timeline);
+    const args = prepared.toFFmpegArgs(path.resolve(outputPath), {
+      preset: process.env.FFMPEG_PRESET || 'veryfast'
+    });
+
+    await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+
+    this.logger.info(`Rendering ${prepared.tracks.visuals.length} clips (${prepared.duration.toFixed(1)}s) to ${outputPath}`);
+    const timer = this.logger.startTimer('FFmpeg render');
+
+    await this.execute(this.ffmpegPath, args);
+
+    timer.end();
+    return outputPath;
+  }
+
+  // Drops references to files that are missing, not media or outside data/ and uploads/, so
+  // placeholders render as plain backgrounds. Kept files are passed to ffmpeg by their real path.
+  async prepare(timeline) {
+    const prepared = timeline.clone();
+    const { visuals, narration, music, captions, overlays } = prepared.tracks;
+
+    const resolve = async (clip, field, extensions) => {
+      if (!clip[field]) return;
+      const realPath = await this.resolveMediaFile(clip[field], extensions);
+      if (realPath) {
+        clip[field] = realPath;
+      } else {
+        delete clip[field];
+      }
+    };
+
+    for (const clip of visuals) {
+      await resolve(clip, 'source', IMAGE_EXTENSIONS);
+      await resolve(clip, 'background', IMAGE_EXTENSIONS);
+      if (clip.kind === 'image' && !clip.source) {
+        clip.kind = 'color';
+      }
+    }
+
+    const keep = async (clips, extensions) => {
+      const usable = [];
+      for (const clip of clips) {
+        await resolve(clip, 'source', extensions);
+        if (clip.source) usable.push(clip);
+      }
+      return usable;
+    };
+
+    prepared.tracks.narration = await keep(narration, AUDIO_EXTENSIONS);
+    prepared.tracks.music = await keep(music, AUDIO_EXTENSIONS);
+    prepared.tracks.captions = await keep(captions, CAPTION_EXTENSIONS);
+    prepared.tracks.overlays = [];
+    for (const clip of overlays) {
+      // A text overlay without a usable font falls back to FFmpeg's default one
+      await resolve(clip, 'font', FONT_EXTENSIONS);
+      await resolve(clip, 'source', IMAGE_EXTENSIONS);
+      if (clip.kind !== 'image' || clip.source) {
+        prepared.tracks.overlays.push(clip);
+      }
+    }
+
+    prepared.validate();
+    return prepared;
+  }
+
+  async probe(filePath) {
+    const { stdout } = await this.execute(this.ffprobePath, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath
+    ]);
+
+    const data = JSON.parse(stdout);
+    const video = (data.streams || []).find(stream => stream.codec_type === 'video');
+    const audio = (data.streams || []).find(stream => stream.codec_type === 'audio');
+    const [num, den] = (video?.avg_frame_rate || '0/1').split('/').map(Number);
+
+    return {
+      duration: parseFloat(data.format?.duration) || 0,
+      size: parseInt(data.format?.size) || 0,
+      bitRate: parseInt(data.format?.bit_rate) || null,
+      videoCodec: video?.codec_name || null,
+      audioCodec: audio?.codec_name || null,
+      width: video?.width || null,
+      height: video?.height || null,
+      resolution: video ? `${video.width}x${video.height}` : null,
+      fps: den ? Math.round((num / den) * 100) / 100 : null
+    };
+  }
+
+  // Confirms the file on disk is a playable video of the expected shape before it is marked ready
+  async verify(filePath, expected = {}) {
+    const info = await this.probe(filePath);
+    const problems = [];
+
+    if (!info.videoCodec) problems.push('no video stream');
+    if (!info.audioCodec) problems.push('no audio stream');
+    if (info.duration <= 0) problems.push('zero duration');
+    if (expected.duration && Math.abs(info.duration - expected.duration) > Math.max(1, expected.duration * 0.05)) {
+      problems.push(`duration ${info.duration.toFixed(1)}s, expected ${expected.duration.toFixed(1)}s`);
+    }
+    if (expected.resolution && info.resolution !== expected.resolution) {
+      problems.push(`resolution ${info.resolution}, expected ${expected.resolution}`);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Rendered video failed verification: ${problems.join(', ')}`);
+    }
+
+    return info;
+  }
+
+  async isUsableFile(filePath, extensions) {
+    return Boolean(await this.resolveMediaFile(filePath, extensions));
+  }
+
+  // The real path of a non-empty media file inside data/ or uploads/, or null. Symlinks are
+  // followed first, and URLs never resolve, so nothing else on the server reaches ffmpeg.
+  async resolveMediaFile(filePath, extensions) {
+    if (typeof filePath !== 'string' || !extensions.includes(path.extname(filePath).toLowerCase())) {
+      return null;
+    }
+
+    try {
+      const realPath = await fs.realpath(filePath);
+      const roots = await Promise.all(MEDIA_DIRS.map(dir => fs.realpath(dir).catch(() => dir)));
+      if (!roots.some(root => isInsideDirectory(realPath, root))) {
+        this.logger.warn(`Ignoring ${filePath}: media files must be inside data/ or uploads/`);
+        return null;
+      }
+
+      const stats = await fs.stat(realPath);
+      return stats.isFile() && stats.size > 0 ? realPath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  execute(command, args, options = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { cwd: options.cwd });
+      let stdout = '';
+      let stderr = '';
+
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', error => {
+        reject(error.code === 'ENOENT'
+          ? new Error(`${command} not found; install FFmpeg or set FFMPEG_PATH/FFPROBE_PATH`)
+          : error);
+      });
+      child.on('close', code => {
+        if (code === 0) {
+          resolve({ stdout, stderr });
+        } else {
+          reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = { VideoRenderer, IMAGE_EXTENSIONS, AUDIO_EXTENSIONS };
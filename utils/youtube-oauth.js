@@ -0,0 +1,162 @@
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { google } = require('googleapis');
+const chalk = require('chalk');
+const { DEFAULT_CHANNEL_ID } = require('./channel-config');
+
+// Everything the agents call: uploads, captions (force-ssl), metadata and analytics
+const SCOPES = [
+  'https://www.googleapis.com/auth/youtube',
+  'https://www.googleapis.com/auth/youtube.upload',
+  'https://www.googleapis.com/auth/youtube.force-ssl',
+  'https://www.googleapis.com/auth/youtube.readonly',
+  'https://www.googleapis.com/auth/yt-analytics.readonly'
+];
+
+const CALLBACK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How long a consent URL's state stays valid
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// The one way a channel gets YouTube tokens: a consent URL with a random single-use state, and a
+// code exchange whose tokens go through CredentialManager.saveYouTubeTokens. The state is what
+// ties a callback to the channel, so nobody can bind their own account by naming a channel.
+// The dashboard server uses its /oauth2callback route; the CLI runs a short-lived loopback
+// server instead.
+class YouTubeOAuth {
+  constructor(credentials, { stateTtlMs = STATE_TTL_MS } = {}) {
+    this.credentials = credentials;
+    this.stateTtlMs = stateTtlMs;
+    // state -> { channelId, expiresAt }
+    this.states = new Map();
+  }
+
+  createState(channelId) {
+    const now = Date.now();
+    for (const [state, entry] of this.states) {
+      if (entry.expiresAt <= now) this.states.delete(state);
+    }
+
+    const state = crypto.randomBytes(24).toString('hex');
+    this.states.set(state, { channelId, expiresAt: now + this.stateTtlMs });
+    return state;
+  }
+
+  // The channel a state was issued for, once; null for unknown, used or expired states
+  consumeState(state) {
+    const entry = typeof state === 'string' ? this.states.get(state) : null;
+    if (!entry) return null;
+
+    this.states.delete(state);
+    return entry.expiresAt > Date.now() ? entry.channelId : null;
+  }
+
+  createClient(channelId, redirectUri) {
+    const client = this.credentials.getYouTubeClientConfig(channelId);
+    if (!client) {
+      throw new Error('YouTube credentials not configured');
+    }
+    return this.credentials.createOAuthClient(client, redirectUri);
+  }
+
+  getAuthUrl(channelId = DEFAULT_CHANNEL_ID, redirectUri) {
+    return this.createClient(channelId, redirectUri).generateAuthUrl({
+      access_type: 'offline',
+      // Without consent Google only sends a refresh token the first time an account authorizes
+      prompt: 'consent',
+      scope: SCOPES,
+      state: this.createState(channelId)
+    });
+  }
+
+  async exchangeCode(code, channelId = DEFAULT_CHANNEL_ID, redirectUri) {
+    const { tokens } = await this.createClient(channelId, redirectUri).getToken(code);
+    if (!tokens.refresh_token) {
+      throw new Error('Google did not return a refresh token; remove the app from the account\'s permissions and authorize again');
+    }
+
+    await this.credentials.saveYouTubeTokens(tokens, channelId);
+    return tokens;
+  }
+
+  // The client's own localhost redirect URI when it has one, otherwise any free loopback port
+  loopbackRedirect(channelId) {
+    const client = this.credentials.getYouTubeClientConfig(channelId);
+    const configured = (client?.redirect_uris || [])
+      .map(uri => new URL(uri))
+      .find(uri => ['localhost', '127.0.0.1'].includes(uri.hostname) && uri.port);
+
+    return configured
+      ? { host: configured.hostname, port: Number(configured.port), pathname: configured.pathname }
+      : { host: '127.0.0.1', port: 0, pathname: '/callback' };
+  }
+
+  // CLI flow: prints the consent URL and waits for Google to redirect back to a local server
+  async authorizeInBrowser(channelId = DEFAULT_CHANNEL_ID, { timeoutMs = CALLBACK_TIMEOUT_MS } = {}) {
+    const { host, port, pathname } = this.loopbackRedirect(channelId);
+    let server;
+    let timer;
+
+    try {
+      const tokens = await new Promise((resolve, reject) => {
+        let redirectUri;
+
+        server = http.createServer(async (req, res) => {
+          const url = new URL(req.url, redirectUri);
+          if (url.pathname !== pathname) {
+            res.writeHead(404).end();
+            return;
+          }
+
+          const error = url.searchParams.get('error');
+          const code = url.searchParams.get('code');
+          try {
+            if (this.consumeState(url.searchParams.get('state')) !== channelId) {
+              throw new Error('Authorization failed: unknown or expired state');
+            }
+            if (error || !code) {
+              throw new Error(`Authorization failed: ${error || 'no code returned'}`);
+            }
+            const received = await this.exchangeCode(code, channelId, redirectUri);
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<h2>✅ YouTube authorized</h2><p>You can close this window and return to the terminal.</p>');
+            resolve(received);
+          } catch (exchangeError) {
+            res.writeHead(400, { 'Content-Type': 'text/html' });
+            res.end('<h2>❌ Authorization failed</h2><p>See the terminal for details.</p>');
+            reject(exchangeError);
+          }
+        });
+
+        server.on('error', reject);
+        server.listen(port, host, () => {
+          redirectUri = `http://${host}:${server.address().port}${pathname}`;
+          console.log(chalk.cyan(`\n🔗 Visit this URL while signed in to the account for channel "${channelId}":`));
+          console.log(chalk.blue(this.getAuthUrl(channelId, redirectUri)));
+          console.log(chalk.gray(`Waiting for Google to redirect to ${redirectUri} ...`));
+        });
+
+        timer = setTimeout(() => reject(new Error('Timed out waiting for the authorization')), timeoutMs);
+      });
+
+      return tokens;
+    } finally {
+      clearTimeout(timer);
+      if (server) server.close();
+    }
+  }
+
+  // The channel the tokens belong to; fails when they do not work
+  async verify(channelId = DEFAULT_CHANNEL_ID) {
+    const youtube = this.credentials.getYouTubeClient(this.credentials.getYouTubeAuth(channelId));
+    const response = await youtube.channels.list({ part: 'snippet', mine: true });
+    const [channel] = response.data.items || [];
+    if (!channel) {
+      throw new Error('The authorized account has no YouTube channel');
+    }
+    return { id: channel.id, title: channel.snippet.title };
+  }
+}
+
+module.exports = { YouTubeOAuth, SCOPES, STATE_TTL_MS };
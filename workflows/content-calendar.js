@@ -0,0 +1,317 @@
+const { Logger } = require('../utils/logger');
+const { isDate, isDateOrRange } = require('../utils/channel-config');
+
+// A plan covers at most a quarter
+const MAX_PLAN_WEEKS = 13;
+
+// Later posts on the same day go out this many hours after the first
+const SAME_DAY_SPACING_HOURS = 3;
+
+// Which days each posting frequency publishes on. Every-2-days alternates by day number, so a
+// replan lands on the same days.
+const POSTING_DAYS = {
+  daily: () => true,
+  'every-2-days': date => dayNumber(date) % 2 === 0,
+  '3-per-week': date => [1, 3, 5].includes(weekday(date)),
+  weekly: date => weekday(date) === 2
+};
+
+// Dates are local YYYY-MM-DD strings, like the server's own calendar
+function toDateString(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function fromDateString(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function addDays(value, days) {
+  const date = fromDateString(value);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+function dayNumber(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / (24 * 60 * 60 * 1000));
+}
+
+function weekday(value) {
+  return fromDateString(value).getDay();
+}
+
+// Day number of the Monday starting the week; day 4 was a Monday
+function weekStart(value) {
+  const day = dayNumber(value);
+  return day - (((day - 4) % 7) + 7) % 7;
+}
+
+function calendarError(message, status, problems = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (problems) error.problems = problems;
+  return error;
+}
+
+// Plans a channel's publishing slots for the coming weeks. Each posting day gets up to
+// max_daily_posts slots, counting what is already in the publish queue; scheduled series take
+// their weekdays first, blackout dates stay empty, and trending topics fill the rest so that no
+// category or content type crowds out the others. Slots moved by hand are locked and kept by a replan.
+class ContentCalendar {
+  constructor(database, channel) {
+    this.db = database;
+    this.channel = channel;
+    this.logger = new Logger('ContentCalendar');
+  }
+
+  // The channel's cadence wins over the global settings, as in shouldGenerateContentToday
+  async loadSettings() {
+    const cadence = this.channel.cadence || {};
+    const stored = (await this.db.getSetting('calendar_blackout_dates') || '').split(',')
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    const blackouts = [];
+    for (const value of [...stored, ...(cadence.blackoutDates || [])]) {
+      if (!isDateOrRange(value)) {
+        this.logger.warn(`Ignoring blackout date ${value}: use YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD`);
+        continue;
+      }
+      const [from, to = from] = value.split('..');
+      blackouts.push({ from, to });
+    }
+
+    return {
+      maxDailyPosts: Math.max(parseInt(await this.db.getSetting('max_daily_posts')) || 1, 1),
+      bufferDays: cadence.bufferDays ?? (parseInt(await this.db.getSetting('content_buffer_days')) || 3),
+      frequency: cadence.postingFrequency || await this.db.getSetting('posting_frequency') || 'daily',
+      blackouts,
+      series: (await this.db.getChannelSeries(this.channel.id))
+        .filter(series => series.schedule)
+        .map(series => ({ name: series.name, contentType: series.contentType, ...series.schedule }))
+    };
+  }
+
+  isBlackout(date, { blackouts }) {
+    return blackouts.some(({ from, to }) => date >= from && date <= to);
+  }
+
+  seriesDue(series, date) {
+    if (!series.weekdays.includes(weekday(date))) return false;
+    if (series.startDate && date < series.startDate) return false;
+
+    const weeks = (weekStart(date) - weekStart(series.startDate || '1970-01-05')) / 7;
+    return weeks % (series.everyWeeks || 1) === 0;
+  }
+
+  // Content must be ready the buffer's length ahead of its slot, and can be no earlier than today
+  produceBy(date, bufferDays) {
+    const produceBy = addDays(date, -bufferDays);
+    const today = toDateString(new Date());
+    return produceBy < today ? today : produceBy;
+  }
+
+  publishTime(date, position) {
+    const publishHour = this.channel.cadence?.publishHour;
+    const isWeekend = [0, 6].includes(weekday(date));
+    const hour = Number.isInteger(publishHour) ? publishHour : isWeekend ? 10 : 14;
+
+    const time = fromDateString(date);
+    time.setHours(Math.min(hour + position * SAME_DAY_SPACING_HOURS, 23), 0, 0, 0);
+    return time.toISOString();
+  }
+
+  // Queued uploads per date; they take up a day's posts just like slots
+  async queuedPerDay() {
+    const counts = {};
+    for (const entry of await this.db.getPublishQueue(this.channel.id)) {
+      const date = toDateString(new Date(entry.publishTime));
+      counts[date] = (counts[date] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Candidates are { topic, score, category, contentTypes, estimatedViews, sources }, best first.
+  // contentTypes lists the types that suit the topic; the least used of them is taken.
+  async plan({ days = 7 * 4, candidates = [] } = {}) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PLAN_WEEKS * 7) {
+      throw calendarError(`A plan covers 1 to ${MAX_PLAN_WEEKS * 7} days`, 400);
+    }
+
+    const settings = await this.loadSettings();
+    const from = addDays(toDateString(new Date()), 1);
+    const to = addDays(from, days - 1);
+
+    await this.db.deleteUnlockedCalendarSlots(this.channel.id, from, to);
+    const locked = await this.db.getCalendarSlots({ channelId: this.channel.id, from, to });
+    const queued = await this.queuedPerDay();
+
+    const usedTopics = new Set(locked.map(slot => slot.topic).filter(Boolean));
+    const remaining = candidates.filter(candidate => candidate.topic && !usedTopics.has(candidate.topic));
+    const usage = { categories: {}, contentTypes: {} };
+    locked.forEach(slot => this.countUsage(usage, slot));
+
+    const planned = [];
+    const blackoutDates = [];
+    let previous = null;
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      if (this.isBlackout(date, settings)) {
+        blackoutDates.push(date);
+        continue;
+      }
+
+      const onDate = locked.filter(slot => slot.date === date);
+      let taken = onDate.length + (queued[date] || 0);
+      const newSlots = [];
+
+      for (const series of settings.series) {
+        if (taken >= settings.maxDailyPosts) break;
+        if (!this.seriesDue(series, date) || onDate.some(slot => slot.series === series.name)) continue;
+
+        newSlots.push({
+          topic: null,
+          category: null,
+          contentType: series.contentType || null,
+          series: series.name,
+          estimatedViews: 0,
+          sources: ['series']
+        });
+        this.countUsage(usage, newSlots[newSlots.length - 1]);
+        taken++;
+      }
+
+      const postingDay = (POSTING_DAYS[settings.frequency] || POSTING_DAYS.daily)(date);
+      while (postingDay && taken < settings.maxDailyPosts) {
+        const candidate = this.pickCandidate(remaining, usage, previous);
+        if (candidate) remaining.splice(remaining.indexOf(candidate), 1);
+
+        newSlots.push({
+          topic: candidate ? candidate.topic : null,
+          category: candidate ? candidate.category : null,
+          contentType: candidate ? this.pickContentType(candidate.contentTypes || [], usage) : null,
+          series: null,
+          estimatedViews: candidate ? candidate.estimatedViews || 0 : 0,
+          sources: candidate ? candidate.sources || [] : []
+        });
+        this.countUsage(usage, newSlots[newSlots.length - 1]);
+        if (candidate) previous = newSlots[newSlots.length - 1];
+        taken++;
+      }
+
+      for (const [i, fields] of newSlots.entries()) {
+        planned.push(await this.db.saveCalendarSlot({
+          channelId: this.channel.id,
+          date,
+          publishTime: this.publishTime(date, onDate.length + (queued[date] || 0) + i),
+          produceBy: this.produceBy(date, settings.bufferDays),
+          locked: false,
+          ...fields
+        }));
+      }
+    }
+
+    this.logger.info(`Planned ${planned.length} slots for ${this.channel.id} from ${from} to ${to}`);
+
+    return {
+      channelId: this.channel.id,
+      from,
+      to,
+      maxDailyPosts: settings.maxDailyPosts,
+      bufferDays: settings.bufferDays,
+      blackoutDates,
+      slots: await this.db.getCalendarSlots({ channelId: this.channel.id, from, to })
+    };
+  }
+
+  // The best-scoring topic after discounting categories already planned, and halving one that
+  // repeats the previous slot's category
+  pickCandidate(candidates, usage, previous) {
+    let best = null;
+    let bestWeight = -1;
+
+    for (const candidate of candidates) {
+      let weight = Math.max(candidate.score || 0, 0.01) / (1 + (usage.categories[candidate.category] || 0));
+      if (previous && previous.category === candidate.category) weight /= 2;
+      if (weight > bestWeight) {
+        best = candidate;
+        bestWeight = weight;
+      }
+    }
+
+    return best;
+  }
+
+  pickContentType(contentTypes, usage) {
+    let best = null;
+    for (const type of contentTypes) {
+      if (best === null || (usage.contentTypes[type] || 0) < (usage.contentTypes[best] || 0)) {
+        best = type;
+      }
+    }
+    return best;
+  }
+
+  countUsage(usage, slot) {
+    if (slot.category) usage.categories[slot.category] = (usage.categories[slot.category] || 0) + 1;
+    if (slot.contentType) usage.contentTypes[slot.contentType] = (usage.contentTypes[slot.contentType] || 0) + 1;
+  }
+
+  async list({ from = null, to = null } = {}) {
+    const problems = [];
+    if (from !== null && !isDate(from)) problems.push('from must be a YYYY-MM-DD date');
+    if (to !== null && !isDate(to)) problems.push('to must be a YYYY-MM-DD date');
+    if (problems.length > 0) {
+      throw calendarError(`Invalid range: ${problems.join('; ')}`, 400, problems);
+    }
+
+    return this.db.getCalendarSlots({ channelId: this.channel.id, from, to });
+  }
+
+  // Moves a slot to another date at the same time of day. The slot is locked, so a replan keeps it.
+  async moveSlot(slotId, { date } = {}) {
+    const slot = await this.db.getCalendarSlot(slotId);
+    if (!slot || slot.channelId !== this.channel.id) {
+      throw calendarError(`Slot not found: ${slotId}`, 404);
+    }
+
+    if (typeof date !== 'string' || !isDate(date)) {
+      throw calendarError('Invalid move: date must be a YYYY-MM-DD date', 400, ['date must be a YYYY-MM-DD date']);
+    }
+    if (date < toDateString(new Date())) {
+      throw calendarError('Invalid move: date must not be in the past', 400, ['date must not be in the past']);
+    }
+
+    const settings = await this.loadSettings();
+    if (this.isBlackout(date, settings)) {
+      throw calendarError(`${date} is a blackout date`, 409);
+    }
+
+    const others = (await this.db.getCalendarSlots({ channelId: this.channel.id, from: date, to: date }))
+      .filter(other => other.id !== slot.id);
+    const taken = others.length + ((await this.queuedPerDay())[date] || 0);
+    if (taken >= settings.maxDailyPosts) {
+      throw calendarError(`${date} already has ${taken} of ${settings.maxDailyPosts} posts`, 409);
+    }
+
+    const previousTime = new Date(slot.publishTime);
+    const publishTime = fromDateString(date);
+    publishTime.setHours(previousTime.getHours(), previousTime.getMinutes(), 0, 0);
+
+    const moved = {
+      ...slot,
+      date,
+      publishTime: publishTime.toISOString(),
+      produceBy: this.produceBy(date, settings.bufferDays),
+      locked: true
+    };
+    await this.db.updateCalendarSlot(moved);
+
+    this.logger.info(`Moved slot ${slot.id} from ${slot.date} to ${date}`);
+    return this.db.getCalendarSlot(slot.id);
+  }
+}
+
+module.exports = { ContentCalendar, MAX_PLAN_WEEKS, POSTING_DAYS };
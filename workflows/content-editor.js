@@ -0,0 +1,401 @@
+const fs = require('fs').promises;
+const { Logger } = require('../utils/logger');
+const { validateContentUpdate, EDITABLE_FIELDS, THUMBNAIL_DIR, isInsideDirectory } = require('../utils/content-validation');
+const { ContentRevisions } = require('./content-revisions');
+const { ReviewWorkflow } = require('./review-workflow');
+
+// Database methods per kind of content, and the productions column that links to it
+const KINDS = {
+  strategies: {
+    get: 'getContentStrategy',
+    list: 'getRecentContentStrategies',
+    update: 'updateContentStrategy',
+    remove: 'deleteContentStrategy',
+    column: 'strategy_id'
+  },
+  scripts: {
+    get: 'getScript',
+    list: 'getRecentScripts',
+    update: 'updateScript',
+    remove: 'deleteScript',
+    column: 'script_id'
+  },
+  seo: {
+    get: 'getSEOData',
+    list: 'getRecentSEOData',
+    update: 'updateSEOData',
+    remove: 'deleteSEOData',
+    column: 'seo_id'
+  },
+  thumbnails: {
+    get: 'getThumbnail',
+    list: 'getRecentThumbnails',
+    update: 'updateThumbnail',
+    remove: 'deleteThumbnail',
+    column: 'thumbnail_id'
+  },
+  schedule: {
+    get: 'getScheduleEntry',
+    update: 'updateScheduleDetails',
+    remove: 'deleteScheduleEntry'
+  }
+};
+
+// Schedule entries the publisher has not started on
+const EDITABLE_SCHEDULE_STATUSES = ['scheduled', 'paused'];
+
+// Kinds whose edits change what gets published, and so send approved productions back to review
+const REVIEWED_KINDS = ['scripts', 'seo', 'thumbnails'];
+
+function editorError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Reads, edits and deletes generated content. Edits to SEO data and thumbnails are carried into
+// the publish queue; a script edit can re-run narration, captions, chapters and the render.
+class ContentEditor {
+  // getAgents(channelId) returns the running agents of a channel, or null
+  constructor(database, getAgents) {
+    this.db = database;
+    this.getAgents = getAgents;
+    this.revisions = new ContentRevisions(database);
+    this.review = new ReviewWorkflow(database);
+    this.logger = new Logger('ContentEditor');
+  }
+
+  kind(name) {
+    const kind = KINDS[name];
+    if (!kind) {
+      throw editorError(`Unknown content kind: ${name}. Expected one of ${Object.keys(KINDS).join(', ')}`, 404);
+    }
+    return kind;
+  }
+
+  async get(kindName, id) {
+    const item = await this.db[this.kind(kindName).get](id);
+    // getScheduleEntry also matches production ids; the API addresses entries by their own id
+    if (!item || (kindName === 'schedule' && item.id !== id)) {
+      throw editorError(`Not found in ${kindName}: ${id}`, 404);
+    }
+    return item;
+  }
+
+  async list(kindName, { channelId = null, limit = 20, offset = 0 } = {}) {
+    const kind = this.kind(kindName);
+    if (!kind.list) {
+      throw editorError(`${kindName} cannot be listed here`, 404);
+    }
+    return this.db[kind.list](limit, { channelId, offset });
+  }
+
+  // Edits of scripts and SEO data are kept as revisions under the given author and reason. With
+  // approval required, an edit that changes a script, SEO data or thumbnail sends the approved
+  // productions using it back to review under the same author.
+  async update(kindName, id, input, { author = null, reason = null } = {}) {
+    const changes = validateContentUpdate(kindName, input);
+    const item = await this.get(kindName, id);
+    const revision = { author, authorType: 'human', reason, previous: item };
+
+    let updated;
+    switch (kindName) {
+      case 'scripts':
+        updated = await this.updateScript(item, changes, revision);
+        break;
+      case 'seo':
+        updated = await this.updateSEO(item, changes, revision);
+        break;
+      case 'thumbnails':
+        updated = await this.updateThumbnail(item, changes);
+        break;
+      case 'schedule':
+        return this.updateSchedule(item, changes);
+      default:
+        updated = { ...item, ...changes };
+        await this.db[this.kind(kindName).update](updated);
+        this.logger.info(`Updated ${id} in ${kindName}`);
+        return updated;
+    }
+
+    const changed = Object.keys(changes).filter(field => JSON.stringify(changes[field]) !== JSON.stringify(item[field]));
+    if (REVIEWED_KINDS.includes(kindName) && changed.length > 0) {
+      await this.reopenReviews(kindName, id, {
+        reviewer: author,
+        comment: reason || `Edited ${changed.join(', ')} of ${id}`
+      });
+    }
+    return updated;
+  }
+
+  async reopenReviews(kindName, id, options) {
+    const productions = await this.db.getProductionsUsing(this.kind(kindName).column, id);
+    const reopened = await this.review.reopen(productions.map(production => production.id), options);
+    if (reopened.length > 0) {
+      this.logger.info(`Sent ${reopened.join(', ')} back to review after an edit of ${id}`);
+    }
+  }
+
+  async updateScript(script, changes, revision) {
+    const agents = this.getAgents(script.channelId);
+    if (!agents) {
+      throw editorError(`Channel ${script.channelId} is not running; scripts are formatted by its agents`, 409);
+    }
+
+    const updated = { ...script, ...changes };
+    updated.duration = agents.scriptWriter.estimateDuration(updated.mainContent, updated.format);
+    updated.fullScript = agents.scriptWriter.formatFullScript(updated);
+
+    await this.db.updateScript(updated);
+    await this.recordRevision('scripts', updated, revision);
+    this.logger.info(`Updated script ${script.id}`);
+    return updated;
+  }
+
+  async updateSEO(seoData, changes, revision) {
+    let updated = { ...seoData, ...changes };
+    // An edited title or description is translated again, unless the edit brings its own translations
+    if ((changes.title || changes.description) && !changes.localizations &&
+        Object.keys(seoData.localizations || {}).length > 0) {
+      updated = await this.relocalize(updated);
+    }
+
+    await this.db.updateSEOData(updated);
+    await this.recordRevision('seo', updated, revision);
+
+    await this.updateQueuedEntries('seo_id', seoData.id, entry => {
+      entry.metadata.seo = { ...entry.metadata.seo, ...changes, localizations: updated.localizations };
+    });
+
+    this.logger.info(`Updated SEO data ${seoData.id}`);
+    return updated;
+  }
+
+  // Translations come from the agents of the channel that produced the video
+  async relocalize(seoData) {
+    const [production] = await this.db.getProductionsUsing('seo_id', seoData.id);
+    const agents = production && this.getAgents(production.channelId);
+    if (!agents) {
+      this.logger.warn(`Kept the translations of SEO data ${seoData.id}: its channel is not running`);
+      return seoData;
+    }
+    return agents.seoOptimizer.localize(seoData);
+  }
+
+  async updateThumbnail(thumbnail, changes) {
+    const updated = { ...thumbnail, ...changes };
+
+    if (changes.path) {
+      const stats = await fs.stat(changes.path).catch(() => null);
+      if (!stats || !stats.isFile()) {
+        const error = editorError(`Invalid thumbnails update: path ${changes.path} is not a file`, 400);
+        error.problems = [`path ${changes.path} is not a file`];
+        throw error;
+      }
+      // A symlink in the thumbnails directory must not lead out of it
+      if (!isInsideDirectory(await fs.realpath(changes.path), await fs.realpath(THUMBNAIL_DIR))) {
+        const error = editorError(`Invalid thumbnails update: path ${changes.path} is not a file in uploads/thumbnails`, 400);
+        error.problems = [`path ${changes.path} is not a file in uploads/thumbnails`];
+        throw error;
+      }
+      updated.fileSize = stats.size;
+    }
+
+    await this.db.updateThumbnail(updated);
+
+    if (changes.path) {
+      await this.updateQueuedEntries('thumbnail_id', thumbnail.id, (entry, production) => {
+        const asset = { ...production.assets.thumbnail, path: changes.path, fileSize: updated.fileSize };
+        production.assets.thumbnail = asset;
+        entry.metadata.thumbnail = asset;
+      });
+    }
+
+    this.logger.info(`Updated thumbnail ${thumbnail.id}`);
+    return updated;
+  }
+
+  async updateSchedule(entry, changes) {
+    this.assertScheduleEditable(entry);
+
+    const { status, ...details } = changes;
+    const updated = { ...entry, ...details };
+    if (details.publishTime) {
+      updated.publishTime = new Date(details.publishTime).toISOString();
+    }
+
+    await this.db.updateScheduleDetails(updated);
+    if (status && status !== entry.status) {
+      updated.status = status;
+      await this.db.updateScheduleEntry(updated);
+    }
+
+    await this.reloadQueues([entry.channelId]);
+    this.logger.info(`Updated schedule entry ${entry.id}`);
+    return updated;
+  }
+
+  async recordRevision(kindName, item, options) {
+    const revision = await this.revisions.record(kindName, item, options);
+    item.revision = revision ? revision.revision : (await this.db.getContentRevision(kindName, item.id)).revision;
+  }
+
+  // Restores the editable fields of an earlier revision. The rollback is itself a new revision.
+  async rollback(kindName, id, revisionNumber, { author = null, reason = null } = {}) {
+    if (!ContentRevisions.isTracked(kindName)) {
+      throw editorError(`Revisions are not kept for ${kindName}`, 404);
+    }
+
+    const { snapshot } = await this.revisions.get(kindName, id, revisionNumber);
+    const input = {};
+    for (const field of Object.keys(EDITABLE_FIELDS[kindName])) {
+      if (snapshot[field] !== null && snapshot[field] !== undefined) input[field] = snapshot[field];
+    }
+
+    return this.update(kindName, id, input, {
+      author,
+      reason: reason || `Rolled back to revision ${revisionNumber}`
+    });
+  }
+
+  async remove(kindName, id) {
+    const kind = this.kind(kindName);
+    const item = await this.get(kindName, id);
+
+    if (kindName === 'schedule') {
+      this.assertScheduleEditable(item);
+    } else {
+      const productions = await this.db.getProductionsUsing(kind.column, id);
+      if (productions.length > 0) {
+        throw editorError(`${id} is used by productions ${productions.map(p => p.id).join(', ')}`, 409);
+      }
+      if (kindName === 'strategies') {
+        const scriptIds = await this.db.getScriptIdsForStrategy(id);
+        if (scriptIds.length > 0) {
+          throw editorError(`${id} is used by scripts ${scriptIds.join(', ')}`, 409);
+        }
+      }
+    }
+
+    await this.db[kind.remove](id);
+
+    if (kindName === 'schedule') {
+      await this.reloadQueues([item.channelId]);
+    }
+
+    this.logger.info(`Deleted ${id} from ${kindName}`);
+    return item;
+  }
+
+  assertScheduleEditable(entry) {
+    if (!EDITABLE_SCHEDULE_STATUSES.includes(entry.status)) {
+      throw editorError(`Schedule entry ${entry.id} is ${entry.status} and can no longer be changed`, 409);
+    }
+
+    const agents = this.getAgents(entry.channelId);
+    if (agents && agents.publishing.activeUploads.has(entry.id)) {
+      throw editorError(`Schedule entry ${entry.id} is being uploaded`, 409);
+    }
+  }
+
+  // Re-runs what depends on a script in every production built from it that is not yet published:
+  // the TTS text, narration, captions, render and the SEO chapters
+  // author is recorded when a rebuilt production goes back to review
+  async regenerate(scriptId, { author = null } = {}) {
+    const script = await this.get('scripts', scriptId);
+    const agents = this.getAgents(script.channelId);
+    if (!agents) {
+      throw editorError(`Channel ${script.channelId} is not running`, 409);
+    }
+
+    const regenerated = [];
+
+    for (const production of await this.db.getProductionsUsing('script_id', scriptId)) {
+      const entry = await this.db.getScheduleEntry(production.id);
+      if (entry && !EDITABLE_SCHEDULE_STATUSES.includes(entry.status)) {
+        this.logger.info(`Skipping ${production.id}: its video is ${entry.status}`);
+        continue;
+      }
+
+      const reprocessed = await agents.production.reprocessScript(production.id, script);
+
+      let seo = production.seoId ? await this.db.getSEOData(production.seoId) : null;
+      if (seo) {
+        const previous = seo;
+        seo = await agents.seoOptimizer.refreshChapters(seo, script);
+        await this.db.updateSEOData(seo);
+        await this.revisions.record('seo', seo, {
+          author: 'SEOOptimizer',
+          reason: `Chapters refreshed after an edit of script ${scriptId}`,
+          previous
+        });
+      }
+
+      if (entry) {
+        entry.title = script.title;
+        entry.metadata = {
+          ...entry.metadata,
+          seo: seo
+            ? { ...entry.metadata.seo, chapters: seo.chapters, description: seo.description, localizations: seo.localizations }
+            : entry.metadata.seo,
+          video: reprocessed.assets.finalVideo,
+          captions: reprocessed.assets.captions
+        };
+        await this.db.updateScheduleDetails(entry);
+      }
+
+      regenerated.push(production.id);
+    }
+
+    await this.review.reopen(regenerated, {
+      reviewer: author,
+      comment: `Video rebuilt after an edit of script ${scriptId}`
+    });
+
+    await this.reloadQueues([script.channelId]);
+    this.logger.info(`Regenerated ${regenerated.length} production(s) from script ${scriptId}`);
+    return regenerated;
+  }
+
+  // Productions that a regeneration would touch, for the API to report before it runs
+  async getRegenerationTargets(scriptId) {
+    const targets = [];
+
+    for (const production of await this.db.getProductionsUsing('script_id', scriptId)) {
+      const entry = await this.db.getScheduleEntry(production.id);
+      if (!entry || EDITABLE_SCHEDULE_STATUSES.includes(entry.status)) {
+        targets.push(production.id);
+      }
+    }
+
+    return targets;
+  }
+
+  // Applies a change to the queued schedule entries (and productions) built from a content row
+  async updateQueuedEntries(column, id, apply) {
+    const channelIds = [];
+
+    for (const production of await this.db.getProductionsUsing(column, id)) {
+      const entry = await this.db.getScheduleEntry(production.id);
+      if (!entry || !EDITABLE_SCHEDULE_STATUSES.includes(entry.status)) continue;
+
+      apply(entry, production);
+      await this.db.updateScheduleDetails(entry);
+      await this.db.updateProductionData(production);
+      channelIds.push(entry.channelId);
+    }
+
+    await this.reloadQueues(channelIds);
+  }
+
+  async reloadQueues(channelIds) {
+    for (const channelId of new Set(channelIds)) {
+      const agents = this.getAgents(channelId);
+      if (agents) {
+        await agents.publishing.loadPublishQueue();
+      }
+    }
+  }
+}
+
+module.exports = { ContentEditor, CONTENT_KINDS: Object.keys(KINDS) };
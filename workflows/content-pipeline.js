@@ -0,0 +1,328 @@
+const { Logger } = require('../utils/logger');
+const { DEFAULT_CHANNEL_ID } = require('../utils/channel-config');
+const { isShort } = require('../utils/shorts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stages run in order; each receives the outputs of the stages it needs
+const STAGES = [
+  {
+    name: 'strategy',
+    needs: [],
+    run: (agents, outputs, input) => agents.strategy.generateContentStrategy(input.topic || null, {
+      seriesId: input.seriesId || null,
+      format: input.format || 'long'
+    })
+  },
+  {
+    name: 'script',
+    needs: ['strategy'],
+    run: (agents, { strategy }) => agents.scriptWriter.generateScript(strategy)
+  },
+  {
+    name: 'thumbnail',
+    needs: ['script'],
+    run: (agents, { script }) => agents.thumbnailDesigner.generateThumbnail(script)
+  },
+  {
+    name: 'seo',
+    needs: ['script', 'strategy'],
+    run: (agents, { script, strategy }) => agents.seoOptimizer.optimize(script, strategy)
+  },
+  {
+    name: 'production',
+    needs: ['strategy', 'script', 'thumbnail', 'seo'],
+    run: (agents, { strategy, script, thumbnail, seo }) => agents.production.processContent({
+      strategy,
+      script,
+      thumbnail,
+      seo
+    })
+  },
+  {
+    name: 'schedule',
+    needs: ['production'],
+    run: (agents, { production }) => agents.publishing.scheduleContent(production)
+  },
+  {
+    name: 'shorts',
+    needs: ['strategy', 'script', 'production'],
+    run: (agents, outputs, input) => produceShorts(agents, outputs, shortsCount(input))
+  }
+];
+
+// Shorts to cut from each long-form video: the job's own count, or AUTO_SHORTS
+function shortsCount(input) {
+  if (Number.isInteger(input.shorts)) return input.shorts;
+  return parseInt(process.env.AUTO_SHORTS) || 0;
+}
+
+// Shorts cut from a long-form video publish a day apart after it. They are not series episodes
+// and have no thumbnail of their own.
+async function produceShorts(agents, { strategy, script, production }, count) {
+  if (count < 1 || isShort(script)) {
+    return [];
+  }
+
+  const { series, ...source } = strategy;
+  const shorts = [];
+  for (const [index, short] of (await agents.scriptWriter.cutShorts(script, source, count)).entries()) {
+    const publishTime = new Date(new Date(production.scheduledPublishTime).getTime() + (index + 1) * DAY_MS);
+    const shortStrategy = { ...source, format: 'short', bestPublishTime: publishTime.toISOString() };
+
+    const seo = await agents.seoOptimizer.optimize(short, shortStrategy);
+    const produced = await agents.production.processContent({ strategy: shortStrategy, script: short, thumbnail: null, seo });
+    const entry = await agents.publishing.scheduleContent(produced);
+    shorts.push({ scriptId: short.id, contentId: produced.id, title: seo.title, scheduledFor: entry.publishTime });
+  }
+  return shorts;
+}
+
+// Runs with one channel's agents; jobs record the channel so each pipeline resumes only its own
+class ContentPipeline {
+  constructor(agents, database, options = {}) {
+    this.agents = agents;
+    this.db = database;
+    this.channelId = options.channelId || DEFAULT_CHANNEL_ID;
+    this.logger = new Logger('ContentPipeline');
+    this.stages = options.stages || STAGES;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.RETRY_ATTEMPTS) || 3;
+    this.retryDelay = options.retryDelay !== undefined
+      ? options.retryDelay
+      : parseInt(process.env.RETRY_DELAY) || 5000;
+    this.activeJobs = new Set();
+    this.notifier = options.notifier || null;
+  }
+
+  async start(input = {}, triggeredBy = 'manual') {
+    const job = await this.createJob(input, triggeredBy);
+    return this.run(job.id);
+  }
+
+  async createJob(input = {}, triggeredBy = 'manual') {
+    const job = {
+      id: this.db.generateId('job'),
+      triggeredBy,
+      status: 'pending',
+      input: { ...input, channelId: this.channelId }
+    };
+
+    await this.db.savePipelineJob(job);
+
+    for (const [position, stage] of this.stages.entries()) {
+      await this.db.savePipelineStep({
+        id: this.db.generateId('step'),
+        jobId: job.id,
+        stage: stage.name,
+        position,
+        status: 'pending',
+        input: { needs: stage.needs },
+        maxAttempts: this.maxAttempts
+      });
+    }
+
+    this.logger.info(`Created pipeline job ${job.id} (${triggeredBy})`);
+    return job;
+  }
+
+  async run(jobId) {
+    if (this.activeJobs.has(jobId)) {
+      throw new Error(`Pipeline job is already running: ${jobId}`);
+    }
+
+    const job = await this.db.getPipelineJob(jobId);
+    if (!job) {
+      throw new Error(`Pipeline job not found: ${jobId}`);
+    }
+    if (job.status === 'completed') {
+      return job;
+    }
+    if (getJobChannelId(job) !== this.channelId) {
+      throw new Error(`Pipeline job ${jobId} belongs to channel ${getJobChannelId(job)}`);
+    }
+
+    this.activeJobs.add(jobId);
+    const timer = this.logger.startTimer(`Pipeline job ${jobId}`);
+
+    try {
+      const steps = await this.db.getPipelineSteps(jobId);
+      const outputs = {};
+
+      job.status = 'running';
+      job.error = null;
+      await this.db.updatePipelineJob(job);
+
+      for (const stage of this.stages) {
+        const step = steps.find(s => s.stage === stage.name);
+
+        // Jobs created before a stage was added skip it
+        if (!step) continue;
+
+        // Completed stages are restored from their stored output instead of re-running
+        if (step.status === 'completed') {
+          outputs[stage.name] = step.output;
+          continue;
+        }
+
+        job.currentStage = stage.name;
+        await this.db.updatePipelineJob(job);
+
+        outputs[stage.name] = await this.runStep(stage, step, outputs, job.input);
+      }
+
+      job.status = 'completed';
+      job.currentStage = null;
+      job.result = this.summarize(outputs);
+      job.completedAt = new Date().toISOString();
+      await this.db.updatePipelineJob(job);
+
+      timer.end();
+      this.logger.success(`Pipeline job ${jobId} completed`);
+      return job;
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      await this.db.updatePipelineJob(job);
+
+      this.logger.error(`Pipeline job ${jobId} failed at ${job.currentStage}:`, error);
+      await this.notifyFailure(job, error);
+      throw error;
+    } finally {
+      this.activeJobs.delete(jobId);
+    }
+  }
+
+  async notifyFailure(job, error) {
+    if (!this.notifier) return;
+
+    await this.notifier.notify('pipeline_failure', {
+      channelId: this.channelId,
+      jobId: job.id,
+      task: `Pipeline job ${job.id} (${job.currentStage} stage)`,
+      stage: job.currentStage,
+      error: error.message
+    });
+    // DailyAutomation does not notify a second time for the same failure
+    error.notified = true;
+  }
+
+  async runStep(stage, step, outputs, input) {
+    const inputs = {};
+    for (const name of stage.needs) {
+      inputs[name] = outputs[name];
+    }
+
+    while (true) {
+      step.status = 'running';
+      step.attempts++;
+      step.error = null;
+      step.startedAt = new Date().toISOString();
+      await this.db.updatePipelineStep(step);
+
+      try {
+        this.logger.info(`Running stage ${stage.name} (attempt ${step.attempts}/${step.maxAttempts})`);
+        const output = await stage.run(this.agents, inputs, input);
+
+        step.status = 'completed';
+        step.output = output;
+        step.completedAt = new Date().toISOString();
+        await this.db.updatePipelineStep(step);
+
+        return output;
+      } catch (error) {
+        step.error = error.message;
+
+        if (step.attempts >= step.maxAttempts) {
+          step.status = 'failed';
+          await this.db.updatePipelineStep(step);
+          throw error;
+        }
+
+        step.status = 'retrying';
+        await this.db.updatePipelineStep(step);
+
+        const delay = this.retryDelay * Math.pow(2, step.attempts - 1);
+        this.logger.warn(`Stage ${stage.name} failed, retrying in ${delay}ms: ${error.message}`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  // Resets a failed stage and continues the job from there
+  async retryStep(jobId, stageName) {
+    const steps = await this.db.getPipelineSteps(jobId);
+    const step = steps.find(s => s.stage === stageName);
+
+    if (!step) {
+      throw new Error(`Stage ${stageName} not found for job ${jobId}`);
+    }
+    if (step.status !== 'failed') {
+      throw new Error(`Stage ${stageName} is ${step.status}, only failed stages can be retried`);
+    }
+
+    step.status = 'pending';
+    step.attempts = 0;
+    step.error = null;
+    step.startedAt = null;
+    step.completedAt = null;
+    await this.db.updatePipelineStep(step);
+
+    this.logger.info(`Retrying stage ${stageName} for job ${jobId}`);
+    return this.run(jobId);
+  }
+
+  // Picks up jobs left pending or running when the process stopped
+  async resumeInterrupted() {
+    const jobs = await this.db.getInterruptedPipelineJobs();
+    const resumed = [];
+
+    for (const job of jobs) {
+      if (this.activeJobs.has(job.id) || getJobChannelId(job) !== this.channelId) continue;
+
+      this.logger.info(`Resuming pipeline job ${job.id} from ${job.currentStage || 'the first stage'}`);
+      try {
+        resumed.push(await this.run(job.id));
+      } catch (error) {
+        // Already recorded on the job; keep resuming the others
+      }
+    }
+
+    return resumed;
+  }
+
+  async getJob(jobId) {
+    const job = await this.db.getPipelineJob(jobId);
+    if (!job) return null;
+
+    job.steps = await this.db.getPipelineSteps(jobId);
+    return job;
+  }
+
+  async listJobs(options = {}) {
+    return this.db.getPipelineJobs({ ...options, channelId: this.channelId });
+  }
+
+  summarize(outputs) {
+    const { strategy, script, production, schedule, shorts } = outputs;
+
+    return {
+      contentId: production?.id,
+      topic: strategy?.topic,
+      title: script?.title,
+      scheduledFor: schedule?.publishTime || production?.scheduledPublishTime,
+      reviewStatus: schedule?.reviewStatus || null,
+      shorts: shorts || []
+    };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Jobs created before channels existed belong to the default channel
+function getJobChannelId(job) {
+  return job.input?.channelId || DEFAULT_CHANNEL_ID;
+}
+
+module.exports = { ContentPipeline, STAGES, getJobChannelId };
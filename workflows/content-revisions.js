@@ -0,0 +1,136 @@
+const { Logger } = require('../utils/logger');
+const { diffLines, diffList } = require('../utils/text-diff');
+
+// Fields kept in each revision. Scripts keep their formatted text and duration too, so a diff
+// shows the script as it reads.
+const TRACKED_FIELDS = {
+  scripts: ['title', 'hook', 'introduction', 'mainContent', 'conclusion', 'callToAction', 'fullScript',
+    'duration', 'tone', 'pacing', 'keywords'],
+  seo: ['title', 'description', 'tags', 'hashtags', 'chapters', 'endScreen', 'metadata']
+};
+
+const AUTHOR_TYPES = ['agent', 'human'];
+
+function revisionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Every generation, edit, regeneration and rollback of a script or SEO data is stored as a new
+// revision with its author and reason. Revisions are never rewritten; a rollback adds one.
+class ContentRevisions {
+  constructor(database) {
+    this.db = database;
+    this.logger = new Logger('ContentRevisions');
+  }
+
+  static isTracked(contentType) {
+    return Boolean(TRACKED_FIELDS[contentType]);
+  }
+
+  snapshot(contentType, item) {
+    const snapshot = {};
+    for (const field of TRACKED_FIELDS[contentType]) {
+      snapshot[field] = item[field] === undefined ? null : item[field];
+    }
+    return snapshot;
+  }
+
+  // Stores the item as it now is. Content from before revisions were kept gets its previous state
+  // as a first revision. Returns null when nothing tracked has changed.
+  async record(contentType, item, { author, authorType = 'agent', reason = null, previous = null }) {
+    if (!ContentRevisions.isTracked(contentType)) {
+      throw new Error(`Revisions are not kept for ${contentType}`);
+    }
+    if (!AUTHOR_TYPES.includes(authorType)) {
+      throw new Error(`authorType must be one of ${AUTHOR_TYPES.join(', ')}`);
+    }
+
+    let latest = await this.db.getContentRevision(contentType, item.id);
+    if (!latest && previous) {
+      latest = await this.db.saveContentRevision({
+        contentType,
+        contentId: item.id,
+        author: 'unknown',
+        authorType: 'agent',
+        reason: 'State before revision history was kept',
+        snapshot: this.snapshot(contentType, previous)
+      });
+    }
+
+    const snapshot = this.snapshot(contentType, item);
+    const changedFields = latest ? this.changedFields(latest.snapshot, snapshot) : Object.keys(snapshot);
+    if (changedFields.length === 0) return null;
+
+    const revision = await this.db.saveContentRevision({
+      contentType,
+      contentId: item.id,
+      author: author || 'unknown',
+      authorType,
+      reason,
+      changedFields,
+      snapshot
+    });
+
+    this.logger.info(`${contentType} ${item.id} is at revision ${revision.revision} (${revision.author})`);
+    return revision;
+  }
+
+  changedFields(before, after) {
+    return Object.keys(after).filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  }
+
+  // Revisions without their snapshots, oldest first
+  async list(contentType, contentId) {
+    const revisions = await this.db.getContentRevisions(contentType, contentId);
+    return revisions.map(({ snapshot, ...revision }) => revision);
+  }
+
+  async get(contentType, contentId, revision) {
+    if (!Number.isInteger(revision)) {
+      throw revisionError('Revision must be a number', 400);
+    }
+
+    const found = await this.db.getContentRevision(contentType, contentId, revision);
+    if (!found) {
+      throw revisionError(`Revision ${revision} of ${contentId} not found`, 404);
+    }
+    return found;
+  }
+
+  // Field by field changes between two revisions. Multi-line text comes with a line diff and
+  // string lists with the items added and removed. Defaults to the latest revision and the one before it.
+  async diff(contentType, contentId, { from = null, to = null } = {}) {
+    const target = to ? await this.get(contentType, contentId, to) : await this.db.getContentRevision(contentType, contentId);
+    if (!target) {
+      throw revisionError(`No revisions of ${contentId}`, 404);
+    }
+
+    const fromNumber = from || Math.max(target.revision - 1, 1);
+    const base = await this.get(contentType, contentId, fromNumber);
+
+    const changes = this.changedFields(base.snapshot, target.snapshot).map(field => {
+      const before = base.snapshot[field];
+      const after = target.snapshot[field];
+      const change = { field, from: before, to: after };
+
+      if ([before, after].some(value => typeof value === 'string' && value.includes('\n'))) {
+        change.lines = diffLines(before, after);
+      } else if ([before, after].every(value => Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        Object.assign(change, diffList(before, after));
+      }
+      return change;
+    });
+
+    return {
+      contentType,
+      contentId,
+      from: { revision: base.revision, author: base.author, reason: base.reason, createdAt: base.createdAt },
+      to: { revision: target.revision, author: target.author, reason: target.reason, createdAt: target.createdAt },
+      changes
+    };
+  }
+}
+
+module.exports = { ContentRevisions, TRACKED_FIELDS, AUTHOR_TYPES };
@@ -0,0 +1,126 @@
+const { Logger } = require('../utils/logger');
+const { channelLanguages } = require('../utils/channel-config');
+const { parseSRT, formatSRT } = require('../utils/captions');
+
+// YouTube holds localized titles and descriptions to the same limits as the originals
+const TITLE_LIMIT = 100;
+const DESCRIPTION_LIMIT = 5000;
+
+// Strings per translation request, so a long caption track stays within one reply
+const TRANSLATION_BATCH = 40;
+
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+function clip(text, limit) {
+  return text.length > limit ? text.substring(0, limit - 3) + '...' : text;
+}
+
+// The offline provider's stand-in for a translation: the source text marked with its language
+function pseudoTranslate(text, language) {
+  return `[${language}] ${text}`;
+}
+
+// Translates a channel's titles, descriptions, captions and narration into its target languages
+// with the text provider. A language whose translation fails is left out, never filled in with
+// the source text.
+class Localizer {
+  constructor(credentials, channel) {
+    this.ai = credentials.getAIService();
+    this.languages = channelLanguages(channel);
+    this.logger = new Logger('Localizer');
+
+    if (this.languages.targets.length > 0 && this.ai.isOffline()) {
+      this.logger.warn('Text provider is offline: translations are marked placeholders of the source text');
+    }
+  }
+
+  get targets() {
+    return this.languages.targets;
+  }
+
+  // Offline translations are placeholders; what they produce is marked pseudo and only uploaded
+  // to the mock API
+  get isPseudo() {
+    return this.ai.isOffline();
+  }
+
+  // The strings in the same order, or null when the provider fails or loses some of them
+  async translate(texts, language, { kind = 'text' } = {}) {
+    const translated = [];
+
+    for (let i = 0; i < texts.length; i += TRANSLATION_BATCH) {
+      const batch = texts.slice(i, i + TRANSLATION_BATCH);
+      const result = await this.ai.completeJSON({
+        task: 'translate',
+        system: 'You are a professional translator of YouTube videos. You write natural, idiomatic text for native speakers.',
+        prompt: `Translate each string of this ${kind} from ${languageName(this.languages.source)} ` +
+          `into ${languageName(language)} (${language}).\n` +
+          'Keep URLs, hashtags, emoji, timestamps and line breaks as they are. ' +
+          `Reply with JSON: {"translations": [...]} holding exactly ${batch.length} strings in the same order.\n\n` +
+          JSON.stringify(batch),
+        temperature: 0.3,
+        maxTokens: 4000,
+        fallback: () => (this.ai.isOffline()
+          ? { translations: batch.map(text => pseudoTranslate(text, language)) }
+          : null)
+      });
+
+      const strings = Array.isArray(result) ? result : result?.translations;
+      if (!Array.isArray(strings) || strings.length !== batch.length || strings.some(text => typeof text !== 'string')) {
+        this.logger.warn(`Could not translate the ${kind} into ${language}; leaving it out`);
+        return null;
+      }
+      translated.push(...strings);
+    }
+
+    return translated;
+  }
+
+  // { [language]: { title, description } }, the shape of a video's localizations, plus pseudo: true
+  // for placeholders
+  async localizeMetadata({ title, description }) {
+    const localizations = {};
+
+    for (const language of this.targets) {
+      const translated = await this.translate([title, description], language, { kind: 'video title and description' });
+      if (!translated) continue;
+
+      localizations[language] = {
+        title: clip(translated[0], TITLE_LIMIT),
+        description: clip(translated[1], DESCRIPTION_LIMIT),
+        ...(this.isPseudo && { pseudo: true })
+      };
+    }
+
+    return localizations;
+  }
+
+  // Caption cues with every text translated and the timings kept; null when translation fails
+  async translateCues(cues, language) {
+    const translated = await this.translate(cues.map(cue => cue.text), language, { kind: 'caption track' });
+    if (!translated) return null;
+
+    return cues.map((cue, index) => ({ ...cue, text: translated[index] }));
+  }
+
+  // The same for an SRT track
+  async translateCaptions(srt, language) {
+    const translated = await this.translateCues(parseSRT(srt), language);
+    return translated ? formatSRT(translated) : null;
+  }
+
+  // Narration translated paragraph by paragraph, so pauses between them stay where they were
+  async translateNarration(text, language) {
+    const paragraphs = text.split(/\n{2,}/).filter(paragraph => paragraph.trim());
+    const translated = await this.translate(paragraphs, language, { kind: 'voice-over narration' });
+    return translated ? translated.join('\n\n') : null;
+  }
+}
+
+module.exports = { Localizer, languageName, pseudoTranslate, TRANSLATION_BATCH };
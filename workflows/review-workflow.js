@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const { Logger } = require('../utils/logger');
+
+// Review states of a production: draft → in_review → approved or rejected → scheduled. A rejected
+// production goes back into review once fixed, and a scheduled one can be pulled back by rejecting it.
+const REVIEW_STATUSES = ['draft', 'in_review', 'approved', 'rejected', 'scheduled'];
+
+const REVIEW_ACTIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'in_review' },
+  approve: { from: ['in_review'], to: 'approved' },
+  reject: { from: ['in_review', 'approved', 'scheduled'], to: 'rejected' },
+  // A draft may skip review only while approval is not required
+  schedule: { from: ['draft', 'approved'], to: 'scheduled' },
+  // Approved content whose script, SEO data or thumbnail changed needs another look
+  reopen: { from: ['approved', 'scheduled'], to: 'in_review' }
+};
+
+// Held back by the publish queue even when approval is not required
+const HELD_STATUSES = ['in_review', 'rejected'];
+
+function reviewError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class ReviewWorkflow {
+  constructor(database) {
+    this.db = database;
+    this.logger = new Logger('ReviewWorkflow');
+  }
+
+  async isApprovalRequired() {
+    return (await this.db.getSetting('require_approval')) === 'true';
+  }
+
+  // Called when content joins the publish queue: it waits for a reviewer when approval is required
+  // and is released straight away otherwise. Entries without a production row are not reviewed.
+  async enterQueue(productionId) {
+    const production = await this.db.getProduction(productionId);
+    if (!production || production.reviewStatus !== 'draft') {
+      return production ? production.reviewStatus : null;
+    }
+
+    const action = await this.isApprovalRequired() ? 'submit' : 'schedule';
+    const updated = await this.transition(productionId, action, { reviewer: 'automation' });
+    return updated.reviewStatus;
+  }
+
+  // Applies a review action; errors carry the HTTP status for the API to report
+  async transition(productionId, action, { reviewer = null, comment = null } = {}) {
+    const rule = REVIEW_ACTIONS[action];
+    if (!rule) {
+      throw reviewError(`Unknown review action: ${action}. Expected one of ${Object.keys(REVIEW_ACTIONS).join(', ')}`, 400);
+    }
+    if (action === 'reject' && !(comment && comment.trim())) {
+      throw reviewError('A comment is required when rejecting content', 400);
+    }
+
+    const production = await this.db.getProduction(productionId);
+    if (!production) {
+      throw reviewError(`Production not found: ${productionId}`, 404);
+    }
+
+    const fromStatus = production.reviewStatus;
+    if (!rule.from.includes(fromStatus)) {
+      throw reviewError(`Cannot ${action} a production that is ${fromStatus}`, 409);
+    }
+    if (action === 'schedule' && fromStatus === 'draft' && await this.isApprovalRequired()) {
+      throw reviewError('Content must be approved before it is scheduled', 409);
+    }
+    if (fromStatus === 'scheduled') {
+      const entry = await this.db.getScheduleEntry(productionId);
+      if (entry && entry.status === 'published') {
+        throw reviewError(`Production ${productionId} is already published`, 409);
+      }
+    }
+
+    if (!await this.db.updateReviewStatus(productionId, fromStatus, rule.to)) {
+      throw reviewError(`Production ${productionId} was reviewed concurrently; reload it and try again`, 409);
+    }
+
+    await this.db.saveProductionReview({
+      productionId,
+      action,
+      fromStatus,
+      toStatus: rule.to,
+      reviewer,
+      comment: comment ? comment.trim() : null
+    });
+
+    this.logger.info(`${productionId}: ${fromStatus} → ${rule.to}${reviewer ? ` (${reviewer})` : ''}`);
+    return { ...production, reviewStatus: rule.to };
+  }
+
+  // Sends approved and scheduled productions back to review after an edit, when approval is
+  // required. Published ones are left alone. Returns the ids of the productions sent back.
+  async reopen(productionIds, { reviewer = null, comment = null } = {}) {
+    if (!await this.isApprovalRequired()) {
+      return [];
+    }
+
+    const reopened = [];
+    for (const productionId of productionIds) {
+      const production = await this.db.getProduction(productionId);
+      if (!production || !REVIEW_ACTIONS.reopen.from.includes(production.reviewStatus)) continue;
+
+      const entry = await this.db.getScheduleEntry(productionId);
+      if (entry && entry.status === 'published') continue;
+
+      await this.transition(productionId, 'reopen', { reviewer, comment });
+      reopened.push(productionId);
+    }
+    return reopened;
+  }
+
+  // Schedule entries whose production the publish queue may pick up
+  async filterReleased(entries) {
+    const approvalRequired = await this.isApprovalRequired();
+    const released = [];
+
+    for (const entry of entries) {
+      const production = await this.db.getProduction(entry.productionId);
+      const reviewStatus = production ? production.reviewStatus : 'draft';
+      const isReleased = approvalRequired
+        ? reviewStatus === 'scheduled'
+        : !HELD_STATUSES.includes(reviewStatus);
+
+      if (isReleased) released.push(entry);
+    }
+
+    return released;
+  }
+
+  // Everything a reviewer looks at: the full script, SEO metadata, thumbnail and earlier decisions
+  async getReview(productionId) {
+    const production = await this.db.getProduction(productionId);
+    if (!production) return null;
+
+    const [entry, history] = await Promise.all([
+      this.db.getScheduleEntry(productionId),
+      this.db.getProductionReviews(productionId)
+    ]);
+
+    return {
+      production: {
+        id: production.id,
+        channelId: production.channelId,
+        status: production.status,
+        reviewStatus: production.reviewStatus,
+        reviewedAt: production.reviewedAt,
+        priority: production.priority,
+        scriptId: production.scriptId,
+        seoId: production.seoId,
+        scheduledPublishTime: production.scheduledPublishTime,
+        createdAt: production.createdAt
+      },
+      script: await this.loadScript(production),
+      narration: await this.loadNarration(production),
+      seo: entry ? entry.metadata.seo || null : null,
+      thumbnail: production.assets.thumbnail || null,
+      schedule: entry ? {
+        id: entry.id,
+        title: entry.title,
+        publishTime: entry.publishTime,
+        status: entry.status
+      } : null,
+      history
+    };
+  }
+
+  // Production keeps the script as JSON plus the narration text written for TTS
+  async loadScript(production) {
+    const script = await this.readAsset(production, production.assets.script?.originalPath);
+    return script ? JSON.parse(script) : null;
+  }
+
+  async loadNarration(production) {
+    return this.readAsset(production, production.assets.script?.ttsPath);
+  }
+
+  async readAsset(production, assetPath) {
+    if (!assetPath) return null;
+
+    try {
+      return await fs.readFile(assetPath, 'utf8');
+    } catch (error) {
+      this.logger.warn(`Asset of ${production.id} could not be read: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = { ReviewWorkflow, REVIEW_STATUSES, REVIEW_ACTIONS };
@@ -0,0 +1,166 @@
+const { Logger } = require('../utils/logger');
+const { validateSeries } = require('../utils/series-config');
+
+const SERIES_HEADER = '📺 SERIES:';
+const NEXT_EPISODE_LABEL = '⏭️ Next episode:';
+const NEXT_EPISODE_PENDING = `${NEXT_EPISODE_LABEL} coming soon, subscribe so you don't miss it`;
+
+function seriesError(message, status, problems = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (problems) error.problems = problems;
+  return error;
+}
+
+function videoUrl(videoId) {
+  return `https://youtu.be/${videoId}`;
+}
+
+function playlistUrl(playlistId) {
+  return `https://www.youtube.com/playlist?list=${playlistId}`;
+}
+
+// The series block of a description: which episode this is, links to the episodes around it and
+// the playlist. Until the next episode is out its line is a placeholder, filled in on publish.
+function seriesLinks(series, { previous = null, next = null, playlistId = series.playlistId } = {}) {
+  const lines = [`${SERIES_HEADER} ${series.name}, episode ${series.episode}`];
+  if (previous) {
+    lines.push(`⏮️ Previous episode: ${previous.title} ${videoUrl(previous.youtubeId)}`);
+  }
+  lines.push(next ? `${NEXT_EPISODE_LABEL} ${next.title} ${videoUrl(next.youtubeId)}` : NEXT_EPISODE_PENDING);
+  if (playlistId) {
+    lines.push(`▶️ All episodes: ${playlistUrl(playlistId)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Swaps the series block of a description for a fresh one; null when it has none
+function replaceSeriesLinks(description, block) {
+  const start = description.indexOf(SERIES_HEADER);
+  if (start === -1) return null;
+
+  const end = description.indexOf('\n\n', start);
+  return description.slice(0, start) + block.trimEnd() + (end === -1 ? '\n' : description.slice(end));
+}
+
+// Points the next-episode line at a published episode; null when there is no such line
+function linkNextEpisode(description, next) {
+  const start = description.indexOf(NEXT_EPISODE_LABEL);
+  if (start === -1) return null;
+
+  const end = description.indexOf('\n', start);
+  const line = `${NEXT_EPISODE_LABEL} ${next.title} ${videoUrl(next.youtubeId)}`;
+  return description.slice(0, start) + line + (end === -1 ? '' : description.slice(end));
+}
+
+// A channel's series and their episodes. An episode is numbered when its strategy is generated,
+// and gets its video id, playlist item and uploaded snippet when it is published.
+class SeriesManager {
+  constructor(database, channel) {
+    this.db = database;
+    this.channel = channel;
+    this.logger = new Logger('SeriesManager');
+  }
+
+  async list() {
+    const series = await this.db.getChannelSeries(this.channel.id);
+    for (const entry of series) {
+      entry.episodes = (await this.db.getSeriesEpisodes(entry.id)).length;
+    }
+    return series;
+  }
+
+  async get(seriesId) {
+    const series = await this.db.getSeries(seriesId);
+    if (!series || series.channelId !== this.channel.id) {
+      throw seriesError(`Series not found: ${seriesId}`, 404);
+    }
+    return series;
+  }
+
+  async getWithEpisodes(seriesId) {
+    const series = await this.get(seriesId);
+    return { ...series, episodes: await this.db.getSeriesEpisodes(series.id) };
+  }
+
+  async create(input) {
+    let series;
+    try {
+      series = validateSeries(input);
+    } catch (error) {
+      throw seriesError(error.message, 400, error.problems);
+    }
+    await this.assertNameFree(series.name);
+
+    const saved = await this.db.saveSeries({ ...series, channelId: this.channel.id });
+    this.logger.info(`Created series ${series.name} for ${this.channel.id}`);
+    return this.get(saved.id);
+  }
+
+  async update(seriesId, input) {
+    const series = await this.get(seriesId);
+    let changes;
+    try {
+      changes = validateSeries(input, { partial: true });
+    } catch (error) {
+      throw seriesError(error.message, 400, error.problems);
+    }
+    if (changes.name && changes.name !== series.name) {
+      await this.assertNameFree(changes.name);
+    }
+
+    await this.db.updateSeries({ ...series, ...changes });
+    return { series: await this.get(series.id), fields: Object.keys(changes) };
+  }
+
+  // Published videos and the playlist stay on YouTube; only the series and its numbering go
+  async delete(seriesId) {
+    const series = await this.get(seriesId);
+    await this.db.deleteSeries(series.id);
+    return series;
+  }
+
+  async assertNameFree(name) {
+    if (await this.db.getSeriesByName(this.channel.id, name)) {
+      throw seriesError(`Series already exists: ${name}`, 409);
+    }
+  }
+
+  // Numbers a new episode and returns what the script, thumbnail and SEO stages need to know
+  async startEpisode(seriesId, strategyId) {
+    const series = await this.get(seriesId);
+    const episode = await this.db.saveSeriesEpisode({ seriesId: series.id, strategyId });
+    const { previous } = await this.neighbours(series.id, episode.episode);
+
+    this.logger.info(`Started episode ${episode.episode} of ${series.name}`);
+    return {
+      id: series.id,
+      name: series.name,
+      episode: episode.episode,
+      episodeId: episode.id,
+      playlistId: series.playlistId,
+      intro: series.intro,
+      outro: series.outro,
+      thumbnailStyle: series.thumbnailStyle,
+      previous
+    };
+  }
+
+  // The closest published episodes before and after an episode number, as { episode, title, youtubeId }
+  async neighbours(seriesId, episodeNumber) {
+    const published = (await this.db.getSeriesEpisodes(seriesId)).filter(episode => episode.youtubeId);
+    const describe = episode => (episode ? {
+      id: episode.id,
+      episode: episode.episode,
+      title: episode.snippet?.title || `Episode ${episode.episode}`,
+      youtubeId: episode.youtubeId
+    } : null);
+
+    return {
+      previous: describe(published.filter(episode => episode.episode < episodeNumber).pop()),
+      next: describe(published.find(episode => episode.episode > episodeNumber))
+    };
+  }
+}
+
+module.exports = { SeriesManager, seriesLinks, replaceSeriesLinks, linkNextEpisode, videoUrl, playlistUrl };